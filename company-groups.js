@@ -0,0 +1,173 @@
+/**
+ * Company Groups Module - Corporate groups and related entities
+ *
+ * Large AU groups trade under many ABNs and domains (Wesfarmers → Bunnings, Kmart,
+ * Officeworks...). A group is a saved set of linked entities, kept in company-groups.json,
+ * so Colleagues and Hiring can run across every company in it.
+ *
+ * Entity: { type, value, name?, addedAt }
+ *   domain   - kmart.com.au
+ *   abn      - 11 digits, no spaces, passing the ABN checksum
+ *   linkedin - linkedin.com/company/<slug>
+ *   name     - a trading name
+ * An entity belongs to one group at most.
+ *
+ * Related entities are suggested by webapp-v4 (ABR name search, Apollo/Firmable company search,
+ * Apollo sub-organisations); nameStem() is the shared name they're matched on.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeName } = require('./domain-resolver.js');
+const { validateABN } = require('./validation.js');
+
+const GROUPS_FILE = path.join(__dirname, 'company-groups.json');
+const ENTITY_TYPES = ['domain', 'abn', 'linkedin', 'name'];
+
+// Words too common to tell a group's companies from anyone else's
+const GENERIC_WORDS = ['australia', 'australian', 'new', 'zealand', 'nz', 'national', 'international', 'global',
+  'pacific', 'services', 'and', 'of', 'first'];
+
+function loadGroups() {
+  try {
+    if (fs.existsSync(GROUPS_FILE)) {
+      return JSON.parse(fs.readFileSync(GROUPS_FILE, 'utf8'));
+    }
+  } catch (e) { console.error('Error loading company groups:', e.message); }
+  return { groups: [] };
+}
+
+function saveGroups(data) {
+  try {
+    fs.writeFileSync(GROUPS_FILE, JSON.stringify(data, null, 2));
+    return true;
+  } catch (e) {
+    console.error('Error saving company groups:', e.message);
+    return false;
+  }
+}
+
+// Canonical value per type, so the same company is recognised however it was typed.
+// '' when the value isn't one (an ABN has to pass its checksum).
+function normalizeEntity(type, value) {
+  const v = String(value || '').trim();
+  if (type === 'domain') return v.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split(/[/?#]/)[0];
+  if (type === 'abn') {
+    const digits = v.replace(/\D/g, '');
+    return validateABN(digits).valid ? digits : '';
+  }
+  if (type === 'linkedin') {
+    const slug = v.match(/linkedin\.com\/company\/([^/?#]+)/i)?.[1];
+    return slug ? `linkedin.com/company/${slug.toLowerCase()}` : '';
+  }
+  if (type === 'name') return v.replace(/\s+/g, ' ');
+  return '';
+}
+
+const sameEntity = (a, type, value) => a.type === type && a.value.toLowerCase() === value.toLowerCase();
+
+// "Wesfarmers Chemicals, Energy & Fertilisers Ltd" → "wesfarmers"
+function nameStem(name) {
+  return normalizeName(name).split(' ').find(w => w.length >= 3 && !GENERIC_WORDS.includes(w)) || null;
+}
+
+// Does a company name carry the stem as a word ("Kmart Australia" / "kmart")?
+function sharesStem(name, stem) {
+  return !!stem && normalizeName(name).split(' ').includes(stem);
+}
+
+function listGroups() {
+  return loadGroups().groups;
+}
+
+function getGroup(id) {
+  return loadGroups().groups.find(g => g.id === id) || null;
+}
+
+// The group an entity is linked into, or null
+function findGroup(type, value) {
+  const v = normalizeEntity(type, value);
+  if (!v) return null;
+  return loadGroups().groups.find(g => g.entities.some(e => sameEntity(e, type, v))) || null;
+}
+
+function createGroup(name, entities = []) {
+  const groupName = String(name || '').trim();
+  if (!groupName) return { success: false, error: 'Group name is required' };
+  const data = loadGroups();
+  const group = {
+    id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+    name: groupName,
+    entities: [],
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  data.groups.push(group);
+  if (!saveGroups(data)) return { success: false, error: 'Could not save groups' };
+  for (const entity of entities) {
+    const linked = linkEntity(group.id, entity);
+    if (!linked.success) {
+      deleteGroup(group.id); // All or nothing - no half-built group left behind
+      return linked;
+    }
+  }
+  return { success: true, group: getGroup(group.id) };
+}
+
+function linkEntity(groupId, { type, value, name } = {}) {
+  if (!ENTITY_TYPES.includes(type)) return { success: false, error: `Entity type must be one of ${ENTITY_TYPES.join(', ')}` };
+  const v = normalizeEntity(type, value);
+  if (!v) return { success: false, error: `A valid ${type} is required` };
+
+  const data = loadGroups();
+  const group = data.groups.find(g => g.id === groupId);
+  if (!group) return { success: false, error: 'Group not found' };
+  const other = data.groups.find(g => g.entities.some(e => sameEntity(e, type, v)));
+  if (other && other.id !== groupId) return { success: false, error: `Already linked to ${other.name}` };
+  if (other) return { success: true, group };
+
+  group.entities.push({ type, value: v, name: name || null, addedAt: new Date().toISOString() });
+  group.updatedAt = new Date().toISOString();
+  return saveGroups(data) ? { success: true, group } : { success: false, error: 'Could not save groups' };
+}
+
+function unlinkEntity(groupId, type, value) {
+  const v = normalizeEntity(type, value);
+  const data = loadGroups();
+  const group = data.groups.find(g => g.id === groupId);
+  if (!group) return { success: false, error: 'Group not found' };
+  const before = group.entities.length;
+  group.entities = group.entities.filter(e => !sameEntity(e, type, v));
+  if (group.entities.length === before) return { success: false, error: 'Entity not in group' };
+  group.updatedAt = new Date().toISOString();
+  return saveGroups(data) ? { success: true, group } : { success: false, error: 'Could not save groups' };
+}
+
+function deleteGroup(id) {
+  const data = loadGroups();
+  const before = data.groups.length;
+  data.groups = data.groups.filter(g => g.id !== id);
+  if (data.groups.length === before) return { success: false, error: 'Group not found' };
+  return saveGroups(data) ? { success: true } : { success: false, error: 'Could not save groups' };
+}
+
+// Domains to run Colleagues/Hiring across, first one first
+function groupDomains(group, first = null) {
+  const domains = group.entities.filter(e => e.type === 'domain').map(e => e.value);
+  return first && domains.includes(first) ? [first, ...domains.filter(d => d !== first)] : domains;
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  normalizeEntity,
+  nameStem,
+  sharesStem,
+  listGroups,
+  getGroup,
+  findGroup,
+  createGroup,
+  linkEntity,
+  unlinkEntity,
+  deleteGroup,
+  groupDomains,
+};
@@ -0,0 +1,162 @@
+/**
+ * Consolidation Module - Cross-source contact scoring
+ *
+ * Port of the consolidation step in index.js: emails and phones returned by more
+ * than one provider are merged (with `sources` and `count`), each gets a
+ * confidence (0..1) with the reasons behind it, and the lists are sorted
+ * best-first so the UI, Slack and CSV exports lead with the best email and phone.
+ */
+
+const phoneNumbers = require('./phone-numbers.js');
+
+// Starting confidence by provider, as index.js scores each source
+const EMAIL_CONFIDENCE = {
+  Firmable: { work: 0.95, personal: 0.7 },
+  Apollo: { work: 0.9, personal: 0.7 },
+  Lusha: { work: 0.85, personal: 0.85 },
+  CSV: { work: 0.9, personal: 0.9 },
+};
+const PHONE_CONFIDENCE = { Firmable: 0.95, Apollo: 0.85, Lusha: 0.8, CSV: 0.9 };
+const SWITCHBOARD_CONFIDENCE = 0.5;  // Reaches the company, not the person
+const DEFAULT_CONFIDENCE = 0.6;
+const SOURCE_BOOST = 0.1;            // Per extra source that agrees
+const NON_LOCAL_PENALTY = 0.3;       // Lusha sometimes returns stale UK/US numbers for AU contacts
+const IDENTITY_PENALTY = 0.3;        // Only from a match that may be someone else (identityFlag)
+
+function emailKey(email) {
+  return String(email || '').toLowerCase();
+}
+
+// Same number in any format: +61 4xx / 614xx / 04xx all match. options.country as for parsePhone.
+function phoneKey(number, options) {
+  return phoneNumbers.toE164(number, options) || String(number || '').replace(/\D/g, '');
+}
+
+// Add an email or phone to a list, or record the extra source on the one already there
+function addContact(list, item, key) {
+  const k = key(item);
+  if (!k) return;
+  const existing = list.find(x => key(x) === k);
+  if (!existing) {
+    list.push({ ...item, sources: item.sources || [item.source] });
+    return;
+  }
+  if (!existing.sources) existing.sources = [existing.source];
+  (item.sources || [item.source]).forEach(s => { if (s && !existing.sources.includes(s)) existing.sources.push(s); });
+  if (item.verified) existing.verified = true;
+  if (!existing.verification && item.verification) existing.verification = item.verification;
+  if (!existing.validation && item.validation) existing.validation = item.validation;
+  if (existing.type === 'company' && item.type && item.type !== 'company') existing.type = item.type;
+  if (!existing.switchboard && item.switchboard) existing.switchboard = item.switchboard; // Still the company's number
+  if (existing.identityFlag && !item.identityFlag) delete existing.identityFlag; // A trusted match vouches for it
+}
+
+function addEmail(list, email) {
+  addContact(list, email, e => emailKey(e.email));
+}
+
+// Phones are normalised to E.164 and classified on the way in (phone-numbers.js).
+// options.country ('AU' | 'NZ') says how to read local 0-prefixed numbers.
+function addPhone(list, phone, options) {
+  addContact(list, phoneNumbers.classifyPhone(phone, options), p => phoneKey(p.number));
+}
+
+// Marked down when every source for it is a flagged match (match-verification.js)
+function identityPenalty(x, reasons) {
+  if (!x.identityFlag) return 0;
+  reasons.push(`${x.identityFlag.provider} may have matched someone else (${x.identityFlag.reasons.join('; ')})`);
+  return IDENTITY_PENALTY;
+}
+
+const clamp = n => Math.round(Math.min(Math.max(n, 0), 1) * 100) / 100;
+const percent = n => Math.round(n * 100) + '%';
+
+function scoreEmail(e) {
+  const personal = e.type === 'personal';
+  const bases = e.sources.map(s => {
+    if (s === 'Pattern') return e.pattern?.confidence ?? DEFAULT_CONFIDENCE;
+    if (s === 'Hunter') return Number.isFinite(e.verification?.score) ? e.verification.score / 100 : DEFAULT_CONFIDENCE;
+    return EMAIL_CONFIDENCE[s]?.[personal ? 'personal' : 'work'] ?? DEFAULT_CONFIDENCE;
+  });
+  let confidence = Math.max(...bases);
+  const best = e.sources[bases.indexOf(confidence)];
+  const reasons = [best === 'Pattern'
+    ? `${e.pattern.format} pattern from ${e.pattern.matches}/${e.pattern.samples} known emails (${percent(confidence)})`
+    : `${best}${personal ? ' personal' : ''} email (${percent(confidence)})`];
+
+  if (e.sources.length > 1) {
+    confidence += SOURCE_BOOST * (e.sources.length - 1);
+    reasons.push(`found by ${e.sources.length} sources`);
+  }
+  if (e.verified) {
+    confidence += 0.1;
+    reasons.push(`verified${e.verification ? ' by ' + e.verification.provider : ''}`);
+  } else if (e.smtp?.result === 'deliverable') {
+    confidence += 0.1;
+    reasons.push('mailbox accepted over SMTP');
+  }
+  confidence -= identityPenalty(e, reasons);
+  if (e.validation?.status === 'invalid') {
+    confidence = Math.min(confidence, 0.1);
+    reasons.push(`failed validation (${e.validation.reason})`);
+  } else if (e.validation?.status === 'risky') {
+    confidence -= 0.2;
+    reasons.push(`risky (${e.validation.reason})`);
+  }
+  return { ...e, count: e.sources.length, confidence: clamp(confidence), confidenceReasons: reasons };
+}
+
+function scorePhone(p, auNz) {
+  const switchboard = !!p.switchboard;
+  const bases = p.sources.map(s => (switchboard ? SWITCHBOARD_CONFIDENCE : PHONE_CONFIDENCE[s] ?? DEFAULT_CONFIDENCE));
+  let confidence = Math.max(...bases);
+  const reasons = [`${p.sources[bases.indexOf(confidence)]} ${phoneNumbers.lineLabel(p)} (${percent(confidence)})`];
+  const scored = { ...p };
+
+  if (p.sources.length > 1) {
+    confidence += SOURCE_BOOST * (p.sources.length - 1);
+    reasons.push(`found by ${p.sources.length} sources`);
+  }
+  if (auNz && !['AU', 'NZ'].includes(p.country)) {
+    confidence -= NON_LOCAL_PENALTY;
+    scored.nonLocal = true;
+    reasons.push('not an AU/NZ number');
+  }
+  confidence -= identityPenalty(p, reasons);
+  if (p.validation?.status === 'invalid') {
+    confidence = Math.min(confidence, 0.1);
+    reasons.push(`failed validation (${p.validation.reason})`);
+  } else if (p.validation?.status === 'valid') {
+    confidence += 0.1;
+    reasons.push('validated' + (p.validation.details?.lineType ? ` (${p.validation.details.lineType})` : ''));
+  }
+  return { ...scored, count: p.sources.length, confidence: clamp(Math.max(confidence, 0.1)), confidenceReasons: reasons };
+}
+
+// Sort by confidence, keeping provider order for ties
+function bestFirst(list) {
+  return list.map((item, i) => ({ item, i }))
+    .sort((a, b) => b.item.confidence - a.item.confidence || a.i - b.i)
+    .map(({ item }) => item);
+}
+
+// Merge duplicates, score and sort results.emails / results.phones in place.
+// auNz: the contact is in Australia or New Zealand, so other numbers are marked down.
+// country: the contact's country - phones are re-read with it, so "021..." merges with "+64 21...".
+function consolidate(results, { auNz = false, country } = {}) {
+  const emails = [];
+  const phones = [];
+  (results.emails || []).forEach(e => addEmail(emails, e));
+  (results.phones || []).forEach(p => addPhone(phones, p, { country }));
+  results.emails = bestFirst(emails.map(scoreEmail));
+  results.phones = bestFirst(phones.map(p => scorePhone(p, auNz)));
+  return results;
+}
+
+module.exports = {
+  emailKey,
+  phoneKey,
+  addEmail,
+  addPhone,
+  consolidate,
+};
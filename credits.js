@@ -0,0 +1,297 @@
+/**
+ * Credits Module - Provider credit ledger and budgets
+ *
+ * Knows which provider calls are FREE and which burn credits, records spend
+ * per day / endpoint / user, and checks daily and monthly budgets before a
+ * call is sent. Budgets either block the call or just warn.
+ *
+ * A call that passes the check reserves its cost until it finishes: recordSpend()
+ * turns the reservation into spend, releaseBudget() refunds it when the call fails.
+ * Concurrent calls (bulk, group runs) see each other's reservations, so they can't
+ * all squeeze under the same remaining budget.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CREDITS_FILE = path.join(__dirname, 'credits.json');
+const MAX_WARNINGS = 50;
+
+const reserved = {}; // Credits held by in-flight calls, per provider
+
+// Credit cost per endpoint. `credits` is charged for any matched call,
+// `reveal` adds credits per reveal flag set in the query string or body.
+// `matched` decides whether the provider actually charged us.
+const COSTS = {
+  apollo: [
+    { endpoint: 'mixed_people/api_search', credits: 0 }, // FREE - no emails/phones returned
+    { endpoint: 'organizations/enrich', credits: 1, matched: d => !!d.organization },
+    { endpoint: 'mixed_companies/search', credits: 1 }, // Organization search - one credit per page
+    { endpoint: 'people/match', credits: 0, reveal: { reveal_personal_emails: 1 }, matched: d => !!d.person },
+  ],
+  lusha: [
+    { endpoint: 'v2/person', credits: 0, reveal: { revealEmails: 1, revealPhones: 1 }, matched: d => !!(d.data || d.contact?.data) },
+  ],
+  serp: [
+    { endpoint: 'search.json', credits: 1 }, // One search per call
+  ],
+  firmable: [
+    { endpoint: 'company', credits: 0 }, // Plan-included lookups
+    { endpoint: 'company/search', credits: 0 },
+    { endpoint: 'people', credits: 0 },
+  ],
+  hunter: [
+    { endpoint: 'email-finder', credits: 1, matched: d => !!d.data?.email },
+    { endpoint: 'domain-search', credits: 1, matched: d => !!d.data?.emails?.length },
+    { endpoint: 'email-verifier', credits: 1 },
+  ],
+  numverify: [
+    { endpoint: 'validate', credits: 1 }, // Every lookup counts against the monthly quota
+  ],
+  abr: [
+    { endpoint: 'AbnDetails.aspx', credits: 0 }, // Free government web service
+    { endpoint: 'AcnDetails.aspx', credits: 0 },
+    { endpoint: 'MatchingNames.aspx', credits: 0 },
+  ],
+  nzbn: [
+    { endpoint: 'entities', credits: 0 }, // Free with an MBIE subscription key (details calls are free too)
+  ],
+};
+
+function loadLedger() {
+  try {
+    if (fs.existsSync(CREDITS_FILE)) {
+      return JSON.parse(fs.readFileSync(CREDITS_FILE, 'utf8'));
+    }
+  } catch (e) { console.error('Error loading credits:', e.message); }
+  return getDefaultLedger();
+}
+
+function getDefaultLedger() {
+  return {
+    budgets: {},
+    byDay: {},
+    warnings: [],
+    lastUpdated: new Date().toISOString(),
+  };
+}
+
+function saveLedger(ledger) {
+  try {
+    ledger.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(CREDITS_FILE, JSON.stringify(ledger, null, 2));
+  } catch (e) { console.error('Error saving credits:', e.message); }
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function isFlagSet(value) {
+  return value === true || value === 'true';
+}
+
+// Work out what a call would cost before it is sent
+function estimateCost(provider, reqUrl, body = null) {
+  let target;
+  try { target = new URL(reqUrl); } catch (e) { return { endpoint: 'unknown', credits: 0, free: true }; }
+
+  const rule = (COSTS[provider] || []).find(r => target.pathname.endsWith('/' + r.endpoint));
+  if (!rule) return { endpoint: target.pathname, credits: 0, free: true };
+
+  let credits = rule.credits;
+  const reveals = [];
+  Object.entries(rule.reveal || {}).forEach(([flag, cost]) => {
+    if (isFlagSet(target.searchParams.get(flag)) || isFlagSet(body?.[flag])) {
+      credits += cost;
+      reveals.push(flag);
+    }
+  });
+
+  return { endpoint: rule.endpoint, credits, free: credits === 0, reveals, rule };
+}
+
+// Configured budgets: env defaults (e.g. LUSHA_DAILY_CREDITS) overridden by saved budgets
+function getBudgets() {
+  const saved = loadLedger().budgets || {};
+  const budgets = {};
+  Object.keys(COSTS).forEach(provider => {
+    const prefix = provider.toUpperCase();
+    const num = name => {
+      const v = parseInt(process.env[`${prefix}_${name}`]);
+      return Number.isFinite(v) ? v : null;
+    };
+    budgets[provider] = {
+      daily: num('DAILY_CREDITS'),
+      monthly: num('MONTHLY_CREDITS'),
+      mode: process.env[`${prefix}_BUDGET_MODE`] === 'warn' ? 'warn' : 'block',
+      ...saved[provider],
+    };
+  });
+  return budgets;
+}
+
+// A budget limit: a whole number of credits, or null/'' for no limit. undefined when invalid.
+function toLimit(v) {
+  if (v === null || v === '') return null;
+  const n = typeof v === 'string' ? Number(v.trim()) : v;
+  return Number.isInteger(n) && n >= 0 ? n : undefined;
+}
+
+function setBudget(provider, { daily, monthly, mode } = {}) {
+  if (!Object.hasOwn(COSTS, provider)) return { success: false, error: `Unknown provider: ${provider}` };
+  if (mode && !['block', 'warn'].includes(mode)) return { success: false, error: 'Mode must be block or warn' };
+  for (const [name, v] of Object.entries({ daily, monthly })) {
+    if (v !== undefined && toLimit(v) === undefined) return { success: false, error: `${name} must be a whole number of credits (0 or more), or null for no limit` };
+  }
+
+  const ledger = loadLedger();
+  const budget = { ...ledger.budgets[provider] };
+  if (daily !== undefined) budget.daily = toLimit(daily);
+  if (monthly !== undefined) budget.monthly = toLimit(monthly);
+  if (mode) budget.mode = mode;
+  ledger.budgets[provider] = budget;
+  saveLedger(ledger);
+  return { success: true, budget: getBudgets()[provider] };
+}
+
+function getSpend(ledger, provider) {
+  const day = today();
+  const month = day.substring(0, 7);
+  let monthly = 0;
+  Object.entries(ledger.byDay).forEach(([date, entry]) => {
+    if (date.startsWith(month)) monthly += entry.byProvider[provider] || 0;
+  });
+  return { daily: ledger.byDay[day]?.byProvider[provider] || 0, monthly };
+}
+
+// Hold a call's credits until recordSpend() or releaseBudget()
+function reserve(provider, cost) {
+  reserved[provider] = (reserved[provider] || 0) + cost.credits;
+  cost.reserved = true;
+}
+
+// Refund a reservation - the call failed, or was settled by recordSpend(). Safe to call twice.
+function releaseBudget(provider, cost) {
+  if (!cost?.reserved) return;
+  reserved[provider] = Math.max((reserved[provider] || 0) - cost.credits, 0);
+  cost.reserved = false;
+}
+
+// Credits left under the provider's tightest budget after calls in flight, or null when it has none
+function remainingCredits(provider) {
+  const budget = getBudgets()[provider];
+  if (!budget) return null;
+  const spend = getSpend(loadLedger(), provider);
+  const held = reserved[provider] || 0;
+  const left = [[budget.daily, spend.daily], [budget.monthly, spend.monthly]]
+    .filter(([limit]) => limit !== null).map(([limit, spent]) => Math.max(0, limit - spent - held));
+  return left.length ? Math.min(...left) : null;
+}
+
+// Check a call against its provider's budgets, counting credits reserved by calls still in flight.
+// Returns { allowed, warning, cost } - warning is set when a warn-mode budget would be exceeded.
+// An allowed paid call reserves its cost (cost.reserved).
+function checkBudget(provider, reqUrl, body = null) {
+  const cost = estimateCost(provider, reqUrl, body);
+  if (cost.free) return { allowed: true, warning: null, cost };
+
+  const budget = getBudgets()[provider];
+  const ledger = loadLedger();
+  const spend = getSpend(ledger, provider);
+  const held = reserved[provider] || 0;
+
+  const exceeded = [];
+  const inFlight = held ? ` + ${held} in flight` : '';
+  if (budget.daily !== null && spend.daily + held + cost.credits > budget.daily) exceeded.push(`daily budget ${spend.daily}${inFlight}/${budget.daily}`);
+  if (budget.monthly !== null && spend.monthly + held + cost.credits > budget.monthly) exceeded.push(`monthly budget ${spend.monthly}${inFlight}/${budget.monthly}`);
+  if (exceeded.length === 0) {
+    reserve(provider, cost);
+    return { allowed: true, warning: null, cost };
+  }
+
+  const message = `${provider} ${cost.endpoint} (${cost.credits} credits) would exceed ${exceeded.join(' and ')}`;
+  ledger.warnings.unshift({ provider, endpoint: cost.endpoint, message, mode: budget.mode, at: new Date().toISOString() });
+  ledger.warnings = ledger.warnings.slice(0, MAX_WARNINGS);
+  saveLedger(ledger);
+
+  if (budget.mode === 'warn') {
+    console.warn(`⚠ Credit budget: ${message}`);
+    reserve(provider, cost);
+    return { allowed: true, warning: message, cost };
+  }
+  console.warn(`⛔ Credit budget: ${message} - blocked`);
+  return { allowed: false, warning: message, cost };
+}
+
+// Record spend for a completed call, settling its reservation. Unmatched lookups aren't charged by the provider.
+function recordSpend(provider, cost, data, user = 'anonymous') {
+  releaseBudget(provider, cost);
+  if (!cost || cost.free) return 0;
+  if (cost.rule?.matched && !cost.rule.matched(data || {})) return 0;
+
+  const ledger = loadLedger();
+  const day = today();
+  if (!ledger.byDay[day]) ledger.byDay[day] = { total: 0, byProvider: {}, byEndpoint: {}, byUser: {} };
+  const entry = ledger.byDay[day];
+  const endpointKey = `${provider} ${cost.endpoint}`;
+
+  entry.total += cost.credits;
+  entry.byProvider[provider] = (entry.byProvider[provider] || 0) + cost.credits;
+  entry.byEndpoint[endpointKey] = (entry.byEndpoint[endpointKey] || 0) + cost.credits;
+  entry.byUser[user] = (entry.byUser[user] || 0) + cost.credits;
+
+  saveLedger(ledger);
+  return cost.credits;
+}
+
+// Spend summary for today, this month and the last 30 days, with budget usage
+function getSummary() {
+  const ledger = loadLedger();
+  const budgets = getBudgets();
+  const month = today().substring(0, 7);
+
+  const providers = {};
+  Object.keys(COSTS).forEach(provider => {
+    providers[provider] = { ...getSpend(ledger, provider), budget: budgets[provider] };
+  });
+
+  const sum = (target, source) => Object.entries(source || {}).forEach(([k, v]) => { target[k] = (target[k] || 0) + v; });
+  const thisMonth = { total: 0, byEndpoint: {}, byUser: {} };
+  Object.entries(ledger.byDay).forEach(([date, entry]) => {
+    if (!date.startsWith(month)) return;
+    thisMonth.total += entry.total;
+    sum(thisMonth.byEndpoint, entry.byEndpoint);
+    sum(thisMonth.byUser, entry.byUser);
+  });
+
+  const last30Days = Object.keys(ledger.byDay).sort().slice(-30).map(date => ({ date, ...ledger.byDay[date] }));
+
+  return {
+    today: ledger.byDay[today()] || { total: 0, byProvider: {}, byEndpoint: {}, byUser: {} },
+    thisMonth,
+    providers,
+    last30Days,
+    warnings: ledger.warnings.slice(0, 10),
+    costs: Object.fromEntries(Object.entries(COSTS).map(([p, rules]) => [p, rules.map(r => ({ endpoint: r.endpoint, credits: r.credits, reveal: r.reveal || {} }))])),
+  };
+}
+
+function resetLedger() {
+  const ledger = { ...getDefaultLedger(), budgets: loadLedger().budgets };
+  saveLedger(ledger);
+  return ledger;
+}
+
+module.exports = {
+  COSTS,
+  estimateCost,
+  checkBudget,
+  recordSpend,
+  releaseBudget,
+  remainingCredits,
+  getBudgets,
+  setBudget,
+  getSummary,
+  resetLedger,
+};
@@ -0,0 +1,238 @@
+/**
+ * Domain Resolver Module - Company name → website domain
+ *
+ * Replaces the old "strip the name and add .com" guess. A company name is
+ * checked against the alias table first (built-in AU/NZ names plus custom
+ * aliases saved in company-aliases.json), then Firmable and Apollo
+ * organisation search, then a SerpAPI web search like index.js's
+ * webSearch.findCompanyDomain. Candidates are ranked by source, how closely
+ * their name matches and how many sources agree.
+ *
+ * The searches are passed in, so webapp-v4 can route them through its
+ * provider layer for rate limits, credits and stats:
+ *   createDomainResolver({ search(provider, name, options) → { companies: [{ name, domain }] } | null })
+ *
+ * resolve(name) resolves { query, domain, confidence, source, candidates: [{ domain, name, confidence, sources }] }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ALIASES_FILE = path.join(__dirname, 'company-aliases.json');
+
+// Well-known AU/NZ companies whose domain isn't their name
+const BUILT_IN_ALIASES = {
+  'commonwealth bank': 'commbank.com.au',
+  'commonwealth bank of australia': 'commbank.com.au',
+  cba: 'commbank.com.au',
+  'national australia bank': 'nab.com.au',
+  nab: 'nab.com.au',
+  westpac: 'westpac.com.au',
+  anz: 'anz.com.au',
+  'australia and new zealand banking group': 'anz.com.au',
+  'macquarie group': 'macquarie.com',
+  macquarie: 'macquarie.com',
+  telstra: 'telstra.com.au',
+  optus: 'optus.com.au',
+  'singtel optus': 'optus.com.au',
+  woolworths: 'woolworthsgroup.com.au',
+  'woolworths group': 'woolworthsgroup.com.au',
+  coles: 'colesgroup.com.au',
+  'coles group': 'colesgroup.com.au',
+  wesfarmers: 'wesfarmers.com.au',
+  bhp: 'bhp.com',
+  'rio tinto': 'riotinto.com',
+  qantas: 'qantas.com',
+  'qantas airways': 'qantas.com',
+  atlassian: 'atlassian.com',
+  canva: 'canva.com',
+  xero: 'xero.com',
+  'air new zealand': 'airnewzealand.co.nz',
+  'fletcher building': 'fletcherbuilding.com',
+  spark: 'spark.co.nz',
+  'spark new zealand': 'spark.co.nz',
+  fonterra: 'fonterra.com',
+  'australia post': 'auspost.com.au',
+  'nz post': 'nzpost.co.nz',
+  'new zealand post': 'nzpost.co.nz',
+  seek: 'seek.com.au',
+  rea: 'rea-group.com',
+  'rea group': 'rea-group.com',
+};
+
+// Legal and filler words that don't tell companies apart
+const SUFFIXES = ['pty', 'ltd', 'limited', 'proprietary', 'inc', 'incorporated', 'llc', 'plc', 'corp', 'corporation', 'co', 'company', 'group', 'holdings', 'the'];
+
+// Source weights: the starting confidence, and how much a close name match adds
+const SOURCE_WEIGHTS = {
+  firmable: { base: 0.6, name: 0.3 },
+  apollo: { base: 0.55, name: 0.3 },
+  serp: { base: 0.35, name: 0.3 },
+};
+const FIRST_RESULT_BOOST = 0.15; // SerpAPI's top organic result
+const AGREEMENT_BOOST = 0.1;     // Per extra source returning the same domain
+const GUESS_CONFIDENCE = 0.2;    // Name + .com.au, when nothing else found it
+const CONFIDENT = 0.8;           // Good enough to skip the paid web search
+
+function loadAliases() {
+  try {
+    if (fs.existsSync(ALIASES_FILE)) {
+      return JSON.parse(fs.readFileSync(ALIASES_FILE, 'utf8'));
+    }
+  } catch (e) { console.error('Error loading company aliases:', e.message); }
+  return {};
+}
+
+function saveAliases(aliases) {
+  try {
+    fs.writeFileSync(ALIASES_FILE, JSON.stringify(aliases, null, 2));
+    return true;
+  } catch (e) {
+    console.error('Error saving company aliases:', e.message);
+    return false;
+  }
+}
+
+// "Acme Widgets Pty. Ltd." → "acme widgets"
+function normalizeName(name) {
+  return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/&/g, ' and ').replace(/[^a-z0-9 ]/g, ' ')
+    .split(/\s+/).filter(w => w && !SUFFIXES.includes(w)).join(' ');
+}
+
+// Already a domain (or URL) rather than a name
+function looksLikeDomain(value) {
+  return /^(https?:\/\/)?(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)+(\/.*)?$/i.test(String(value || '').trim());
+}
+
+function cleanDomain(value) {
+  return String(value || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split(/[/?#]/)[0];
+}
+
+// 0..1 - how well a candidate's name (or its domain label) matches the query
+function nameSimilarity(query, candidate, domain) {
+  const q = normalizeName(query);
+  if (!q) return 0;
+  const compact = q.replace(/ /g, '');
+  const label = cleanDomain(domain).split('.')[0].replace(/-/g, '');
+  const c = normalizeName(candidate);
+  if (c === q || label === compact) return 1;
+  if (c && (c.startsWith(q) || q.startsWith(c))) return 0.8;
+  if (label && (label.startsWith(compact) || compact.startsWith(label))) return 0.7;
+  const words = q.split(' ');
+  const shared = words.filter(w => c.split(' ').includes(w) || label.includes(w)).length;
+  return Math.round((shared / words.length) * 0.6 * 100) / 100;
+}
+
+// Built-in aliases keyed the way queries are normalised ("Woolworths Group Ltd" → woolworths)
+const builtInAliases = () => Object.fromEntries(Object.entries(BUILT_IN_ALIASES).map(([name, domain]) => [normalizeName(name), domain]));
+
+const clamp = n => Math.round(Math.min(Math.max(n, 0), 1) * 100) / 100;
+
+// Own keys only - a company called "constructor" has no alias
+function getAlias(name) {
+  const key = normalizeName(name);
+  if (!key) return null;
+  const custom = loadAliases();
+  if (Object.hasOwn(custom, key)) return { domain: custom[key].domain, source: 'alias', builtIn: false };
+  const builtIn = builtInAliases();
+  if (Object.hasOwn(builtIn, key)) return { domain: builtIn[key], source: 'alias', builtIn: true };
+  return null;
+}
+
+function listAliases() {
+  const custom = loadAliases();
+  return [
+    ...Object.entries(builtInAliases()).filter(([name]) => !Object.hasOwn(custom, name)).map(([name, domain]) => ({ name, domain, builtIn: true })),
+    ...Object.entries(custom).map(([name, a]) => ({ name, domain: a.domain, builtIn: false, createdAt: a.createdAt })),
+  ].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function setAlias(name, domain) {
+  const key = normalizeName(name);
+  if (!key) return { success: false, error: 'Company name is required' };
+  if (!looksLikeDomain(domain)) return { success: false, error: 'A valid domain is required' };
+  const aliases = loadAliases();
+  aliases[key] = { domain: cleanDomain(domain), createdAt: new Date().toISOString() };
+  return saveAliases(aliases) ? { success: true, alias: { name: key, domain: aliases[key].domain } } : { success: false, error: 'Could not save aliases' };
+}
+
+function removeAlias(name) {
+  const key = normalizeName(name);
+  const aliases = loadAliases();
+  if (!Object.hasOwn(aliases, key)) {
+    return { success: false, error: Object.hasOwn(builtInAliases(), key) ? 'Built-in aliases cannot be removed' : 'Alias not found' };
+  }
+  delete aliases[key];
+  return saveAliases(aliases) ? { success: true } : { success: false, error: 'Could not save aliases' };
+}
+
+// Guessed domain for when nothing found the company - low confidence, never trusted on its own
+function guessDomain(name) {
+  const compact = normalizeName(name).replace(/ /g, '');
+  return compact ? compact + '.com.au' : null;
+}
+
+/**
+ * options.paid = false limits the search to the alias table and Firmable (plan-included),
+ * e.g. for bulk runs where a lookup per row would spend Apollo and SerpAPI credits.
+ */
+function createDomainResolver({ search } = {}) {
+  async function resolve(name, options = {}) {
+    const query = String(name || '').trim();
+    if (looksLikeDomain(query)) {
+      const domain = cleanDomain(query);
+      return { query, domain, confidence: 1, source: 'input', candidates: [{ domain, name: null, confidence: 1, sources: ['input'] }] };
+    }
+
+    const alias = getAlias(query);
+    if (alias) {
+      return { query, domain: alias.domain, confidence: 1, source: 'alias', candidates: [{ domain: alias.domain, name: query, confidence: 1, sources: ['alias'] }] };
+    }
+
+    const found = {};
+    const add = (provider, company, confidence) => {
+      const entry = found[company.domain] || (found[company.domain] = { domain: company.domain, name: company.name || null, confidence: 0, sources: [] });
+      entry.confidence = Math.max(entry.confidence, confidence);
+      if (!entry.sources.includes(provider)) entry.sources.push(provider);
+      if (!entry.name && company.name) entry.name = company.name;
+    };
+    const searchWith = async provider => {
+      const result = search ? await search(provider, query, options) : null;
+      const weight = SOURCE_WEIGHTS[provider];
+      (result?.companies || []).slice(0, 5).forEach((c, i) => {
+        const boost = provider === 'serp' && i === 0 ? FIRST_RESULT_BOOST : 0;
+        add(provider, c, weight.base + boost + weight.name * nameSimilarity(query, c.name, c.domain));
+      });
+    };
+    const ranked = () => Object.values(found)
+      .map(c => ({ ...c, confidence: clamp(c.confidence + AGREEMENT_BOOST * (c.sources.length - 1)) }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    // Organisation databases first; the web search only when they weren't sure
+    await Promise.all(['firmable', ...(options.paid === false ? [] : ['apollo'])].map(searchWith));
+    if (options.paid !== false && (ranked()[0]?.confidence || 0) < CONFIDENT) await searchWith('serp');
+
+    const candidates = ranked();
+    if (!candidates.length) {
+      const domain = guessDomain(query);
+      return { query, domain, confidence: domain ? GUESS_CONFIDENCE : 0, source: domain ? 'guess' : null, candidates: [] };
+    }
+    const [best] = candidates;
+    return { query, domain: best.domain, confidence: best.confidence, source: best.sources.join('+'), candidates };
+  }
+
+  return { resolve };
+}
+
+module.exports = {
+  CONFIDENT,
+  normalizeName,
+  looksLikeDomain,
+  getAlias,
+  listAliases,
+  setAlias,
+  removeAlias,
+  guessDomain,
+  createDomainResolver,
+};
@@ -0,0 +1,121 @@
+/**
+ * Email Patterns Module - Per-domain email format learner
+ *
+ * Every work email we find for a known person (Discover, LinkedIn, Colleagues,
+ * Bulk, Hunter domain search) is matched against nameUtils.generateEmailPatterns
+ * to see which format it follows. The dominant format per domain can then
+ * propose an email for someone no provider had an address for.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nameUtils = require('./name-utils.js');
+
+const PATTERNS_FILE = path.join(__dirname, 'email-patterns.json');
+const MAX_SAMPLES = 50; // Per domain, newest kept
+
+// Personal mailboxes say nothing about a company's format
+const WEBMAIL_DOMAINS = ['gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'yahoo.com', 'icloud.com', 'me.com', 'bigpond.com', 'bigpond.net.au', 'optusnet.com.au', 'xtra.co.nz'];
+
+// Format names, in generateEmailPatterns order
+const FORMATS = ['first.last', 'firstlast', 'flast', 'firstl', 'f.last', 'first_last', 'last.first', 'lastfirst', 'first', 'last'];
+
+function loadPatterns() {
+  try {
+    if (fs.existsSync(PATTERNS_FILE)) {
+      return JSON.parse(fs.readFileSync(PATTERNS_FILE, 'utf8'));
+    }
+  } catch (e) { console.error('Error loading email patterns:', e.message); }
+  return { domains: {} };
+}
+
+function savePatterns(data) {
+  try {
+    fs.writeFileSync(PATTERNS_FILE, JSON.stringify(data, null, 2));
+    return true;
+  } catch (e) {
+    console.error('Error saving email patterns:', e.message);
+    return false;
+  }
+}
+
+// Names as they appear in addresses: "José O'Brien-Smith" → jose, obriensmith
+function cleanName(name) {
+  return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// Which format an email follows for this person, or null
+function detectFormat(firstName, lastName, email) {
+  const [local, domain] = String(email || '').toLowerCase().split('@');
+  const first = cleanName(firstName);
+  const last = cleanName(lastName);
+  if (!local || !domain || !first || !last) return null;
+  const index = nameUtils.generateEmailPatterns(first, last, domain).indexOf(`${local}@${domain}`);
+  return index === -1 ? null : FORMATS[index];
+}
+
+// Record a known person's email. Resolves the format it follows, or null if it follows none.
+function learnEmail(firstName, lastName, email, { source = null, verified = false } = {}) {
+  const format = detectFormat(firstName, lastName, email);
+  if (!format) return null;
+
+  const key = email.toLowerCase();
+  const domain = key.split('@')[1];
+  if (WEBMAIL_DOMAINS.includes(domain)) return null;
+  const data = loadPatterns();
+  const entry = Object.hasOwn(data.domains, domain) ? data.domains[domain] : (data.domains[domain] = { samples: [] });
+  const existing = entry.samples.find(s => s.email === key);
+  if (existing && existing.format === format && (existing.verified || !verified)) return format;
+
+  entry.samples = entry.samples.filter(s => s.email !== key);
+  entry.samples.push({ email: key, format, source, verified: !!verified, seenAt: new Date().toISOString() });
+  entry.samples = entry.samples.slice(-MAX_SAMPLES);
+  savePatterns(data);
+  return format;
+}
+
+// Dominant format for a domain. Confidence grows with the number of emails that follow it
+// (1 → 60%, 4+ → 90%) and drops when other formats are also seen there.
+function getPattern(domain) {
+  const { domains } = loadPatterns();
+  const key = String(domain || '').toLowerCase();
+  const entry = Object.hasOwn(domains, key) ? domains[key] : null;
+  if (!entry?.samples.length) return null;
+
+  const counts = {};
+  entry.samples.forEach(s => { counts[s.format] = (counts[s.format] || 0) + 1; });
+  const [format, matches] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  const agreement = matches / entry.samples.length;
+  return {
+    domain: domain.toLowerCase(),
+    format,
+    samples: entry.samples.length,
+    matches,
+    agreement: Math.round(agreement * 100) / 100,
+    confidence: Math.round(agreement * Math.min(0.9, 0.5 + 0.1 * matches) * 100) / 100,
+    formats: counts,
+  };
+}
+
+// Email for a person at a domain using its dominant format, or null when we haven't seen the domain
+function guessEmail(firstName, lastName, domain) {
+  const pattern = getPattern(domain);
+  const first = cleanName(firstName);
+  const last = cleanName(lastName);
+  if (!pattern || !first || !last) return null;
+  const email = nameUtils.generateEmailPatterns(first, last, pattern.domain)[FORMATS.indexOf(pattern.format)];
+  return { email, format: pattern.format, samples: pattern.samples, matches: pattern.matches, confidence: pattern.confidence };
+}
+
+function listPatterns() {
+  return Object.keys(loadPatterns().domains).sort().map(getPattern).filter(Boolean);
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  learnEmail,
+  getPattern,
+  guessEmail,
+  listPatterns,
+};
@@ -0,0 +1,81 @@
+/**
+ * HTTP Client Module - Non-blocking JSON requests for provider APIs
+ *
+ * Replaces the old execSync curl helpers. Results keep the same contract:
+ * parsed JSON on success, { _error: true, message } on failure.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT = 20000;
+
+// Low-level request - resolves { status, headers, text }, rejects on network error/timeout
+// (timeouts with err.timeout = true)
+function request(reqUrl, { method = 'GET', headers = {}, body = null, timeout = DEFAULT_TIMEOUT } = {}) {
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(reqUrl);
+    } catch (e) {
+      reject(new Error('Invalid URL')); // Not echoed - provider keys travel in query strings
+      return;
+    }
+
+    const payload = body === null || body === undefined
+      ? null
+      : (typeof body === 'string' ? body : JSON.stringify(body));
+    const reqHeaders = { ...headers };
+    if (payload !== null) reqHeaders['Content-Length'] = Buffer.byteLength(payload);
+
+    const transport = target.protocol === 'http:' ? http : https;
+    const req = transport.request(target, { method, headers: reqHeaders }, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', c => text += c);
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text }));
+      res.on('error', reject);
+    });
+
+    req.setTimeout(timeout, () => req.destroy(Object.assign(new Error(`Request timed out after ${timeout}ms`), { timeout: true })));
+    req.on('error', reject);
+    if (payload !== null) req.write(payload);
+    req.end();
+  });
+}
+
+// Parse a response body into the { _error, message } contract.
+// JSONP bodies (callback({...}), e.g. the ABR web service) are unwrapped first.
+function parseJSON(res) {
+  try {
+    const jsonp = /^\s*[\w$.]+\(([\s\S]*)\)\s*;?\s*$/.exec(res.text || '');
+    return JSON.parse(jsonp ? jsonp[1] : res.text);
+  } catch (err) {
+    return { _error: true, status: res.status, message: `Invalid JSON (HTTP ${res.status}): ${res.text?.substring(0, 200)}` };
+  }
+}
+
+async function httpGet(reqUrl, headers = {}, options = {}) {
+  try {
+    const res = await request(reqUrl, { ...options, method: 'GET', headers });
+    return parseJSON(res);
+  } catch (err) {
+    return { _error: true, message: err.message?.substring(0, 200) };
+  }
+}
+
+async function httpPost(reqUrl, headers = {}, body = {}, options = {}) {
+  try {
+    const res = await request(reqUrl, { ...options, method: 'POST', headers, body });
+    return parseJSON(res);
+  } catch (err) {
+    return { _error: true, message: err.message?.substring(0, 200) };
+  }
+}
+
+module.exports = {
+  request,
+  parseJSON,
+  httpGet,
+  httpPost,
+};
@@ -164,151 +164,7 @@ const cache = {
 // FUZZY MATCHING & NAME UTILITIES
 // ============================================================================
 
-const nameUtils = {
-  // Common nickname mappings
-  nicknames: {
-    'bob': ['robert', 'bobby', 'rob'],
-    'robert': ['bob', 'bobby', 'rob'],
-    'bill': ['william', 'will', 'billy'],
-    'william': ['bill', 'will', 'billy'],
-    'mike': ['michael', 'mick', 'mickey'],
-    'michael': ['mike', 'mick', 'mickey'],
-    'steve': ['steven', 'stephen'],
-    'steven': ['steve', 'stephen'],
-    'stephen': ['steve', 'steven'],
-    'jim': ['james', 'jimmy'],
-    'james': ['jim', 'jimmy'],
-    'dick': ['richard', 'rick', 'ricky'],
-    'richard': ['dick', 'rick', 'ricky'],
-    'dave': ['david', 'davey'],
-    'david': ['dave', 'davey'],
-    'tom': ['thomas', 'tommy'],
-    'thomas': ['tom', 'tommy'],
-    'joe': ['joseph', 'joey'],
-    'joseph': ['joe', 'joey'],
-    'dan': ['daniel', 'danny'],
-    'daniel': ['dan', 'danny'],
-    'tony': ['anthony', 'anton'],
-    'anthony': ['tony', 'ant'],
-    'chris': ['christopher', 'christoph'],
-    'christopher': ['chris', 'christoph'],
-    'matt': ['matthew', 'matty'],
-    'matthew': ['matt', 'matty'],
-    'nick': ['nicholas', 'nicky'],
-    'nicholas': ['nick', 'nicky'],
-    'alex': ['alexander', 'alexandra', 'alexis'],
-    'alexander': ['alex', 'xander'],
-    'sam': ['samuel', 'samantha'],
-    'samuel': ['sam', 'sammy'],
-    'ed': ['edward', 'eddie', 'ted'],
-    'edward': ['ed', 'eddie', 'ted'],
-    'ben': ['benjamin', 'benny'],
-    'benjamin': ['ben', 'benny'],
-    'kate': ['katherine', 'kathryn', 'katie', 'kathy'],
-    'katherine': ['kate', 'katie', 'kathy'],
-    'liz': ['elizabeth', 'beth', 'lizzy'],
-    'elizabeth': ['liz', 'beth', 'lizzy'],
-    'jen': ['jennifer', 'jenny'],
-    'jennifer': ['jen', 'jenny'],
-    'meg': ['margaret', 'maggie', 'peggy'],
-    'margaret': ['meg', 'maggie', 'peggy'],
-  },
-
-  /**
-   * Get all name variants for fuzzy matching
-   */
-  getNameVariants(firstName) {
-    const lower = firstName.toLowerCase();
-    const variants = new Set([lower]);
-    
-    // Add nickname variants
-    if (this.nicknames[lower]) {
-      this.nicknames[lower].forEach(v => variants.add(v));
-    }
-    
-    // Check if this name is a variant of another
-    Object.entries(this.nicknames).forEach(([name, nicks]) => {
-      if (nicks.includes(lower)) {
-        variants.add(name);
-        nicks.forEach(n => variants.add(n));
-      }
-    });
-    
-    return Array.from(variants);
-  },
-
-  /**
-   * Fuzzy match score between two names
-   */
-  fuzzyScore(name1, name2) {
-    const n1 = name1.toLowerCase();
-    const n2 = name2.toLowerCase();
-    
-    // Exact match
-    if (n1 === n2) return 1.0;
-    
-    // Check nickname variants
-    const variants1 = this.getNameVariants(n1);
-    if (variants1.includes(n2)) return 0.95;
-    
-    // Levenshtein distance for typos
-    const distance = this.levenshtein(n1, n2);
-    const maxLen = Math.max(n1.length, n2.length);
-    const similarity = 1 - (distance / maxLen);
-    
-    return similarity;
-  },
-
-  /**
-   * Levenshtein distance
-   */
-  levenshtein(a, b) {
-    const matrix = [];
-    for (let i = 0; i <= b.length; i++) {
-      matrix[i] = [i];
-    }
-    for (let j = 0; j <= a.length; j++) {
-      matrix[0][j] = j;
-    }
-    for (let i = 1; i <= b.length; i++) {
-      for (let j = 1; j <= a.length; j++) {
-        if (b.charAt(i - 1) === a.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1
-          );
-        }
-      }
-    }
-    return matrix[b.length][a.length];
-  },
-
-  /**
-   * Generate possible email patterns
-   */
-  generateEmailPatterns(firstName, lastName, domain) {
-    const f = firstName.toLowerCase();
-    const l = lastName.toLowerCase();
-    const fi = f.charAt(0);
-    const li = l.charAt(0);
-    
-    return [
-      `${f}.${l}@${domain}`,
-      `${f}${l}@${domain}`,
-      `${fi}${l}@${domain}`,
-      `${f}${li}@${domain}`,
-      `${fi}.${l}@${domain}`,
-      `${f}_${l}@${domain}`,
-      `${l}.${f}@${domain}`,
-      `${l}${f}@${domain}`,
-      `${f}@${domain}`,
-      `${l}@${domain}`,
-    ];
-  },
-};
+const nameUtils = require('./name-utils.js');
 
 // ============================================================================
 // WEB SEARCH ENRICHMENT (Pre-API Intelligence)
@@ -0,0 +1,101 @@
+/**
+ * Match Verification Module - Is the person a provider returned the one we asked for?
+ *
+ * Apollo people/match and Lusha sometimes return somebody else - a namesake at
+ * another company, or a colleague. Each match is compared with the input on
+ * name (nameUtils.personNameScore), company and title, and given a score with
+ * the reasons for anything that didn't line up:
+ *   match    - score ≥ 0.75, trusted
+ *   flagged  - 0.5 to 0.75 (e.g. right name, different company - maybe a job change);
+ *              kept, but its contacts are marked down
+ *   rejected - below 0.5, or the name doesn't match at all; its contacts are dropped
+ * A name that can't be compared (no surname on one side, a non-Latin script) proves nothing
+ * either way: checks.name is null, it scores as NAME_UNKNOWN and the match is flagged at most.
+ *
+ * verifyMatch(input, person) → { score, verdict, reasons, checks: { name, company?, title? } }
+ * Checks without data on both sides (no title asked for, no company returned) are left out.
+ */
+
+const nameUtils = require('./name-utils.js');
+const { normalizeName } = require('./domain-resolver.js');
+
+const NAME_MATCH_MIN = 0.75; // Below this the provider found somebody else ("Bob Smith" → "Alice Smith")
+const MATCH_MIN = 0.75;
+const FLAG_MIN = 0.5;
+const NAME_UNKNOWN = 0.5; // Score for a name that couldn't be compared
+const WEIGHTS = { name: 0.45, company: 0.35, title: 0.2 };
+
+// Title words that mean the same thing
+const TITLE_ABBREVIATIONS = {
+  ceo: 'chief executive officer', cfo: 'chief financial officer', cto: 'chief technology officer',
+  coo: 'chief operating officer', cmo: 'chief marketing officer', cio: 'chief information officer',
+  cpo: 'chief product officer', chro: 'chief human resources officer', vp: 'vice president',
+  md: 'managing director', gm: 'general manager', hr: 'human resources', svp: 'senior vice president',
+  evp: 'executive vice president', mgr: 'manager', dir: 'director', eng: 'engineer', sr: 'senior', jr: 'junior',
+};
+const TITLE_FILLER = ['of', 'and', 'the', 'for', 'at', 'in', 'to'];
+
+function titleWords(title) {
+  return String(title || '').toLowerCase().replace(/[^a-z0-9 ]/g, ' ').split(/\s+/)
+    .flatMap(w => (TITLE_ABBREVIATIONS[w] || w).split(' '))
+    .filter(w => w && !TITLE_FILLER.includes(w));
+}
+
+// 0..1 - the returned company against the company name and/or domain asked for
+function companyScore(input, company) {
+  const actual = normalizeName(company);
+  if (!actual) return null;
+  const wanted = normalizeName(input.company);
+  const label = String(input.domain || '').toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split(/[./]/)[0].replace(/-/g, '');
+  if (!wanted && !label) return null;
+
+  const compact = actual.replace(/ /g, '');
+  if (wanted && (actual === wanted || actual.includes(wanted) || wanted.includes(actual))) return 1;
+  if (label && (compact === label || compact.includes(label) || label.includes(compact))) return 0.9;
+  const words = actual.split(' ').filter(w => w.length > 2);
+  const wantedWords = (wanted || '').split(' ');
+  if (words.some(w => wantedWords.includes(w) || (label && label.includes(w)))) return 0.6;
+  return 0;
+}
+
+// 0..1 - share of the wanted title's words in the returned one (CEO = Chief Executive Officer)
+function titleScore(wanted, actual) {
+  const want = titleWords(wanted);
+  const have = titleWords(actual);
+  if (!want.length || !have.length) return null;
+  const shared = want.filter(w => have.includes(w)).length / want.length;
+  return shared >= 0.5 ? 1 : shared > 0 ? 0.5 : 0;
+}
+
+const round = n => Math.round(n * 100) / 100;
+
+// input: { firstName, lastName, company?, domain?, title? }; person: the provider's { firstName, lastName, name, company, title }
+function verifyMatch(input, person) {
+  const checks = { name: nameUtils.personNameScore(input, person || {}) };
+  const reasons = [];
+  const returnedName = person?.name || [person?.firstName, person?.lastName].filter(Boolean).join(' ');
+  if (checks.name === null) reasons.push(`name "${returnedName || 'unknown'}" couldn't be compared`);
+  else if (checks.name < NAME_MATCH_MIN) reasons.push(`name "${returnedName || 'unknown'}" doesn't match`);
+
+  const company = companyScore(input, person?.company);
+  if (company !== null) {
+    checks.company = company;
+    if (company < 0.6) reasons.push(`works at "${person.company}", not "${input.company || input.domain}"`);
+  }
+  const title = titleScore(input.title, person?.title);
+  if (title !== null) {
+    checks.title = title;
+    if (title === 0) reasons.push(`title "${person.title}", expected "${input.title}"`);
+  }
+
+  const used = Object.keys(checks);
+  const score = round(used.reduce((sum, k) => sum + WEIGHTS[k] * (checks[k] ?? NAME_UNKNOWN), 0) / used.reduce((sum, k) => sum + WEIGHTS[k], 0));
+  const verdict = checks.name === null ? 'flagged'
+    : checks.name < NAME_MATCH_MIN || score < FLAG_MIN ? 'rejected' : score < MATCH_MIN ? 'flagged' : 'match';
+  return { score, verdict, reasons, checks };
+}
+
+module.exports = {
+  NAME_MATCH_MIN,
+  verifyMatch,
+};
@@ -0,0 +1,155 @@
+/**
+ * Phone Numbers Module - AU/NZ numbering plan
+ *
+ * Providers return numbers in every format: Apollo's sanitized_number (+61290001234), Lusha's
+ * internationalNumber / localizedNumber ("+61 2 9000 1234" / "(02) 9000 1234"), Firmable's
+ * "02 9000 1234". parsePhone() turns any of them into E.164 and says what kind of line it is:
+ *   mobile     - AU 04xx xxx xxx, NZ 02x
+ *   landline   - AU geographic by area code (02 NSW/ACT, 03 VIC/TAS, 07 QLD, 08 SA/WA/NT), NZ 03-09
+ *   local_rate - AU 13 xx xx and 1300 xxx xxx
+ *   freecall   - AU 1800 xxx xxx, NZ 0800 / 0508
+ *   premium    - AU 190x
+ *   unknown    - other countries, or not in the plan
+ * Local (0-prefixed) numbers are taken as AU unless the country says NZ - callers pass the
+ * contact's country, as "021 123 4567" is an NZ mobile but would read as an AU landline.
+ *
+ * classifyPhone() annotates a contact's phone ({ number, source, type }) with the above, and
+ * `switchboard` when the number reaches the company rather than the person:
+ *   company_line   - the provider says so (Firmable company phone, Apollo work_hq)
+ *   service_number - 13/1300/1800/0800 numbers
+ *   round_number   - a landline ending in 000 (02 9000 0000)
+ *   shared         - the same number on several people (sharedNumbers)
+ */
+
+const COUNTRY_CODES = { 61: 'AU', 64: 'NZ', 44: 'GB', 1: 'US' };
+const AU_REGIONS = { 2: 'NSW/ACT', 3: 'VIC/TAS', 7: 'QLD', 8: 'SA/WA/NT' };
+const NZ_REGIONS = { 3: 'South Island', 4: 'Wellington', 6: 'Lower North Island', 7: 'Waikato/Bay of Plenty', 9: 'Auckland/Northland' };
+const SERVICE_LINES = ['local_rate', 'freecall', 'premium'];
+
+const LINE_LABELS = {
+  mobile: 'mobile',
+  landline: 'landline',
+  local_rate: 'local rate',
+  freecall: 'freecall',
+  premium: 'premium',
+  unknown: 'phone',
+};
+
+// Country and significant number (no trunk 0) - { country, significant } or null
+function splitNumber(number, country) {
+  // "+61 (0)2 9000 1234" - the (0) is the trunk prefix, not part of the number
+  let n = String(number || '').replace(/\(0\)/g, '').replace(/[^\d+]/g, '');
+  if (/^00(11)?[1-9]/.test(n)) n = '+' + n.replace(/^00(11)?/, ''); // Dialled from AU (0011) or NZ (00)
+  if (!n.startsWith('+')) {
+    if (/^61[2-578]\d{8}$/.test(n)) n = '+' + n;
+    else if (/^64[2-9]\d{7,9}$/.test(n)) n = '+' + n;
+  }
+  if (n.startsWith('+')) {
+    const code = Object.keys(COUNTRY_CODES).find(c => n.startsWith('+' + c));
+    const significant = n.slice(1 + (code || '').length).replace(/^0/, ''); // +61 02... is still seen
+    return { country: code ? COUNTRY_CODES[code] : '', code: code || null, significant };
+  }
+  if (n.startsWith('0')) return { country: country === 'NZ' ? 'NZ' : 'AU', significant: n.slice(1) };
+  if (/^1[389]/.test(n)) return { country: 'AU', significant: n }; // 13, 1300, 1800, 1900 have no trunk prefix
+  return null;
+}
+
+function classifyAU(s) {
+  if (/^4\d{8}$/.test(s)) return { lineType: 'mobile', display: `0${s.slice(0, 3)} ${s.slice(3, 6)} ${s.slice(6)}` };
+  if (/^[2378][2-9]\d{7}$/.test(s)) return { lineType: 'landline', areaCode: '0' + s[0], region: AU_REGIONS[s[0]], display: `(0${s[0]}) ${s.slice(1, 5)} ${s.slice(5)}` };
+  if (/^13\d{4}$/.test(s)) return { lineType: 'local_rate', display: `13 ${s.slice(2, 4)} ${s.slice(4)}` };
+  if (/^1300\d{6}$/.test(s)) return { lineType: 'local_rate', display: `1300 ${s.slice(4, 7)} ${s.slice(7)}` };
+  if (/^1800\d{6}$/.test(s)) return { lineType: 'freecall', display: `1800 ${s.slice(4, 7)} ${s.slice(7)}` };
+  if (/^190\d{7}$/.test(s)) return { lineType: 'premium', display: `${s.slice(0, 4)} ${s.slice(4, 7)} ${s.slice(7)}` };
+  return null;
+}
+
+function classifyNZ(s) {
+  if (/^2\d{7,9}$/.test(s)) return { lineType: 'mobile', display: `0${s.slice(0, 2)} ${s.slice(2, 5)} ${s.slice(5)}` };
+  if (/^[34679]\d{7}$/.test(s)) return { lineType: 'landline', areaCode: '0' + s[0], region: NZ_REGIONS[s[0]], display: `(0${s[0]}) ${s.slice(1, 4)} ${s.slice(4)}` };
+  if (/^(800|508)\d{6}$/.test(s)) return { lineType: 'freecall', display: `0${s.slice(0, 3)} ${s.slice(3, 6)} ${s.slice(6)}` };
+  return null;
+}
+
+/**
+ * parsePhone("(02) 9000 1234") → { e164: '+61290001234', country: 'AU', lineType: 'landline',
+ *   areaCode: '02', region: 'NSW/ACT', display: '(02) 9000 1234' }
+ * options.country ('AU' | 'NZ') says how to read 0-prefixed numbers. Null when it isn't a phone number.
+ */
+function parsePhone(number, { country = 'AU' } = {}) {
+  const split = splitNumber(number, country);
+  if (!split || split.significant.length < 6 || split.significant.length > 14) return null;
+  const { significant: s } = split;
+  const plan = split.country === 'AU' ? classifyAU(s) : split.country === 'NZ' ? classifyNZ(s) : null;
+  const code = split.code || (split.country === 'NZ' ? '64' : split.country === 'AU' ? '61' : '');
+  const e164 = `+${code}${s}`;
+  return {
+    e164,
+    country: split.country,
+    lineType: plan?.lineType || 'unknown',
+    areaCode: plan?.areaCode || null,
+    region: plan?.region || null,
+    display: plan?.display || e164,
+  };
+}
+
+function toE164(number, options) {
+  return parsePhone(number, options)?.e164 || null;
+}
+
+// Why a phone reaches the company rather than the person, or null
+function switchboardReason(phone, parsed) {
+  if (phone.type === 'company' || /hq/i.test(phone.type || '')) return 'company_line';
+  if (SERVICE_LINES.includes(parsed?.lineType)) return 'service_number';
+  if (parsed?.lineType === 'landline' && /000$/.test(parsed.e164)) return 'round_number';
+  return null;
+}
+
+// Switchboard reasons read off the number itself - worked out again when it's re-read
+const NUMBER_REASONS = ['service_number', 'round_number'];
+
+// A contact's phone with `number` in E.164 (as returned kept in `raw`), lineType, country, region,
+// display and switchboard. Numbers that can't be parsed are left as they are, with lineType unknown.
+// An already classified phone is re-read from `raw`, so a country known later (options.country) corrects it.
+function classifyPhone(phone, options) {
+  const { region, display, ...rest } = phone;
+  const original = phone.raw || phone.number;
+  const parsed = parsePhone(original, options);
+  const classified = { ...rest, lineType: parsed?.lineType || 'unknown', country: parsed?.country || '' };
+  if (parsed) {
+    if (parsed.e164 !== original) classified.raw = original;
+    Object.assign(classified, { number: parsed.e164, display: parsed.display });
+    if (parsed.region) classified.region = parsed.region;
+  }
+  delete classified.switchboard;
+  const kept = NUMBER_REASONS.includes(phone.switchboard) ? null : phone.switchboard;
+  const switchboard = kept || switchboardReason(phone, parsed);
+  if (switchboard) classified.switchboard = switchboard;
+  return classified;
+}
+
+// "mobile", "landline (NSW/ACT)", "switchboard · local rate"...
+function lineLabel(phone) {
+  const line = LINE_LABELS[phone.lineType] || LINE_LABELS.unknown;
+  const label = line + (phone.region ? ` (${phone.region})` : '');
+  return phone.switchboard ? `switchboard · ${label}` : label;
+}
+
+// Numbers on more than one person (bulk rows, colleagues) are the office's, not theirs -
+// the set of E.164 numbers shared by contacts, for marking switchboard: 'shared'
+function sharedNumbers(contacts) {
+  const owners = {};
+  contacts.forEach((c, i) => (c.phones || []).forEach(p => {
+    (owners[p.number] = owners[p.number] || new Set()).add(i);
+  }));
+  return new Set(Object.keys(owners).filter(n => owners[n].size > 1));
+}
+
+module.exports = {
+  LINE_LABELS,
+  parsePhone,
+  toE164,
+  classifyPhone,
+  lineLabel,
+  sharedNumbers,
+};
@@ -0,0 +1,217 @@
+/**
+ * Provider Policy Module - Rate limiting and retry/backoff per provider
+ *
+ * Every outbound provider call goes through execute(), which:
+ *   - waits for a token from the provider's token bucket
+ *   - retries 429/5xx responses and network errors with exponential backoff;
+ *     each attempt gets a short timeout, and timeouts aren't retried
+ *   - honours Retry-After (seconds or HTTP date) when the provider sends it
+ *   - trips a circuit breaker after repeated failures, skipping the provider
+ *     for a cool-down window instead of waiting for it to time out
+ *
+ * A call is one execute(), however many attempts it took - the result carries `attempts`.
+ * Auth errors (401/403) count as failures: a rejected key doesn't get better by calling again.
+ */
+
+const DEFAULT_POLICY = {
+  ratePerSecond: 5,    // Sustained requests per second
+  burst: 5,            // Bucket size (requests allowed back-to-back)
+  maxRetries: 2,       // Retries after the first attempt
+  baseDelayMs: 500,    // First backoff delay, doubled each retry
+  maxDelayMs: 15000,   // Cap for backoff and Retry-After waits
+  timeoutMs: 10000,    // Per attempt - a slow provider fails fast instead of holding the request
+  failureThreshold: 5, // Consecutive failed calls before the circuit opens
+  cooldownMs: 30000,   // How long an open circuit skips the provider
+};
+
+const policies = {};
+const buckets = {};
+const circuits = {};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Set (or override) the policy for a provider
+function configure(provider, options = {}) {
+  policies[provider] = { ...DEFAULT_POLICY, ...policies[provider], ...options };
+  delete buckets[provider]; // Rebuild bucket with the new rate on next call
+  return policies[provider];
+}
+
+function getPolicy(provider) {
+  return policies[provider] || DEFAULT_POLICY;
+}
+
+function getBucket(provider) {
+  if (!buckets[provider]) {
+    const policy = getPolicy(provider);
+    buckets[provider] = { tokens: policy.burst, updatedAt: Date.now() };
+  }
+  return buckets[provider];
+}
+
+// Reserve a token, waiting if the bucket is empty. Tokens may go negative so
+// concurrent callers queue up behind each other instead of all waking at once.
+async function acquire(provider) {
+  const policy = getPolicy(provider);
+  const bucket = getBucket(provider);
+  const now = Date.now();
+
+  bucket.tokens = Math.min(policy.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * policy.ratePerSecond);
+  bucket.updatedAt = now;
+  bucket.tokens -= 1;
+
+  if (bucket.tokens < 0) {
+    await sleep(Math.ceil((-bucket.tokens / policy.ratePerSecond) * 1000));
+  }
+}
+
+// ============================================================================
+// CIRCUIT BREAKER - closed → open (after failures) → half-open (one probe) → closed
+// ============================================================================
+
+function getCircuit(provider) {
+  if (!circuits[provider]) {
+    circuits[provider] = { state: 'closed', failures: 0, openedAt: null, lastError: null, probing: false };
+  }
+  const circuit = circuits[provider];
+  if (circuit.state === 'open' && Date.now() - circuit.openedAt >= getPolicy(provider).cooldownMs) {
+    circuit.state = 'half-open';
+  }
+  return circuit;
+}
+
+// Should this call be skipped? Half-open lets a single probe through.
+function isCircuitOpen(provider) {
+  const circuit = getCircuit(provider);
+  if (circuit.state === 'open') return true;
+  if (circuit.state === 'half-open') {
+    if (circuit.probing) return true;
+    circuit.probing = true;
+  }
+  return false;
+}
+
+function recordSuccess(provider) {
+  const circuit = getCircuit(provider);
+  if (circuit.state !== 'closed') console.log(`✓ ${provider} circuit closed`);
+  Object.assign(circuit, { state: 'closed', failures: 0, openedAt: null, probing: false });
+}
+
+// An answer that says nothing about the provider's health (a 404, a bad request) -
+// a half-open circuit stays half-open for the next probe
+function recordNeutral(provider) {
+  getCircuit(provider).probing = false;
+}
+
+function recordFailure(provider, error) {
+  const circuit = getCircuit(provider);
+  circuit.failures++;
+  circuit.lastError = error;
+  circuit.probing = false;
+  if (circuit.state === 'half-open' || circuit.failures >= getPolicy(provider).failureThreshold) {
+    if (circuit.state !== 'open') console.warn(`⚠ ${provider} circuit opened after ${circuit.failures} failures: ${error}`);
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+}
+
+function getCircuitState(provider) {
+  return getCircuit(provider).state;
+}
+
+// Health summary for every configured provider
+function getHealth() {
+  const health = {};
+  Object.keys(policies).forEach(provider => {
+    const circuit = getCircuit(provider);
+    health[provider] = {
+      circuit: circuit.state,
+      failures: circuit.failures,
+      lastError: circuit.lastError,
+      retryAt: circuit.state === 'open' ? new Date(circuit.openedAt + getPolicy(provider).cooldownMs).toISOString() : null,
+    };
+  });
+  return health;
+}
+
+function resetCircuit(provider) {
+  delete circuits[provider];
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+function isAuthStatus(status) {
+  return status === 401 || status === 403;
+}
+
+// Delay before the next attempt - Retry-After wins over exponential backoff
+function retryDelay(attempt, res, policy) {
+  const retryAfter = res?.headers?.['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+    if (Number.isFinite(ms) && ms >= 0) return Math.min(ms, policy.maxDelayMs);
+  }
+  const backoff = policy.baseDelayMs * Math.pow(2, attempt);
+  const jitter = Math.random() * policy.baseDelayMs;
+  return Math.min(backoff + jitter, policy.maxDelayMs);
+}
+
+// Run send({ timeout }) under the provider's policy. send must resolve { status, headers, text },
+// and reject with err.timeout = true when the attempt times out.
+// Throws an error with circuitOpen = true when the provider is being skipped.
+async function execute(provider, send) {
+  const policy = getPolicy(provider);
+  let attempt = 0;
+
+  if (isCircuitOpen(provider)) {
+    const err = new Error(`${provider} circuit open - skipped`);
+    err.circuitOpen = true;
+    throw err;
+  }
+
+  while (true) {
+    await acquire(provider);
+    try {
+      const res = await send({ timeout: policy.timeoutMs });
+      if (isRetryableStatus(res.status) && attempt < policy.maxRetries) {
+        const delay = retryDelay(attempt, res, policy);
+        console.warn(`⚠ ${provider} HTTP ${res.status}, retrying in ${Math.round(delay)}ms (${attempt + 1}/${policy.maxRetries})`);
+        await sleep(delay);
+        attempt++;
+        continue;
+      }
+      // Still throttled after every retry counts against the provider, like a 5xx
+      if (isRetryableStatus(res.status) || isAuthStatus(res.status)) recordFailure(provider, `HTTP ${res.status}`);
+      else if (res.status >= 400) recordNeutral(provider);
+      else recordSuccess(provider);
+      return Object.assign(res, { attempts: attempt + 1 });
+    } catch (err) {
+      // A timeout already waited the full attempt - retrying would only multiply the wait
+      if (err.timeout || attempt >= policy.maxRetries) {
+        recordFailure(provider, err.message);
+        err.attempts = attempt + 1;
+        throw err;
+      }
+      const delay = retryDelay(attempt, null, policy);
+      console.warn(`⚠ ${provider} ${err.message}, retrying in ${Math.round(delay)}ms (${attempt + 1}/${policy.maxRetries})`);
+      await sleep(delay);
+      attempt++;
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  configure,
+  getPolicy,
+  acquire,
+  execute,
+  getCircuitState,
+  getHealth,
+  resetCircuit,
+};
@@ -0,0 +1,803 @@
+/**
+ * Providers Module - Adapter interface for contact data providers
+ *
+ * Every provider is an adapter with:
+ *   name, label      - id used for policies, stats, credits and results.sources
+ *   fields           - contact fields it can reveal (email, mobile, workPhone)
+ *   operations       - matchPerson / lookupCompany / searchCompanies / findLinkedIn / domainSearch /
+ *                      verifyEmail / validatePhone / abnDetails / acnDetails / nzbnDetails / searchNames /
+ *                      enrichCompany / searchPeople / search, each with
+ *                        requires: input fields the operation needs ([a, b] = either one)
+ *                        request(input, opts) → { method, url, headers, body }
+ *                        map(data, opts)      → common schema (below)
+ *                        preview: false       - no free preview, the lookup itself costs credits
+ *
+ * Common person schema:
+ *   { matched, person: { firstName, lastName, name, title, company, linkedin },
+ *     emails: [{ email, source, type, verified }], phones: [{ number, source, type }],
+ *     available: [fields] }  - available is what a preview could reveal
+ * Common company schema:
+ *   { matched, company: { name, domain, employees, abn, acn, phone, id?, website?, description?, founded?, linkedin? } }
+ *   (Firmable adds technologies: [] alongside company)
+ * Provider-specific lookups hand back the provider's own records for the caller to read:
+ *   Apollo enrichCompany → { matched, organization }, searchPeople → { matched, total, people }
+ *   SerpAPI search       → { matched, results } (organic results)
+ * Company search schema (name → domain candidates, best first):
+ *   { matched, companies: [{ name, domain, employees?, abn?, linkedin? }] }
+ * Business register schema (ABR - ABN/ACN details and name search):
+ *   { matched, message, entities: [{ abn, acn, entityName, entityType, entityTypeCode, status, statusDate,
+ *     gst: { registered, from }, location: { state, postcode }, tradingNames, nameType?, score? }] }
+ *   NZBN entities carry { nzbn, companyNumber, registrationDate, statusCode, website } instead of abn/acn/gst,
+ *   and location is { city, postcode }.
+ *
+ * Credit cost comes from the credits.js table, so the adapter and the ledger
+ * never disagree. Disable a provider with <PROVIDER>_ENABLED=false. Optional
+ * providers (Hunter, NumVerify, ABR, NZBN) are only enabled once their API key / GUID is set.
+ */
+
+const REVEAL_FIELDS = ['email', 'mobile', 'workPhone'];
+
+// Map a provider phone type (Lusha 'mobile'/'direct'/'phone', Apollo 'mobile'/'work_direct') to a reveal field
+function phoneField(type) {
+  return /mobile/i.test(type || '') ? 'mobile' : 'workPhone';
+}
+
+function emptyPerson() {
+  return { matched: false, person: null, emails: [], phones: [], available: [] };
+}
+
+// ============================================================================
+// APOLLO
+// ============================================================================
+
+function mapApolloPerson(data, { fields = REVEAL_FIELDS } = {}) {
+  const p = data?.person;
+  if (!p) return emptyPerson();
+
+  const available = new Set();
+  if (p.email || p.personal_emails?.length || ['verified', 'guessed', 'extrapolated'].includes(p.email_status)) available.add('email');
+  (p.phone_numbers || []).forEach(ph => available.add(phoneField(ph.type)));
+
+  const result = {
+    matched: true,
+    person: {
+      firstName: p.first_name,
+      lastName: p.last_name,
+      name: p.name || [p.first_name, p.last_name].filter(Boolean).join(' '),
+      title: p.title,
+      company: p.organization?.name,
+      linkedin: p.linkedin_url || null,
+      country: p.country || null,
+    },
+    emails: [],
+    phones: [],
+    available: [...available],
+  };
+  if (fields.includes('email')) {
+    if (p.email) result.emails.push({ email: p.email, source: 'Apollo', verified: p.email_status === 'verified' });
+    (p.personal_emails || []).forEach(e => result.emails.push({ email: e, source: 'Apollo', type: 'personal' }));
+  }
+  (p.phone_numbers || [])
+    .filter(ph => fields.includes(phoneField(ph.type)))
+    .forEach(ph => result.phones.push({ number: ph.sanitized_number || ph.raw_number, source: 'Apollo', type: ph.type }));
+  return result;
+}
+
+// Hostname without www. from a URL or bare domain
+function hostOf(value) {
+  return String(value || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split(/[/?#]/)[0] || null;
+}
+
+function mapApolloOrganization(data) {
+  const org = data?.organization || null;
+  return { matched: !!org, organization: org };
+}
+
+function mapApolloPeople(data) {
+  const people = data?.people || [];
+  return { matched: people.length > 0, total: data?.pagination?.total_entries || data?.total_entries || people.length, people };
+}
+
+// People search filters → api_search query string (title, seniority, company and location filters)
+const APOLLO_PEOPLE_FILTERS = {
+  domains: 'organization_domains',
+  titles: 'person_titles',
+  seniorities: 'person_seniorities',
+  departments: 'organization_departments',
+  locations: 'person_locations',
+  organizationLocations: 'organization_locations',
+  technologies: 'organization_technology_names',
+  industryTagIds: 'organization_industry_tag_ids',
+  employeeRanges: 'organization_num_employees_ranges',
+};
+
+function apolloPeopleParams(input) {
+  const params = new URLSearchParams();
+  Object.entries(APOLLO_PEOPLE_FILTERS).forEach(([field, param]) => {
+    (input[field] || []).filter(Boolean).forEach(v => params.append(`${param}[]`, v));
+  });
+  params.append('per_page', String(Math.min(input.limit || 10, 25)));
+  params.append('page', String(input.page || 1));
+  return params;
+}
+
+function mapApolloCompanies(data) {
+  const orgs = [...(data?.organizations || []), ...(data?.accounts || [])];
+  const companies = orgs
+    .map(o => ({ name: o.name, domain: hostOf(o.primary_domain || o.website_url), employees: o.estimated_num_employees || null, linkedin: o.linkedin_url || null }))
+    .filter(c => c.domain);
+  return { matched: companies.length > 0, companies };
+}
+
+function apolloAdapter(config) {
+  const headers = { 'Content-Type': 'application/json', 'x-api-key': config.apollo.apiKey };
+  return {
+    name: 'apollo',
+    label: 'Apollo',
+    fields: ['email', 'mobile', 'workPhone'],
+    operations: {
+      matchPerson: {
+        requires: [],
+        request: (input, { fields = REVEAL_FIELDS } = {}) => ({
+          method: 'POST',
+          url: 'https://api.apollo.io/v1/people/match',
+          headers,
+          body: {
+            first_name: input.firstName,
+            last_name: input.lastName,
+            organization_name: input.company || undefined,
+            domain: input.domain || undefined,
+            linkedin_url: input.linkedin || undefined,
+            reveal_personal_emails: fields.includes('email'),
+          },
+        }),
+        map: mapApolloPerson,
+      },
+      enrichCompany: {
+        requires: ['domain'],
+        request: input => ({
+          method: 'GET',
+          url: `https://api.apollo.io/v1/organizations/enrich?domain=${encodeURIComponent(input.domain)}`,
+          headers,
+        }),
+        map: mapApolloOrganization,
+      },
+      // Free - people without emails or phones
+      searchPeople: {
+        requires: [],
+        request: input => ({
+          method: 'POST',
+          url: `https://api.apollo.io/api/v1/mixed_people/api_search?${apolloPeopleParams(input)}`,
+          headers,
+          body: {},
+        }),
+        map: mapApolloPeople,
+      },
+      searchCompanies: {
+        requires: ['name'],
+        request: input => ({
+          method: 'POST',
+          url: 'https://api.apollo.io/api/v1/mixed_companies/search',
+          headers,
+          body: { q_organization_name: input.name, per_page: input.limit || 5 },
+        }),
+        map: mapApolloCompanies,
+      },
+    },
+  };
+}
+
+// ============================================================================
+// LUSHA
+// ============================================================================
+
+// Unrevealed contacts come back as has* flags or empty entries
+function mapLushaPerson(data, { fields = REVEAL_FIELDS } = {}) {
+  const d = data?.data || data?.contact?.data;
+  if (!d) return emptyPerson();
+
+  const available = new Set();
+  if (d.emailAddresses?.length || d.hasEmails || d.hasWorkEmail || d.hasPrivateEmail) available.add('email');
+  (d.phoneNumbers || []).forEach(p => available.add(phoneField(p.type || p.phoneType)));
+  if (d.hasMobilePhone) available.add('mobile');
+  if (d.hasDirectPhone || d.hasPhones) available.add('workPhone');
+
+  const result = {
+    matched: true,
+    person: {
+      firstName: d.firstName,
+      lastName: d.lastName,
+      name: [d.firstName, d.lastName].filter(Boolean).join(' '),
+      title: d.currentJobTitle,
+      company: d.company?.name,
+      linkedin: null,
+    },
+    emails: [],
+    phones: [],
+    available: [...available],
+  };
+  if (fields.includes('email')) {
+    (d.emailAddresses || []).forEach(e => result.emails.push({ email: e.email, source: 'Lusha', type: e.emailType }));
+  }
+  (d.phoneNumbers || [])
+    .filter(p => fields.includes(phoneField(p.type)))
+    .forEach(p => {
+      const number = p.internationalNumber || p.localizedNumber;
+      if (number) result.phones.push({ number, source: 'Lusha', type: p.type });
+    });
+  return result;
+}
+
+function lushaAdapter(config) {
+  return {
+    name: 'lusha',
+    label: 'Lusha',
+    fields: ['email', 'mobile', 'workPhone'],
+    operations: {
+      matchPerson: {
+        requires: ['linkedin'],
+        request: (input, { fields = REVEAL_FIELDS } = {}) => {
+          const phones = fields.includes('mobile') || fields.includes('workPhone');
+          return {
+            method: 'GET',
+            url: `https://api.lusha.com/v2/person?linkedinUrl=${encodeURIComponent(input.linkedin)}&revealEmails=${fields.includes('email')}&revealPhones=${phones}`,
+            headers: { 'api_key': config.lusha.apiKey },
+          };
+        },
+        map: mapLushaPerson,
+      },
+    },
+  };
+}
+
+// ============================================================================
+// FIRMABLE
+// ============================================================================
+
+function mapFirmableCompany(data) {
+  if (!data?.id) return { matched: false, company: null };
+  return {
+    matched: true,
+    company: {
+      id: data.id, name: data.name, domain: data.fqdn, employees: data.au_employee_count, abn: data.abn, acn: data.acn || null, phone: data.phone,
+      website: data.website || null, description: data.description || null, founded: data.year_founded || null,
+      linkedin: data.linkedin ? `https://linkedin.com/company/${data.linkedin}` : null,
+    },
+    technologies: data.technologies || [],
+  };
+}
+
+function mapFirmableCompanies(data) {
+  const list = Array.isArray(data) ? data : (data?.results || data?.data || []);
+  const companies = list
+    .map(c => ({ name: c.name, domain: hostOf(c.fqdn || c.website), employees: c.au_employee_count || null, abn: c.abn || null,
+      linkedin: c.linkedin ? `https://linkedin.com/company/${c.linkedin}` : null }))
+    .filter(c => c.domain);
+  return { matched: companies.length > 0, companies };
+}
+
+// /people?ln_url= is the best source of AU direct emails and +61 mobiles, but needs a LinkedIn URL
+function mapFirmablePerson(data, { fields = REVEAL_FIELDS } = {}) {
+  if (!data?.name || data.error) return emptyPerson();
+
+  const value = v => String(v?.value || v);
+  const emails = [
+    ...(data.emails?.work || []).map(e => ({ email: value(e), source: 'Firmable', type: 'work' })),
+    ...(data.emails?.personal || []).map(e => ({ email: value(e), source: 'Firmable', type: 'personal' })),
+  ];
+  const phones = (data.phones || []).map(p => ({ number: value(p), source: 'Firmable', type: 'mobile' }));
+  const [firstName, ...rest] = data.name.split(' ');
+
+  return {
+    matched: true,
+    person: {
+      firstName,
+      lastName: rest.join(' '),
+      name: data.name,
+      title: data.headline || data.position,
+      company: data.current_company?.name,
+      linkedin: null,
+    },
+    emails: fields.includes('email') ? emails : [],
+    phones: fields.includes('mobile') ? phones : [],
+    available: [emails.length && 'email', phones.length && 'mobile'].filter(Boolean),
+  };
+}
+
+function firmableAdapter(config) {
+  const headers = { 'Authorization': `Bearer ${config.firmable.apiKey}` };
+  return {
+    name: 'firmable',
+    label: 'Firmable',
+    fields: ['email', 'mobile'],
+    operations: {
+      matchPerson: {
+        requires: ['linkedin'],
+        request: input => ({
+          method: 'GET',
+          url: `https://api.firmable.com/people?ln_url=${encodeURIComponent(input.linkedin)}`,
+          headers,
+        }),
+        map: mapFirmablePerson,
+      },
+      lookupCompany: {
+        requires: ['domain'],
+        request: input => ({
+          method: 'GET',
+          url: `https://api.firmable.com/company?website=${encodeURIComponent(input.domain)}`,
+          headers,
+        }),
+        map: mapFirmableCompany,
+      },
+      searchCompanies: {
+        requires: ['name'],
+        request: input => ({
+          method: 'GET',
+          url: `https://api.firmable.com/company/search?name=${encodeURIComponent(input.name)}&limit=${input.limit || 5}`,
+          headers,
+        }),
+        map: mapFirmableCompanies,
+      },
+    },
+  };
+}
+
+// ============================================================================
+// SERPAPI
+// ============================================================================
+
+// Sites that rank for company names but aren't the company's own
+const NOT_COMPANY_SITES = [
+  'linkedin.com', 'facebook.com', 'twitter.com', 'x.com', 'instagram.com', 'youtube.com', 'wikipedia.org',
+  'crunchbase.com', 'bloomberg.com', 'reuters.com', 'forbes.com', 'glassdoor.com', 'glassdoor.com.au',
+  'indeed.com', 'au.indeed.com', 'seek.com.au', 'zoominfo.com', 'dnb.com', 'google.com', 'bing.com',
+  'abr.business.gov.au', 'asic.gov.au', 'yellowpages.com.au', 'truelocal.com.au', 'afr.com',
+];
+
+// Organic results → candidate company sites, in result order
+function mapSerpCompanies(data) {
+  const companies = [];
+  (data?.organic_results || []).forEach(r => {
+    const domain = hostOf(r.link);
+    if (!domain || NOT_COMPANY_SITES.some(site => domain === site || domain.endsWith('.' + site))) return;
+    if (!companies.some(c => c.domain === domain)) companies.push({ name: r.title || null, domain });
+  });
+  return { matched: companies.length > 0, companies };
+}
+
+function serpAdapter(config) {
+  return {
+    name: 'serp',
+    label: 'SerpAPI',
+    fields: [],
+    operations: {
+      findLinkedIn: {
+        requires: ['firstName', 'lastName'],
+        request: input => ({
+          method: 'GET',
+          url: `https://serpapi.com/search.json?api_key=${config.serp.apiKey}&engine=google&q=${encodeURIComponent(`${input.firstName} ${input.lastName} ${input.company || ''} site:linkedin.com`)}&num=5&gl=au`,
+          headers: {},
+        }),
+        // profiles: every LinkedIn profile in the results, with the name from its title
+        // ("Robert Smith - CEO - Acme | LinkedIn"), so the caller can check it's the right person
+        map: data => {
+          const profiles = (data?.organic_results || []).filter(r => r.link?.includes('linkedin.com/in/'))
+            .map(r => ({ linkedin: r.link, name: (r.title || '').split(/ [-–|] /)[0].trim() || null }));
+          return { matched: profiles.length > 0, linkedin: profiles[0]?.linkedin || null, profiles };
+        },
+      },
+      searchCompanies: {
+        requires: ['name'],
+        request: input => ({
+          method: 'GET',
+          url: `https://serpapi.com/search.json?api_key=${config.serp.apiKey}&engine=google&q=${encodeURIComponent(`"${input.name}" official website`)}&num=10&gl=au`,
+          headers: {},
+        }),
+        map: mapSerpCompanies,
+      },
+      // Any Google search - q with the site: filters it needs, gl the country (au/nz)
+      search: {
+        requires: ['q'],
+        request: input => ({
+          method: 'GET',
+          url: `https://serpapi.com/search.json?api_key=${config.serp.apiKey}&engine=google&q=${encodeURIComponent(input.q)}&num=${input.num || 10}&gl=${input.gl || 'au'}`,
+          headers: {},
+        }),
+        map: data => ({ matched: !!data?.organic_results?.length, results: data?.organic_results || [] }),
+      },
+    },
+  };
+}
+
+// ============================================================================
+// HUNTER.IO - email finder, domain search and verifier
+// ============================================================================
+
+// Verifier result → our verified flag. accept_all servers take any address, so they aren't proof.
+function hunterVerified(status) {
+  return status === 'valid';
+}
+
+function mapHunterFinder(data, { fields = REVEAL_FIELDS } = {}) {
+  const d = data?.data;
+  if (!d?.email) return emptyPerson();
+  return {
+    matched: true,
+    person: {
+      firstName: d.first_name,
+      lastName: d.last_name,
+      name: [d.first_name, d.last_name].filter(Boolean).join(' '),
+      title: d.position,
+      company: d.company,
+      linkedin: d.linkedin_url || null,
+    },
+    emails: fields.includes('email')
+      ? [{ email: d.email, source: 'Hunter', verified: hunterVerified(d.verification?.status), verification: { provider: 'hunter', status: d.verification?.status || 'unknown', score: d.score } }]
+      : [],
+    phones: [],
+    available: ['email'],
+  };
+}
+
+function mapHunterDomainSearch(data) {
+  const d = data?.data;
+  if (!d?.emails?.length) return { matched: false, pattern: d?.pattern || null, people: [] };
+  return {
+    matched: true,
+    pattern: d.pattern || null,
+    people: d.emails.map(e => ({
+      firstName: e.first_name,
+      lastName: e.last_name,
+      title: e.position,
+      linkedin: e.linkedin || null,
+      email: e.value,
+      confidence: e.confidence,
+      verified: hunterVerified(e.verification?.status),
+      type: e.type,
+    })),
+  };
+}
+
+function mapHunterVerifier(data) {
+  const d = data?.data;
+  if (!d?.status) return { matched: false, verification: null };
+  return {
+    matched: true,
+    verification: {
+      provider: 'hunter',
+      status: d.status,   // valid, invalid, accept_all, webmail, disposable, unknown
+      result: d.result,   // deliverable, undeliverable, risky
+      score: d.score,
+      verified: hunterVerified(d.status),
+      disposable: !!d.disposable,
+      webmail: !!d.webmail,
+    },
+  };
+}
+
+function hunterAdapter(config) {
+  const base = 'https://api.hunter.io/v2';
+  const key = encodeURIComponent(config.hunter.apiKey);
+  return {
+    name: 'hunter',
+    label: 'Hunter.io',
+    fields: ['email'],
+    defaultEnabled: !!config.hunter.apiKey,
+    operations: {
+      matchPerson: {
+        requires: ['firstName', 'lastName', ['domain', 'company']],
+        preview: false,
+        request: input => {
+          const target = input.domain ? `domain=${encodeURIComponent(input.domain)}` : `company=${encodeURIComponent(input.company)}`;
+          return {
+            method: 'GET',
+            url: `${base}/email-finder?${target}&first_name=${encodeURIComponent(input.firstName)}&last_name=${encodeURIComponent(input.lastName)}&api_key=${key}`,
+            headers: {},
+          };
+        },
+        map: mapHunterFinder,
+      },
+      domainSearch: {
+        requires: ['domain'],
+        request: input => ({
+          method: 'GET',
+          url: `${base}/domain-search?domain=${encodeURIComponent(input.domain)}&limit=${input.limit || 10}&api_key=${key}`,
+          headers: {},
+        }),
+        map: mapHunterDomainSearch,
+      },
+      verifyEmail: {
+        requires: ['email'],
+        request: input => ({
+          method: 'GET',
+          url: `${base}/email-verifier?email=${encodeURIComponent(input.email)}&api_key=${key}`,
+          headers: {},
+        }),
+        map: mapHunterVerifier,
+      },
+    },
+  };
+}
+
+// ============================================================================
+// NUMVERIFY - phone number validation
+// ============================================================================
+
+function mapNumVerify(data) {
+  if (!data || data._error || data.valid === undefined) return { matched: false, phone: null };
+  return {
+    matched: true,
+    phone: {
+      valid: !!data.valid,
+      carrier: data.carrier || null,
+      lineType: data.line_type || null,
+      location: data.location || null,
+      countryCode: data.country_code || null,
+      countryName: data.country_name || null,
+      internationalFormat: data.international_format || null,
+      localFormat: data.local_format || null,
+    },
+  };
+}
+
+// HTTP - free plans reject HTTPS (error 105 https_access_restricted)
+function numverifyAdapter(config) {
+  const key = encodeURIComponent(config.numverify.apiKey);
+  return {
+    name: 'numverify',
+    label: 'NumVerify',
+    fields: [],
+    defaultEnabled: !!config.numverify.apiKey,
+    operations: {
+      validatePhone: {
+        requires: ['number'],
+        request: input => ({
+          method: 'GET',
+          url: `http://apilayer.net/api/validate?access_key=${key}&number=${encodeURIComponent(input.number)}&format=1`
+            + (input.countryCode ? `&country_code=${encodeURIComponent(input.countryCode)}` : ''),
+          headers: {},
+        }),
+        map: mapNumVerify,
+      },
+    },
+  };
+}
+
+// ============================================================================
+// ABR - Australian Business Register ABN Lookup web service (free, needs a GUID)
+// ============================================================================
+
+// Name search returns status codes ("0000000001") where the details call returns "Active"
+function abrStatus(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return parseInt(value, 10) === 1 ? 'Active' : 'Cancelled';
+  return value;
+}
+
+function mapAbrEntity(d) {
+  return {
+    abn: d.Abn,
+    acn: d.Acn || null,
+    entityName: d.EntityName || null,
+    entityType: d.EntityTypeName || null,
+    entityTypeCode: d.EntityTypeCode || null,
+    status: abrStatus(d.AbnStatus),
+    statusDate: d.AbnStatusEffectiveFrom || null,
+    gst: { registered: !!d.Gst, from: d.Gst || null },
+    location: { state: d.AddressState || null, postcode: d.AddressPostcode || null },
+    tradingNames: (d.BusinessName || []).filter(Boolean),
+  };
+}
+
+// AbnDetails / AcnDetails - a miss comes back with an empty Abn and a Message
+function mapAbrDetails(data) {
+  if (!data?.Abn) return { matched: false, message: data?.Message || null, entities: [] };
+  return { matched: true, message: data.Message || null, entities: [mapAbrEntity(data)] };
+}
+
+// MatchingNames - one row per name, so an ABN can appear under its entity and business names
+function mapAbrNames(data) {
+  const entities = (data?.Names || []).filter(n => n.Abn).map(n => ({
+    abn: n.Abn,
+    acn: null,
+    entityName: n.Name || null,
+    entityType: null,
+    entityTypeCode: null,
+    status: abrStatus(n.AbnStatus),
+    statusDate: null,
+    gst: null,
+    location: { state: n.State || null, postcode: n.Postcode || null },
+    tradingNames: [],
+    nameType: n.NameType || null,
+    score: n.Score ?? null,
+  }));
+  return { matched: entities.length > 0, message: data?.Message || null, entities };
+}
+
+function abrAdapter(config) {
+  const base = 'https://abr.business.gov.au/json';
+  const guid = encodeURIComponent(config.abr.guid);
+  return {
+    name: 'abr',
+    label: 'ABR',
+    fields: [],
+    defaultEnabled: !!config.abr.guid,
+    operations: {
+      abnDetails: {
+        requires: ['abn'],
+        request: input => ({
+          method: 'GET',
+          url: `${base}/AbnDetails.aspx?abn=${encodeURIComponent(input.abn)}&guid=${guid}`,
+          headers: {},
+        }),
+        map: mapAbrDetails,
+      },
+      acnDetails: {
+        requires: ['acn'],
+        request: input => ({
+          method: 'GET',
+          url: `${base}/AcnDetails.aspx?acn=${encodeURIComponent(input.acn)}&guid=${guid}`,
+          headers: {},
+        }),
+        map: mapAbrDetails,
+      },
+      searchNames: {
+        requires: ['name'],
+        request: input => ({
+          method: 'GET',
+          url: `${base}/MatchingNames.aspx?name=${encodeURIComponent(input.name)}&maxResults=${input.limit || 10}&guid=${guid}`,
+          headers: {},
+        }),
+        map: mapAbrNames,
+      },
+    },
+  };
+}
+
+// ============================================================================
+// NZBN - New Zealand Business Number register (MBIE API, free subscription key)
+// ============================================================================
+
+function mapNzbnEntity(e) {
+  const address = (e.addresses?.addressList || []).find(a => a.addressType === 'REGISTERED') || e.addresses?.addressList?.[0];
+  return {
+    nzbn: e.nzbn,
+    companyNumber: e.sourceRegisterUniqueId || null,
+    entityName: e.entityName || null,
+    entityType: e.entityTypeDescription || e.entityTypeCode || null,
+    entityTypeCode: e.entityTypeCode || null,
+    status: e.entityStatusDescription || e.entityStatusCode || null,
+    statusCode: e.entityStatusCode || null,
+    registrationDate: e.registrationDate ? String(e.registrationDate).slice(0, 10) : null,
+    location: address ? { city: address.address3 || address.address2 || null, postcode: address.postCode || null } : null,
+    tradingNames: (e.tradingNames || []).map(t => t.name || t).filter(Boolean),
+    website: e.websites?.[0]?.url || null,
+  };
+}
+
+// Errors (unknown NZBN, rejected subscription key) come back as { statusCode?, errorDescription | message }
+const nzbnMessage = data => data?.errorDescription || data?.message || null;
+
+function mapNzbnDetails(data) {
+  if (!data?.nzbn) return { matched: false, message: nzbnMessage(data), entities: [] };
+  return { matched: true, message: null, entities: [mapNzbnEntity(data)] };
+}
+
+function mapNzbnSearch(data) {
+  const entities = (data?.items || []).filter(e => e.nzbn).map(mapNzbnEntity);
+  return { matched: entities.length > 0, message: entities.length ? null : nzbnMessage(data), entities };
+}
+
+function nzbnAdapter(config) {
+  const base = 'https://api.business.govt.nz/gateway/nzbn/v5';
+  const headers = () => ({ 'Ocp-Apim-Subscription-Key': config.nzbn.apiKey, Accept: 'application/json' });
+  return {
+    name: 'nzbn',
+    label: 'NZBN',
+    fields: [],
+    defaultEnabled: !!config.nzbn.apiKey,
+    operations: {
+      nzbnDetails: {
+        requires: ['nzbn'],
+        request: input => ({
+          method: 'GET',
+          url: `${base}/entities/${encodeURIComponent(input.nzbn)}`,
+          headers: headers(),
+        }),
+        map: mapNzbnDetails,
+      },
+      searchNames: {
+        requires: ['name'],
+        request: input => ({
+          method: 'GET',
+          url: `${base}/entities?search-term=${encodeURIComponent(input.name)}&page-size=${input.limit || 10}`,
+          headers: headers(),
+        }),
+        map: mapNzbnSearch,
+      },
+    },
+  };
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+const ADAPTERS = [apolloAdapter, lushaAdapter, firmableAdapter, serpAdapter, hunterAdapter, numverifyAdapter, abrAdapter, nzbnAdapter];
+
+function isEnabled(name, fallback = true) {
+  const value = process.env[`${name.toUpperCase()}_ENABLED`];
+  return value === undefined ? fallback : String(value).toLowerCase() !== 'false';
+}
+
+// deps: { apiRequest(provider, method, url, headers, body, options), sourceStatus(provider, data), estimateCost(provider, url, body), costs }
+function createProviders(config, deps) {
+  const adapters = {};
+  ADAPTERS.forEach(create => {
+    const adapter = create(config);
+    adapter.enabled = isEnabled(adapter.name, adapter.defaultEnabled !== false);
+    adapters[adapter.name] = adapter;
+  });
+
+  function get(name) {
+    const adapter = adapters[name];
+    return adapter?.enabled ? adapter : null;
+  }
+
+  // Enabled adapters that support an operation
+  function withOperation(operation) {
+    return Object.values(adapters).filter(a => a.enabled && a.operations[operation]);
+  }
+
+  // Build the request for an operation, or null if the provider is disabled or input is missing
+  function prepare(name, operation, input, opts = {}) {
+    const op = get(name)?.operations[operation];
+    if (!op) return null;
+    if (op.requires.some(field => (Array.isArray(field) ? !field.some(f => input[f]) : !input[field]))) return null;
+    return op.request(input, opts);
+  }
+
+  // Send a prepared request and map the response to the common schema, plus results.sources status
+  async function execute(name, operation, req, opts = {}) {
+    const data = await deps.apiRequest(name, req.method, req.url, req.headers, req.body || null, opts);
+    const mapped = adapters[name].operations[operation].map(data, opts);
+    return { provider: name, status: deps.sourceStatus(name, data), ...mapped, raw: data };
+  }
+
+  // prepare + execute. Resolves null when the provider can't run this operation.
+  async function run(name, operation, input, opts = {}) {
+    const req = prepare(name, operation, input, opts);
+    if (!req) return null;
+    return execute(name, operation, req, opts);
+  }
+
+  // Credits an operation would spend (0 when it can't run)
+  function estimate(name, operation, input, opts = {}) {
+    const req = prepare(name, operation, input, opts);
+    return req ? deps.estimateCost(name, req.url, req.body).credits : 0;
+  }
+
+  function list() {
+    return Object.values(adapters).map(a => ({
+      name: a.name,
+      label: a.label,
+      enabled: a.enabled,
+      operations: Object.keys(a.operations),
+      fields: a.fields,
+      costs: (deps.costs?.[a.name] || []).map(r => ({ endpoint: r.endpoint, credits: r.credits, reveal: r.reveal || {} })),
+    }));
+  }
+
+  // Can this provider show a match for free before anything is revealed?
+  function canPreview(name, operation = 'matchPerson') {
+    return get(name)?.operations[operation]?.preview !== false;
+  }
+
+  return { get, withOperation, prepare, execute, run, estimate, canPreview, list };
+}
+
+module.exports = {
+  REVEAL_FIELDS,
+  phoneField,
+  createProviders,
+};
@@ -0,0 +1,234 @@
+/**
+ * Result Cache Module - In-memory TTL cache for provider lookups
+ *
+ * Same get/set shape as the cache in index.js, without Redis (webapp-v4 has
+ * no dependencies). Entries are tagged with a data type so each type gets its
+ * own TTL and hit/miss counters. "Not found" results are kept for a short
+ * negative TTL, and identical lookups running at the same time share one
+ * in-flight promise (single-flight).
+ */
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// Default TTLs in seconds - override with CACHE_TTL_<TYPE>, e.g. CACHE_TTL_COMPANY=3600
+const DEFAULT_TTLS = {
+  company: DAY,      // Company intel (Firmable + Apollo org)
+  tech: 7 * DAY,     // Tech stack changes slowly
+  hiring: 12 * HOUR, // Job postings move daily
+  abn: 30 * DAY,     // Registry data
+  nzbn: 30 * DAY,    // NZ registry data
+  person: 7 * DAY,   // Person enrichment (emails, phones)
+  lookalikes: DAY,   // Similar-company searches
+  domain: 30 * DAY,  // Company name → domain resolution
+  related: 7 * DAY,  // Related entities (corporate group suggestions)
+};
+
+// "Not found" results are re-checked sooner - override with CACHE_TTL_NEGATIVE
+const DEFAULT_NEGATIVE_TTL = 10 * 60;
+
+const MAX_ENTRIES = 5000;
+
+const entries = new Map();
+const inFlight = new Map();
+const counters = {};
+
+function getTTL(type) {
+  const v = parseInt(process.env[`CACHE_TTL_${type.toUpperCase()}`]);
+  return Number.isFinite(v) ? v : (DEFAULT_TTLS[type] || DAY);
+}
+
+function getNegativeTTL() {
+  const v = parseInt(process.env.CACHE_TTL_NEGATIVE);
+  return Number.isFinite(v) ? v : DEFAULT_NEGATIVE_TTL;
+}
+
+function normalizePart(part) {
+  return String(part ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Readable key, e.g. company:canva.com or person:discover|tom|cowan|tdm|||all
+function generateKey(type, parts) {
+  return `${type}:${parts.map(normalizePart).join('|')}`;
+}
+
+function typeOf(key) {
+  return key.split(':')[0];
+}
+
+function count(type, field) {
+  if (!counters[type]) counters[type] = { hits: 0, misses: 0, coalesced: 0 };
+  counters[type][field]++;
+}
+
+function isExpired(entry) {
+  return entry.expiresAt <= Date.now();
+}
+
+// Get an entry ({ data, type, cachedAt, expiresAt, meta }) and count the hit/miss
+function get(key) {
+  const entry = entries.get(key);
+  if (entry && !isExpired(entry)) {
+    count(entry.type, 'hits');
+    return entry;
+  }
+  if (entry) entries.delete(key);
+  count(typeOf(key), 'misses');
+  return null;
+}
+
+// The live entry without counting a hit or miss - for looking at what's cached, not serving it
+function peek(key) {
+  const entry = entries.get(key);
+  return entry && !isExpired(entry) ? entry : null;
+}
+
+// Is there a live entry? Doesn't touch the hit/miss counters.
+function has(key) {
+  return !!peek(key);
+}
+
+// meta.notFound stores the entry for the negative TTL instead of the type's TTL.
+// refresh(options) re-runs the lookup that produced the entry (used by force-refresh).
+function set(key, data, { ttl, meta = {}, refresh = null } = {}) {
+  const type = typeOf(key);
+  const now = Date.now();
+  if (ttl === undefined) ttl = meta.notFound ? getNegativeTTL() : getTTL(type);
+  entries.delete(key); // Re-insert so Map order stays oldest-first
+  entries.set(key, {
+    key,
+    type,
+    data,
+    meta,
+    refresh,
+    cachedAt: new Date(now).toISOString(),
+    expiresAt: now + ttl * 1000,
+  });
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+function del(key) {
+  return entries.delete(key);
+}
+
+// ============================================================================
+// ADMIN - list, search, purge and force-refresh entries
+// ============================================================================
+
+function describe(entry) {
+  return {
+    key: entry.key,
+    type: entry.type,
+    cachedAt: entry.cachedAt,
+    expiresAt: new Date(entry.expiresAt).toISOString(),
+    notFound: !!entry.meta.notFound,
+    providers: entry.meta.providers || [],
+    refreshable: typeof entry.refresh === 'function',
+  };
+}
+
+// Newest first. q matches every word against the key, e.g. "tom cowan" or "canva.com"
+function list({ q = '', type = null, limit = 100 } = {}) {
+  const words = normalizePart(q).split(' ').filter(Boolean);
+  const out = [];
+  entries.forEach(entry => {
+    if (isExpired(entry)) return;
+    if (type && entry.type !== type) return;
+    if (words.some(w => !entry.key.includes(w))) return;
+    out.push(describe(entry));
+  });
+  return out.reverse().slice(0, limit);
+}
+
+function normalizeDomain(domain) {
+  return normalizePart(domain).replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+}
+
+// Remove entries matching every given filter: key, type, provider, domain.
+// A domain matches the key or anywhere in the cached data (e.g. an @canva.com email).
+function purge({ key, type, provider, domain } = {}) {
+  if (!key && !type && !provider && !domain) return 0;
+  const d = domain ? normalizeDomain(domain) : null;
+  let purged = 0;
+  entries.forEach((entry, k) => {
+    if (key && k !== key) return;
+    if (type && entry.type !== type) return;
+    if (provider && !(entry.meta.providers || []).includes(provider)) return;
+    if (d && !k.includes(d) && !JSON.stringify(entry.data).toLowerCase().includes(d)) return;
+    entries.delete(k);
+    purged++;
+  });
+  return purged;
+}
+
+// Re-run the lookup behind an entry, bypassing the cache. Null if the entry can't be refreshed.
+async function refresh(key, options = {}) {
+  const entry = entries.get(key);
+  if (!entry || typeof entry.refresh !== 'function') return null;
+  return entry.refresh(options);
+}
+
+function isInFlight(key) {
+  return inFlight.has(key);
+}
+
+// Run fn once per key at a time - concurrent callers with the same key get the same promise
+function singleFlight(key, fn) {
+  if (inFlight.has(key)) {
+    count(typeOf(key), 'coalesced');
+    return inFlight.get(key);
+  }
+  const promise = Promise.resolve()
+    .then(fn)
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+function getStats() {
+  const byType = {};
+  const types = new Set([...Object.keys(DEFAULT_TTLS), ...Object.keys(counters), ...[...entries.values()].map(e => e.type)]);
+  types.forEach(type => {
+    const c = counters[type] || { hits: 0, misses: 0, coalesced: 0 };
+    const lookups = c.hits + c.misses;
+    byType[type] = { entries: 0, notFound: 0, hits: c.hits, misses: c.misses, coalesced: c.coalesced, hitRate: lookups ? Math.round((c.hits / lookups) * 100) : 0, ttl: getTTL(type) };
+  });
+  entries.forEach(entry => {
+    if (isExpired(entry)) return;
+    byType[entry.type].entries++;
+    if (entry.meta.notFound) byType[entry.type].notFound++;
+  });
+  const hits = Object.values(byType).reduce((n, t) => n + t.hits, 0);
+  const misses = Object.values(byType).reduce((n, t) => n + t.misses, 0);
+  return {
+    type: 'memory',
+    size: Object.values(byType).reduce((n, t) => n + t.entries, 0),
+    hits,
+    misses,
+    hitRate: hits + misses ? Math.round((hits / (hits + misses)) * 100) : 0,
+    inFlight: inFlight.size,
+    negativeTTL: getNegativeTTL(),
+    byType,
+  };
+}
+
+module.exports = {
+  DEFAULT_TTLS,
+  getTTL,
+  getNegativeTTL,
+  generateKey,
+  get,
+  peek,
+  has,
+  set,
+  delete: del,
+  isInFlight,
+  singleFlight,
+  list,
+  purge,
+  refresh,
+  getStats,
+};
@@ -0,0 +1,150 @@
+/**
+ * SMTP Verify Module - Mailbox verification over SMTP
+ *
+ * Looks up the domain's MX hosts, opens an SMTP session with the preferred one
+ * and asks RCPT TO for the address, then for a made-up address at the same
+ * domain to spot catch-all servers. Nothing is sent - the session ends before DATA.
+ *
+ * DNS and the SMTP connection are a pluggable transport:
+ *   createSmtpVerifier({ resolveMx(domain) → [{ exchange, priority }], connect(host, port) → socket })
+ * so the probe can run against a local fake mail server.
+ *
+ * verify(email) resolves { result, reason, mx?, code?, message? }:
+ *   deliverable   - the server accepts the mailbox and rejects made-up ones
+ *   catch_all     - the server accepts any address, so acceptance proves nothing
+ *   undeliverable - no MX, or the server rejected the mailbox (5xx)
+ *   unknown       - couldn't tell (timeout, greylisting 4xx, our sender refused)
+ */
+
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
+const { isValidEmailFormat } = require('./validation.js');
+
+const DEFAULT_TRANSPORT = {
+  resolveMx: domain => dns.promises.resolveMx(domain),
+  connect: (host, port) => net.createConnection({ host, port }),
+};
+
+// Line reader for an SMTP socket. read() resolves the next full reply ({ code, message }),
+// joining multi-line replies ("250-a", "250 b").
+function smtpSession(socket, timeoutMs) {
+  let buffer = '';
+  let lines = [];
+  let waiting = null;
+  let failure = null;
+  const replies = [];
+
+  const deliver = reply => {
+    if (!waiting) return replies.push(reply);
+    const { resolve } = waiting;
+    waiting = null;
+    resolve(reply);
+  };
+  const fail = err => {
+    failure = failure || err;
+    if (!waiting) return;
+    const { reject } = waiting;
+    waiting = null;
+    reject(failure);
+  };
+
+  socket.setEncoding('utf8');
+  socket.setTimeout(timeoutMs, () => {
+    fail(new Error('SMTP timeout'));
+    socket.destroy();
+  });
+  socket.on('data', chunk => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, end).replace(/\r$/, '');
+      buffer = buffer.slice(end + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        deliver({ code: parseInt(line.slice(0, 3), 10), message: lines.map(l => l.slice(4)).join(' ').trim() });
+        lines = [];
+      }
+    }
+  });
+  socket.on('error', fail);
+  socket.on('close', () => fail(new Error('SMTP connection closed')));
+
+  function read() {
+    if (replies.length) return Promise.resolve(replies.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((resolve, reject) => { waiting = { resolve, reject }; });
+  }
+
+  function send(command) {
+    socket.write(command + '\r\n');
+    return read();
+  }
+
+  function close() {
+    if (socket.destroyed) return;
+    socket.end('QUIT\r\n');
+    setTimeout(() => socket.destroy(), 1000).unref();
+  }
+
+  return { read, send, close };
+}
+
+// options: { port, helo, from, timeoutMs }
+function createSmtpVerifier(transport = {}, options = {}) {
+  const { resolveMx, connect } = { ...DEFAULT_TRANSPORT, ...transport };
+  const { port = 25, helo = 'localhost', from = `postmaster@${helo}`, timeoutMs = 8000 } = options;
+
+  async function findMx(domain) {
+    try {
+      const records = await resolveMx(domain);
+      if (!records?.length) return { error: { result: 'undeliverable', reason: 'no_mx' } };
+      return { mx: [...records].sort((a, b) => a.priority - b.priority)[0].exchange };
+    } catch (e) {
+      if (['ENOTFOUND', 'ENODATA'].includes(e.code)) return { error: { result: 'undeliverable', reason: 'no_mx' } };
+      return { error: { result: 'unknown', reason: 'dns_error', message: e.message } };
+    }
+  }
+
+  async function verify(email) {
+    if (!isValidEmailFormat(email)) return { result: 'undeliverable', reason: 'invalid_format' };
+    const domain = email.split('@')[1].toLowerCase();
+    const { mx, error } = await findMx(domain);
+    if (error) return error;
+
+    const unknown = (reason, reply) => ({ result: 'unknown', reason, mx, code: reply.code, message: reply.message });
+    let session;
+    try {
+      session = smtpSession(connect(mx, port), timeoutMs);
+      const greeting = await session.read();
+      if (greeting.code !== 220) return unknown('greeting_refused', greeting);
+
+      let hello = await session.send(`EHLO ${helo}`);
+      if (hello.code !== 250) hello = await session.send(`HELO ${helo}`);
+      if (hello.code !== 250) return unknown('helo_refused', hello);
+
+      const sender = await session.send(`MAIL FROM:<${from}>`);
+      if (sender.code !== 250) return unknown('sender_refused', sender);
+
+      const rcpt = await session.send(`RCPT TO:<${email}>`);
+      if (rcpt.code >= 500) return { result: 'undeliverable', reason: 'mailbox_rejected', mx, code: rcpt.code, message: rcpt.message };
+      if (rcpt.code !== 250 && rcpt.code !== 251) return unknown('temporary_failure', rcpt);
+
+      // A mailbox nobody has tells us whether acceptance means anything
+      const probe = await session.send(`RCPT TO:<${crypto.randomBytes(8).toString('hex')}@${domain}>`);
+      if (probe.code === 250 || probe.code === 251) return { result: 'catch_all', reason: 'accepts_any_address', mx, code: rcpt.code };
+      if (probe.code < 500) return unknown('catch_all_check_failed', probe);
+      return { result: 'deliverable', reason: 'mailbox_accepted', mx, code: rcpt.code };
+    } catch (e) {
+      return { result: 'unknown', reason: 'connection_failed', mx, message: e.message };
+    } finally {
+      session?.close();
+    }
+  }
+
+  return { verify };
+}
+
+module.exports = {
+  createSmtpVerifier,
+};
@@ -6,6 +6,7 @@ const fs = require('fs');
 const path = require('path');
 
 const STATS_FILE = path.join(__dirname, 'stats.json');
+const LATENCY_SAMPLES = 200; // Recent latencies kept per provider for percentiles
 
 function loadStats() {
   try {
@@ -29,15 +30,19 @@ function getDefaultStats() {
       withLinkedIn: 0,
     },
     apiCalls: {
-      apollo: { calls: 0, errors: 0 },
-      firmable: { calls: 0, errors: 0 },
-      lusha: { calls: 0, errors: 0 },
-      serp: { calls: 0, errors: 0 },
+      apollo: getDefaultApiStats(),
+      firmable: getDefaultApiStats(),
+      lusha: getDefaultApiStats(),
+      serp: getDefaultApiStats(),
     },
     lastUpdated: new Date().toISOString(),
   };
 }
 
+function getDefaultApiStats() {
+  return { calls: 0, errors: 0, skipped: 0, retries: 0, byStatus: {}, latencies: [], lastError: null };
+}
+
 function saveStats(stats) {
   try {
     stats.lastUpdated = new Date().toISOString();
@@ -82,18 +87,68 @@ function trackEnrichment(result) {
   saveStats(stats);
 }
 
-function trackApiCall(api, success = true) {
+// Record one outbound provider call.
+// details: { status, latencyMs, error, skipped } - skipped = not sent (circuit open)
+function trackApiCall(api, success = true, details = {}) {
   const stats = loadStats();
-  if (!stats.apiCalls[api]) {
-    stats.apiCalls[api] = { calls: 0, errors: 0 };
+  // Older stats.json files only have { calls, errors }
+  const info = stats.apiCalls[api] = { ...getDefaultApiStats(), ...stats.apiCalls[api] };
+
+  if (details.skipped) {
+    info.skipped++;
+    saveStats(stats);
+    return;
   }
-  stats.apiCalls[api].calls++;
+
+  info.calls++;
+  info.retries += details.retries || 0;
   if (!success) {
-    stats.apiCalls[api].errors++;
+    info.errors++;
+    info.lastError = { status: details.status || null, message: details.error || null, at: new Date().toISOString() };
+  }
+
+  const statusKey = details.status ? String(details.status) : 'network_error';
+  info.byStatus[statusKey] = (info.byStatus[statusKey] || 0) + 1;
+
+  if (typeof details.latencyMs === 'number') {
+    info.latencies.push(details.latencyMs);
+    if (info.latencies.length > LATENCY_SAMPLES) info.latencies.splice(0, info.latencies.length - LATENCY_SAMPLES);
   }
+
   saveStats(stats);
 }
 
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const idx = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, idx)];
+}
+
+// Error rate and latency percentiles per provider
+function getApiHealth(apiCalls) {
+  const health = {};
+  Object.entries(apiCalls || {}).forEach(([api, info]) => {
+    const sorted = [...(info.latencies || [])].sort((a, b) => a - b);
+    health[api] = {
+      calls: info.calls,
+      errors: info.errors,
+      skipped: info.skipped || 0,
+      retries: info.retries || 0,
+      errorRate: info.calls > 0 ? Math.round((info.errors / info.calls) * 100) : 0,
+      latency: {
+        samples: sorted.length,
+        avg: sorted.length ? Math.round(sorted.reduce((a, b) => a + b, 0) / sorted.length) : null,
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99),
+      },
+      byStatus: info.byStatus || {},
+      lastError: info.lastError || null,
+    };
+  });
+  return health;
+}
+
 function getStats() {
   const stats = loadStats();
   
@@ -129,6 +184,7 @@ function getStats() {
         : 0,
       last7Days,
       topEndpoints,
+      apiHealth: getApiHealth(stats.apiCalls),
       uptime: getUptime(stats.startedAt),
     },
   };
@@ -0,0 +1,59 @@
+/**
+ * Tests for business number checksums (validation.js)
+ *
+ * Run: node test-business-numbers.js
+ */
+
+const assert = require('assert');
+const validation = require('./validation.js');
+const { check } = require('./test-helpers.js');
+
+console.log('🇦🇺 ABN AND ACN\n');
+
+check('accepts valid ABNs and formats them', () => {
+  assert.deepStrictEqual(validation.validateABN('51824753556'), { valid: true, formatted: '51 824 753 556', error: null });
+  assert.strictEqual(validation.validateABN('53 102 443 916').valid, true);
+});
+
+check('rejects a bad ABN checksum or length', () => {
+  assert.strictEqual(validation.validateABN('51824753557').error, 'Invalid ABN checksum');
+  assert.strictEqual(validation.validateABN('5182475355').error, 'ABN must be 11 digits');
+});
+
+check('accepts valid ACNs, including ASIC\'s leading-zero examples', () => {
+  ['000 000 019', '005 499 981', '010 499 966', '102443916'].forEach(acn => assert.strictEqual(validation.validateACN(acn).valid, true, acn));
+  assert.strictEqual(validation.validateACN('102443916').formatted, '102 443 916');
+});
+
+check('rejects a bad ACN check digit or length', () => {
+  assert.deepStrictEqual(validation.validateACN('000000018'), { valid: false, formatted: '000 000 018', error: 'Invalid ACN checksum' });
+  assert.strictEqual(validation.validateACN('12345678').error, 'ACN must be 9 digits');
+});
+
+check('a company ABN carries its ACN in its last 9 digits', () => {
+  const abn = '53102443916';
+  assert.strictEqual(validation.validateABN(abn).valid, true);
+  assert.strictEqual(validation.validateACN(abn.slice(2)).valid, true);
+});
+
+console.log('\n🇳🇿 NZBN\n');
+
+check('accepts a valid NZBN, with or without spaces', () => {
+  assert.deepStrictEqual(validation.validateNZBN('9429038961205'), { valid: true, formatted: '9429038961205', error: null });
+  assert.strictEqual(validation.validateNZBN('9429 0389 61205').valid, true);
+});
+
+check('rejects a bad GS1 check digit', () => {
+  assert.deepStrictEqual(validation.validateNZBN('9429038961208'), { valid: false, formatted: '9429038961208', error: 'Invalid NZBN checksum' });
+});
+
+check('rejects GS1 numbers outside the NZ 94 prefix', () => {
+  // A valid EAN-13, but not an NZBN
+  assert.strictEqual(validation.validateNZBN('4006381333931').error, 'NZBN must start with 94');
+});
+
+check('rejects anything but 13 digits', () => {
+  assert.strictEqual(validation.validateNZBN('942903896120').error, 'NZBN must be 13 digits');
+  assert.strictEqual(validation.validateNZBN('94290389612AB').error, 'NZBN must be 13 digits');
+  assert.strictEqual(validation.validateNZBN(null).error, 'NZBN must be 13 digits');
+});
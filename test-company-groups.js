@@ -0,0 +1,108 @@
+/**
+ * Tests for corporate groups: entity normalisation, linking and group lookup (company-groups.js)
+ *
+ * Run: node test-company-groups.js
+ * Uses company-groups.json like the app does - an existing file is put back afterwards.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const companyGroups = require('./company-groups.js');
+const { check } = require('./test-helpers.js');
+
+const GROUPS_FILE = path.join(__dirname, 'company-groups.json');
+
+const saved = fs.existsSync(GROUPS_FILE) ? fs.readFileSync(GROUPS_FILE) : null;
+fs.rmSync(GROUPS_FILE, { force: true });
+
+try {
+  console.log('🧾 ENTITIES\n');
+
+  check('normalises each entity type, however it was typed', () => {
+    assert.strictEqual(companyGroups.normalizeEntity('domain', 'https://www.Kmart.com.au/catalogue'), 'kmart.com.au');
+    assert.strictEqual(companyGroups.normalizeEntity('abn', '53 102 443 916'), '53102443916');
+    assert.strictEqual(companyGroups.normalizeEntity('linkedin', 'https://www.linkedin.com/company/Bunnings/about'), 'linkedin.com/company/bunnings');
+    assert.strictEqual(companyGroups.normalizeEntity('linkedin', 'https://www.linkedin.com/in/jane-citizen'), '');
+    assert.strictEqual(companyGroups.normalizeEntity('name', '  Kmart   Australia '), 'Kmart Australia');
+  });
+
+  check('rejects ABNs that fail the checksum', () => {
+    assert.strictEqual(companyGroups.normalizeEntity('abn', '51824753557'), '');
+    assert.strictEqual(companyGroups.normalizeEntity('abn', '5182475355'), '');
+    assert.strictEqual(companyGroups.normalizeEntity('abn', '12345678901'), '');
+  });
+
+  check('matches companies on their name stem', () => {
+    assert.strictEqual(companyGroups.nameStem('Wesfarmers Chemicals, Energy & Fertilisers Ltd'), 'wesfarmers');
+    assert.strictEqual(companyGroups.nameStem('National Australia Bank'), 'bank');
+    assert.strictEqual(companyGroups.sharesStem('Kmart Australia Pty Ltd', 'kmart'), true);
+    assert.strictEqual(companyGroups.sharesStem('Kmartin Holdings', 'kmart'), false);
+  });
+
+  console.log('\n🔗 LINKING\n');
+
+  const created = companyGroups.createGroup('Wesfarmers', [
+    { type: 'domain', value: 'wesfarmers.com.au', name: 'Wesfarmers' },
+    { type: 'domain', value: 'https://www.bunnings.com.au/', name: 'Bunnings' },
+  ]);
+  const groupId = created.group?.id;
+
+  check('creates a group with its entities', () => {
+    assert.strictEqual(created.success, true);
+    assert.deepStrictEqual(created.group.entities.map(e => e.value), ['wesfarmers.com.au', 'bunnings.com.au']);
+    assert.strictEqual(companyGroups.createGroup('  ').error, 'Group name is required');
+  });
+
+  check('links ABNs, LinkedIn pages and names, once each', () => {
+    assert.strictEqual(companyGroups.linkEntity(groupId, { type: 'abn', value: '51 824 753 556', name: 'Kmart Australia Ltd' }).success, true);
+    assert.strictEqual(companyGroups.linkEntity(groupId, { type: 'linkedin', value: 'linkedin.com/company/kmart-australia' }).success, true);
+    assert.strictEqual(companyGroups.linkEntity(groupId, { type: 'name', value: 'Officeworks' }).success, true);
+    assert.strictEqual(companyGroups.linkEntity(groupId, { type: 'abn', value: '51824753556' }).success, true);
+    assert.strictEqual(companyGroups.getGroup(groupId).entities.filter(e => e.type === 'abn').length, 1);
+  });
+
+  check('refuses invalid entities and unknown groups', () => {
+    assert.strictEqual(companyGroups.linkEntity(groupId, { type: 'abn', value: '51824753557' }).error, 'A valid abn is required');
+    assert.match(companyGroups.linkEntity(groupId, { type: 'acn', value: '004085616' }).error, /Entity type must be one of/);
+    assert.strictEqual(companyGroups.linkEntity('missing', { type: 'domain', value: 'kmart.com.au' }).error, 'Group not found');
+  });
+
+  check('keeps an entity in one group at most', () => {
+    const other = companyGroups.createGroup('Coles Group', [{ type: 'domain', value: 'coles.com.au' }]);
+    assert.strictEqual(companyGroups.linkEntity(other.group.id, { type: 'domain', value: 'bunnings.com.au' }).error, 'Already linked to Wesfarmers');
+    // A new group that can't take all its entities isn't kept
+    assert.strictEqual(companyGroups.createGroup('Bunnings Group', [{ type: 'domain', value: 'BUNNINGS.com.au' }]).success, false);
+    assert.deepStrictEqual(companyGroups.listGroups().map(g => g.name), ['Wesfarmers', 'Coles Group']);
+  });
+
+  console.log('\n🔍 GROUP LOOKUP\n');
+
+  check('finds the group by any linked entity, in any format', () => {
+    assert.strictEqual(companyGroups.findGroup('domain', 'www.bunnings.com.au')?.id, groupId);
+    assert.strictEqual(companyGroups.findGroup('abn', '51824753556')?.id, groupId);
+    assert.strictEqual(companyGroups.findGroup('linkedin', 'https://au.linkedin.com/company/Kmart-Australia')?.id, groupId);
+    assert.strictEqual(companyGroups.findGroup('name', 'officeworks')?.id, groupId);
+    assert.strictEqual(companyGroups.findGroup('domain', 'kmart.com.au'), null);
+    assert.strictEqual(companyGroups.findGroup('abn', '51824753557'), null);
+  });
+
+  check('runs across the group domains, the requested one first', () => {
+    const group = companyGroups.getGroup(groupId);
+    assert.deepStrictEqual(companyGroups.groupDomains(group), ['wesfarmers.com.au', 'bunnings.com.au']);
+    assert.deepStrictEqual(companyGroups.groupDomains(group, 'bunnings.com.au'), ['bunnings.com.au', 'wesfarmers.com.au']);
+    assert.deepStrictEqual(companyGroups.groupDomains(group, 'kmart.com.au'), ['wesfarmers.com.au', 'bunnings.com.au']);
+  });
+
+  check('unlinks entities and deletes groups', () => {
+    assert.strictEqual(companyGroups.unlinkEntity(groupId, 'abn', '51 824 753 556').success, true);
+    assert.strictEqual(companyGroups.findGroup('abn', '51824753556'), null);
+    assert.strictEqual(companyGroups.unlinkEntity(groupId, 'abn', '51824753556').error, 'Entity not in group');
+    assert.strictEqual(companyGroups.deleteGroup(groupId).success, true);
+    assert.strictEqual(companyGroups.findGroup('domain', 'bunnings.com.au'), null);
+    assert.strictEqual(companyGroups.deleteGroup(groupId).error, 'Group not found');
+  });
+} finally {
+  if (saved) fs.writeFileSync(GROUPS_FILE, saved);
+  else fs.rmSync(GROUPS_FILE, { force: true });
+}
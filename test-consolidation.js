@@ -0,0 +1,117 @@
+/**
+ * Tests for cross-source contact scoring (consolidation.js)
+ *
+ * Run: node test-consolidation.js
+ */
+
+const assert = require('assert');
+const consolidation = require('./consolidation.js');
+const { check } = require('./test-helpers.js');
+
+const flag = { provider: 'lusha', score: 0.6, reasons: ['works at "Globex", not "Acme"'] };
+
+console.log('📧 EMAILS\n');
+
+check('merges an email found by several providers and boosts it', () => {
+  const { emails } = consolidation.consolidate({ emails: [
+    { email: 'Jane.Citizen@acme.com.au', source: 'Apollo' },
+    { email: 'jane.citizen@acme.com.au', source: 'Lusha', verified: true },
+  ] });
+  assert.strictEqual(emails.length, 1);
+  assert.deepStrictEqual(emails[0].sources, ['Apollo', 'Lusha']);
+  assert.strictEqual(emails[0].count, 2);
+  assert.strictEqual(emails[0].verified, true);
+  assert.strictEqual(emails[0].confidence, 1);
+  assert.deepStrictEqual(emails[0].confidenceReasons, ['Apollo email (90%)', 'found by 2 sources', 'verified']);
+});
+
+check('sorts best-first, keeping provider order for ties', () => {
+  const { emails } = consolidation.consolidate({ emails: [
+    { email: 'jane@gmail.com', source: 'Apollo', type: 'personal' },
+    { email: 'jane@acme.com.au', source: 'Apollo' },
+    { email: 'j.citizen@acme.com.au', source: 'Apollo' },
+  ] });
+  assert.deepStrictEqual(emails.map(e => e.email), ['jane@acme.com.au', 'j.citizen@acme.com.au', 'jane@gmail.com']);
+});
+
+check('caps emails that failed validation and marks down risky ones', () => {
+  const { emails } = consolidation.consolidate({ emails: [
+    { email: 'bad@acme.com.au', source: 'Firmable', validation: { status: 'invalid', reason: 'undeliverable' } },
+    { email: 'maybe@acme.com.au', source: 'Firmable', validation: { status: 'risky', reason: 'catch_all' } },
+  ] });
+  assert.deepStrictEqual(emails.map(e => [e.email, e.confidence]), [['maybe@acme.com.au', 0.75], ['bad@acme.com.au', 0.1]]);
+});
+
+check('scores a pattern guess by its pattern confidence', () => {
+  const pattern = { format: 'first.last', matches: 3, samples: 4, confidence: 0.6 };
+  const [email] = consolidation.consolidate({ emails: [{ email: 'sam.jones@acme.com.au', source: 'Pattern', pattern }] }).emails;
+  assert.strictEqual(email.confidence, 0.6);
+  assert.strictEqual(email.confidenceReasons[0], 'first.last pattern from 3/4 known emails (60%)');
+});
+
+check('marks down a flagged match unless a trusted one vouches for it', () => {
+  const flagged = consolidation.consolidate({ emails: [{ email: 'jane@acme.com.au', source: 'Lusha', identityFlag: flag }] }).emails[0];
+  assert.strictEqual(flagged.confidence, 0.55);
+  const vouched = consolidation.consolidate({ emails: [
+    { email: 'jane@acme.com.au', source: 'Lusha', identityFlag: flag },
+    { email: 'jane@acme.com.au', source: 'Apollo' },
+  ] }).emails[0];
+  assert.strictEqual(vouched.identityFlag, undefined);
+});
+
+console.log('\n📱 PHONES\n');
+
+check('merges the same number in any format', () => {
+  const { phones } = consolidation.consolidate({ phones: [
+    { number: '+61412345678', source: 'Apollo' },
+    { number: '0412 345 678', source: 'Lusha' },
+  ] });
+  assert.strictEqual(phones.length, 1);
+  assert.strictEqual(phones[0].number, '+61412345678');
+  assert.strictEqual(phones[0].lineType, 'mobile');
+  assert.strictEqual(phones[0].confidence, 0.95);
+});
+
+check('reads local numbers in the contact country, so NZ formats merge', () => {
+  const phones = [{ number: '021 123 4567', source: 'Lusha' }, { number: '+64 21 123 4567', source: 'Apollo' }];
+  assert.strictEqual(consolidation.consolidate({ phones }, { country: 'AU' }).phones.length, 2);
+  const nz = consolidation.consolidate({ phones }, { country: 'NZ' }).phones;
+  assert.strictEqual(nz.length, 1);
+  assert.strictEqual(nz[0].number, '+64211234567');
+  assert.strictEqual(nz[0].lineType, 'mobile');
+});
+
+check('keys phones the same way addPhone merges them', () => {
+  assert.strictEqual(consolidation.phoneKey('(02) 9000 1234'), '+61290001234');
+  assert.strictEqual(consolidation.phoneKey('021 123 4567', { country: 'NZ' }), '+64211234567');
+  const list = [];
+  consolidation.addPhone(list, { number: '09 379 1234', source: 'Firmable' }, { country: 'NZ' });
+  consolidation.addPhone(list, { number: '+6493791234', source: 'Apollo' });
+  assert.deepStrictEqual(list.map(p => p.sources), [['Firmable', 'Apollo']]);
+});
+
+check('scores switchboards below direct lines', () => {
+  const { phones } = consolidation.consolidate({ phones: [
+    { number: '(02) 9000 0000', source: 'Firmable', type: 'company' },
+    { number: '0412 345 678', source: 'Lusha' },
+  ] });
+  assert.deepStrictEqual(phones.map(p => [p.number, p.confidence]), [['+61412345678', 0.8], ['+61290000000', 0.5]]);
+  assert.strictEqual(phones[1].switchboard, 'company_line');
+});
+
+check('marks down non-local numbers for AU/NZ contacts', () => {
+  const phones = [{ number: '+44 20 7946 0001', source: 'Lusha' }];
+  assert.strictEqual(consolidation.consolidate({ phones }).phones[0].confidence, 0.8);
+  const [phone] = consolidation.consolidate({ phones }, { auNz: true }).phones;
+  assert.strictEqual(phone.confidence, 0.5);
+  assert.strictEqual(phone.nonLocal, true);
+});
+
+check('boosts validated phones and caps invalid ones', () => {
+  const { phones } = consolidation.consolidate({ phones: [
+    { number: '0412 345 678', source: 'Apollo', validation: { status: 'valid', details: { lineType: 'mobile' } } },
+    { number: '0412 345 679', source: 'Firmable', validation: { status: 'invalid', reason: 'invalid' } },
+  ] });
+  assert.deepStrictEqual(phones.map(p => p.confidence), [0.95, 0.1]);
+  assert.strictEqual(phones[0].confidenceReasons.at(-1), 'validated (mobile)');
+});
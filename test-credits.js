@@ -0,0 +1,105 @@
+/**
+ * Tests for the credit ledger, budgets and in-flight reservations (credits.js)
+ *
+ * Run: node test-credits.js
+ * Uses credits.json like the app does - an existing file is put back afterwards.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const credits = require('./credits.js');
+const { check } = require('./test-helpers.js');
+
+const CREDITS_FILE = path.join(__dirname, 'credits.json');
+const SEARCH = 'https://serpapi.com/search.json?q=acme';
+const REVEAL = 'https://api.lusha.com/v2/person?firstName=Jane&revealEmails=true&revealPhones=true';
+
+const saved = fs.existsSync(CREDITS_FILE) ? fs.readFileSync(CREDITS_FILE) : null;
+fs.rmSync(CREDITS_FILE, { force: true });
+['SERP', 'LUSHA'].forEach(p => ['DAILY_CREDITS', 'MONTHLY_CREDITS', 'BUDGET_MODE'].forEach(n => delete process.env[`${p}_${n}`]));
+console.warn = () => {}; // Budget warnings are expected here
+
+const spentToday = provider => credits.getSummary().providers[provider].daily;
+
+try {
+  console.log('💳 COSTS\n');
+
+  check('prices free calls, paid calls and reveal flags', () => {
+    assert.strictEqual(credits.estimateCost('apollo', 'https://api.apollo.io/api/v1/mixed_people/api_search').free, true);
+    assert.strictEqual(credits.estimateCost('serp', SEARCH).credits, 1);
+    assert.strictEqual(credits.estimateCost('lusha', REVEAL).credits, 2);
+    assert.deepStrictEqual(credits.estimateCost('lusha', 'https://api.lusha.com/v2/person', { revealEmails: true }).reveals, ['revealEmails']);
+    assert.strictEqual(credits.estimateCost('serp', 'not a url').free, true);
+  });
+
+  check('only charges matched lookups for providers that bill on a match', () => {
+    const miss = credits.checkBudget('lusha', REVEAL);
+    assert.strictEqual(credits.recordSpend('lusha', miss.cost, {}, 'jane'), 0);
+    const hit = credits.checkBudget('lusha', REVEAL);
+    assert.strictEqual(credits.recordSpend('lusha', hit.cost, { data: { firstName: 'Jane' } }, 'jane'), 2);
+    assert.strictEqual(spentToday('lusha'), 2);
+    assert.strictEqual(credits.getSummary().today.byUser.jane, 2);
+  });
+
+  console.log('\n🧾 BUDGETS AND RESERVATIONS\n');
+
+  check('validates budget limits', () => {
+    assert.strictEqual(credits.setBudget('serp', { daily: 'abc' }).success, false);
+    assert.strictEqual(credits.setBudget('serp', { daily: -1 }).success, false);
+    assert.strictEqual(credits.setBudget('serp', { daily: NaN }).success, false);
+    assert.strictEqual(credits.setBudget('serp', { mode: 'maybe' }).success, false);
+    assert.strictEqual(credits.setBudget('toString', { daily: 1 }).error, 'Unknown provider: toString');
+    assert.strictEqual(credits.setBudget('serp', { daily: '3', monthly: null }).budget.daily, 3);
+  });
+
+  check('counts calls still in flight against the budget', () => {
+    const first = credits.checkBudget('serp', SEARCH);
+    const second = credits.checkBudget('serp', SEARCH);
+    const third = credits.checkBudget('serp', SEARCH);
+    const fourth = credits.checkBudget('serp', SEARCH);
+    assert.deepStrictEqual([first, second, third, fourth].map(b => b.allowed), [true, true, true, false]);
+    assert.match(fourth.warning, /daily budget 0 \+ 3 in flight\/3/);
+    [first, second, third].forEach(b => credits.releaseBudget('serp', b.cost));
+  });
+
+  check('refunds failed calls, and settling twice refunds once', () => {
+    const failed = credits.checkBudget('serp', SEARCH);
+    credits.releaseBudget('serp', failed.cost);
+    credits.releaseBudget('serp', failed.cost);
+    const held = [1, 2, 3].map(() => credits.checkBudget('serp', SEARCH));
+    assert.ok(held.every(b => b.allowed), 'a double refund must not free extra credits');
+    assert.strictEqual(credits.checkBudget('serp', SEARCH).allowed, false);
+    held.forEach(b => credits.recordSpend('serp', b.cost, {}));
+    assert.strictEqual(spentToday('serp'), 3);
+    held.forEach(b => credits.releaseBudget('serp', b.cost));
+    assert.strictEqual(credits.checkBudget('serp', SEARCH).allowed, false, 'spent credits stay spent');
+  });
+
+  check('warn mode lets the call through with a warning and logs it', () => {
+    credits.setBudget('serp', { mode: 'warn' });
+    const budget = credits.checkBudget('serp', SEARCH);
+    assert.strictEqual(budget.allowed, true);
+    assert.match(budget.warning, /would exceed daily budget 3\/3/);
+    credits.releaseBudget('serp', budget.cost);
+    assert.strictEqual(credits.getSummary().warnings[0].mode, 'warn');
+  });
+
+  check('resetting the ledger keeps the budgets', () => {
+    credits.resetLedger();
+    assert.strictEqual(spentToday('serp'), 0);
+    assert.strictEqual(credits.getBudgets().serp.daily, 3);
+  });
+
+  check('reports the credits left under the tightest budget, less calls in flight', () => {
+    assert.strictEqual(credits.remainingCredits('serp'), 3);
+    credits.setBudget('serp', { monthly: 2 });
+    const held = credits.checkBudget('serp', SEARCH);
+    assert.strictEqual(credits.remainingCredits('serp'), 1);
+    credits.releaseBudget('serp', held.cost);
+    assert.strictEqual(credits.remainingCredits('lusha'), null);
+  });
+} finally {
+  if (saved) fs.writeFileSync(CREDITS_FILE, saved);
+  else fs.rmSync(CREDITS_FILE, { force: true });
+}
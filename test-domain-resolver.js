@@ -0,0 +1,110 @@
+/**
+ * Tests for company name → domain resolution and the alias table (domain-resolver.js)
+ *
+ * Run: node test-domain-resolver.js
+ * Uses company-aliases.json like the app does - an existing file is put back afterwards.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const companyDomains = require('./domain-resolver.js');
+const { check } = require('./test-helpers.js');
+
+const ALIASES_FILE = path.join(__dirname, 'company-aliases.json');
+
+// Resolver whose searches answer from a table per provider, recording who was asked
+function resolverWith(answers = {}) {
+  const searched = [];
+  const resolver = companyDomains.createDomainResolver({
+    search: async provider => {
+      searched.push(provider);
+      return answers[provider] ? { companies: answers[provider] } : null;
+    },
+  });
+  return { resolver, searched };
+}
+
+const saved = fs.existsSync(ALIASES_FILE) ? fs.readFileSync(ALIASES_FILE) : null;
+fs.rmSync(ALIASES_FILE, { force: true });
+
+async function runTests() {
+  console.log('📇 ALIASES\n');
+
+  await check('normalises company names the same way for every lookup', () => {
+    assert.strictEqual(companyDomains.normalizeName('Acme Widgets Pty. Ltd.'), 'acme widgets');
+    assert.strictEqual(companyDomains.normalizeName('Café & Co Holdings'), 'cafe and');
+    assert.strictEqual(companyDomains.looksLikeDomain('https://www.acme.com.au/about'), true);
+    assert.strictEqual(companyDomains.looksLikeDomain('Acme Widgets'), false);
+  });
+
+  await check('knows the built-in AU/NZ companies under any legal suffix', () => {
+    assert.deepStrictEqual(companyDomains.getAlias('Commonwealth Bank of Australia'), { domain: 'commbank.com.au', source: 'alias', builtIn: true });
+    assert.strictEqual(companyDomains.getAlias('Woolworths Group Ltd').domain, 'woolworthsgroup.com.au');
+    assert.strictEqual(companyDomains.getAlias('constructor'), null);
+    assert.strictEqual(companyDomains.getAlias('  '), null);
+  });
+
+  await check('saves custom aliases, which win over built-in ones', () => {
+    assert.deepStrictEqual(companyDomains.setAlias('Acme Widgets Pty Ltd', 'https://www.AcmeWidgets.io/contact').alias, { name: 'acme widgets', domain: 'acmewidgets.io' });
+    assert.strictEqual(companyDomains.getAlias('ACME WIDGETS').domain, 'acmewidgets.io');
+    companyDomains.setAlias('Canva', 'canva.com.au');
+    assert.deepStrictEqual(companyDomains.getAlias('Canva'), { domain: 'canva.com.au', source: 'alias', builtIn: false });
+    assert.strictEqual(companyDomains.listAliases().filter(a => a.name === 'canva').length, 1);
+  });
+
+  await check('validates and removes aliases, but not built-in ones', () => {
+    assert.strictEqual(companyDomains.setAlias('Acme', 'not a domain').error, 'A valid domain is required');
+    assert.strictEqual(companyDomains.setAlias('Pty Ltd', 'acme.com').error, 'Company name is required');
+    assert.strictEqual(companyDomains.removeAlias('Canva').success, true);
+    assert.strictEqual(companyDomains.getAlias('Canva').builtIn, true);
+    assert.strictEqual(companyDomains.removeAlias('Canva').error, 'Built-in aliases cannot be removed');
+    assert.strictEqual(companyDomains.removeAlias('Globex').error, 'Alias not found');
+  });
+
+  console.log('\n🌐 RESOLVING\n');
+
+  await check('takes a domain as given and an alias without searching', async () => {
+    const { resolver, searched } = resolverWith();
+    const given = await resolver.resolve('https://www.globex.com.au/about');
+    assert.deepStrictEqual([given.domain, given.confidence, given.source], ['globex.com.au', 1, 'input']);
+    const aliased = await resolver.resolve('Acme Widgets Ltd');
+    assert.deepStrictEqual([aliased.domain, aliased.confidence, aliased.source], ['acmewidgets.io', 1, 'alias']);
+    assert.deepStrictEqual(searched, []);
+  });
+
+  await check('skips the paid web search when the organisation databases are sure', async () => {
+    const { resolver, searched } = resolverWith({
+      firmable: [{ name: 'Globex Corporation', domain: 'globex.com.au' }],
+      apollo: [{ name: 'Globex', domain: 'globex.com.au' }, { name: 'Globex Logistics', domain: 'globexlogistics.com' }],
+    });
+    const resolution = await resolver.resolve('Globex');
+    assert.deepStrictEqual([resolution.domain, resolution.confidence, resolution.source], ['globex.com.au', 1, 'firmable+apollo']);
+    assert.strictEqual(resolution.candidates[1].domain, 'globexlogistics.com');
+    assert.deepStrictEqual(searched.sort(), ['apollo', 'firmable']);
+  });
+
+  await check('searches the web when they are not, favouring its top result', async () => {
+    const { resolver, searched } = resolverWith({
+      firmable: [{ name: 'Intech Solutions', domain: 'intech.com.au' }],
+      serp: [{ name: 'Initech', domain: 'initech.com.au' }, { name: 'Initech', domain: 'initech.co.nz' }],
+    });
+    const resolution = await resolver.resolve('Initech');
+    assert.deepStrictEqual(searched, ['firmable', 'apollo', 'serp']);
+    assert.deepStrictEqual([resolution.domain, resolution.confidence, resolution.source], ['initech.com.au', 0.8, 'serp']);
+    assert.deepStrictEqual(resolution.candidates.map(c => [c.domain, c.confidence]), [['initech.com.au', 0.8], ['initech.co.nz', 0.65], ['intech.com.au', 0.6]]);
+  });
+
+  await check('sticks to free sources when paid is off, and guesses at 20% when nothing is found', async () => {
+    const { resolver, searched } = resolverWith();
+    const resolution = await resolver.resolve('Umbrella Corp', { paid: false });
+    assert.deepStrictEqual(searched, ['firmable']);
+    assert.deepStrictEqual([resolution.domain, resolution.confidence, resolution.source], ['umbrella.com.au', 0.2, 'guess']);
+    assert.ok(resolution.confidence < companyDomains.CONFIDENT, 'a guess is never confident');
+  });
+}
+
+runTests().finally(() => {
+  if (saved) fs.writeFileSync(ALIASES_FILE, saved);
+  else fs.rmSync(ALIASES_FILE, { force: true });
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for the email pattern learner (email-patterns.js)
+ *
+ * Run: node test-email-patterns.js
+ * Uses email-patterns.json like the app does - an existing file is put back afterwards.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const emailPatterns = require('./email-patterns.js');
+const { check } = require('./test-helpers.js');
+
+const PATTERNS_FILE = path.join(__dirname, 'email-patterns.json');
+
+const saved = fs.existsSync(PATTERNS_FILE) ? fs.readFileSync(PATTERNS_FILE) : null;
+fs.rmSync(PATTERNS_FILE, { force: true });
+
+try {
+  console.log('📧 EMAIL PATTERNS\n');
+
+  check('detects the format an email follows', () => {
+    assert.strictEqual(emailPatterns.detectFormat('Jane', 'Citizen', 'jane.citizen@acme.com.au'), 'first.last');
+    assert.strictEqual(emailPatterns.detectFormat('Jane', 'Citizen', 'jcitizen@acme.com.au'), 'flast');
+    assert.strictEqual(emailPatterns.detectFormat('Jane', 'Citizen', 'sales@acme.com.au'), null);
+  });
+
+  check('strips accents and punctuation from names', () => {
+    assert.strictEqual(emailPatterns.detectFormat('José', "O'Brien-Smith", 'jose.obriensmith@acme.com.au'), 'first.last');
+  });
+
+  check('ignores webmail addresses', () => {
+    assert.strictEqual(emailPatterns.learnEmail('Jane', 'Citizen', 'jane.citizen@gmail.com'), null);
+    assert.strictEqual(emailPatterns.getPattern('gmail.com'), null);
+  });
+
+  check('learns a domain and guesses emails in its dominant format', () => {
+    emailPatterns.learnEmail('Jane', 'Citizen', 'jane.citizen@acme.com.au', { source: 'Apollo', verified: true });
+    emailPatterns.learnEmail('Bob', 'Smith', 'bob.smith@acme.com.au', { source: 'Hunter', verified: true });
+    emailPatterns.learnEmail('Kim', 'Lee', 'klee@acme.com.au', { source: 'Apollo+Lusha' });
+    const pattern = emailPatterns.getPattern('ACME.com.au');
+    assert.strictEqual(pattern.format, 'first.last');
+    assert.deepStrictEqual(pattern.formats, { 'first.last': 2, flast: 1 });
+    assert.strictEqual(pattern.agreement, 0.67);
+    const guess = emailPatterns.guessEmail('Sam', 'Jones', 'acme.com.au');
+    assert.strictEqual(guess.email, 'sam.jones@acme.com.au');
+    assert.strictEqual(guess.confidence, pattern.confidence);
+  });
+
+  check('records an email once, upgrading it when it is verified later', () => {
+    emailPatterns.learnEmail('Kim', 'Lee', 'klee@acme.com.au', { source: 'Hunter', verified: true });
+    const samples = emailPatterns.listPatterns().find(p => p.domain === 'acme.com.au').samples;
+    assert.strictEqual(samples, 3);
+    assert.strictEqual(JSON.parse(fs.readFileSync(PATTERNS_FILE, 'utf8')).domains['acme.com.au'].samples.find(s => s.email === 'klee@acme.com.au').verified, true);
+  });
+
+  check('knows nothing about unseen domains, including prototype names', () => {
+    assert.strictEqual(emailPatterns.getPattern('unknown.com.au'), null);
+    assert.strictEqual(emailPatterns.getPattern('constructor'), null);
+    assert.strictEqual(emailPatterns.guessEmail('Sam', 'Jones', 'unknown.com.au'), null);
+  });
+} finally {
+  if (saved) fs.writeFileSync(PATTERNS_FILE, saved);
+  else fs.rmSync(PATTERNS_FILE, { force: true });
+}
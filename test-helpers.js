@@ -0,0 +1,22 @@
+/**
+ * Shared helpers for the test-*.js files
+ */
+
+// Run one named test and print ✅/❌ - a failure sets the exit code but the file keeps going.
+// Async tests return a promise to await, so their output stays in order.
+function check(name, fn) {
+  const pass = () => console.log(`✅ ${name}`);
+  const fail = err => {
+    console.log(`❌ ${name}\n   ${err.message}`);
+    process.exitCode = 1;
+  };
+  try {
+    const result = fn();
+    if (result && typeof result.then === 'function') return result.then(pass, fail);
+    pass();
+  } catch (err) {
+    fail(err);
+  }
+}
+
+module.exports = { check };
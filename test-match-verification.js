@@ -0,0 +1,104 @@
+/**
+ * Tests for identity checks (match-verification.js) and name scoring (name-utils.js)
+ *
+ * Run: node test-match-verification.js
+ */
+
+const assert = require('assert');
+const nameUtils = require('./name-utils.js');
+const { verifyMatch } = require('./match-verification.js');
+const { check } = require('./test-helpers.js');
+
+console.log('🔤 NAME SCORING\n');
+
+check('cleanName drops accents before stripping characters', () => {
+  assert.strictEqual(nameUtils.cleanName("José O'Brien"), 'jose obrien');
+  assert.strictEqual(nameUtils.cleanName('Zoë Saldaña-Núñez'), 'zoe saldana nunez');
+  assert.strictEqual(nameUtils.cleanName('Søren Łukasz'), 'soren lukasz');
+  assert.strictEqual(nameUtils.cleanName('王伟'), '');
+});
+
+check('scores nicknames, initials and double-barrelled surnames', () => {
+  assert.ok(nameUtils.personNameScore({ firstName: 'Bob', lastName: 'Smith' }, { firstName: 'Robert', lastName: 'Smith' }) >= 0.75);
+  assert.strictEqual(nameUtils.personNameScore({ firstName: 'Robert', lastName: 'Smith' }, { name: 'R. Smith' }), 0.92);
+  assert.ok(nameUtils.personNameScore({ firstName: 'Jane', lastName: 'Smith' }, { name: 'Jane Smith-Jones' }) >= 0.9);
+  assert.ok(nameUtils.personNameScore({ firstName: 'Bob', lastName: 'Smith' }, { firstName: 'Alice', lastName: 'Jones' }) < 0.5);
+});
+
+check('matches accented names against plain ones', () => {
+  assert.strictEqual(nameUtils.personNameScore({ firstName: 'Jose', lastName: 'Nunez' }, { name: 'José Núñez' }), 1);
+});
+
+check('is null when there is nothing to compare', () => {
+  assert.strictEqual(nameUtils.personNameScore({ firstName: 'Cher', lastName: 'Sarkisian' }, { firstName: 'Cher' }), null);
+  assert.strictEqual(nameUtils.personNameScore({ firstName: 'Wei', lastName: 'Wang' }, { name: '王伟' }), null);
+});
+
+console.log('\n👥 NICKNAMES\n');
+
+check('knows nicknames both ways, and nicknames of the same name', () => {
+  assert.deepStrictEqual(nameUtils.getNameVariants('Bob'), ['bob', 'robert', 'bobby', 'rob']);
+  assert.ok(nameUtils.getNameVariants('Robert').includes('bob'));
+  assert.ok(nameUtils.getNameVariants('rob').includes('robert'));
+  assert.deepStrictEqual(nameUtils.getNameVariants('Zara'), ['zara']);
+  assert.strictEqual(nameUtils.fuzzyScore('BOB', 'Robert'), 0.95);
+  assert.strictEqual(nameUtils.fuzzyScore('beth', 'liz'), 0.95);
+  assert.strictEqual(nameUtils.fuzzyScore('Jon', 'John'), 0.75);
+  assert.ok(nameUtils.fuzzyScore('mike', 'steve') < 0.5);
+});
+
+check('looks a person up by their name first, then a couple of nicknames', () => {
+  assert.deepStrictEqual(nameUtils.firstNameVariants('Bob'), ['Bob', 'Robert', 'Bobby']);
+  assert.deepStrictEqual(nameUtils.firstNameVariants('Rob', null, 1), ['Rob', 'Bob']);
+  assert.deepStrictEqual(nameUtils.firstNameVariants('Zara'), ['Zara']);
+});
+
+check('tries the nickname a provider already matched first', () => {
+  assert.deepStrictEqual(nameUtils.firstNameVariants('Bob', 'Robert'), ['Robert', 'Bob', 'Bobby']);
+  assert.deepStrictEqual(nameUtils.firstNameVariants('Bob', 'Rob'), ['Bob', 'Robert', 'Bobby']);
+});
+
+check('scores a nickname as the same first name', () => {
+  assert.strictEqual(nameUtils.personNameScore({ firstName: 'Bob', lastName: 'Smith' }, { firstName: 'Robert', lastName: 'Smith' }), 0.98);
+  assert.strictEqual(nameUtils.personNameScore({ firstName: 'Kate', lastName: 'Nguyen' }, { name: 'Katherine Nguyen' }), 0.98);
+  assert.ok(nameUtils.personNameScore({ firstName: 'Mike', lastName: 'Smith' }, { firstName: 'Steve', lastName: 'Smith' }) < 0.8);
+});
+
+console.log('\n🪪 MATCH VERIFICATION\n');
+
+check('trusts the right person at the right company', () => {
+  const identity = verifyMatch({ firstName: 'Bob', lastName: 'Smith', company: 'Acme', title: 'CEO' },
+    { firstName: 'Robert', lastName: 'Smith', company: 'Acme Pty Ltd', title: 'Chief Executive Officer' });
+  assert.strictEqual(identity.verdict, 'match');
+  assert.deepStrictEqual(identity.reasons, []);
+  assert.deepStrictEqual(Object.keys(identity.checks), ['name', 'company', 'title']);
+});
+
+check('flags the right name at another company', () => {
+  const identity = verifyMatch({ firstName: 'Jane', lastName: 'Citizen', company: 'Acme' }, { firstName: 'Jane', lastName: 'Citizen', company: 'Globex' });
+  assert.strictEqual(identity.verdict, 'flagged');
+  assert.deepStrictEqual(identity.reasons, ['works at "Globex", not "Acme"']);
+});
+
+check('rejects somebody else', () => {
+  const identity = verifyMatch({ firstName: 'Bob', lastName: 'Smith', company: 'Acme' }, { firstName: 'Alice', lastName: 'Jones', name: 'Alice Jones', company: 'Acme' });
+  assert.strictEqual(identity.verdict, 'rejected');
+  assert.deepStrictEqual(identity.reasons, ['name "Alice Jones" doesn\'t match']);
+});
+
+check('flags rather than rejects a name that cannot be compared', () => {
+  const nonLatin = verifyMatch({ firstName: 'Wei', lastName: 'Wang', company: 'Acme' }, { name: '王伟', company: 'Acme' });
+  assert.strictEqual(nonLatin.verdict, 'flagged');
+  assert.strictEqual(nonLatin.checks.name, null);
+  assert.deepStrictEqual(nonLatin.reasons, ['name "王伟" couldn\'t be compared']);
+
+  const noSurname = verifyMatch({ firstName: 'Cher', lastName: 'Sarkisian', company: 'Acme' }, { firstName: 'Cher', company: 'Globex' });
+  assert.strictEqual(noSurname.verdict, 'flagged');
+  assert.ok(noSurname.score < 0.5);
+});
+
+check('leaves out checks without data on both sides', () => {
+  const identity = verifyMatch({ firstName: 'Jane', lastName: 'Citizen', title: 'CFO' }, { firstName: 'Jane', lastName: 'Citizen', company: 'Acme' });
+  assert.deepStrictEqual(identity.checks, { name: 1 });
+  assert.strictEqual(identity.score, 1);
+});
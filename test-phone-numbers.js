@@ -0,0 +1,109 @@
+/**
+ * Tests for the AU/NZ numbering plan (phone-numbers.js)
+ *
+ * Run: node test-phone-numbers.js
+ */
+
+const assert = require('assert');
+const phoneNumbers = require('./phone-numbers.js');
+const { check } = require('./test-helpers.js');
+
+const lineOf = (number, options) => phoneNumbers.parsePhone(number, options)?.lineType;
+
+console.log('🇦🇺 AU NUMBERS\n');
+
+check('reads every provider format as the same E.164 number', () => {
+  ['+61290001234', '+61 2 9000 1234', '(02) 9000 1234', '02 9000 1234', '61290001234', '+61 (0)2 9000 1234', '0011 61 2 9000 1234']
+    .forEach(n => assert.strictEqual(phoneNumbers.toE164(n), '+61290001234', n));
+});
+
+check('classifies landlines by area code', () => {
+  assert.deepStrictEqual(phoneNumbers.parsePhone('(02) 9000 1234'), {
+    e164: '+61290001234', country: 'AU', lineType: 'landline', areaCode: '02', region: 'NSW/ACT', display: '(02) 9000 1234',
+  });
+  assert.strictEqual(phoneNumbers.parsePhone('08 8123 4567').region, 'SA/WA/NT');
+});
+
+check('rejects landlines whose local part starts with 0 or 1', () => {
+  assert.strictEqual(lineOf('02 0123 4567'), 'unknown');
+  assert.strictEqual(lineOf('03 1123 4567'), 'unknown');
+});
+
+check('classifies mobiles and service numbers', () => {
+  assert.strictEqual(phoneNumbers.parsePhone('0412 345 678').display, '0412 345 678');
+  assert.strictEqual(lineOf('0412345678'), 'mobile');
+  assert.strictEqual(lineOf('13 12 34'), 'local_rate');
+  assert.strictEqual(lineOf('1300 123 456'), 'local_rate');
+  assert.strictEqual(lineOf('1800 123 456'), 'freecall');
+  assert.strictEqual(lineOf('1900 123 456'), 'premium');
+});
+
+console.log('\n🇳🇿 NZ NUMBERS\n');
+
+check('reads local numbers as NZ when the country says so', () => {
+  assert.deepStrictEqual(phoneNumbers.parsePhone('021 123 4567', { country: 'NZ' }), {
+    e164: '+64211234567', country: 'NZ', lineType: 'mobile', areaCode: null, region: null, display: '021 123 4567',
+  });
+  assert.strictEqual(phoneNumbers.parsePhone('(09) 379 1234', { country: 'NZ' }).region, 'Auckland/Northland');
+  assert.strictEqual(phoneNumbers.parsePhone('0800 123 456', { country: 'NZ' }).display, '0800 123 456');
+  assert.strictEqual(lineOf('0508 123 456', { country: 'NZ' }), 'freecall');
+});
+
+check('without the country, NZ numbers are unknown rather than a wrong AU line', () => {
+  assert.notStrictEqual(lineOf('021 123 4567'), 'landline');
+  assert.notStrictEqual(phoneNumbers.parsePhone('0800 123 456').display, '(08) 0012 3456');
+});
+
+check('+64 numbers are NZ whatever the country', () => {
+  assert.strictEqual(phoneNumbers.parsePhone('+64 21 123 4567').lineType, 'mobile');
+  assert.strictEqual(phoneNumbers.parsePhone('+64 21 123 4567', { country: 'AU' }).country, 'NZ');
+});
+
+check('other countries are kept in E.164 as unknown, and non-numbers are null', () => {
+  assert.deepStrictEqual(phoneNumbers.parsePhone('+44 20 7946 0000'), {
+    e164: '+442079460000', country: 'GB', lineType: 'unknown', areaCode: null, region: null, display: '+442079460000',
+  });
+  assert.strictEqual(phoneNumbers.parsePhone('ext 12'), null);
+  assert.strictEqual(phoneNumbers.toE164(''), null);
+});
+
+console.log('\n☎️  CLASSIFIED PHONES\n');
+
+check('keeps the provider format in raw and marks switchboards', () => {
+  const phone = phoneNumbers.classifyPhone({ number: '(02) 9000 0000', source: 'Firmable', type: 'company' });
+  assert.strictEqual(phone.number, '+61290000000');
+  assert.strictEqual(phone.raw, '(02) 9000 0000');
+  assert.strictEqual(phone.switchboard, 'company_line');
+  assert.strictEqual(phoneNumbers.classifyPhone({ number: '1300 123 456' }).switchboard, 'service_number');
+  assert.strictEqual(phoneNumbers.classifyPhone({ number: '02 9123 4000' }).switchboard, 'round_number');
+  assert.strictEqual(phoneNumbers.classifyPhone({ number: '0412 345 678' }).switchboard, undefined);
+});
+
+check('re-reads a classified phone from raw when the country is known later', () => {
+  const asAU = phoneNumbers.classifyPhone({ number: '021 123 4567', source: 'Apollo' });
+  const asNZ = phoneNumbers.classifyPhone(asAU, { country: 'NZ' });
+  assert.strictEqual(asNZ.number, '+64211234567');
+  assert.strictEqual(asNZ.lineType, 'mobile');
+  assert.strictEqual(asNZ.country, 'NZ');
+  assert.strictEqual(asNZ.raw, '021 123 4567');
+  assert.strictEqual(asNZ.region, undefined);
+});
+
+check('keeps a shared switchboard when re-read', () => {
+  const phone = phoneNumbers.classifyPhone({ number: '0412 345 678', switchboard: 'shared' });
+  assert.strictEqual(phoneNumbers.classifyPhone(phone).switchboard, 'shared');
+});
+
+check('labels line types for display', () => {
+  assert.strictEqual(phoneNumbers.lineLabel(phoneNumbers.classifyPhone({ number: '02 9000 1234' })), 'landline (NSW/ACT)');
+  assert.strictEqual(phoneNumbers.lineLabel(phoneNumbers.classifyPhone({ number: '1300 123 456' })), 'switchboard · local rate');
+});
+
+check('finds numbers shared by several contacts', () => {
+  const shared = phoneNumbers.sharedNumbers([
+    { phones: [{ number: '+61290001234' }, { number: '+61412345678' }] },
+    { phones: [{ number: '+61290001234' }] },
+    { phones: [{ number: '+61412345679' }, { number: '+61412345679' }] },
+  ]);
+  assert.deepStrictEqual([...shared], ['+61290001234']);
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for rate limiting, retries and the circuit breaker (provider-policy.js)
+ *
+ * Run: node test-provider-policy.js
+ */
+
+const assert = require('assert');
+const providerPolicy = require('./provider-policy.js');
+const { check } = require('./test-helpers.js');
+
+// A provider with millisecond backoff, so retries don't slow the tests down
+let providerCount = 0;
+function testProvider(options = {}) {
+  const name = `test${++providerCount}`;
+  providerPolicy.configure(name, { ratePerSecond: 1000, burst: 1000, maxRetries: 2, baseDelayMs: 1, failureThreshold: 3, cooldownMs: 60000, ...options });
+  return name;
+}
+
+// send() that answers each attempt with the next status (or throws the next error)
+function answers(...replies) {
+  const send = async ({ timeout }) => {
+    send.calls++;
+    send.timeouts.push(timeout);
+    const reply = replies[Math.min(send.calls, replies.length) - 1];
+    if (reply instanceof Error) throw reply;
+    return typeof reply === 'number' ? { status: reply, headers: {}, text: '' } : reply;
+  };
+  send.calls = 0;
+  send.timeouts = [];
+  return send;
+}
+
+const timeoutError = () => Object.assign(new Error('Request timed out'), { timeout: true });
+
+async function runTests() {
+  console.log('🔁 RETRIES\n');
+
+  await check('retries 5xx and 429 until the provider answers, as one call', async () => {
+    const send = answers(503, 429, 200);
+    const res = await providerPolicy.execute(testProvider(), send);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.attempts, 3);
+    assert.strictEqual(send.calls, 3);
+  });
+
+  await check('returns the last answer once the retries run out, and counts it as a failure', async () => {
+    const provider = testProvider({ failureThreshold: 1 });
+    const res = await providerPolicy.execute(provider, answers(429));
+    assert.strictEqual(res.status, 429);
+    assert.strictEqual(res.attempts, 3);
+    assert.strictEqual(providerPolicy.getCircuitState(provider), 'open');
+  });
+
+  await check('does not retry 4xx answers', async () => {
+    const send = answers(404, 200);
+    const res = await providerPolicy.execute(testProvider(), send);
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(send.calls, 1);
+  });
+
+  await check('retries network errors but not timeouts', async () => {
+    const retried = answers(new Error('socket hang up'), 200);
+    assert.strictEqual((await providerPolicy.execute(testProvider(), retried)).attempts, 2);
+
+    const timedOut = answers(timeoutError(), 200);
+    const err = await providerPolicy.execute(testProvider({ timeoutMs: 1234 }), timedOut).catch(e => e);
+    assert.strictEqual(err.timeout, true);
+    assert.strictEqual(err.attempts, 1);
+    assert.deepStrictEqual(timedOut.timeouts, [1234]);
+  });
+
+  await check('waits as long as Retry-After says', async () => {
+    const started = Date.now();
+    await providerPolicy.execute(testProvider(), answers({ status: 429, headers: { 'retry-after': '0.2' }, text: '' }, 200));
+    assert.ok(Date.now() - started >= 180, `waited ${Date.now() - started}ms`);
+  });
+
+  console.log('\n🚦 RATE LIMIT\n');
+
+  await check('lets a burst through, then spaces calls at the sustained rate', async () => {
+    const provider = testProvider({ ratePerSecond: 20, burst: 2 });
+    const started = Date.now();
+    for (let i = 0; i < 4; i++) await providerPolicy.acquire(provider);
+    const elapsed = Date.now() - started;
+    // Two from the bucket, then 50ms per call
+    assert.ok(elapsed >= 80 && elapsed < 400, `took ${elapsed}ms`);
+  });
+
+  console.log('\n⚡ CIRCUIT BREAKER\n');
+
+  await check('opens after repeated failures and skips the provider', async () => {
+    const provider = testProvider({ maxRetries: 0 });
+    for (let i = 0; i < 3; i++) await providerPolicy.execute(provider, answers(500));
+    assert.strictEqual(providerPolicy.getCircuitState(provider), 'open');
+    const send = answers(200);
+    const err = await providerPolicy.execute(provider, send).catch(e => e);
+    assert.strictEqual(err.circuitOpen, true);
+    assert.strictEqual(send.calls, 0);
+    assert.strictEqual(providerPolicy.getHealth()[provider].failures, 3);
+  });
+
+  await check('lets one probe through after the cool-down and closes on success', async () => {
+    const provider = testProvider({ maxRetries: 0, failureThreshold: 1, cooldownMs: 20 });
+    await providerPolicy.execute(provider, answers(500));
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(providerPolicy.getCircuitState(provider), 'half-open');
+    const slow = answers(200);
+    const probe = providerPolicy.execute(provider, async attempt => { await new Promise(r => setTimeout(r, 20)); return slow(attempt); });
+    const second = await providerPolicy.execute(provider, answers(200)).catch(e => e);
+    assert.strictEqual(second.circuitOpen, true, 'only one probe at a time');
+    assert.strictEqual((await probe).status, 200);
+    assert.strictEqual(providerPolicy.getCircuitState(provider), 'closed');
+  });
+
+  await check('auth errors count as failures instead of resetting the breaker', async () => {
+    const provider = testProvider({ maxRetries: 0 });
+    await providerPolicy.execute(provider, answers(500));
+    await providerPolicy.execute(provider, answers(401));
+    assert.strictEqual(providerPolicy.getHealth()[provider].failures, 2);
+    await providerPolicy.execute(provider, answers(403));
+    assert.strictEqual(providerPolicy.getCircuitState(provider), 'open');
+  });
+
+  await check('other 4xx answers leave the failure count alone', async () => {
+    const provider = testProvider({ maxRetries: 0 });
+    await providerPolicy.execute(provider, answers(500));
+    await providerPolicy.execute(provider, answers(404));
+    assert.strictEqual(providerPolicy.getHealth()[provider].failures, 1);
+    await providerPolicy.execute(provider, answers(200));
+    assert.strictEqual(providerPolicy.getHealth()[provider].failures, 0);
+  });
+}
+
+runTests();
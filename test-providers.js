@@ -0,0 +1,96 @@
+/**
+ * Tests for the provider adapter registry (providers.js)
+ *
+ * Run: node test-providers.js
+ */
+
+const assert = require('assert');
+const { createProviders } = require('./providers.js');
+const credits = require('./credits.js');
+const { check } = require('./test-helpers.js');
+
+const config = {
+  apollo: { apiKey: 'apollo-key' }, lusha: { apiKey: 'lusha-key' }, firmable: { apiKey: 'firmable-key' }, serp: { apiKey: 'serp-key' },
+  hunter: { apiKey: '' }, numverify: { apiKey: '' }, abr: { guid: '' }, nzbn: { apiKey: '' },
+};
+
+// Registry whose apiRequest records every call instead of sending it
+function registry(env = {}) {
+  const saved = {};
+  Object.entries(env).forEach(([k, v]) => { saved[k] = process.env[k]; process.env[k] = v; });
+  const calls = [];
+  const providers = createProviders(config, {
+    apiRequest: async (provider, method, url, headers, body) => {
+      calls.push({ provider, method, url, body });
+      return url.includes('organizations/enrich') ? { organization: { name: 'Atlassian', primary_domain: 'atlassian.com' } } : {};
+    },
+    sourceStatus: () => ({ status: 'success' }),
+    estimateCost: credits.estimateCost,
+    costs: credits.COSTS,
+  });
+  Object.entries(saved).forEach(([k, v]) => { if (v === undefined) delete process.env[k]; else process.env[k] = v; });
+  return { providers, calls };
+}
+
+async function runTests() {
+  console.log('🔌 ENABLED PROVIDERS\n');
+
+  await check('a provider turned off with <NAME>_ENABLED=false is never called', async () => {
+    const { providers, calls } = registry({ SERP_ENABLED: 'false', APOLLO_ENABLED: 'false' });
+    assert.strictEqual(providers.get('serp'), null);
+    assert.strictEqual(await providers.run('serp', 'search', { q: 'Atlassian careers' }), null);
+    assert.strictEqual(await providers.run('apollo', 'enrichCompany', { domain: 'atlassian.com' }), null);
+    assert.strictEqual(await providers.run('apollo', 'searchPeople', { domains: ['atlassian.com'] }), null);
+    assert.strictEqual(providers.estimate('serp', 'search', { q: 'Atlassian' }), 0);
+    assert.ok(!providers.withOperation('searchCompanies').some(a => ['serp', 'apollo'].includes(a.name)));
+    assert.deepStrictEqual(calls, []);
+    assert.strictEqual(providers.list().find(a => a.name === 'serp').enabled, false);
+  });
+
+  await check('optional providers stay off until their key is set', () => {
+    const { providers } = registry();
+    assert.strictEqual(providers.get('hunter'), null);
+    assert.strictEqual(providers.get('numverify'), null);
+    assert.ok(providers.get('firmable'));
+  });
+
+  await check('an operation without its required input is not sent', async () => {
+    const { providers, calls } = registry();
+    assert.strictEqual(await providers.run('firmable', 'lookupCompany', {}), null);
+    assert.strictEqual(await providers.run('serp', 'search', { q: '' }), null);
+    assert.deepStrictEqual(calls, []);
+  });
+
+  console.log('\n🏢 COMPANY AND PEOPLE LOOKUPS\n');
+
+  await check('Apollo company enrichment hands back the organisation', async () => {
+    const { providers, calls } = registry();
+    const result = await providers.run('apollo', 'enrichCompany', { domain: 'atlassian.com' });
+    assert.strictEqual(calls[0].url, 'https://api.apollo.io/v1/organizations/enrich?domain=atlassian.com');
+    assert.strictEqual(result.matched, true);
+    assert.strictEqual(result.organization.name, 'Atlassian');
+    assert.deepStrictEqual(result.status, { status: 'success' });
+  });
+
+  await check('Apollo people search turns filters into api_search parameters', () => {
+    const { providers } = registry();
+    const req = providers.prepare('apollo', 'searchPeople', { domains: ['atlassian.com'], titles: ['CFO', 'Chief Financial Officer'], organizationLocations: [undefined], limit: 40 });
+    const params = new URL(req.url).searchParams;
+    assert.deepStrictEqual(params.getAll('person_titles[]'), ['CFO', 'Chief Financial Officer']);
+    assert.deepStrictEqual(params.getAll('organization_domains[]'), ['atlassian.com']);
+    assert.strictEqual(params.has('organization_locations[]'), false);
+    assert.strictEqual(params.get('per_page'), '25');
+    assert.strictEqual(providers.estimate('apollo', 'searchPeople', {}), 0);
+  });
+
+  await check('SerpAPI search costs a credit and maps the organic results', async () => {
+    const { providers } = registry();
+    assert.strictEqual(providers.estimate('serp', 'search', { q: 'Atlassian careers' }), 1);
+    const req = providers.prepare('serp', 'search', { q: 'Xero NZBN site:nzbn.govt.nz', num: 5, gl: 'nz' });
+    assert.match(req.url, /q=Xero%20NZBN%20site%3Anzbn\.govt\.nz&num=5&gl=nz$/);
+    const result = await providers.run('serp', 'search', { q: 'Atlassian careers' });
+    assert.deepStrictEqual([result.matched, result.results], [false, []]);
+  });
+}
+
+runTests();
@@ -0,0 +1,102 @@
+/**
+ * Tests for the result cache: TTLs, negative caching and single-flight (result-cache.js)
+ *
+ * Run: node test-result-cache.js
+ */
+
+const assert = require('assert');
+const resultCache = require('./result-cache.js');
+const { check } = require('./test-helpers.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const statsFor = type => resultCache.getStats().byType[type];
+
+async function runTests() {
+  console.log('⏱️  TTL\n');
+
+  await check('builds readable keys, however the parts were typed', () => {
+    assert.strictEqual(resultCache.generateKey('company', ['  Canva.COM ']), 'company:canva.com');
+    assert.strictEqual(resultCache.generateKey('person', ['Tom', 'Cowan', null]), 'person:tom|cowan|');
+  });
+
+  await check('uses the type TTL, overridable from the environment', () => {
+    assert.strictEqual(resultCache.getTTL('hiring'), 12 * 60 * 60);
+    process.env.CACHE_TTL_HIRING = '60';
+    assert.strictEqual(resultCache.getTTL('hiring'), 60);
+    delete process.env.CACHE_TTL_HIRING;
+    assert.strictEqual(resultCache.getTTL('unknowntype'), 24 * 60 * 60);
+  });
+
+  await check('serves an entry until it expires, counting hits and misses', async () => {
+    resultCache.set('tech:expiring.com', { technologies: ['React'] }, { ttl: 0.05 });
+    assert.deepStrictEqual(resultCache.get('tech:expiring.com').data, { technologies: ['React'] });
+    await sleep(60);
+    assert.strictEqual(resultCache.get('tech:expiring.com'), null);
+    assert.deepStrictEqual([statsFor('tech').hits, statsFor('tech').misses], [1, 1]);
+  });
+
+  await check('peek and has look without counting', () => {
+    resultCache.set('abn:51824753556', { matches: [{}] });
+    assert.ok(resultCache.peek('abn:51824753556'));
+    assert.strictEqual(resultCache.has('abn:51824753556'), true);
+    assert.strictEqual(resultCache.peek('abn:missing'), null);
+    assert.deepStrictEqual([statsFor('abn').hits, statsFor('abn').misses], [0, 0]);
+  });
+
+  console.log('\n🚫 NEGATIVE CACHING\n');
+
+  await check('keeps "not found" for the short negative TTL', () => {
+    resultCache.set('person:nobody', { person: null }, { meta: { notFound: true } });
+    const entry = resultCache.peek('person:nobody');
+    const ttl = (entry.expiresAt - Date.parse(entry.cachedAt)) / 1000;
+    assert.strictEqual(ttl, resultCache.getNegativeTTL());
+    assert.strictEqual(ttl, 10 * 60);
+    assert.strictEqual(resultCache.list({ type: 'person' })[0].notFound, true);
+    assert.strictEqual(statsFor('person').notFound, 1);
+  });
+
+  await check('takes the negative TTL from CACHE_TTL_NEGATIVE', () => {
+    process.env.CACHE_TTL_NEGATIVE = '5';
+    resultCache.set('company:unknown.com', { company: null }, { meta: { notFound: true } });
+    delete process.env.CACHE_TTL_NEGATIVE;
+    const entry = resultCache.peek('company:unknown.com');
+    assert.strictEqual(entry.expiresAt - Date.parse(entry.cachedAt), 5000);
+  });
+
+  console.log('\n🔀 SINGLE-FLIGHT\n');
+
+  await check('runs identical concurrent lookups once', async () => {
+    let calls = 0;
+    const lookup = async () => { calls++; await sleep(20); return { jobCount: 3 }; };
+    const first = resultCache.singleFlight('hiring:acme.com', lookup);
+    assert.strictEqual(resultCache.isInFlight('hiring:acme.com'), true);
+    const second = resultCache.singleFlight('hiring:acme.com', lookup);
+    const [a, b] = await Promise.all([first, second]);
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(a, b);
+    assert.strictEqual(statsFor('hiring').coalesced, 1);
+    assert.strictEqual(resultCache.isInFlight('hiring:acme.com'), false);
+  });
+
+  await check('runs the lookup again once the first has finished, or failed', async () => {
+    let calls = 0;
+    await resultCache.singleFlight('hiring:again.com', async () => ++calls);
+    await resultCache.singleFlight('hiring:again.com', async () => ++calls);
+    assert.strictEqual(calls, 2);
+    const failed = await resultCache.singleFlight('hiring:broken.com', async () => { throw new Error('down'); }).catch(e => e);
+    assert.strictEqual(failed.message, 'down');
+    assert.strictEqual(resultCache.isInFlight('hiring:broken.com'), false);
+  });
+
+  console.log('\n🧹 ADMIN\n');
+
+  await check('purges by domain anywhere in the data, and refreshes through the stored lookup', async () => {
+    resultCache.set('person:jane|citizen', { emails: [{ email: 'jane@canva.com' }] }, { refresh: async () => 'refreshed' });
+    assert.strictEqual(await resultCache.refresh('person:jane|citizen'), 'refreshed');
+    assert.strictEqual(await resultCache.refresh('person:nobody'), null);
+    assert.strictEqual(resultCache.purge({ domain: 'https://www.canva.com/' }), 1);
+    assert.strictEqual(resultCache.purge({}), 0);
+  });
+}
+
+runTests();
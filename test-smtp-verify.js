@@ -0,0 +1,108 @@
+/**
+ * Tests for the SMTP mailbox probe (smtp-verify.js) against a fake local mail server
+ *
+ * Run: node test-smtp-verify.js
+ */
+
+const assert = require('assert');
+const net = require('net');
+const { createSmtpVerifier } = require('./smtp-verify.js');
+const { check } = require('./test-helpers.js');
+
+// A mail server that knows `mailboxes` - or accepts anything when catchAll, or greylists every RCPT
+function fakeMailServer({ mailboxes = [], catchAll = false, greylist = false } = {}) {
+  const commands = [];
+  const server = net.createServer(socket => {
+    socket.write('220-mail.example.test ESMTP\r\n220 ready\r\n');
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        commands.push(line);
+        if (/^EHLO/i.test(line)) socket.write('250-mail.example.test\r\n250 SIZE 10240000\r\n');
+        else if (/^MAIL FROM/i.test(line)) socket.write('250 2.1.0 Ok\r\n');
+        else if (/^RCPT TO/i.test(line)) {
+          const address = line.match(/<(.*)>/)[1];
+          if (greylist) socket.write('451 4.7.1 Try again later\r\n');
+          else if (catchAll || mailboxes.includes(address)) socket.write('250 2.1.5 Ok\r\n');
+          else socket.write('550 5.1.1 No such user\r\n');
+        } else if (/^QUIT/i.test(line)) socket.end('221 2.0.0 Bye\r\n');
+        else socket.write('502 5.5.2 Command not recognised\r\n');
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, commands, port: server.address().port })));
+}
+
+// A verifier whose MX lookup points at the fake server
+function verifierFor(port, mx = [{ exchange: '127.0.0.1', priority: 10 }]) {
+  return createSmtpVerifier({ resolveMx: async () => mx }, { port, helo: 'probe.test', timeoutMs: 2000 });
+}
+
+async function runTests() {
+  console.log('📮 SMTP VERIFY\n');
+
+  const mail = await fakeMailServer({ mailboxes: ['jane@example.test'] });
+  const verifier = verifierFor(mail.port);
+
+  await check('deliverable when the mailbox is accepted and made-up ones are not', async () => {
+    const result = await verifier.verify('jane@example.test');
+    assert.deepStrictEqual(result, { result: 'deliverable', reason: 'mailbox_accepted', mx: '127.0.0.1', code: 250 });
+    assert.ok(mail.commands.includes('EHLO probe.test'));
+    assert.ok(mail.commands.includes('MAIL FROM:<postmaster@probe.test>'));
+    assert.ok(!mail.commands.some(c => /^DATA/i.test(c)), 'never sends DATA');
+  });
+
+  await check('undeliverable when the server rejects the mailbox', async () => {
+    const result = await verifier.verify('nobody@example.test');
+    assert.strictEqual(result.result, 'undeliverable');
+    assert.strictEqual(result.reason, 'mailbox_rejected');
+    assert.strictEqual(result.code, 550);
+  });
+  mail.server.close();
+
+  const catchAll = await fakeMailServer({ catchAll: true });
+  await check('catch_all when the server accepts any address', async () => {
+    const result = await verifierFor(catchAll.port).verify('jane@example.test');
+    assert.strictEqual(result.result, 'catch_all');
+    assert.strictEqual(result.reason, 'accepts_any_address');
+  });
+  catchAll.server.close();
+
+  const greylist = await fakeMailServer({ greylist: true });
+  await check('unknown when the server greylists', async () => {
+    const result = await verifierFor(greylist.port).verify('jane@example.test');
+    assert.strictEqual(result.result, 'unknown');
+    assert.strictEqual(result.reason, 'temporary_failure');
+    assert.strictEqual(result.code, 451);
+  });
+  greylist.server.close();
+
+  await check('undeliverable with no_mx when the domain has no MX records', async () => {
+    assert.deepStrictEqual(await verifierFor(1, []).verify('jane@example.test'), { result: 'undeliverable', reason: 'no_mx' });
+    const nxdomain = createSmtpVerifier({ resolveMx: async () => { throw Object.assign(new Error('queryMx ENOTFOUND'), { code: 'ENOTFOUND' }); } });
+    assert.deepStrictEqual(await nxdomain.verify('jane@nowhere.test'), { result: 'undeliverable', reason: 'no_mx' });
+  });
+
+  await check('connects to the preferred MX host', async () => {
+    const hosts = [];
+    const verifier = createSmtpVerifier({
+      resolveMx: async () => [{ exchange: 'backup.example.test', priority: 20 }, { exchange: 'primary.example.test', priority: 5 }],
+      connect: host => { hosts.push(host); return net.createConnection({ host: '127.0.0.1', port: 1 }); },
+    }, { timeoutMs: 1000 });
+    const result = await verifier.verify('jane@example.test');
+    assert.deepStrictEqual(hosts, ['primary.example.test']);
+    assert.strictEqual(result.result, 'unknown');
+    assert.strictEqual(result.reason, 'connection_failed');
+  });
+
+  await check('undeliverable without a session for a malformed address', async () => {
+    assert.deepStrictEqual(await verifierFor(1).verify('not-an-email'), { result: 'undeliverable', reason: 'invalid_format' });
+  });
+}
+
+runTests();
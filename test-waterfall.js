@@ -0,0 +1,121 @@
+/**
+ * Tests for waterfall strategies: step order, stop rules and custom strategies (waterfall.js)
+ *
+ * Run: node test-waterfall.js
+ * Uses strategies.json like the app does - an existing file is put back afterwards.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const waterfall = require('./waterfall.js');
+const { check } = require('./test-helpers.js');
+
+const STRATEGIES_FILE = path.join(__dirname, 'strategies.json');
+const PROVIDERS = ['apollo', 'lusha', 'firmable', 'hunter'];
+
+// Walk a strategy the way runWaterfall does: each provider answers with what found[provider] holds
+function walk(strategy, fields, found = {}) {
+  const results = { emails: [], phones: [] };
+  const tried = {};
+  const steps = [];
+  let pending = fields.filter(f => !waterfall.isSatisfied(f, strategy.fields[f], results));
+  let step;
+  while ((step = waterfall.nextStep(strategy, pending, tried))) {
+    waterfall.markTried(tried, step);
+    steps.push(`${step.provider}:${step.fields.join('+')}`);
+    results.emails.push(...(found[step.provider]?.emails || []));
+    results.phones.push(...(found[step.provider]?.phones || []));
+    pending = pending.filter(f => !waterfall.isSatisfied(f, strategy.fields[f], results));
+  }
+  return { steps, unsatisfied: pending };
+}
+
+const workEmail = { emails: [{ email: 'jane@acme.com.au' }] };
+const verifiedEmail = { emails: [{ email: 'jane@acme.com.au', verified: true }] };
+const mobile = { phones: [{ number: '+61412345678', lineType: 'mobile' }] };
+
+const saved = fs.existsSync(STRATEGIES_FILE) ? fs.readFileSync(STRATEGIES_FILE) : null;
+fs.rmSync(STRATEGIES_FILE, { force: true });
+delete process.env.WATERFALL_STRATEGY;
+
+try {
+  console.log('🪜 STEP ORDER\n');
+
+  check('asks providers in the strategy order, one step per provider', () => {
+    const { steps, unsatisfied } = walk(waterfall.getStrategy('balanced'), ['email', 'mobile', 'workPhone']);
+    assert.deepStrictEqual(steps, ['apollo:email', 'hunter:email', 'lusha:email+workPhone', 'firmable:email+mobile']);
+    assert.deepStrictEqual(unsatisfied, ['email', 'mobile', 'workPhone']);
+  });
+
+  check('never asks a provider twice for the same contact', () => {
+    // Lusha and Apollo are later in line for mobile, but were already asked for email and work phone
+    const { steps } = walk(waterfall.getStrategy('balanced'), ['email', 'mobile', 'workPhone']);
+    const providers = steps.map(s => s.split(':')[0]);
+    assert.deepStrictEqual(providers, [...new Set(providers)]);
+  });
+
+  check('stops paying once each field is satisfied', () => {
+    const { steps, unsatisfied } = walk(waterfall.getStrategy('balanced'), ['email', 'mobile'], { apollo: verifiedEmail, firmable: mobile });
+    assert.deepStrictEqual(steps, ['apollo:email', 'firmable:mobile']);
+    assert.deepStrictEqual(unsatisfied, []);
+  });
+
+  check('asks a provider for every field it is next in line for', () => {
+    const { steps } = walk(waterfall.getStrategy('au-mobile'), ['mobile', 'email', 'workPhone']);
+    assert.strictEqual(steps[0], 'firmable:mobile+email+workPhone');
+    assert.deepStrictEqual(walk(waterfall.getStrategy('every-source'), ['email', 'mobile']).steps[0], 'apollo:email+mobile');
+  });
+
+  console.log('\n🛑 STOP RULES\n');
+
+  check('"verified" keeps going past an unverified work email, "found" does not', () => {
+    const balanced = walk(waterfall.getStrategy('balanced'), ['email'], { apollo: workEmail, hunter: verifiedEmail });
+    assert.deepStrictEqual(balanced.steps, ['apollo:email', 'hunter:email']);
+    const auMobile = walk(waterfall.getStrategy('au-mobile'), ['email'], { firmable: workEmail });
+    assert.deepStrictEqual(auMobile.steps, ['firmable:email']);
+  });
+
+  check('"never" asks every provider in the list', () => {
+    const { steps } = walk(waterfall.getStrategy('every-source'), ['mobile'], { apollo: mobile });
+    assert.deepStrictEqual(steps, ['apollo:mobile', 'lusha:mobile', 'firmable:mobile']);
+  });
+
+  check('personal emails, switchboards and landlines sold as mobiles do not satisfy a field', () => {
+    const rule = { stopWhen: 'found' };
+    assert.strictEqual(waterfall.isSatisfied('email', rule, { emails: [{ email: 'jane@gmail.com', type: 'personal' }], phones: [] }), false);
+    assert.strictEqual(waterfall.isSatisfied('workPhone', rule, { emails: [], phones: [{ number: '(02) 9000 0000', type: 'work', switchboard: 'company_line' }] }), false);
+    assert.strictEqual(waterfall.isSatisfied('mobile', rule, { emails: [], phones: [{ number: '(02) 9000 1234', type: 'mobile', lineType: 'landline' }] }), false);
+    assert.strictEqual(waterfall.isSatisfied('mobile', rule, { emails: [], phones: [{ number: '0412 345 678', type: 'mobile', lineType: 'unknown' }] }), true);
+  });
+
+  console.log('\n🧩 CUSTOM STRATEGIES\n');
+
+  check('saves a custom strategy, dropping repeated providers', () => {
+    const result = waterfall.saveStrategy('lusha-first', { fields: { email: { providers: ['lusha', 'apollo', 'lusha'] } } }, PROVIDERS);
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.strategy.fields.email, { providers: ['lusha', 'apollo'], stopWhen: 'found' });
+    assert.deepStrictEqual(walk(waterfall.getStrategy('lusha-first'), ['email', 'mobile']).steps, ['lusha:email', 'apollo:email']);
+  });
+
+  check('rejects bad names, fields, providers and stop rules', () => {
+    const save = (name, fields) => waterfall.saveStrategy(name, { fields }, PROVIDERS).error;
+    assert.strictEqual(save('Bad Name', { email: { providers: ['apollo'] } }), 'Name must be lowercase letters, numbers and dashes');
+    assert.strictEqual(save('balanced', { email: { providers: ['apollo'] } }), 'balanced is a built-in strategy');
+    assert.match(save('x', { fax: { providers: ['apollo'] } }), /^Unknown field: fax/);
+    assert.strictEqual(save('x', { email: { providers: ['apolo'] } }), 'email: unknown provider apolo');
+    assert.match(save('x', { email: { providers: ['apollo'], stopWhen: 'sometimes' } }), /stopWhen must be/);
+  });
+
+  check('falls back to the default strategy for unknown names', () => {
+    assert.strictEqual(waterfall.resolveStrategy('toString').name, 'balanced');
+    process.env.WATERFALL_STRATEGY = 'lusha-first';
+    assert.strictEqual(waterfall.resolveStrategy().name, 'lusha-first');
+    delete process.env.WATERFALL_STRATEGY;
+    assert.strictEqual(waterfall.deleteStrategy('lusha-first').success, true);
+    assert.strictEqual(waterfall.deleteStrategy('balanced').error, 'balanced is a built-in strategy');
+  });
+} finally {
+  if (saved) fs.writeFileSync(STRATEGIES_FILE, saved);
+  else fs.rmSync(STRATEGIES_FILE, { force: true });
+}
@@ -0,0 +1,215 @@
+/**
+ * Validation Module - Email, phone and business number checks
+ *
+ * Port of validation.validateEmail / validatePhone / fallbackPhoneValidation
+ * from index.js. Remote checks (Hunter email verifier, NumVerify) are passed
+ * in, so webapp-v4 can route them through its provider layer for rate limits,
+ * credits and stats.
+ *
+ * Every result is { valid, status, reason, confidence, details? }:
+ *   status     - valid (confirmed by a verifier), invalid, risky, unverified (local checks only)
+ *   reason     - why, e.g. invalid_format, disposable, deliverable, pattern_valid
+ *   confidence - 0..1
+ *
+ * Business numbers (validateABN, validateACN, validateNZBN) are checksum-only: { valid, formatted?, error }.
+ */
+
+const phoneNumbers = require('./phone-numbers.js');
+
+const DISPOSABLE_DOMAINS = [
+  'tempmail.com', 'throwaway.com', 'mailinator.com', 'guerrillamail.com',
+  'temp-mail.org', '10minutemail.com', 'fakeinbox.com',
+];
+
+// Mobile patterns by ISO country code (NumVerify's country_code)
+const PHONE_PATTERNS = {
+  AU: /^(?:\+?61|0)?4\d{8}$/,    // Australian mobile
+  US: /^(?:\+?1)?[2-9]\d{9}$/,   // US
+  GB: /^(?:\+?44)?7\d{9}$/,      // UK mobile
+  NZ: /^(?:\+?64)?2\d{7,9}$/,    // New Zealand mobile
+};
+
+function isValidEmailFormat(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email || '');
+}
+
+function isDisposableEmail(email) {
+  const domain = (email || '').split('@')[1]?.toLowerCase();
+  return DISPOSABLE_DOMAINS.includes(domain);
+}
+
+// Best guess at a number's country from its prefix (phone-numbers.js). Local (0-prefixed)
+// numbers are read as the contact's country (AU or NZ), AU when it isn't known.
+function countryForNumber(number, country) {
+  return phoneNumbers.parsePhone(number, { country })?.country || '';
+}
+
+// Validate ABN checksum (Australian Business Number validation)
+function validateABN(abn) {
+  const abnClean = String(abn).replace(/\s/g, '');
+  if (!/^\d{11}$/.test(abnClean)) return { valid: false, error: 'ABN must be 11 digits' };
+  
+  // ABN validation algorithm
+  const weights = [10, 1, 3, 5, 7, 9, 11, 13, 15, 17, 19];
+  let sum = 0;
+  
+  for (let i = 0; i < 11; i++) {
+    let digit = parseInt(abnClean[i]);
+    if (i === 0) digit -= 1; // Subtract 1 from first digit
+    sum += digit * weights[i];
+  }
+  
+  const valid = sum % 89 === 0;
+  return {
+    valid,
+    formatted: abnClean.replace(/(\d{2})(\d{3})(\d{3})(\d{3})/, '$1 $2 $3 $4'),
+    error: valid ? null : 'Invalid ABN checksum',
+  };
+}
+
+// Validate ACN checksum (Australian Company Number) - weights 8..1, check digit is 10 minus the sum mod 10
+function validateACN(acn) {
+  const acnClean = String(acn).replace(/\s/g, '');
+  if (!/^\d{9}$/.test(acnClean)) return { valid: false, error: 'ACN must be 9 digits' };
+  
+  let sum = 0;
+  for (let i = 0; i < 8; i++) sum += parseInt(acnClean[i]) * (8 - i);
+  
+  const valid = (10 - (sum % 10)) % 10 === parseInt(acnClean[8]);
+  return {
+    valid,
+    formatted: acnClean.replace(/(\d{3})(\d{3})(\d{3})/, '$1 $2 $3'),
+    error: valid ? null : 'Invalid ACN checksum',
+  };
+}
+
+// Validate NZBN checksum - a 13-digit GS1 number (GLN) starting 94
+function validateNZBN(nzbn) {
+  const nzbnClean = String(nzbn || '').replace(/\s/g, '');
+  if (!/^\d{13}$/.test(nzbnClean)) return { valid: false, error: 'NZBN must be 13 digits' };
+  if (!nzbnClean.startsWith('94')) return { valid: false, formatted: nzbnClean, error: 'NZBN must start with 94' };
+  
+  // GS1 check digit: weights 1,3,1,3... over the first 12 digits
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += parseInt(nzbnClean[i]) * (i % 2 === 0 ? 1 : 3);
+  const valid = (10 - (sum % 10)) % 10 === parseInt(nzbnClean[12]);
+  return {
+    valid,
+    formatted: nzbnClean,
+    error: valid ? null : 'Invalid NZBN checksum',
+  };
+}
+
+// Hunter verifier status → result, for verdicts without one (the email finder only returns a status)
+const HUNTER_RESULTS = { valid: 'deliverable', invalid: 'undeliverable' };
+
+// Turn a Hunter verdict ({ status, result?, score, disposable, webmail }) into a validation.
+// Risky results keep Hunter's status (accept_all, unknown...) as the reason.
+function fromHunter(verification) {
+  const result = verification.result || HUNTER_RESULTS[verification.status] || 'risky';
+  const status = result === 'deliverable' ? 'valid' : result === 'undeliverable' ? 'invalid' : 'risky';
+  return {
+    valid: result === 'deliverable',
+    status,
+    reason: status === 'risky' && verification.status ? verification.status : result,
+    confidence: Number.isFinite(verification.score) ? verification.score / 100 : (status === 'valid' ? 0.9 : 0.5),
+    details: {
+      status: verification.status,
+      disposable: !!verification.disposable,
+      webmail: !!verification.webmail,
+    },
+  };
+}
+
+// SMTP probe result (smtp-verify.js) → validation. Unknown results say nothing, so they return null.
+function fromSmtp(smtp) {
+  if (smtp.result === 'deliverable') return { valid: true, status: 'valid', reason: 'deliverable', confidence: 0.85, details: { smtp: smtp.result, mx: smtp.mx } };
+  if (smtp.result === 'catch_all') return { valid: true, status: 'risky', reason: 'catch_all', confidence: 0.5, details: { smtp: smtp.result, mx: smtp.mx } };
+  if (smtp.result === 'undeliverable') return { valid: false, status: 'invalid', reason: smtp.reason === 'no_mx' ? 'no_mx' : 'undeliverable', confidence: 0, details: { smtp: smtp.result, mx: smtp.mx || null } };
+  return null;
+}
+
+// Pattern-based phone validation, used when NumVerify isn't available. Only numbers that fit a
+// known numbering plan - the AU/NZ plan (phone-numbers.js) or a PHONE_PATTERNS mobile - are
+// unverified; anything else is pattern_invalid, however many digits it has.
+function fallbackPhoneValidation(phone, countryCode) {
+  const cleaned = String(phone || '').replace(/\D/g, '');
+  const lineType = phoneNumbers.parsePhone(phone, { country: countryCode })?.lineType;
+  const isValidPattern = (!!lineType && lineType !== 'unknown') || !!PHONE_PATTERNS[countryCode]?.test(cleaned);
+  return {
+    valid: isValidPattern,
+    status: isValidPattern ? 'unverified' : 'invalid',
+    reason: isValidPattern ? 'pattern_valid' : 'pattern_invalid',
+    confidence: isValidPattern ? 0.6 : 0.2,
+  };
+}
+
+/**
+ * checks.verifyEmail(email, options)             → Hunter-style verdict, or null when unavailable
+ * checks.probeMailbox(email, options)            → SMTP probe result (smtp-verify.js), or null when off
+ * checks.lookupPhone(number, countryCode, options) → NumVerify response fields, or null when unavailable
+ *
+ * options.remote = false skips the remote checks; options.verification / options.smtp reuse a
+ * verdict already on the email (e.g. from the Hunter email finder) instead of checking again.
+ * Hunter's verdict wins over the SMTP probe.
+ */
+function createValidator(checks = {}) {
+  async function validateEmail(email, options = {}) {
+    if (!isValidEmailFormat(email)) {
+      return { valid: false, status: 'invalid', reason: 'invalid_format', confidence: 0 };
+    }
+    if (isDisposableEmail(email)) {
+      return { valid: true, status: 'risky', reason: 'disposable', confidence: 0.3 };
+    }
+
+    const verification = options.verification
+      || (options.remote !== false && checks.verifyEmail ? await checks.verifyEmail(email, options) : null);
+    if (verification) return fromHunter(verification);
+
+    const smtp = options.smtp
+      || (options.remote !== false && checks.probeMailbox ? await checks.probeMailbox(email, options) : null);
+    const probed = smtp && fromSmtp(smtp);
+    if (probed) return probed;
+
+    return { valid: true, status: 'unverified', reason: 'format_valid', confidence: 0.6 };
+  }
+
+  async function validatePhone(phone, countryCode = '', options = {}) {
+    const cleaned = String(phone || '').replace(/\D/g, '');
+    if (cleaned.length < 8 || cleaned.length > 15) {
+      return { valid: false, status: 'invalid', reason: 'invalid_length', confidence: 0 };
+    }
+
+    const data = options.remote !== false && checks.lookupPhone ? await checks.lookupPhone(cleaned, countryCode, options) : null;
+    if (!data) return fallbackPhoneValidation(phone, countryCode);
+
+    return {
+      valid: data.valid,
+      status: data.valid ? 'valid' : 'invalid',
+      reason: data.valid ? 'verified' : 'invalid',
+      confidence: data.valid ? 0.95 : 0,
+      details: {
+        carrier: data.carrier,
+        lineType: data.lineType,
+        location: data.location,
+        countryCode: data.countryCode,
+        countryName: data.countryName,
+        internationalFormat: data.internationalFormat,
+        localFormat: data.localFormat,
+      },
+    };
+  }
+
+  return { validateEmail, validatePhone };
+}
+
+module.exports = {
+  isValidEmailFormat,
+  isDisposableEmail,
+  countryForNumber,
+  validateABN,
+  validateACN,
+  validateNZBN,
+  fallbackPhoneValidation,
+  createValidator,
+};
@@ -0,0 +1,168 @@
+/**
+ * Waterfall Module - Per-field enrichment strategies
+ *
+ * A strategy lists, for each reveal field, the providers to try in order and
+ * when to stop:
+ *   found    - stop at the first provider that returns the field
+ *   verified - keep going until an email is verified (phones: same as found)
+ *   never    - ask every provider in the list
+ *
+ * Built-in strategies can't be changed; custom ones are saved in strategies.json.
+ * The default is WATERFALL_STRATEGY (or 'balanced').
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { REVEAL_FIELDS, phoneField } = require('./providers.js');
+
+const STRATEGIES_FILE = path.join(__dirname, 'strategies.json');
+const STOP_RULES = ['found', 'verified', 'never'];
+
+const BUILT_IN = {
+  balanced: {
+    label: 'Balanced - stop once each field is found',
+    fields: {
+      email: { providers: ['apollo', 'hunter', 'lusha', 'firmable'], stopWhen: 'verified' },
+      mobile: { providers: ['firmable', 'lusha', 'apollo'], stopWhen: 'found' },
+      workPhone: { providers: ['lusha', 'apollo'], stopWhen: 'found' },
+    },
+  },
+  'au-mobile': {
+    label: 'AU mobile first - Firmable then Lusha',
+    fields: {
+      mobile: { providers: ['firmable', 'lusha'], stopWhen: 'found' },
+      email: { providers: ['firmable', 'apollo', 'hunter', 'lusha'], stopWhen: 'found' },
+      workPhone: { providers: ['firmable', 'lusha'], stopWhen: 'found' },
+    },
+  },
+  'every-source': {
+    label: 'Every source - ask all providers',
+    fields: {
+      email: { providers: ['apollo', 'hunter', 'lusha', 'firmable'], stopWhen: 'never' },
+      mobile: { providers: ['apollo', 'lusha', 'firmable'], stopWhen: 'never' },
+      workPhone: { providers: ['apollo', 'lusha', 'firmable'], stopWhen: 'never' },
+    },
+  },
+};
+
+function loadCustom() {
+  try {
+    if (fs.existsSync(STRATEGIES_FILE)) {
+      return JSON.parse(fs.readFileSync(STRATEGIES_FILE, 'utf8'));
+    }
+  } catch (e) { console.error('Error loading strategies:', e.message); }
+  return {};
+}
+
+function saveCustom(custom) {
+  try {
+    fs.writeFileSync(STRATEGIES_FILE, JSON.stringify(custom, null, 2));
+    return true;
+  } catch (e) {
+    console.error('Error saving strategies:', e.message);
+    return false;
+  }
+}
+
+function defaultStrategyName() {
+  const name = process.env.WATERFALL_STRATEGY;
+  return name && getStrategy(name) ? name : 'balanced';
+}
+
+// Own keys only - "toString" or "constructor" aren't strategies
+function getStrategy(name) {
+  if (Object.hasOwn(BUILT_IN, name)) return { name, builtIn: true, ...BUILT_IN[name] };
+  const custom = loadCustom();
+  return Object.hasOwn(custom, name) ? { name, builtIn: false, ...custom[name] } : null;
+}
+
+// The named strategy, or the default when no name is given
+function resolveStrategy(name) {
+  return (name && getStrategy(name)) || getStrategy(defaultStrategyName());
+}
+
+function listStrategies() {
+  const names = [...Object.keys(BUILT_IN), ...Object.keys(loadCustom())];
+  const defaultName = defaultStrategyName();
+  return [...new Set(names)].map(name => ({ ...getStrategy(name), default: name === defaultName }));
+}
+
+// providerNames: providers that can match a person (checked so a typo doesn't silently skip a step)
+function saveStrategy(name, { label, fields } = {}, providerNames = []) {
+  if (!/^[a-z0-9-]{1,40}$/.test(name || '')) return { success: false, error: 'Name must be lowercase letters, numbers and dashes' };
+  if (Object.hasOwn(BUILT_IN, name)) return { success: false, error: `${name} is a built-in strategy` };
+  if (!fields || typeof fields !== 'object' || !Object.keys(fields).length) return { success: false, error: 'fields required' };
+
+  const clean = {};
+  for (const [field, rule] of Object.entries(fields)) {
+    if (!REVEAL_FIELDS.includes(field)) return { success: false, error: `Unknown field: ${field} (${REVEAL_FIELDS.join(', ')})` };
+    if (!Array.isArray(rule?.providers) || !rule.providers.length) return { success: false, error: `${field}: providers required` };
+    const unknown = rule.providers.find(p => !providerNames.includes(p));
+    if (unknown) return { success: false, error: `${field}: unknown provider ${unknown}` };
+    const stopWhen = rule.stopWhen || 'found';
+    if (!STOP_RULES.includes(stopWhen)) return { success: false, error: `${field}: stopWhen must be ${STOP_RULES.join(', ')}` };
+    clean[field] = { providers: [...new Set(rule.providers)], stopWhen };
+  }
+
+  const custom = loadCustom();
+  custom[name] = { label: String(label || name).substring(0, 100), fields: clean };
+  saveCustom(custom);
+  return { success: true, strategy: getStrategy(name) };
+}
+
+function deleteStrategy(name) {
+  if (Object.hasOwn(BUILT_IN, name)) return { success: false, error: `${name} is a built-in strategy` };
+  const custom = loadCustom();
+  if (!Object.hasOwn(custom, name)) return { success: false, error: 'Strategy not found' };
+  delete custom[name];
+  saveCustom(custom);
+  return { success: true };
+}
+
+// Does results already have this field, by the strategy's stop rule?
+// Email counts work emails only - a personal address doesn't stop the search. Phones go by
+// their numbering-plan line type when it's known (a "mobile" that's a landline isn't one), and
+// switchboards don't count.
+function isSatisfied(field, rule = {}, results) {
+  const stopWhen = rule.stopWhen || 'found';
+  if (stopWhen === 'never') return false;
+  if (field === 'email') {
+    const work = results.emails.filter(e => e.type !== 'personal');
+    return stopWhen === 'verified' ? work.some(e => e.verified) : work.length > 0;
+  }
+  return results.phones.some(p => !p.switchboard && phoneField(p.lineType && p.lineType !== 'unknown' ? p.lineType : p.type) === field);
+}
+
+// Next provider to call: the next untried provider for the first unsatisfied field. It's also
+// asked for any other pending field it is next in line for, so its order is kept for every field.
+// tried maps field → Set of providers already asked (see markTried).
+function nextStep(strategy, pending, tried) {
+  const nextFor = field => (strategy.fields[field]?.providers || []).find(p => !tried[field]?.has(p));
+  for (const field of pending) {
+    const provider = nextFor(field);
+    if (provider) return { provider, fields: pending.filter(f => nextFor(f) === provider) };
+  }
+  return null;
+}
+
+// Mark a step's provider as tried for every field, not just the step's - a contact goes to each
+// provider once at most, so a later field that lists it again skips it instead of paying twice
+function markTried(tried, step) {
+  REVEAL_FIELDS.forEach(field => {
+    if (!tried[field]) tried[field] = new Set();
+    tried[field].add(step.provider);
+  });
+}
+
+module.exports = {
+  STOP_RULES,
+  defaultStrategyName,
+  getStrategy,
+  resolveStrategy,
+  listStrategies,
+  saveStrategy,
+  deleteStrategy,
+  isSatisfied,
+  nextStep,
+  markTried,
+};
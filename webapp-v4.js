@@ -14,10 +14,25 @@
  */
 
 const http = require('http');
-const { execSync } = require('child_process');
+const { request, parseJSON, httpPost } = require('./http-client.js');
+const providerPolicy = require('./provider-policy.js');
 const watchlist = require('./watchlist.js');
 const stats = require('./stats.js');
+const credits = require('./credits.js');
+const resultCache = require('./result-cache.js');
+const { REVEAL_FIELDS, createProviders } = require('./providers.js');
+const validation = require('./validation.js');
+const { createSmtpVerifier } = require('./smtp-verify.js');
+const consolidation = require('./consolidation.js');
+const phoneNumbers = require('./phone-numbers.js');
+const emailPatterns = require('./email-patterns.js');
+const nameUtils = require('./name-utils.js');
+const matchVerification = require('./match-verification.js');
+const companyDomains = require('./domain-resolver.js');
+const companyGroups = require('./company-groups.js');
+const waterfall = require('./waterfall.js');
 const url = require('url');
+const os = require('os');
 const querystring = require('querystring');
 const crypto = require('crypto');
 
@@ -28,36 +43,239 @@ const config = {
   apollo: { apiKey: process.env.APOLLO_API_KEY || process.env.APOLLO_API_KEY || '' },
   firmable: { apiKey: process.env.FIRMABLE_API_KEY || process.env.FIRMABLE_API_KEY || '' },
   lusha: { apiKey: process.env.LUSHA_API_KEY || process.env.LUSHA_API_KEY || '' },
+  hunter: { apiKey: process.env.HUNTER_API_KEY || '' },
+  numverify: { apiKey: process.env.NUMVERIFY_API_KEY || '' },
+  // ABR ABN Lookup web service - register for a free GUID at abr.business.gov.au
+  abr: { guid: process.env.ABR_GUID || '' },
+  // NZBN register API - free subscription key from api.business.govt.nz
+  nzbn: { apiKey: process.env.NZBN_API_KEY || '' },
+  // SMTP mailbox probing - off by default, many networks block outbound port 25.
+  // SMTP_VERIFY_MX_HOST skips the MX lookup and probes that host (e.g. a local fake mail server).
+  smtp: {
+    enabled: process.env.SMTP_VERIFY_ENABLED === 'true',
+    port: parseInt(process.env.SMTP_VERIFY_PORT) || 25,
+    helo: process.env.SMTP_VERIFY_HELO || os.hostname(),
+    from: process.env.SMTP_VERIFY_FROM || '',
+    mxHost: process.env.SMTP_VERIFY_MX_HOST || '',
+    timeoutMs: parseInt(process.env.SMTP_VERIFY_TIMEOUT_MS) || 8000,
+  },
   slack: { signingSecret: process.env.SLACK_SIGNING_SECRET || '' },
+  
+  // Rate limit and retry policy per provider - override with e.g. APOLLO_RATE_PER_SEC, LUSHA_MAX_RETRIES
+  policies: {
+    apollo: providerPolicyFromEnv('APOLLO', { ratePerSecond: 5, burst: 10, maxRetries: 3 }),
+    lusha: providerPolicyFromEnv('LUSHA', { ratePerSecond: 2, burst: 5, maxRetries: 2 }),
+    firmable: providerPolicyFromEnv('FIRMABLE', { ratePerSecond: 5, burst: 5, maxRetries: 2 }),
+    serp: providerPolicyFromEnv('SERP', { ratePerSecond: 1, burst: 3, maxRetries: 2 }),
+    hunter: providerPolicyFromEnv('HUNTER', { ratePerSecond: 5, burst: 5, maxRetries: 2 }),
+    numverify: providerPolicyFromEnv('NUMVERIFY', { ratePerSecond: 2, burst: 2, maxRetries: 1 }),
+    abr: providerPolicyFromEnv('ABR', { ratePerSecond: 2, burst: 5, maxRetries: 2 }),
+    nzbn: providerPolicyFromEnv('NZBN', { ratePerSecond: 2, burst: 5, maxRetries: 2 }),
+  },
 };
 
+function providerPolicyFromEnv(prefix, defaults) {
+  const num = (name, fallback) => {
+    const v = parseFloat(process.env[`${prefix}_${name}`]);
+    return Number.isFinite(v) ? v : fallback;
+  };
+  return {
+    ratePerSecond: num('RATE_PER_SEC', defaults.ratePerSecond),
+    burst: num('BURST', defaults.burst),
+    maxRetries: num('MAX_RETRIES', defaults.maxRetries),
+    baseDelayMs: num('BACKOFF_MS', providerPolicy.DEFAULT_POLICY.baseDelayMs),
+    failureThreshold: num('BREAKER_THRESHOLD', providerPolicy.DEFAULT_POLICY.failureThreshold),
+    cooldownMs: num('BREAKER_COOLDOWN_MS', providerPolicy.DEFAULT_POLICY.cooldownMs),
+    timeoutMs: num('TIMEOUT_MS', providerPolicy.DEFAULT_POLICY.timeoutMs),
+  };
+}
+
+Object.entries(config.policies).forEach(([provider, policy]) => providerPolicy.configure(provider, policy));
+
 // ============================================================================
-// HTTP CLIENT
+// PROVIDER REQUESTS - every external API call goes through the policy layer
 // ============================================================================
 
-function curlGet(reqUrl, headers = {}) {
+// Run one call under the provider's policy and record its outcome (status, latency including
+// retries, retry count) in stats - once per call, not per attempt
+async function trackedRequest(provider, method, reqUrl, headers, body) {
+  const started = Date.now();
   try {
-    let cmd = `curl -sk --max-time 20`;
-    Object.entries(headers).forEach(([k, v]) => { cmd += ` -H "${k}: ${v}"`; });
-    cmd += ` "${reqUrl}"`;
-    const result = execSync(cmd, { encoding: 'utf8', timeout: 25000 });
-    return JSON.parse(result);
+    const res = await providerPolicy.execute(provider, ({ timeout }) => request(reqUrl, { method, headers, body, timeout }));
+    stats.trackApiCall(provider, res.status < 400, {
+      status: res.status,
+      latencyMs: Date.now() - started,
+      retries: res.attempts - 1,
+      error: res.status >= 400 ? res.text?.substring(0, 200) : null,
+    });
+    return res;
   } catch (err) {
-    return { _error: true, message: err.message?.substring(0, 200) };
+    if (err.circuitOpen) stats.trackApiCall(provider, false, { skipped: true });
+    else stats.trackApiCall(provider, false, { latencyMs: Date.now() - started, retries: (err.attempts || 1) - 1, error: err.message?.substring(0, 200) });
+    throw err;
   }
 }
 
-function curlPost(reqUrl, headers = {}, body = {}) {
+// options.user is charged for any credits the call spends; options.failures collects failed
+// providers and options.providersCalled every provider touched (both used by the result cache)
+async function apiRequest(provider, method, reqUrl, headers = {}, body = null, options = {}) {
+  options.providersCalled?.push(provider);
+  const budget = credits.checkBudget(provider, reqUrl, body);
+  if (!budget.allowed) {
+    options.failures?.push(provider);
+    return { _error: true, _budgetBlocked: true, message: budget.warning };
+  }
+
   try {
-    let cmd = `curl -sk --max-time 20 -X POST`;
-    Object.entries(headers).forEach(([k, v]) => { cmd += ` -H "${k}: ${v}"`; });
-    const bodyStr = JSON.stringify(body).replace(/'/g, "'\\''");
-    cmd += ` -d '${bodyStr}' "${reqUrl}"`;
-    const result = execSync(cmd, { encoding: 'utf8', timeout: 25000 });
-    return JSON.parse(result);
+    const res = await trackedRequest(provider, method, reqUrl, headers, body);
+    let data = parseJSON(res);
+    // A 5xx with a JSON body is still a failed call, not an empty result
+    if (res.status >= 500 && !data?._error) data = { _error: true, status: res.status, message: `HTTP ${res.status}: ${res.text?.substring(0, 200)}` };
+    // So is an API error inside a 200 - NumVerify answers bad keys and quotas with { success: false, error }
+    if (data?.success === false && data.error) data = { _error: true, status: res.status, message: data.error.info || data.error.type || `API error ${data.error.code}` };
+    if (!data?._error && res.status < 400) credits.recordSpend(provider, budget.cost, data, options.user);
+    if (data?._error || res.status >= 500) options.failures?.push(provider);
+    if (budget.warning && data) data._budgetWarning = budget.warning;
+    return data;
   } catch (err) {
-    return { _error: true, message: err.message?.substring(0, 200) };
+    options.failures?.push(provider);
+    return { _error: true, _circuitOpen: !!err.circuitOpen, message: err.message?.substring(0, 200) };
+  } finally {
+    credits.releaseBudget(provider, budget.cost); // Failed calls give their reserved credits back
+  }
+}
+
+// Source status for results.sources[provider], including the provider's circuit state
+function sourceStatus(provider, data) {
+  const circuit = providerPolicy.getCircuitState(provider);
+  if (data?._circuitOpen) return { status: 'skipped', reason: 'circuit_open', circuit };
+  if (data?._budgetBlocked) return { status: 'skipped', reason: 'budget_exceeded', message: data.message, circuit };
+  if (data?._error) return { status: 'error', message: data.message, circuit };
+  if (data?._budgetWarning) return { status: 'success', budgetWarning: data._budgetWarning, circuit };
+  return { status: 'success', circuit };
+}
+
+// Provider adapters - request building and response mapping live in providers.js. Every provider
+// call goes through them, so <PROVIDER>_ENABLED=false turns a provider off everywhere.
+const providers = createProviders(config, { apiRequest, sourceStatus, estimateCost: credits.estimateCost, costs: credits.COSTS });
+
+// Email and phone validation (validation.js) - remote checks go through the Hunter and NumVerify adapters
+// options.sources collects each provider's status for results.sources.
+async function validationCheck(provider, operation, input, options) {
+  const check = await providers.run(provider, operation, input, options);
+  if (!check) return null;
+  if (options.sources) recordSource(options.sources, provider, check.status);
+  return check;
+}
+
+const smtpVerifier = config.smtp.enabled ? createSmtpVerifier(
+  config.smtp.mxHost ? { resolveMx: async () => [{ exchange: config.smtp.mxHost, priority: 0 }] } : {},
+  { port: config.smtp.port, helo: config.smtp.helo, from: config.smtp.from || undefined, timeoutMs: config.smtp.timeoutMs }
+) : null;
+
+const validator = validation.createValidator({
+  verifyEmail: async (email, options) => (await validationCheck('hunter', 'verifyEmail', { email }, options))?.verification || null,
+  probeMailbox: smtpVerifier ? email => smtpVerifier.verify(email) : null,
+  lookupPhone: async (number, countryCode, options) => (await validationCheck('numverify', 'validatePhone', { number, countryCode }, options))?.phone || null,
+});
+
+function isTruthy(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+// Who to charge credits to - x-user header or ?user= (Slack handlers use user_name)
+function requestUser(req, parsed) {
+  return String(req.headers['x-user'] || parsed.query.user || 'anonymous').substring(0, 100);
+}
+
+// ============================================================================
+// RESULT CACHE - per-type TTLs, hit/miss reported in each response as `cache`
+// ============================================================================
+
+// Serve a lookup from the cache, or run it and cache the result.
+// Results are only cached when every provider call succeeded, so an outage isn't remembered.
+// notFound(data) marks empty results, which are cached for the short negative TTL.
+// Identical lookups already in flight share one provider round-trip (and one credit spend).
+// options.refresh skips the cached entry and replaces it.
+async function cachedLookup(type, parts, lookup, options = {}, notFound = null) {
+  const key = resultCache.generateKey(type, parts);
+  const entry = options.refresh ? null : resultCache.get(key);
+  if (entry) {
+    // A copy - callers annotate results, which mustn't reach the cached entry
+    return { ...structuredClone(entry.data), cache: { hit: true, type, key, notFound: !!entry.meta.notFound, cachedAt: entry.cachedAt, expiresAt: new Date(entry.expiresAt).toISOString() } };
+  }
+
+  const coalesced = resultCache.isInFlight(key);
+  const { data, stored, isNotFound } = await resultCache.singleFlight(key, async () => {
+    const failures = [];
+    const providersCalled = [];
+    const result = await lookup({ ...options, failures, providersCalled });
+    const cacheable = failures.length === 0 && !result.error;
+    const empty = cacheable && !!notFound?.(result);
+    if (cacheable) {
+      resultCache.set(key, structuredClone(result), {
+        meta: { notFound: empty, providers: [...new Set(providersCalled)] },
+        // Admin force-refresh: same lookup, charged to whoever asked for the refresh
+        refresh: refreshOptions => cachedLookup(type, parts, lookup, { ...options, ...refreshOptions, refresh: true }, notFound),
+      });
+    }
+    return { data: result, stored: cacheable, isNotFound: empty };
+  });
+  // Coalesced callers share the result - each gets its own copy
+  return { ...structuredClone(data), cache: { hit: false, type, key, stored, notFound: isNotFound, coalesced } };
+}
+
+function normalizeDomainInput(domainOrName) {
+  return String(domainOrName || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+}
+
+// Company name → domain (domain-resolver.js) - searches go through the Firmable, Apollo and SerpAPI adapters
+const domainResolver = companyDomains.createDomainResolver({
+  search: async (provider, name, options) => {
+    const found = await providers.run(provider, 'searchCompanies', { name }, options);
+    if (found && options.sources) recordSource(options.sources, provider, found.status);
+    return found;
+  },
+});
+
+// Resolve a company name (domains and URLs pass straight through), cached for 30 days.
+// Aliases are checked before the cache so edits apply at once.
+// options.paid = false: aliases and Firmable only, no Apollo or SerpAPI credits.
+async function resolveCompanyDomain(companyOrDomain, options = {}) {
+  const name = String(companyOrDomain || '').trim();
+  if (!name || companyDomains.looksLikeDomain(name) || companyDomains.getAlias(name)) return domainResolver.resolve(name);
+
+  const mode = options.paid === false ? 'free' : 'all';
+  const resolution = await cachedLookup('domain', [companyDomains.normalizeName(name), mode], async opts => {
+    const sources = {};
+    return { ...(await domainResolver.resolve(name, { ...opts, sources })), sources };
+  }, options, d => !d.candidates.length);
+  // A failed search isn't cached - nor should the lookup that depended on it be
+  Object.entries(resolution.sources || {}).forEach(([provider, s]) => { if (s.status !== 'success') options.failures?.push(provider); });
+  return resolution;
+}
+
+// Resolution as shown with results: the top few candidates, no cache details
+function domainResolutionSummary(resolution) {
+  const { query, domain, confidence, source, candidates, sources } = resolution;
+  return { query, domain, confidence, source, candidates: candidates.slice(0, 3), sources: sources || {} };
+}
+
+// The domain to hand to providers: one given as a domain, an alias or a confident match - else null
+function confidentDomain(resolution) {
+  return resolution?.confidence >= companyDomains.CONFIDENT ? resolution.domain : null;
+}
+
+// Best known domain for a bulk row without a lookup: an alias or an earlier resolution, else a guess
+function knownCompanyDomain(company) {
+  const alias = companyDomains.getAlias(company);
+  if (alias) return { domain: alias.domain, confidence: 1, source: 'alias' };
+  for (const mode of ['all', 'free']) {
+    const entry = resultCache.peek(resultCache.generateKey('domain', [companyDomains.normalizeName(company), mode]));
+    if (entry?.data.domain) return { domain: entry.data.domain, confidence: entry.data.confidence, source: entry.data.source };
   }
+  const guess = companyDomains.guessDomain(company);
+  return guess ? { domain: guess, confidence: 0.2, source: 'guess' } : null;
 }
 
 // ============================================================================
@@ -84,10 +302,10 @@ function handlePost(req, res, handler) {
     res.writeHead(500, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'Request error: ' + e.message }));
   });
-  req.on('end', () => {
+  req.on('end', async () => {
     try {
       const data = safeJsonParse(body);
-      handler(data, (status, result) => {
+      await handler(data, (status, result) => {
         res.writeHead(status, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(result));
       });
@@ -99,9 +317,9 @@ function handlePost(req, res, handler) {
   });
 }
 
-function findColleagues(companyDomain, filters = {}) {
+async function findColleagues(companyDomain, filters = {}, options = {}) {
   const start = Date.now();
-  const { roles, seniority, department, limit = 10 } = filters;
+  const { roles, seniority, department, limit = 10, hunter = false } = filters;
   
   const results = {
     company: null,
@@ -111,105 +329,100 @@ function findColleagues(companyDomain, filters = {}) {
     sources: {},
   };
   
-  // Normalize domain
-  let domain = companyDomain.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
-  if (!domain.includes('.')) {
-    domain = companyDomain.toLowerCase().replace(/[^a-z0-9]/g, '') + '.com';
+  // Company names are resolved to their domain - free sources only, colleague search costs nothing.
+  // Without a confident domain nothing is searched: the domain is reported as unresolved instead.
+  const resolution = await resolveCompanyDomain(companyDomain, { ...options, paid: false });
+  const domain = confidentDomain(resolution);
+  if (resolution.source !== 'input') results.domainResolution = domainResolutionSummary(resolution);
+  if (!domain) {
+    results.domainResolution.unresolved = true;
+    results.duration = Date.now() - start;
+    return results;
+  }
+  
+  // Company info from Firmable runs in parallel with the Apollo people search
+  const firmRequest = providers.run('firmable', 'lookupCompany', { domain }, options);
+  
+  // Use Apollo People Search to find colleagues (FREE - no credits)
+  const search = { domains: [domain], limit };
+  
+  // Add role/title filters
+  if (roles?.length) {
+    // Expand common role abbreviations
+    const expandedRoles = [];
+    roles.forEach(r => {
+      expandedRoles.push(r);
+      const rLower = r.toLowerCase();
+      if (rLower === 'ceo') expandedRoles.push('Chief Executive Officer');
+      if (rLower === 'cfo') expandedRoles.push('Chief Financial Officer');
+      if (rLower === 'cto') expandedRoles.push('Chief Technology Officer');
+      if (rLower === 'coo') expandedRoles.push('Chief Operating Officer');
+      if (rLower === 'cmo') expandedRoles.push('Chief Marketing Officer');
+      if (rLower === 'cpo') expandedRoles.push('Chief Product Officer');
+      if (rLower === 'chro') expandedRoles.push('Chief Human Resources Officer');
+      if (rLower === 'ciso') expandedRoles.push('Chief Information Security Officer');
+      if (rLower === 'vp') expandedRoles.push('Vice President');
+      if (rLower === 'md') expandedRoles.push('Managing Director');
+      if (rLower === 'gm') expandedRoles.push('General Manager');
+    });
+    search.titles = [...new Set(expandedRoles)];
+  }
+  
+  // Add seniority filter
+  if (seniority) {
+    const seniorityMap = {
+      'c-suite': 'c_suite',
+      'csuite': 'c_suite',
+      'executive': 'c_suite',
+      'vp': 'vp',
+      'director': 'director',
+      'manager': 'manager',
+      'senior': 'senior',
+      'entry': 'entry',
+    };
+    search.seniorities = [seniorityMap[seniority.toLowerCase()] || seniority];
+  }
+  
+  // Add department filter
+  if (department) {
+    const deptMap = {
+      'finance': 'finance',
+      'engineering': 'engineering',
+      'sales': 'sales',
+      'marketing': 'marketing',
+      'hr': 'human_resources',
+      'human resources': 'human_resources',
+      'operations': 'operations',
+      'legal': 'legal',
+      'it': 'information_technology',
+      'product': 'product_management',
+    };
+    search.departments = [deptMap[department.toLowerCase()] || department];
   }
   
-  // Get company info from Firmable first
+  const apolloRequest = providers.run('apollo', 'searchPeople', search, options);
+  
+  // Hunter domain search (opt-in, 1 credit) adds the company's email pattern and known addresses
+  const hunterRequest = hunter ? providers.run('hunter', 'domainSearch', { domain, limit: 25 }, options) : null;
+  
+  // A provider that's turned off resolves null and isn't listed in sources
+  const [firm, apollo, hunterData] = await Promise.all([firmRequest, apolloRequest, hunterRequest]);
+  
   try {
-    const firmData = curlGet(
-      `https://api.firmable.com/company?website=${encodeURIComponent(domain)}`,
-      { 'Authorization': `Bearer ${config.firmable.apiKey}` }
-    );
-    if (firmData.id) {
-      results.company = {
-        id: firmData.id,
-        name: firmData.name,
-        domain: firmData.fqdn || domain,
-        employees: firmData.au_employee_count,
-        website: firmData.website,
-      };
+    if (firm?.company) {
+      const { id, name, website, abn, acn } = firm.company;
+      results.company = { id, name, domain: firm.company.domain || domain, employees: firm.company.employees, website, abn: abn || null, acn: acn || null };
+      results.company.registration = await companyRegistration(results.company, options);
     }
-    results.sources.firmable = { status: 'success' };
+    if (firm) results.sources.firmable = firm.status;
   } catch (e) {
     results.sources.firmable = { status: 'error', error: e.message };
   }
   
-  // Use Apollo People Search to find colleagues (FREE - no credits)
   try {
-    const params = new URLSearchParams();
-    params.append('organization_domains[]', domain);
-    
-    // Add role/title filters
-    if (roles?.length) {
-      // Expand common role abbreviations
-      const expandedRoles = [];
-      roles.forEach(r => {
-        expandedRoles.push(r);
-        const rLower = r.toLowerCase();
-        if (rLower === 'ceo') expandedRoles.push('Chief Executive Officer');
-        if (rLower === 'cfo') expandedRoles.push('Chief Financial Officer');
-        if (rLower === 'cto') expandedRoles.push('Chief Technology Officer');
-        if (rLower === 'coo') expandedRoles.push('Chief Operating Officer');
-        if (rLower === 'cmo') expandedRoles.push('Chief Marketing Officer');
-        if (rLower === 'cpo') expandedRoles.push('Chief Product Officer');
-        if (rLower === 'chro') expandedRoles.push('Chief Human Resources Officer');
-        if (rLower === 'ciso') expandedRoles.push('Chief Information Security Officer');
-        if (rLower === 'vp') expandedRoles.push('Vice President');
-        if (rLower === 'md') expandedRoles.push('Managing Director');
-        if (rLower === 'gm') expandedRoles.push('General Manager');
-      });
-      [...new Set(expandedRoles)].forEach(t => params.append('person_titles[]', t));
-    }
-    
-    // Add seniority filter
-    if (seniority) {
-      const seniorityMap = {
-        'c-suite': 'c_suite',
-        'csuite': 'c_suite',
-        'executive': 'c_suite',
-        'vp': 'vp',
-        'director': 'director',
-        'manager': 'manager',
-        'senior': 'senior',
-        'entry': 'entry',
-      };
-      const mappedSeniority = seniorityMap[seniority.toLowerCase()] || seniority;
-      params.append('person_seniorities[]', mappedSeniority);
-    }
-    
-    // Add department filter
-    if (department) {
-      const deptMap = {
-        'finance': 'finance',
-        'engineering': 'engineering',
-        'sales': 'sales',
-        'marketing': 'marketing',
-        'hr': 'human_resources',
-        'human resources': 'human_resources',
-        'operations': 'operations',
-        'legal': 'legal',
-        'it': 'information_technology',
-        'product': 'product_management',
-      };
-      const mappedDept = deptMap[department.toLowerCase()] || department;
-      params.append('organization_departments[]', mappedDept);
-    }
-    
-    params.append('per_page', Math.min(limit, 25).toString());
-    params.append('page', '1');
-    
-    const apolloData = curlPost(
-      `https://api.apollo.io/api/v1/mixed_people/api_search?${params}`,
-      { 'Content-Type': 'application/json', 'x-api-key': config.apollo.apiKey },
-      {}
-    );
-    
-    if (apolloData.people?.length) {
-      results.total = apolloData.pagination?.total_entries || apolloData.people.length;
-      results.colleagues = apolloData.people.slice(0, limit).map(p => ({
+    if (apollo?.people.length) {
+      results.total = apollo.total;
+      results.colleagues = apollo.people.slice(0, limit).map(p => ({
         id: p.id,
         firstName: p.first_name,
         lastName: p.last_name,
@@ -224,8 +437,8 @@ function findColleagues(companyDomain, filters = {}) {
       }));
       
       // If company info wasn't found via Firmable, use Apollo
-      if (!results.company && apolloData.people[0]?.organization) {
-        const org = apolloData.people[0].organization;
+      if (!results.company && apollo.people[0]?.organization) {
+        const org = apollo.people[0].organization;
         results.company = {
           name: org.name,
           domain: org.primary_domain,
@@ -234,85 +447,74 @@ function findColleagues(companyDomain, filters = {}) {
         };
       }
     }
-    results.sources.apollo = { status: 'success' };
+    if (apollo) results.sources.apollo = apollo.status;
   } catch (e) {
     results.sources.apollo = { status: 'error', error: e.message };
   }
   
+  // Colleague enrichment uses the domain for Hunter's email finder, and both to check who providers return
+  results.colleagues.forEach(c => {
+    c.domain = results.company?.domain || domain;
+    c.company = results.company?.name || null;
+  });
+  
+  if (hunterData) {
+    results.emailPattern = hunterData.pattern;
+    const key = (first, last) => `${first || ''} ${last || ''}`.trim().toLowerCase();
+    results.colleagues.forEach(c => {
+      const found = hunterData.people.find(p => p.email && key(p.firstName, p.lastName) === key(c.firstName, c.lastName));
+      if (!found) return;
+      c.email = found.email;
+      c.emails = [{ email: found.email, source: 'Hunter', verified: found.verified, confidence: found.confidence }];
+    });
+    hunterData.people.forEach(p => learnEmailPatterns(p, [{ email: p.email, source: 'Hunter', verified: p.verified, type: p.type }]));
+    results.sources.hunter = hunterData.status;
+  }
+  
   results.duration = Date.now() - start;
   return results;
 }
 
 // Enrich a single colleague with contact info
-function enrichColleague(colleague) {
+async function enrichColleague(colleague, options = {}) {
+  return cachedLookup('person', ['colleague', colleague.firstName, colleague.lastName, colleague.linkedin], opts => fetchColleagueContact(colleague, opts), options, personNotFound);
+}
+
+async function fetchColleagueContact(colleague, options = {}) {
   const results = {
     ...colleague,
     emails: [],
     phones: [],
+    sources: {},
     enriched: true,
   };
   
-  // Apollo enrichment
-  try {
-    const apolloData = curlPost(
-      'https://api.apollo.io/v1/people/match',
-      { 'Content-Type': 'application/json', 'x-api-key': config.apollo.apiKey },
-      { 
-        first_name: colleague.firstName, 
-        last_name: colleague.lastName,
-        linkedin_url: colleague.linkedin,
-        reveal_personal_emails: true
-      }
-    );
-    
-    if (apolloData.person) {
-      if (apolloData.person.email) {
-        results.emails.push({ 
-          email: apolloData.person.email, 
-          source: 'Apollo',
-          verified: apolloData.person.email_status === 'verified'
-        });
-      }
-      if (apolloData.person.personal_emails?.length) {
-        apolloData.person.personal_emails.forEach(e => {
-          results.emails.push({ email: e, source: 'Apollo', type: 'personal' });
-        });
-      }
-      if (apolloData.person.phone_numbers?.length) {
-        apolloData.person.phone_numbers.forEach(p => {
-          results.phones.push({ number: p.sanitized_number || p.raw_number, source: 'Apollo' });
-        });
-      }
-    }
-  } catch (e) { /* continue */ }
+  // Apollo and Lusha (if we have LinkedIn) are queried in parallel. Someone other than
+  // the colleague (checkIdentity) is dropped or flagged.
+  const input = { firstName: colleague.firstName, lastName: colleague.lastName, linkedin: colleague.linkedin, domain: colleague.domain, company: colleague.company, title: colleague.title };
+  const matches = await Promise.all([
+    providers.run('apollo', 'matchPerson', input, options),
+    providers.run('lusha', 'matchPerson', input, options),
+  ]);
+  matches.filter(Boolean).map(match => checkIdentity(input, match)).forEach(match => {
+    mergeContacts(results, match);
+    results.sources[match.provider] = match.status;
+    recordIdentity(results, match);
+  });
   
-  // Lusha enrichment if we have LinkedIn
-  if (colleague.linkedin) {
-    try {
-      const lushaData = curlGet(
-        `https://api.lusha.com/v2/person?linkedinUrl=${encodeURIComponent(colleague.linkedin)}&revealEmails=true&revealPhones=true`,
-        { 'api_key': config.lusha.apiKey }
-      );
-      const d = lushaData.data || lushaData.contact?.data;
-      if (d) {
-        if (d.emailAddresses?.length) {
-          d.emailAddresses.forEach(e => {
-            if (!results.emails.find(x => x.email === e.email)) {
-              results.emails.push({ email: e.email, source: 'Lusha', type: e.emailType });
-            }
-          });
-        }
-        if (d.phoneNumbers?.length) {
-          d.phoneNumbers.forEach(p => {
-            const num = p.internationalNumber || p.localizedNumber;
-            if (!results.phones.find(x => x.number === num)) {
-              results.phones.push({ number: num, source: 'Lusha', type: p.type });
-            }
-          });
-        }
-      }
-    } catch (e) { /* continue */ }
+  // Hunter finds a work email from the company domain when neither had one, then confirms unverified ones
+  if (!results.emails.some(e => e.type !== 'personal')) {
+    const hunter = checkIdentity(input, await providers.run('hunter', 'matchPerson', input, options));
+    if (hunter) {
+      mergeContacts(results, hunter);
+      results.sources.hunter = hunter.status;
+      recordIdentity(results, hunter);
+    }
   }
+  const checked = await confirmEmails(results.emails, options);
+  if (checked) recordSource(results.sources, 'hunter', checked);
+  const validated = await finishContacts(results, colleague.domain, options);
+  if (validated) recordSource(results.sources, 'numverify', validated);
   
   return results;
 }
@@ -321,103 +523,369 @@ function enrichColleague(colleague) {
 // EXISTING FUNCTIONS (abbreviated - same as v5)
 // ============================================================================
 
-function discoverPerson(firstName, lastName, company, domain, linkedinUrl) {
+// ============================================================================
+// REVEAL - preview matches for free, spend credits only on chosen fields
+// ============================================================================
+
+// Fields to reveal: options.preview → none, options.reveal → the chosen ones, default → all
+function revealFields(options = {}) {
+  if (options.preview) return [];
+  if (Array.isArray(options.reveal)) return options.reveal.filter(f => REVEAL_FIELDS.includes(f));
+  return REVEAL_FIELDS;
+}
+
+// results.preview entry for a provider match
+function matchPreview(match) {
+  const preview = { matched: match.matched, name: match.person?.name, title: match.person?.title, available: match.available };
+  if (match.rejected) preview.rejected = match.rejected;
+  return preview;
+}
+
+// Add a provider match's emails and phones to results - ones we already have get the extra source.
+// A flagged match (checkIdentity) marks its contacts with `identityFlag` so they score lower.
+// The country a trusted match puts the person in (Apollo) becomes results.country.
+function mergeContacts(results, match, domain) {
+  const { identity } = match;
+  const flag = identity?.verdict === 'flagged' ? { identityFlag: { provider: match.provider, score: identity.score, reasons: identity.reasons } } : {};
+  if (!results.country && !flag.identityFlag && auNzCountry(match.person?.country)) results.country = auNzCountry(match.person.country);
+  const country = contactCountry(results, domain);
+  match.emails.forEach(e => consolidation.addEmail(results.emails, { ...e, ...flag }));
+  match.phones.forEach(p => consolidation.addPhone(results.phones, { ...p, ...flag }, { country }));
+}
+
+// 'AU' / 'NZ' from a country code or name ("New Zealand"), or null
+function auNzCountry(value) {
+  const v = String(value || '').trim().toLowerCase();
+  return v === 'au' || v === 'australia' ? 'AU' : v === 'nz' || v === 'new zealand' ? 'NZ' : null;
+}
+
+// The country a contact's local (0-prefixed) phone numbers are read in (phone-numbers.js): the
+// person's (results.country), NZ for an NZ company (country, NZBN) or a .nz domain or email, else AU
+function contactCountry(results, domain = results.domain) {
+  const own = auNzCountry(results.country);
+  if (own) return own;
+  const company = results.company || results.companyInfo || {};
+  const nz = auNzCountry(company.country) === 'NZ' || !!company.nzbn
+    || [domain, company.domain, ...(results.emails || []).map(e => e.email)].some(v => /\.nz$/i.test(v || ''));
+  return nz ? 'NZ' : 'AU';
+}
+
+// AU/NZ contact: .au/.nz domain or work email, a Firmable (AU/NZ) company match, or a person in AU/NZ
+function isAuNzContact(results, domain) {
+  return /\.(au|nz)$/i.test(domain || '') || !!results.companyInfo?.abn || !!auNzCountry(results.country)
+    || (results.emails || []).some(e => /\.(au|nz)$/i.test(e.email || ''));
+}
+
+// Teach the email pattern learner from the work emails found for a person - only ones that are
+// verified or that more than one provider found. An unverified Apollo guess (or our own) teaches it nothing.
+function learnEmailPatterns(person, emails = []) {
+  if (!person?.firstName || !person?.lastName) return;
+  const trusted = e => e.verified || e.validation?.status === 'valid' || (e.sources?.length || 0) > 1;
+  emails.filter(e => e.type !== 'personal' && e.source !== 'Pattern' && e.validation?.status !== 'invalid' && trusted(e))
+    .forEach(e => emailPatterns.learnEmail(person.firstName, person.lastName, e.email, { source: contactSources(e), verified: !!e.verified }));
+}
+
+// Final stage for every person lookup: validate, then merge, score and sort best-first,
+// and learn the company's email pattern. Resolves the NumVerify source status, or null.
+async function finishContacts(results, domain, options = {}, limits = {}) {
+  const country = contactCountry(results, domain);
+  // Numbers found before the country was known are re-read before anything is checked against them
+  results.phones = (results.phones || []).map(p => phoneNumbers.classifyPhone(p, { country }));
+  const validated = await validateContacts(results, options, limits);
+  consolidation.consolidate(results, { auNz: isAuNzContact(results, domain), country });
+  learnEmailPatterns(results.person || results, results.emails);
+  return validated;
+}
+
+// Nobody matched - preview found no provider match, or a reveal came back empty
+function personNotFound(d) {
+  if (d.preview) return !Object.values(d.preview).some(p => p.matched);
+  return !d.emails?.length && !d.phones?.length;
+}
+
+// Preview and each reveal selection (fields, providers, strategy) are cached separately
+function revealCacheMode(options = {}) {
+  if (options.preview) return 'preview';
+  const providers = Array.isArray(options.providers) ? [...options.providers].sort().join('+') : 'all';
+  return [...revealFields(options)].sort().join('+') + '/' + providers + '/' + waterfall.resolveStrategy(options.strategy).name;
+}
+
+// Unverified work emails checked per lookup - each check costs a Hunter verification
+const MAX_EMAIL_CHECKS = 3;
+
+// Set a provider's results.sources entry - a failed call wins over an earlier success
+function recordSource(sources, provider, status) {
+  if (!sources[provider] || status.status !== 'success') sources[provider] = status;
+}
+
+// Confirm unverified work emails (e.g. Apollo guesses) with the Hunter verifier.
+// Each email is checked once; the verdict is kept on the email as `verification`.
+// Resolves the Hunter source status, or null when nothing was checked.
+async function confirmEmails(emails, options = {}, limit = MAX_EMAIL_CHECKS) {
+  if (!providers.get('hunter')) return null;
+  const unchecked = emails.filter(e => !e.verified && !e.verification && e.type !== 'personal' && e.source !== 'CSV').slice(0, limit);
+  if (!unchecked.length) return null;
+
+  const checks = await Promise.all(unchecked.map(e => providers.run('hunter', 'verifyEmail', { email: e.email }, options)));
+  const statuses = {};
+  checks.forEach((check, i) => {
+    if (!check) return;
+    if (check.verification) {
+      unchecked[i].verification = check.verification;
+      unchecked[i].verified = check.verification.verified;
+    }
+    recordSource(statuses, 'hunter', check.status);
+  });
+  return statuses.hunter || null;
+}
+
+// Phone numbers checked with NumVerify per lookup - the rest get the local pattern check
+const MAX_PHONE_CHECKS = 2;
+
+// Work emails probed over SMTP per lookup (when SMTP_VERIFY_ENABLED) - free, but each one is a mail server session
+const MAX_SMTP_CHECKS = 3;
+
+// Emails and phones per /api/validate request - each one can cost a Hunter or NumVerify credit
+const MAX_VALIDATIONS = 20;
+
+// Validation stage: annotate every email and phone with `validation` ({ valid, status, reason, confidence }).
+// Emails reuse the Hunter verdict confirmEmails left on them, so nothing is verified twice; work emails
+// without one are probed over SMTP (`smtp: { result, reason, mx }`). limits caps SMTP probes and
+// NumVerify lookups (bulk passes phones: 0). Resolves the NumVerify source status, or null.
+async function validateContacts(results, options = {}, limits = {}) {
+  const { phones: remotePhones = MAX_PHONE_CHECKS, smtp: smtpChecks = MAX_SMTP_CHECKS } = limits;
+  const emails = results.emails || [];
+  if (smtpVerifier) {
+    const unprobed = emails.filter(e => e.type !== 'personal' && !e.verification && !e.smtp && validation.isValidEmailFormat(e.email));
+    await Promise.all(unprobed.slice(0, smtpChecks).map(async e => { e.smtp = await smtpVerifier.verify(e.email); }));
+  }
+  await Promise.all(emails.map(async e => {
+    e.validation = await validator.validateEmail(e.email, { ...options, verification: e.verification, smtp: e.smtp, remote: false });
+  }));
+
+  const sources = {};
+  let remaining = providers.get('numverify') ? remotePhones : 0;
+  await Promise.all((results.phones || []).map(async p => {
+    const remote = !p.switchboard && remaining-- > 0;
+    p.validation = await validator.validatePhone(p.number, p.country || validation.countryForNumber(p.number, contactCountry(results)), { ...options, remote, sources });
+  }));
+  return sources.numverify || null;
+}
+
+// Only ask a provider for what it can give us - options.providers limits a reveal to the matched ones.
+// Providers with no free preview (Hunter) never show up as matched, so they aren't limited.
+function useProvider(provider, options = {}) {
+  return !Array.isArray(options.providers) || options.providers.includes(provider) || !providers.canPreview(provider);
+}
+
+function needsLinkedIn(provider) {
+  return !!providers.get(provider)?.operations.matchPerson?.requires.includes('linkedin');
+}
+
+// Nicknames tried after the first name as given (Bob → Robert, Rob)
+const MAX_NAME_VARIANTS = 2;
+
+// Check a provider's match against the input's name, company and title (match-verification.js).
+// The match gets `identity`; a rejected one keeps its status and who was found but loses its contacts.
+// Without a name (LinkedIn tab) there's nothing to check against.
+function checkIdentity(input, match) {
+  if (!match?.matched || !input.firstName || !input.lastName) return match;
+  const identity = matchVerification.verifyMatch(input, match.person);
+  if (identity.verdict !== 'rejected') return { ...match, identity };
+  return { ...match, matched: false, person: null, emails: [], phones: [], available: [], identity,
+    rejected: { name: match.person.name, score: identity.score, reasons: identity.reasons } };
+}
+
+// matchPerson plus checkIdentity. Providers that search by name (Apollo, Hunter) are retried with
+// nickname variants until one returns the right person - after a wrong name only, and only without a
+// LinkedIn URL, as otherwise the same person comes back. LinkedIn lookups (Lusha, Firmable) are only checked.
+async function verifiedMatch(provider, input, opts) {
+  const names = input.firstName && !needsLinkedIn(provider) ? nameUtils.firstNameVariants(input.firstName, input.knownAs, MAX_NAME_VARIANTS) : [input.firstName];
+  let result = null;
+  for (const firstName of names) {
+    const match = checkIdentity(input, await providers.run(provider, 'matchPerson', { ...input, firstName }, opts));
+    if (!match) return result;
+    if (match.identity) match.identity.queriedAs = firstName;
+    if (match.matched) {
+      if (match.identity) input.knownAs = firstName;
+      return match;
+    }
+    if (match.rejected) {
+      result = match;
+      if (input.linkedin || match.identity.checks.name >= matchVerification.NAME_MATCH_MIN) break;
+    } else if (!result?.rejected) {
+      result = match;
+    }
+    if (match.status.status !== 'success') break;
+  }
+  return result;
+}
+
+// results.identity[provider] - match score, verdict and mismatch reasons
+function recordIdentity(results, match) {
+  if (!match?.identity) return;
+  results.identity = results.identity || {};
+  results.identity[match.provider] = match.identity;
+}
+
+// Record a person match in results.sources and pick up a LinkedIn URL it found
+function recordMatch(results, input, match) {
+  recordSource(results.sources, match.provider, match.status);
+  recordIdentity(results, match);
+  if (!input.linkedin && match.person?.linkedin) input.linkedin = results.linkedin = match.person.linkedin;
+}
+
+// Free preview: ask every person provider for a match without revealing anything.
+// Providers that need a LinkedIn URL wait for findLinkedIn (SerpAPI) and the others.
+async function previewMatches(results, input, findLinkedIn, options = {}) {
+  const opts = { ...options, fields: [] };
+  const names = providers.withOperation('matchPerson').map(a => a.name).filter(name => providers.canPreview(name) && useProvider(name, options));
+  const run = name => verifiedMatch(name, input, opts);
+
+  const [first] = await Promise.all([
+    Promise.all(names.filter(name => !needsLinkedIn(name)).map(run)),
+    !input.linkedin && findLinkedIn && names.some(needsLinkedIn) ? findLinkedIn() : null,
+  ]);
+  first.filter(Boolean).forEach(match => recordMatch(results, input, match));
+  const second = await Promise.all(names.filter(needsLinkedIn).map(run));
+
+  const matches = [...first, ...second].filter(Boolean);
+  second.filter(Boolean).forEach(match => recordMatch(results, input, match));
+  matches.forEach(match => { results.preview[match.provider] = matchPreview(match); });
+  return matches;
+}
+
+// Reveal fields provider by provider in the strategy's order, stopping once each field is
+// satisfied so later providers aren't paid for. results.waterfall records every step.
+async function runWaterfall(results, input, fields, strategy, findLinkedIn, options = {}) {
+  const tried = {};
+  const matches = [];
+  let pending = fields.filter(f => !waterfall.isSatisfied(f, strategy.fields[f], results));
+  results.waterfall = { strategy: strategy.name, steps: [], unsatisfied: [] };
+
+  let step;
+  while ((step = waterfall.nextStep(strategy, pending, tried))) {
+    const { provider } = step;
+    waterfall.markTried(tried, step);
+    if (!providers.get(provider)) continue; // Disabled, e.g. Hunter without an API key
+    if (!useProvider(provider, options)) {
+      results.waterfall.steps.push({ provider, fields: step.fields, skipped: 'no_match' });
+      continue;
+    }
+    if (needsLinkedIn(provider) && !input.linkedin && findLinkedIn) await findLinkedIn();
+
+    const match = await verifiedMatch(provider, input, { ...options, fields: step.fields });
+    if (!match) {
+      results.waterfall.steps.push({ provider, fields: step.fields, skipped: 'missing_input' });
+      continue;
+    }
+    recordMatch(results, input, match);
+    mergeContacts(results, match, input.domain);
+    matches.push(match);
+    // A confirmed email can satisfy "stop when verified" before the next provider is paid for
+    if (step.fields.includes('email') && strategy.fields.email?.stopWhen === 'verified') {
+      const checked = await confirmEmails(results.emails, options);
+      if (checked) recordSource(results.sources, 'hunter', checked);
+    }
+    pending = pending.filter(f => !waterfall.isSatisfied(f, strategy.fields[f], results));
+    results.waterfall.steps.push({ provider, fields: step.fields, satisfied: step.fields.filter(f => !pending.includes(f)), status: match.status.status, ...(match.rejected && { rejected: match.rejected }) });
+  }
+
+  if (fields.includes('email')) {
+    const checked = await confirmEmails(results.emails, options);
+    if (checked) recordSource(results.sources, 'hunter', checked);
+  }
+  results.waterfall.unsatisfied = pending;
+  return matches;
+}
+
+async function discoverPerson(firstName, lastName, company, domain, linkedinUrl, options = {}) {
+  return cachedLookup('person', ['discover', firstName, lastName, company, domain, linkedinUrl, revealCacheMode(options)], opts => fetchPerson(firstName, lastName, company, domain, linkedinUrl, opts), options, personNotFound);
+}
+
+async function fetchPerson(firstName, lastName, company, domain, linkedinUrl, options = {}) {
   const start = Date.now();
   const results = { firstName, lastName, company, linkedin: linkedinUrl || null, emails: [], phones: [], companyInfo: null, sources: {} };
+  const fields = revealFields(options);
+  const input = { firstName, lastName, company, domain, linkedin: results.linkedin };
 
-  // 1. Find LinkedIn URL if not provided (SerpAPI)
-  if (!results.linkedin) {
-    try {
-      const query = `${firstName} ${lastName} ${company} site:linkedin.com`;
-      const serpData = curlGet(`https://serpapi.com/search.json?api_key=${config.serp.apiKey}&engine=google&q=${encodeURIComponent(query)}&num=5&gl=au`);
-      const li = serpData.organic_results?.find(r => r.link?.includes('linkedin.com/in/'));
-      if (li) results.linkedin = li.link;
-      results.sources.serp = { status: 'success' };
-    } catch (e) { results.sources.serp = { status: 'error', message: e.message }; }
+  // No domain given - resolve the company's. Previews stick to the free sources.
+  let searchDomain = domain || null;
+  if (!domain && company) {
+    const resolution = await resolveCompanyDomain(company, { ...options, paid: !options.preview });
+    results.domainResolution = domainResolutionSummary(resolution);
+    searchDomain = resolution.domain;
+    // Providers match on the domain, so only a confident one is passed on
+    if (resolution.confidence >= companyDomains.CONFIDENT) input.domain = resolution.domain;
   }
+  if (options.preview) results.preview = {};
+  else results.revealed = fields;
 
-  // 2. Apollo - Get work email
-  try {
-    const apolloData = curlPost('https://api.apollo.io/v1/people/match', { 'Content-Type': 'application/json', 'x-api-key': config.apollo.apiKey },
-      { first_name: firstName, last_name: lastName, organization_name: company, domain, reveal_personal_emails: true });
-    if (apolloData.person) {
-      if (apolloData.person.email) results.emails.push({ email: apolloData.person.email, source: 'Apollo', verified: apolloData.person.email_status === 'verified' });
-      if (apolloData.person.personal_emails?.length) apolloData.person.personal_emails.forEach(e => results.emails.push({ email: e, source: 'Apollo', type: 'personal' }));
-      if (apolloData.person.phone_numbers?.length) apolloData.person.phone_numbers.forEach(p => results.phones.push({ number: p.sanitized_number || p.raw_number, source: 'Apollo' }));
-      if (!results.linkedin && apolloData.person.linkedin_url) results.linkedin = apolloData.person.linkedin_url;
-    }
-    results.sources.apollo = { status: 'success' };
-  } catch (e) { results.sources.apollo = { status: 'error', message: e.message }; }
-
-  // 3. Lusha - Get emails and phones via LinkedIn URL
-  if (results.linkedin) {
-    try {
-      const lushaData = curlGet(`https://api.lusha.com/v2/person?linkedinUrl=${encodeURIComponent(results.linkedin)}&revealEmails=true&revealPhones=true`, { 'api_key': config.lusha.apiKey });
-      const d = lushaData.data || lushaData.contact?.data;
-      if (d) {
-        if (d.emailAddresses?.length) {
-          d.emailAddresses.forEach(e => {
-            if (!results.emails.find(x => x.email === e.email)) {
-              results.emails.push({ email: e.email, source: 'Lusha', type: e.emailType });
-            }
-          });
-        }
-        if (d.phoneNumbers?.length) {
-          d.phoneNumbers.forEach(p => {
-            const num = p.internationalNumber || p.localizedNumber;
-            if (num && !results.phones.find(x => x.number === num)) {
-              results.phones.push({ number: num, source: 'Lusha', type: p.type });
-            }
-          });
-        }
+  // SerpAPI finds the LinkedIn URL Lusha and Firmable need - at most once, only when one of them is next.
+  // Only a profile in this person's name is used; one nickname is tried if none is (each search is a credit).
+  let serpSearch = null;
+  const findLinkedIn = () => serpSearch = serpSearch || (async () => {
+    for (const name of nameUtils.firstNameVariants(firstName, input.knownAs, MAX_NAME_VARIANTS).slice(0, 2)) {
+      const serp = await providers.run('serp', 'findLinkedIn', { ...input, firstName: name }, options);
+      if (!serp) return;
+      recordSource(results.sources, 'serp', serp.status);
+      const profile = serp.profiles.find(p => nameUtils.personNameScore(input, { name: p.name }) >= matchVerification.NAME_MATCH_MIN);
+      if (profile) {
+        input.linkedin = results.linkedin = profile.linkedin;
+        input.knownAs = name;
+        return;
       }
-      results.sources.lusha = { status: 'success' };
-    } catch (e) { results.sources.lusha = { status: 'error', message: e.message }; }
+      if (serp.status.status !== 'success') return;
+    }
+  })();
+
+  // Firmable company info is free, so it runs alongside the person lookups
+  const firmRequest = searchDomain ? providers.run('firmable', 'lookupCompany', { domain: searchDomain }, options) : null;
+
+  if (options.preview) await previewMatches(results, input, findLinkedIn, options);
+  else await runWaterfall(results, input, fields, waterfall.resolveStrategy(options.strategy), findLinkedIn, options);
+
+  const firm = await firmRequest;
+  if (firm) {
+    if (firm.company) {
+      results.companyInfo = { ...firm.company, registration: await companyRegistration(firm.company, options) };
+      if (firm.company.phone) consolidation.addPhone(results.phones, { number: firm.company.phone, source: 'Firmable', type: 'company' }, { country: contactCountry(results, searchDomain) });
+    }
+    // Firmable person (waterfall) and company lookups share a source
+    recordSource(results.sources, 'firmable', firm.status);
   }
 
-  // 4. Firmable - Get company info and AU data
-  try {
-    let searchDomain = domain || (company ? company.toLowerCase().replace(/[^a-z0-9]/g, '') + '.com.au' : null);
-    if (searchDomain) {
-      const firmData = curlGet(`https://api.firmable.com/company?website=${encodeURIComponent(searchDomain)}`, { 'Authorization': `Bearer ${config.firmable.apiKey}` });
-      if (firmData.id) {
-        results.companyInfo = { name: firmData.name, domain: firmData.fqdn, employees: firmData.au_employee_count, abn: firmData.abn, phone: firmData.phone };
-        if (firmData.phone && !results.phones.find(x => x.number === firmData.phone)) {
-          results.phones.push({ number: firmData.phone, source: 'Firmable', type: 'company' });
-        }
-      }
+  // No provider had a work email - propose one in the format other people at the domain use
+  if (fields.includes('email') && !results.emails.some(e => e.type !== 'personal')) {
+    const domains = [domain, results.companyInfo?.domain, searchDomain].filter(Boolean).map(d => d.replace(/^https?:\/\/(www\.)?/, '').replace(/\/.*$/, ''));
+    const guess = domains.map(d => emailPatterns.guessEmail(firstName, lastName, d)).find(Boolean);
+    if (guess) {
+      const { email, ...pattern } = guess;
+      results.emails.push({ email, source: 'Pattern', type: 'work', verified: false, pattern });
+      const checked = await confirmEmails(results.emails, options);
+      if (checked) recordSource(results.sources, 'hunter', checked);
     }
-    results.sources.firmable = { status: 'success' };
-  } catch (e) { results.sources.firmable = { status: 'error', message: e.message }; }
+  }
+  if (!options.preview) {
+    const validated = await finishContacts(results, searchDomain, options);
+    if (validated) recordSource(results.sources, 'numverify', validated);
+  }
 
   results.duration = Date.now() - start;
   return results;
 }
 
-
-function prospectPeople(filters) {
+async function prospectPeople(filters, options = {}) {
   const start = Date.now();
   const { titles, locations, seniorities, limit = 10 } = filters;
-  
-  // Build request body for new api_search endpoint
-  const requestBody = {
-    per_page: Math.min(limit, 25)
-  };
-  
-  if (titles?.length) requestBody.person_titles = titles;
-  if (locations?.length) requestBody.person_locations = locations;
-  if (seniorities?.length) requestBody.person_seniorities = seniorities;
 
   const results = { prospects: [], total: 0, duration: 0 };
   try {
-    const apolloData = curlPost(
-      'https://api.apollo.io/api/v1/mixed_people/api_search', 
-      { 'Content-Type': 'application/json', 'x-api-key': config.apollo.apiKey }, 
-      requestBody
-    );
-    if (apolloData.people?.length) {
-      results.total = apolloData.total_entries || apolloData.people.length;
-      results.prospects = apolloData.people.slice(0, limit).map(p => ({
+    const apollo = await providers.run('apollo', 'searchPeople', { titles, locations, seniorities, limit }, options);
+    if (!apollo) results.error = 'Apollo is not enabled';
+    else if (apollo.people.length) {
+      results.total = apollo.total;
+      results.prospects = apollo.people.slice(0, limit).map(p => ({
         name: `${p.first_name || ''} ${p.last_name || ''}`.trim(), 
         firstName: p.first_name, 
         lastName: p.last_name,
@@ -433,33 +901,67 @@ function prospectPeople(filters) {
   return results;
 }
 
-function getCompanyIntel(domainOrName) {
+async function getCompanyIntel(domainOrName, options = {}) {
+  return cachedLookup('company', [normalizeDomainInput(domainOrName)], opts => fetchCompanyIntel(domainOrName, opts), options, d => !d.company);
+}
+
+async function fetchCompanyIntel(domainOrName, options = {}) {
   const start = Date.now();
   const results = { company: null, techStack: [], jobs: [], sources: {} };
-  let domain = domainOrName.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
-  if (!domain.includes('.')) domain = domainOrName.toLowerCase().replace(/[^a-z0-9]/g, '') + '.com';
+  const resolution = await resolveCompanyDomain(domainOrName, options);
+  const domain = resolution.domain;
+  if (resolution.source !== 'input') results.domainResolution = domainResolutionSummary(resolution);
+
+  // A provider that's turned off resolves null and isn't listed in sources
+  const [firm, apollo] = await Promise.all([
+    providers.run('firmable', 'lookupCompany', { domain }, options),
+    providers.run('apollo', 'enrichCompany', { domain }, options),
+  ]);
+  const org = apollo?.organization || null;
 
   try {
-    const firmData = curlGet(`https://api.firmable.com/company?website=${encodeURIComponent(domain)}`, { 'Authorization': `Bearer ${config.firmable.apiKey}` });
-    if (firmData.id) {
-      results.company = { name: firmData.name, domain: firmData.fqdn, website: firmData.website, description: firmData.description,
-        founded: firmData.year_founded, employees: { au: firmData.au_employee_count }, abn: firmData.abn, acn: firmData.acn, phone: firmData.phone,
-        linkedin: firmData.linkedin ? `https://linkedin.com/company/${firmData.linkedin}` : null };
-      if (firmData.technologies?.length) results.techStack = firmData.technologies;
-    }
-    results.sources.firmable = { status: 'success' };
+    if (firm?.company) {
+      const f = firm.company;
+      results.company = { name: f.name, domain: f.domain, website: f.website, description: f.description,
+        founded: f.founded, employees: { au: f.employees }, abn: f.abn, acn: f.acn,
+        phone: f.phone ? phoneNumbers.toE164(f.phone, { country: isNZCompany(f.domain || domain, org) ? 'NZ' : 'AU' }) || f.phone : null,
+        linkedin: f.linkedin };
+      if (firm.technologies.length) results.techStack = firm.technologies;
+    }
+    if (firm) results.sources.firmable = firm.status;
   } catch (e) { results.sources.firmable = { status: 'error' }; }
 
   try {
-    const apolloData = curlGet(`https://api.apollo.io/v1/organizations/enrich?domain=${encodeURIComponent(domain)}`, { 'x-api-key': config.apollo.apiKey });
-    if (apolloData.organization) {
-      if (!results.company) results.company = { name: apolloData.organization.name, domain: apolloData.organization.primary_domain };
-      results.company.employees = { ...results.company.employees, global: apolloData.organization.estimated_num_employees };
-      if (!results.company.description) results.company.description = apolloData.organization.short_description;
+    if (org) {
+      if (!results.company) results.company = { name: org.name, domain: org.primary_domain };
+      results.company.employees = { ...results.company.employees, global: org.estimated_num_employees };
+      if (!results.company.description) results.company.description = org.short_description;
+      if (!results.company.linkedin && org.linkedin_url) results.company.linkedin = org.linkedin_url;
+      // Parent and subsidiaries - starting points for the corporate group (related entities)
+      const orgRef = o => ({ name: o.name || null, domain: o.primary_domain || (o.website_url ? normalizeDomainInput(o.website_url) : null) });
+      const subsidiaries = (org.suborganizations || []).map(orgRef).filter(o => o.domain);
+      if (subsidiaries.length) results.company.subsidiaries = subsidiaries;
+      if (org.owned_by_organization) results.company.parent = orgRef(org.owned_by_organization);
     }
-    results.sources.apollo = { status: 'success' };
+    if (apollo) results.sources.apollo = apollo.status;
   } catch (e) { results.sources.apollo = { status: 'error' }; }
 
+  const registration = await companyRegistration(results.company, options);
+  if (registration) {
+    results.company.registration = registration;
+    if (registration.checks.registered !== null) results.sources.abr = { status: 'success' };
+  }
+
+  // NZ companies get their NZBN, as AU ones get their ABN from Firmable
+  if (results.company && isNZCompany(results.company.domain || domain, org)) {
+    results.company.country = 'NZ';
+    const nzbn = await companyNZBN(results.company, options);
+    if (nzbn) {
+      results.company.nzbn = nzbn;
+      results.sources.nzbn = { status: 'success' };
+    }
+  }
+
   results.duration = Date.now() - start;
   return results;
 }
@@ -469,65 +971,29 @@ function getCompanyIntel(domainOrName) {
 // ABN LOOKUP - Australian Business Number verification
 // ============================================================================
 
-function lookupABN(query) {
+async function lookupABN(query, options = {}) {
+  return cachedLookup('abn', [query.replace(/\s/g, '')], opts => fetchABN(query, opts), options, d => !d.matches?.length);
+}
+
+const ABR_DETAILS_LIMIT = 5; // Name search results looked up in full (entity type, GST, trading names)
+
+// ABN, ACN or company name. The ABR web service answers when ABR_GUID is set;
+// the SerpAPI scrape of abr.business.gov.au is the fallback when it isn't, or fails (unless options.registerOnly).
+async function fetchABN(query, options = {}) {
   const start = Date.now();
   const results = {
     query: query,
     matches: [],
+    sources: {},
     duration: 0,
   };
   
   // Clean the query - could be ABN number or company name
   const cleanQuery = query.trim().replace(/\s+/g, ' ');
-  const isABNNumber = /^\d[\d\s]{9,}$/.test(cleanQuery.replace(/\s/g, ''));
   
   try {
-    let searchQuery;
-    if (isABNNumber) {
-      // Direct ABN lookup
-      const abnClean = cleanQuery.replace(/\s/g, '');
-      searchQuery = `ABN ${abnClean} site:abr.business.gov.au`;
-    } else {
-      // Company name search
-      searchQuery = `${cleanQuery} ABN site:abr.business.gov.au`;
-    }
-    
-    const serpUrl = `https://serpapi.com/search.json?api_key=${config.serp.apiKey}&engine=google&q=${encodeURIComponent(searchQuery)}&num=5&gl=au`;
-    const serpData = curlGet(serpUrl);
-    
-    if (serpData.organic_results?.length) {
-      serpData.organic_results.forEach(r => {
-        // Extract ABN from URL or title
-        const abnMatch = r.link?.match(/(\d{2}\s?\d{3}\s?\d{3}\s?\d{3})/);
-        const titleAbnMatch = r.title?.match(/ABN\s*(\d{2}\s?\d{3}\s?\d{3}\s?\d{3})/i);
-        
-        if (abnMatch || titleAbnMatch) {
-          const abn = (abnMatch?.[1] || titleAbnMatch?.[1]).replace(/\s/g, '');
-          const formattedABN = abn.replace(/(\d{2})(\d{3})(\d{3})(\d{3})/, '$1 $2 $3 $4');
-          
-          // Extract entity name from title
-          let entityName = r.snippet?.match(/Entity name:s*([^.]+)/i)?.[1]?.trim() || r.title?.replace(/Current details for ABN.*$/i, '').trim();
-          entityName = entityName?.replace(/ABN\s*\d+/gi, '').trim();
-          
-          // Extract status from snippet
-          const statusMatch = r.snippet?.match(/(Active|Cancelled|Suspended)\s+from\s+(\d{1,2}\s+\w+\s+\d{4})/i);
-          const entityTypeMatch = r.snippet?.match(/Entity type:\s*([^.]+)/i);
-          
-          // Avoid duplicates
-          if (!results.matches.find(m => m.abn === formattedABN)) {
-            results.matches.push({
-              abn: formattedABN,
-              abnRaw: abn,
-              entityName: entityName || r.snippet?.match(/Entity name:\s*([^.]+)/i)?.[1]?.trim(),
-              status: statusMatch?.[1] || 'Unknown',
-              statusDate: statusMatch?.[2],
-              entityType: entityTypeMatch?.[1]?.trim(),
-              url: r.link,
-              snippet: r.snippet?.substring(0, 200),
-            });
-          }
-        }
-      });
+    if (!(await fetchABNFromRegister(cleanQuery, options, results)) && !options.registerOnly) {
+      await fetchABNFromSearch(cleanQuery, options, results);
     }
   } catch (e) {
     results.error = e.message;
@@ -537,35 +1003,301 @@ function lookupABN(query) {
   return results;
 }
 
-// Validate ABN checksum (Australian Business Number validation)
-function validateABN(abn) {
-  const abnClean = abn.replace(/\s/g, '');
-  if (!/^\d{11}$/.test(abnClean)) return { valid: false, error: 'ABN must be 11 digits' };
+function abrMatch(e) {
+  return {
+    abn: e.abn.replace(/(\d{2})(\d{3})(\d{3})(\d{3})/, '$1 $2 $3 $4'),
+    abnRaw: e.abn,
+    acn: e.acn ? e.acn.replace(/(\d{3})(\d{3})(\d{3})/, '$1 $2 $3') : null,
+    entityName: e.entityName,
+    status: e.status || 'Unknown',
+    statusDate: e.statusDate,
+    entityType: e.entityType,
+    entityTypeCode: e.entityTypeCode,
+    gst: e.gst,
+    location: e.location,
+    tradingNames: e.tradingNames,
+    matchedName: e.matchedName,
+    url: `https://abr.business.gov.au/ABN/View?abn=${e.abn}`,
+    source: 'abr',
+  };
+}
+
+// Resolves false when the register couldn't answer (no GUID, error, GUID rejected),
+// so the caller falls back to the web search
+async function fetchABNFromRegister(query, options, results) {
+  const digits = query.replace(/\s/g, '');
+  const [operation, input] = /^\d{11}$/.test(digits) ? ['abnDetails', { abn: digits }]
+    : /^\d{9}$/.test(digits) ? ['acnDetails', { acn: digits }]
+    : ['searchNames', { name: query, limit: 10 }];
+  const found = await providers.run('abr', operation, input, options);
+  if (!found) return false;
+  if (/guid/i.test(found.message || '')) {
+    options.failures?.push('abr');
+    recordSource(results.sources, 'abr', { ...found.status, status: 'error', message: found.message });
+    return false;
+  }
+  recordSource(results.sources, 'abr', found.status);
+  if (found.status.status !== 'success') return false;
+
+  let entities = found.entities.filter((e, i, all) => all.findIndex(x => x.abn === e.abn) === i);
+  if (operation === 'searchNames') {
+    // Name search only returns the name, state and postcode - fill in the best few
+    const details = await Promise.all(entities.slice(0, ABR_DETAILS_LIMIT)
+      .map(e => providers.run('abr', 'abnDetails', { abn: e.abn }, options)));
+    details.forEach(d => { if (d) recordSource(results.sources, 'abr', d.status); });
+    entities = entities.map((e, i) => {
+      const full = details[i]?.entities[0];
+      if (!full) return e;
+      return { ...full, nameType: e.nameType, score: e.score, matchedName: e.entityName !== full.entityName ? e.entityName : undefined };
+    });
+  }
+  results.matches = entities.map(abrMatch);
+  results.source = 'abr';
+  return true;
+}
+
+async function fetchABNFromSearch(cleanQuery, options, results) {
+  const isABNNumber = /^\d[\d\s]{9,}$/.test(cleanQuery.replace(/\s/g, ''));
+  
+  let searchQuery;
+  if (isABNNumber) {
+    // Direct ABN lookup
+    const abnClean = cleanQuery.replace(/\s/g, '');
+    searchQuery = `ABN ${abnClean} site:abr.business.gov.au`;
+  } else {
+    // Company name search
+    searchQuery = `${cleanQuery} ABN site:abr.business.gov.au`;
+  }
+  
+  const serp = await providers.run('serp', 'search', { q: searchQuery, num: 5, gl: 'au' }, options);
+  if (!serp) {
+    results.error = 'No ABN source - set ABR_GUID or enable SerpAPI';
+    return;
+  }
+  recordSource(results.sources, 'serp', serp.status);
+  results.source = 'serp';
+  
+  if (serp.results.length) {
+    serp.results.forEach(r => {
+      // Extract ABN from URL or title
+      const abnMatch = r.link?.match(/(\d{2}\s?\d{3}\s?\d{3}\s?\d{3})/);
+      const titleAbnMatch = r.title?.match(/ABN\s*(\d{2}\s?\d{3}\s?\d{3}\s?\d{3})/i);
+      
+      if (abnMatch || titleAbnMatch) {
+        const abn = (abnMatch?.[1] || titleAbnMatch?.[1]).replace(/\s/g, '');
+        const formattedABN = abn.replace(/(\d{2})(\d{3})(\d{3})(\d{3})/, '$1 $2 $3 $4');
+        
+        // Extract entity name from title
+        let entityName = r.snippet?.match(/Entity name:s*([^.]+)/i)?.[1]?.trim() || r.title?.replace(/Current details for ABN.*$/i, '').trim();
+        entityName = entityName?.replace(/ABN\s*\d+/gi, '').trim();
+        
+        // Extract status from snippet
+        const statusMatch = r.snippet?.match(/(Active|Cancelled|Suspended)\s+from\s+(\d{1,2}\s+\w+\s+\d{4})/i);
+        const entityTypeMatch = r.snippet?.match(/Entity type:\s*([^.]+)/i);
+        
+        // Avoid duplicates
+        if (!results.matches.find(m => m.abn === formattedABN)) {
+          results.matches.push({
+            abn: formattedABN,
+            abnRaw: abn,
+            entityName: entityName || r.snippet?.match(/Entity name:\s*([^.]+)/i)?.[1]?.trim(),
+            status: statusMatch?.[1] || 'Unknown',
+            statusDate: statusMatch?.[2],
+            entityType: entityTypeMatch?.[1]?.trim(),
+            url: r.link,
+            snippet: r.snippet?.substring(0, 200),
+            source: 'serp',
+          });
+        }
+      }
+    });
+  }
+}
+
+// Registration health for a company's ABN/ACN: both checksums, the ACN inside a company's ABN
+// (its last 9 digits), and - with an ABR record - cancellation and the register's own ACN.
+// record: the ABR match, { missing: true } when the register doesn't know the number, or null (not checked).
+// status: ok | warning (numbers disagree) | error (invalid number, cancelled, not registered)
+function checkRegistration({ abn, acn }, record = null) {
+  const issues = [];
+  let status = 'ok';
+  const flag = (level, issue) => {
+    issues.push(issue);
+    if (level === 'error' || status === 'ok') status = level;
+  };
+  
+  const abnCheck = abn ? validation.validateABN(abn) : null;
+  const acnCheck = acn ? validation.validateACN(acn) : null;
+  if (abnCheck && !abnCheck.valid) flag('error', `ABN ${abn}: ${abnCheck.error}`);
+  if (acnCheck && !acnCheck.valid) flag('error', `ACN ${acn}: ${acnCheck.error}`);
   
-  // ABN validation algorithm
-  const weights = [10, 1, 3, 5, 7, 9, 11, 13, 15, 17, 19];
-  let sum = 0;
+  const abnDigits = abnCheck?.valid ? String(abn).replace(/\s/g, '') : null;
+  const acnDigits = acnCheck?.valid ? String(acn).replace(/\s/g, '') : null;
+  const acnInAbn = abnDigits && acnDigits ? abnDigits.slice(2) === acnDigits : null;
+  if (acnInAbn === false) flag('warning', `ACN ${acnCheck.formatted} isn't the one in ABN ${abnCheck.formatted}`);
+  
+  if (record?.missing) {
+    flag('error', 'Not found on the ABR');
+  } else if (record) {
+    if (record.status && record.status !== 'Active') flag('error', `ABN ${record.status.toLowerCase()}${record.statusDate ? ' since ' + record.statusDate : ''}`);
+    const registeredAcn = record.acn?.replace(/\s/g, '');
+    if (registeredAcn && acnDigits && registeredAcn !== acnDigits) flag('warning', `ABR lists ACN ${record.acn}, not ${acnCheck.formatted}`);
+  }
+  
+  return {
+    status,
+    issues,
+    checks: {
+      abnValid: abnCheck ? abnCheck.valid : null,
+      acnValid: acnCheck ? acnCheck.valid : null,
+      acnInAbn,
+      registered: record ? !record.missing : null,
+      abnStatus: record?.status || null,
+    },
+  };
+}
+
+// checkRegistration for a company profile, with the ABR record when the register is configured
+// (no web-search fallback - that would spend SerpAPI credits)
+async function companyRegistration(company, options = {}) {
+  if (!company?.abn && !company?.acn) return null;
+  const abnValid = company.abn && validation.validateABN(company.abn).valid;
+  const number = abnValid ? company.abn : company.acn && validation.validateACN(company.acn).valid ? company.acn : null;
+  let record = null;
+  if (number && providers.get('abr')) {
+    const found = await lookupABN(String(number), { user: options.user, refresh: options.refresh, registerOnly: true });
+    if (found.source === 'abr') record = found.matches[0] || { missing: true };
+    else options.failures?.push('abr');
+  }
+  return checkRegistration(company, record);
+}
+
+// One line for exports: "OK", "Warning: ...", "Error: ..."
+function registrationSummary(registration) {
+  if (!registration) return '';
+  if (registration.status === 'ok') return registration.checks.registered ? 'OK (ABR)' : 'OK';
+  return (registration.status === 'error' ? 'Error: ' : 'Warning: ') + registration.issues.join('; ');
+}
+
+
+// ============================================================================
+// NZBN LOOKUP - New Zealand Business Number verification
+// ============================================================================
+
+async function lookupNZBN(query, options = {}) {
+  return cachedLookup('nzbn', [query.replace(/\s/g, '').toLowerCase()], opts => fetchNZBN(query, opts), options, d => !d.matches?.length);
+}
+
+// NZBN or company name. The NZBN register API answers when NZBN_API_KEY is set;
+// a SerpAPI search of nzbn.govt.nz is the fallback when it isn't, or fails (unless options.registerOnly).
+async function fetchNZBN(query, options = {}) {
+  const start = Date.now();
+  const results = {
+    query: query,
+    matches: [],
+    sources: {},
+    duration: 0,
+  };
+  const cleanQuery = query.trim().replace(/\s+/g, ' ');
   
-  for (let i = 0; i < 11; i++) {
-    let digit = parseInt(abnClean[i]);
-    if (i === 0) digit -= 1; // Subtract 1 from first digit
-    sum += digit * weights[i];
+  try {
+    if (!(await fetchNZBNFromRegister(cleanQuery, options, results)) && !options.registerOnly) {
+      await fetchNZBNFromSearch(cleanQuery, options, results);
+    }
+  } catch (e) {
+    results.error = e.message;
   }
   
-  const valid = sum % 89 === 0;
+  results.duration = Date.now() - start;
+  return results;
+}
+
+function nzbnMatch(e) {
   return {
-    valid,
-    formatted: abnClean.replace(/(\d{2})(\d{3})(\d{3})(\d{3})/, '$1 $2 $3 $4'),
-    error: valid ? null : 'Invalid ABN checksum',
+    ...e,
+    status: e.status || 'Unknown',
+    url: `https://www.nzbn.govt.nz/mynzbn/nzbndetails/${e.nzbn}/`,
+    source: 'nzbn',
   };
 }
 
+// Resolves false when the register couldn't answer (no key, error, key rejected),
+// so the caller falls back to the web search
+async function fetchNZBNFromRegister(query, options, results) {
+  const digits = query.replace(/\s/g, '');
+  const [operation, input] = /^\d{13}$/.test(digits) ? ['nzbnDetails', { nzbn: digits }] : ['searchNames', { name: query, limit: 10 }];
+  const found = await providers.run('nzbn', operation, input, options);
+  if (!found) return false;
+  if (/subscription key|access denied/i.test(found.message || '')) {
+    options.failures?.push('nzbn');
+    recordSource(results.sources, 'nzbn', { ...found.status, status: 'error', message: found.message });
+    return false;
+  }
+  recordSource(results.sources, 'nzbn', found.status);
+  if (found.status.status !== 'success') return false;
+  results.matches = found.entities.map(nzbnMatch);
+  results.source = 'nzbn';
+  return true;
+}
+
+async function fetchNZBNFromSearch(cleanQuery, options, results) {
+  const isNumber = /^\d{13}$/.test(cleanQuery.replace(/\s/g, ''));
+  const searchQuery = isNumber ? `NZBN ${cleanQuery.replace(/\s/g, '')} site:nzbn.govt.nz` : `${cleanQuery} NZBN site:nzbn.govt.nz`;
+  const serp = await providers.run('serp', 'search', { q: searchQuery, num: 5, gl: 'nz' }, options);
+  if (!serp) {
+    results.error = 'No NZBN source - set NZBN_API_KEY or enable SerpAPI';
+    return;
+  }
+  recordSource(results.sources, 'serp', serp.status);
+  results.source = 'serp';
+  
+  serp.results.forEach(r => {
+    const nzbn = (r.link?.match(/\b(94\d{11})\b/) || r.title?.match(/\b(94\d{11})\b/) || r.snippet?.match(/\b(94\d{11})\b/))?.[1];
+    if (!nzbn || results.matches.find(m => m.nzbn === nzbn)) return;
+    const statusMatch = r.snippet?.match(/\b(Registered|Removed|Closed|Struck Off|In Liquidation|Inactive)\b/i);
+    results.matches.push({
+      nzbn,
+      entityName: r.title?.split(/\s+[-|–]\s+|\s*\(/)[0].trim() || null,
+      status: statusMatch?.[1] || 'Unknown',
+      entityType: r.snippet?.match(/Entity type:\s*([^.]+)/i)?.[1]?.trim() || null,
+      url: r.link,
+      snippet: r.snippet?.substring(0, 200),
+      source: 'serp',
+    });
+  });
+}
+
+// NZ company: a .nz domain, or Apollo puts it in New Zealand
+function isNZCompany(domain, organization) {
+  return /\.nz$/i.test(domain || '') || /^new zealand$/i.test(organization?.country || '');
+}
+
+// The company's NZBN entry from the register (no web-search fallback - that would spend SerpAPI credits).
+// Only an entry whose legal or trading name is the company name, or whose website is the company
+// domain, is taken - otherwise null, as a company gets no ABN without a register match.
+async function companyNZBN(company, options = {}) {
+  if (!company?.name || !providers.get('nzbn')) return null;
+  const found = await lookupNZBN(company.name, { user: options.user, refresh: options.refresh, registerOnly: true });
+  if (found.sources?.nzbn?.status !== 'success') options.failures?.push('nzbn');
+  const wanted = companyDomains.normalizeName(company.name);
+  const domain = company.domain && normalizeDomainInput(company.domain);
+  const best = found.matches?.find(m => m.source === 'nzbn' && (
+    [m.entityName, ...(m.tradingNames || [])].some(n => n && companyDomains.normalizeName(n) === wanted)
+    || (domain && m.website && normalizeDomainInput(m.website) === domain)));
+  if (!best) return null;
+  return { nzbn: best.nzbn, entityName: best.entityName, status: best.status, entityType: best.entityType, companyNumber: best.companyNumber, url: best.url };
+}
+
 
 // ============================================================================
 // HIRING SIGNALS - Company job postings and growth indicators
 // ============================================================================
 
-function getHiringSignals(companyOrDomain) {
+async function getHiringSignals(companyOrDomain, options = {}) {
+  return cachedLookup('hiring', [normalizeDomainInput(companyOrDomain)], opts => fetchHiringSignals(companyOrDomain, opts), options);
+}
+
+async function fetchHiringSignals(companyOrDomain, options = {}) {
   const start = Date.now();
   const results = {
     company: null,
@@ -576,24 +1308,21 @@ function getHiringSignals(companyOrDomain) {
     duration: 0,
   };
   
-  // Normalize input
-  let domain = companyOrDomain.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+  // Normalize input - company names are resolved to their domain
+  const resolution = await resolveCompanyDomain(companyOrDomain, options);
+  const domain = resolution.domain;
   let companyName = companyOrDomain;
-  if (domain.includes('.')) {
+  if (resolution.source === 'input') {
     companyName = domain.split('.')[0];
   } else {
-    domain = companyOrDomain.toLowerCase().replace(/[^a-z0-9]/g, '') + '.com';
+    results.domainResolution = domainResolutionSummary(resolution);
   }
   
   // 1. Get company info from Apollo
   try {
-    const orgData = curlGet(
-      `https://api.apollo.io/v1/organizations/enrich?domain=${encodeURIComponent(domain)}`,
-      { 'x-api-key': config.apollo.apiKey }
-    );
+    const org = (await providers.run('apollo', 'enrichCompany', { domain }, options))?.organization;
     
-    if (orgData.organization) {
-      const org = orgData.organization;
+    if (org) {
       results.company = {
         name: org.name,
         domain: org.primary_domain,
@@ -615,14 +1344,17 @@ function getHiringSignals(companyOrDomain) {
     }
   } catch (e) { /* continue */ }
   
+  // LinkedIn job count and career page searches both need the company name - run them together.
+  // Both resolve null when SerpAPI is turned off.
+  const [liSearch, careerSearch] = await Promise.all([
+    providers.run('serp', 'search', { q: companyName + ' jobs site:linkedin.com/company', num: 5 }, options),
+    providers.run('serp', 'search', { q: companyName + ' careers jobs Australia', num: 8 }, options),
+  ]);
+  
   // 2. Search for job count from LinkedIn
   try {
-    const liSearch = curlGet(
-      `https://serpapi.com/search.json?api_key=${config.serp.apiKey}&engine=google&q=${encodeURIComponent(companyName + ' jobs site:linkedin.com/company')}&num=5&gl=au`
-    );
-    
-    if (liSearch.organic_results) {
-      liSearch.organic_results.forEach(r => {
+    if (liSearch) {
+      liSearch.results.forEach(r => {
         if (r.link?.includes('linkedin.com/company')) {
           const jobMatch = r.snippet?.match(/(\d[\d,]*)\s*(?:job|open|position)/i);
           if (jobMatch && !results.jobCount) {
@@ -640,12 +1372,8 @@ function getHiringSignals(companyOrDomain) {
   
   // 3. Search for career pages and job boards
   try {
-    const careerSearch = curlGet(
-      `https://serpapi.com/search.json?api_key=${config.serp.apiKey}&engine=google&q=${encodeURIComponent(companyName + ' careers jobs Australia')}&num=8&gl=au`
-    );
-    
-    if (careerSearch.organic_results) {
-      careerSearch.organic_results.forEach(r => {
+    if (careerSearch) {
+      careerSearch.results.forEach(r => {
         const url = r.link?.toLowerCase() || '';
         const isCareerPage = url.includes('career') || url.includes('jobs') || url.includes('hiring') || 
                            url.includes('seek.com') || url.includes('indeed.com') || url.includes('glassdoor');
@@ -667,19 +1395,269 @@ function getHiringSignals(companyOrDomain) {
         }
       });
     }
-  } catch (e) { /* continue */ }
+  } catch (e) { /* continue */ }
+  
+  // 4. Add growth indicators based on hiring activity
+  const activity = hiringActivity(results.jobCount);
+  if (activity) results.growthIndicators.push(activity);
+  
+  results.duration = Date.now() - start;
+  return results;
+}
+
+const HIRING_ACTIVITY_TYPES = ['hot', 'active', 'moderate'];
+
+function hiringActivity(jobCount) {
+  if (jobCount > 100) return { type: 'hot', label: 'Aggressive hiring (100+ open roles)' };
+  if (jobCount > 30) return { type: 'active', label: 'Active hiring (30+ open roles)' };
+  if (jobCount > 10) return { type: 'moderate', label: 'Moderate hiring (10+ open roles)' };
+  return null;
+}
+
+
+// ============================================================================
+// CORPORATE GROUPS - Related entities, and Colleagues/Hiring across a group
+// ============================================================================
+
+const MAX_GROUP_DOMAINS = 5; // Companies per group run - each Hiring run costs up to 3 credits (Apollo, 2 SerpAPI)
+const GROUP_CONCURRENCY = 2; // Group Hiring runs at a time
+
+// Suggested related entities for a company (cached), marked with the groups they're linked into
+async function findRelatedEntities(companyOrDomain, options = {}) {
+  const resolution = await resolveCompanyDomain(companyOrDomain, options);
+  const related = await cachedLookup('related', [resolution.domain || normalizeDomainInput(companyOrDomain)],
+    opts => fetchRelatedEntities(resolution, opts), options, d => d.entities.length <= 1);
+  return withGroupLinks(related);
+}
+
+// Entities sharing the company's name stem: ABNs (and their trading names) from the ABR name search,
+// domains and LinkedIn pages from Firmable/Apollo company search, plus Apollo's parent and subsidiaries
+async function fetchRelatedEntities(resolution, options = {}) {
+  const start = Date.now();
+  const results = { query: resolution.query, company: null, stem: null, entities: [], sources: {}, duration: 0 };
+  const found = {};
+  const add = (type, value, name, source, extra = {}) => {
+    const v = companyGroups.normalizeEntity(type, value);
+    if (!v) return;
+    const key = type + ':' + v.toLowerCase();
+    const entity = found[key] || (found[key] = { type, value: v, name: name || null, sources: [], ...extra });
+    if (!entity.sources.includes(source)) entity.sources.push(source);
+    if (!entity.name && name) entity.name = name;
+  };
+  
+  // Company intel is its own cached lookup - a failure there means this result shouldn't be cached either
+  const intel = await getCompanyIntel(resolution.domain, { user: options.user, refresh: options.refresh });
+  Object.entries(intel.sources || {}).forEach(([provider, status]) => {
+    recordSource(results.sources, provider, status);
+    if (status.status !== 'success') options.failures?.push(provider);
+  });
+  const company = intel.company || {};
+  results.company = { name: company.name || null, domain: company.domain || resolution.domain, abn: company.abn || null, linkedin: company.linkedin || null };
+  results.stem = companyGroups.nameStem(company.name || resolution.query);
+  
+  add('domain', results.company.domain, company.name, 'company');
+  if (company.abn) add('abn', company.abn, company.name, 'company');
+  if (company.linkedin) add('linkedin', company.linkedin, company.name, 'company');
+  if (company.parent?.domain) add('domain', company.parent.domain, company.parent.name, 'apollo', { relation: 'parent' });
+  (company.subsidiaries || []).forEach(sub => add('domain', sub.domain, sub.name, 'apollo', { relation: 'subsidiary' }));
+  
+  const stem = results.stem;
+  if (stem) {
+    const [abr, ...searches] = await Promise.all([
+      providers.get('abr') ? lookupABN(stem, { user: options.user, refresh: options.refresh, registerOnly: true }) : null,
+      providers.run('firmable', 'searchCompanies', { name: stem, limit: 10 }, options),
+      providers.run('apollo', 'searchCompanies', { name: stem, limit: 10 }, options),
+    ]);
+    if (abr) {
+      recordSource(results.sources, 'abr', abr.sources?.abr || { status: 'error' });
+      if (abr.source !== 'abr') options.failures?.push('abr');
+      (abr.matches || [])
+        .filter(m => m.status === 'Active' && [m.entityName, m.matchedName, ...(m.tradingNames || [])].some(n => companyGroups.sharesStem(n, stem)))
+        .forEach(m => {
+          add('abn', m.abnRaw, m.entityName, 'abr', { entityType: m.entityType || null });
+          (m.tradingNames || []).forEach(t => add('name', t, t, 'abr', { abn: m.abnRaw }));
+        });
+    }
+    searches.filter(Boolean).forEach(search => {
+      recordSource(results.sources, search.provider, search.status);
+      search.companies.filter(c => companyGroups.sharesStem(c.name, stem)).forEach(c => {
+        add('domain', c.domain, c.name, search.provider);
+        if (c.linkedin) add('linkedin', c.linkedin, c.name, search.provider);
+        if (c.abn) add('abn', c.abn, c.name, search.provider);
+      });
+    });
+  }
   
-  // 4. Add growth indicators based on hiring activity
-  if (results.jobCount) {
-    if (results.jobCount > 100) {
-      results.growthIndicators.push({ type: 'hot', label: 'Aggressive hiring (100+ open roles)' });
-    } else if (results.jobCount > 30) {
-      results.growthIndicators.push({ type: 'active', label: 'Active hiring (30+ open roles)' });
-    } else if (results.jobCount > 10) {
-      results.growthIndicators.push({ type: 'moderate', label: 'Moderate hiring (10+ open roles)' });
+  results.entities = Object.values(found);
+  results.duration = Date.now() - start;
+  return results;
+}
+
+// Group links change at any time, so they're added after the cache: the company's group,
+// each suggestion's group, and anything linked into the group that wasn't suggested
+function withGroupLinks(related) {
+  const group = companyGroups.findGroup('domain', related.company?.domain)
+    || related.entities.filter(e => e.sources.includes('company')).map(e => companyGroups.findGroup(e.type, e.value)).find(Boolean)
+    || null;
+  const entities = related.entities.map(e => {
+    const linked = companyGroups.findGroup(e.type, e.value);
+    return { ...e, group: linked ? { id: linked.id, name: linked.name } : null };
+  });
+  (group?.entities || []).forEach(e => {
+    if (!entities.some(x => x.type === e.type && x.value.toLowerCase() === e.value.toLowerCase())) {
+      entities.push({ type: e.type, value: e.value, name: e.name, sources: ['group'], group: { id: group.id, name: group.name } });
+    }
+  });
+  return { ...related, group: group ? { id: group.id, name: group.name, createdAt: group.createdAt } : null, entities };
+}
+
+// The company's group, found by any linked entity: its domain, the name it was looked up by, or the
+// ABN, LinkedIn page and name from its company intel - { group, via: the entity it was found by }.
+// Intel is only looked up when some group links more than domains, and with options.paid = false
+// only if it's already cached.
+async function findCompanyGroup(resolution, options = {}) {
+  const found = (type, value) => {
+    const group = value ? companyGroups.findGroup(type, value) : null;
+    return group ? { group, via: { type, value: companyGroups.normalizeEntity(type, value) } } : null;
+  };
+  const byDomain = found('domain', resolution.domain);
+  if (byDomain) return byDomain;
+  if (!companyGroups.listGroups().some(g => g.entities.some(e => e.type !== 'domain'))) return null;
+  const byQuery = resolution.source !== 'input' && found('name', resolution.query);
+  if (byQuery) return byQuery;
+  const intel = options.paid === false
+    ? resultCache.peek(resultCache.generateKey('company', [normalizeDomainInput(resolution.domain)]))?.data
+    : await getCompanyIntel(resolution.domain, { user: options.user });
+  const company = intel?.company || {};
+  return found('abn', company.abn) || found('linkedin', company.linkedin) || found('name', company.name);
+}
+
+// Domain for a linked ABN, LinkedIn page or trading name, resolved by its name (an ABN's from the ABR,
+// a LinkedIn page's from its slug when it was linked without one) - null unless the resolver is confident
+async function groupEntityDomain(entity, options = {}) {
+  let name = entity.type === 'name' ? entity.value : entity.name;
+  if (!name && entity.type === 'abn' && providers.get('abr')) {
+    const abr = await lookupABN(entity.value, { user: options.user, registerOnly: true });
+    name = abr.matches?.[0]?.entityName;
+  }
+  if (!name && entity.type === 'linkedin') name = entity.value.split('/').pop().replace(/[-_]+/g, ' ');
+  if (!name) return null;
+  return confidentDomain(await resolveCompanyDomain(name, options));
+}
+
+// The domains to run a group across, the company's own first: linked domains, then the domains of its
+// other entities. The entity the company was found by, and entities named like a linked domain's
+// company, are already covered; the rest that can't be resolved, or don't fit in MAX_GROUP_DOMAINS,
+// are listed in skipped with the reason.
+async function groupRunFor({ group, via }, first, options = {}) {
+  const own = normalizeDomainInput(first);
+  const domains = companyGroups.groupDomains(group, own);
+  if (own && !domains.includes(own)) domains.unshift(own); // Found by its ABN, LinkedIn page or name
+  const run = { id: group.id, name: group.name, domains: domains.slice(0, MAX_GROUP_DOMAINS), resolved: [], skipped: [] };
+  const skip = (e, reason) => run.skipped.push({ type: e.type, value: e.value, name: e.name || null, reason });
+  domains.slice(MAX_GROUP_DOMAINS).forEach(d => skip({ type: 'domain', value: d }, 'limit'));
+
+  const covered = group.entities.filter(e => e.type === 'domain' && e.name).map(e => companyDomains.normalizeName(e.name));
+  const isVia = e => e.type === via.type && e.value.toLowerCase() === via.value.toLowerCase();
+  for (const entity of group.entities.filter(e => e.type !== 'domain' && !isVia(e))) {
+    if (covered.includes(companyDomains.normalizeName(entity.type === 'name' ? entity.value : entity.name || ''))) continue;
+    if (run.domains.length >= MAX_GROUP_DOMAINS) { skip(entity, 'limit'); continue; }
+    const domain = await groupEntityDomain(entity, options);
+    if (!domain) skip(entity, 'no_domain');
+    else if (!run.domains.includes(domain)) {
+      run.domains.push(domain);
+      run.resolved.push({ type: entity.type, value: entity.value, domain });
     }
   }
+  return run;
+}
+
+// findColleagues across every domain in the company's group (just the company when it has none)
+async function findGroupColleagues(companyDomain, filters = {}, options = {}) {
+  const resolution = await resolveCompanyDomain(companyDomain, { ...options, paid: false });
+  const linked = await findCompanyGroup(resolution, { ...options, paid: false });
+  if (!linked) return findColleagues(companyDomain, filters, options);
+  // A group found by the company's name runs across its own domains, not a domain we aren't sure of
+  const group = await groupRunFor(linked, confidentDomain(resolution), { ...options, paid: false });
+  if (!group.domains.length) return findColleagues(companyDomain, filters, options);
+  
+  const start = Date.now();
+  const runs = await Promise.all(group.domains.map(d => findColleagues(d, filters, options)));
+  const results = { ...runs[0], colleagues: [], total: 0, sources: {}, group: { ...group, companies: [] } };
+  if (resolution.source !== 'input') results.domainResolution = domainResolutionSummary(resolution);
+  runs.forEach((run, i) => {
+    results.total += run.total || 0;
+    results.group.companies.push({ domain: group.domains[i], name: run.company?.name || null, found: run.colleagues.length, total: run.total });
+    run.colleagues.forEach(c => {
+      if (!results.colleagues.some(x => (x.id && x.id === c.id) || (x.linkedin && x.linkedin === c.linkedin))) results.colleagues.push(c);
+    });
+    Object.entries(run.sources).forEach(([provider, status]) => recordSource(results.sources, provider, status));
+  });
+  results.duration = Date.now() - start;
+  return results;
+}
+
+// Credits a Hiring run for the domain spends at most, per provider - none when it's cached
+function hiringRunCost(domain, options = {}) {
+  if (!options.refresh && resultCache.peek(resultCache.generateKey('hiring', [domain]))) return {};
+  return {
+    apollo: providers.estimate('apollo', 'enrichCompany', { domain }),
+    serp: 2 * providers.estimate('serp', 'search', { q: domain }),
+  };
+}
+
+// The run's domains the credit budgets cover, estimated before anything is sent. In block mode the
+// rest move to skipped ('budget'); in warn mode they run with a warning. The company's own domain always runs.
+function budgetGroupRun(group, options = {}) {
+  const spend = {};
+  const budgets = credits.getBudgets();
+  const left = provider => credits.remainingCredits(provider) ?? Infinity;
+  const domains = group.domains.filter((domain, i) => {
+    const cost = hiringRunCost(domain, options);
+    const blocked = Object.keys(cost).some(p => cost[p] && budgets[p].mode === 'block' && (spend[p] || 0) + cost[p] > left(p));
+    if (i > 0 && blocked) {
+      group.skipped.push({ type: 'domain', value: domain, name: null, reason: 'budget' });
+      return false;
+    }
+    Object.entries(cost).forEach(([p, c]) => { if (c) spend[p] = (spend[p] || 0) + c; });
+    return true;
+  });
+  const warnings = Object.entries(spend).filter(([p, c]) => c > left(p))
+    .map(([p, c]) => `${p}: up to ${c} credits but only ${left(p)} left in budget`);
+  return { ...group, domains, credits: spend, warnings };
+}
+
+// getHiringSignals across every domain in the company's group - job counts are added up.
+// The credits are estimated and checked against budgets first, and GROUP_CONCURRENCY runs go at a time.
+async function getGroupHiringSignals(companyOrDomain, options = {}) {
+  const resolution = await resolveCompanyDomain(companyOrDomain, options);
+  const linked = await findCompanyGroup(resolution, options);
+  if (!linked) return getHiringSignals(companyOrDomain, options);
+  const group = budgetGroupRun(await groupRunFor(linked, resolution.domain, options), options);
   
+  const start = Date.now();
+  const runs = [];
+  for (let i = 0; i < group.domains.length; i += GROUP_CONCURRENCY) {
+    runs.push(...await Promise.all(group.domains.slice(i, i + GROUP_CONCURRENCY).map(d => getHiringSignals(d, options))));
+  }
+  const results = {
+    ...runs[0],
+    jobCount: null,
+    jobSources: [],
+    careerPages: [],
+    growthIndicators: runs[0].growthIndicators.filter(g => !HIRING_ACTIVITY_TYPES.includes(g.type)),
+    group: { ...group, companies: [] },
+    cache: { hit: runs.every(r => r.cache?.hit), group: true },
+  };
+  runs.forEach((run, i) => {
+    const company = run.company?.name || group.domains[i];
+    if (run.jobCount) results.jobCount = (results.jobCount || 0) + run.jobCount;
+    results.jobSources.push(...run.jobSources.map(js => ({ ...js, company })));
+    results.careerPages.push(...run.careerPages.map(p => ({ ...p, company })));
+    results.group.companies.push({ domain: group.domains[i], name: run.company?.name || null, jobCount: run.jobCount });
+  });
+  const activity = hiringActivity(results.jobCount);
+  if (activity) results.growthIndicators.push(activity);
   results.duration = Date.now() - start;
   return results;
 }
@@ -689,7 +1667,11 @@ function getHiringSignals(companyOrDomain) {
 // TECH STACK - Company technology lookup
 // ============================================================================
 
-function getTechStack(companyOrDomain) {
+async function getTechStack(companyOrDomain, options = {}) {
+  return cachedLookup('tech', [normalizeDomainInput(companyOrDomain)], opts => fetchTechStack(companyOrDomain, opts), options, d => !d.company && !d.technologies?.length);
+}
+
+async function fetchTechStack(companyOrDomain, options = {}) {
   const start = Date.now();
   const results = {
     company: null,
@@ -699,20 +1681,17 @@ function getTechStack(companyOrDomain) {
     duration: 0,
   };
   
-  // Normalize domain
-  let domain = companyOrDomain.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
-  if (!domain.includes('.')) {
-    domain = companyOrDomain.toLowerCase().replace(/[^a-z0-9]/g, '') + '.com';
-  }
+  // Company names are resolved to their domain
+  const resolution = await resolveCompanyDomain(companyOrDomain, options);
+  const domain = resolution.domain;
+  if (resolution.source !== 'input') results.domainResolution = domainResolutionSummary(resolution);
   
   try {
-    const orgData = curlGet(
-      `https://api.apollo.io/v1/organizations/enrich?domain=${encodeURIComponent(domain)}`,
-      { 'x-api-key': config.apollo.apiKey }
-    );
+    const apollo = await providers.run('apollo', 'enrichCompany', { domain }, options);
+    if (!apollo) results.error = 'Apollo is not enabled';
     
-    if (orgData.organization) {
-      const org = orgData.organization;
+    if (apollo?.organization) {
+      const org = apollo.organization;
       results.company = {
         name: org.name,
         domain: org.primary_domain,
@@ -746,7 +1725,7 @@ function getTechStack(companyOrDomain) {
 }
 
 // Search for companies using a specific technology
-function searchByTech(techName, location, limit = 10) {
+async function searchByTech(techName, location, limit = 10, options = {}) {
   const start = Date.now();
   const results = {
     technology: techName,
@@ -756,25 +1735,14 @@ function searchByTech(techName, location, limit = 10) {
   };
   
   try {
-    // Use Apollo organization search with technology filter
-    const params = new URLSearchParams();
-    params.append('organization_technology_names[]', techName);
-    if (location) {
-      params.append('organization_locations[]', location);
-    }
-    params.append('per_page', Math.min(limit, 25).toString());
-    
-    // Search via people to get organizations
-    const apolloData = curlPost(
-      `https://api.apollo.io/api/v1/mixed_people/api_search?${params}`,
-      { 'Content-Type': 'application/json', 'x-api-key': config.apollo.apiKey },
-      {}
-    );
-    
-    if (apolloData.people?.length) {
+    // Search via people to get organizations, filtered on the technology
+    const apollo = await providers.run('apollo', 'searchPeople', { technologies: [techName], organizationLocations: [location], limit }, options);
+    if (!apollo) results.error = 'Apollo is not enabled';
+    
+    if (apollo?.people.length) {
       // Extract unique companies
       const seen = new Set();
-      apolloData.people.forEach(p => {
+      apollo.people.forEach(p => {
         if (p.organization && !seen.has(p.organization.id)) {
           seen.add(p.organization.id);
           results.companies.push({
@@ -801,7 +1769,13 @@ function searchByTech(techName, location, limit = 10) {
 // LOOKALIKE COMPANIES - Find similar companies
 // ============================================================================
 
-function findLookalikes(seedCompany, filters = {}) {
+async function findLookalikes(seedCompany, filters = {}, options = {}) {
+  const { limit = 10, location, minEmployees, maxEmployees } = filters;
+  return cachedLookup('lookalikes', [normalizeDomainInput(seedCompany), limit, location, minEmployees, maxEmployees],
+    opts => fetchLookalikes(seedCompany, filters, opts), options, d => !d.seed || !d.lookalikes?.length);
+}
+
+async function fetchLookalikes(seedCompany, filters = {}, options = {}) {
   const start = Date.now();
   const { limit = 10, location, minEmployees, maxEmployees } = filters;
   
@@ -812,21 +1786,18 @@ function findLookalikes(seedCompany, filters = {}) {
     duration: 0,
   };
   
-  // Normalize domain
-  let domain = seedCompany.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
-  if (!domain.includes('.')) {
-    domain = seedCompany.toLowerCase().replace(/[^a-z0-9]/g, '') + '.com';
-  }
+  // Company names are resolved to their domain
+  const resolution = await resolveCompanyDomain(seedCompany, options);
+  const domain = resolution.domain;
+  if (resolution.source !== 'input') results.domainResolution = domainResolutionSummary(resolution);
   
   // Get seed company details
   try {
-    const seedData = curlGet(
-      `https://api.apollo.io/v1/organizations/enrich?domain=${encodeURIComponent(domain)}`,
-      { 'x-api-key': config.apollo.apiKey }
-    );
+    const apollo = await providers.run('apollo', 'enrichCompany', { domain }, options);
+    if (!apollo) throw new Error('Apollo is not enabled');
     
-    if (seedData.organization) {
-      const org = seedData.organization;
+    if (apollo.organization) {
+      const org = apollo.organization;
       results.seed = {
         name: org.name,
         domain: org.primary_domain,
@@ -857,41 +1828,25 @@ function findLookalikes(seedCompany, filters = {}) {
   
   // Search for similar companies
   try {
-    const params = new URLSearchParams();
-    
-    // Industry filter
-    if (results.seed.industryTagId) {
-      params.append('organization_industry_tag_ids[]', results.seed.industryTagId);
-    }
-    
     // Employee range filter
     const empRange = minEmployees && maxEmployees 
       ? `${minEmployees},${maxEmployees}`
       : results.criteria.employeeRange;
-    if (empRange) {
-      params.append('organization_num_employees_ranges[]', empRange);
-    }
-    
-    // Location filter
-    if (location) {
-      params.append('organization_locations[]', location);
-    }
-    
-    // Get C-suite to ensure we get real companies
-    params.append('person_seniorities[]', 'c_suite');
-    params.append('per_page', '25');
     
-    const searchData = curlPost(
-      `https://api.apollo.io/api/v1/mixed_people/api_search?${params}`,
-      { 'Content-Type': 'application/json', 'x-api-key': config.apollo.apiKey },
-      {}
-    );
+    // Same industry, size and location - C-suite people, to ensure we get real companies
+    const apollo = await providers.run('apollo', 'searchPeople', {
+      industryTagIds: [results.seed.industryTagId],
+      employeeRanges: [empRange],
+      organizationLocations: [location],
+      seniorities: ['c_suite'],
+      limit: 25,
+    }, options);
     
-    if (searchData.people?.length) {
+    if (apollo?.people.length) {
       const seen = new Set();
       seen.add(results.seed.domain); // Exclude seed company
       
-      searchData.people.forEach(p => {
+      apollo.people.forEach(p => {
         if (p.organization && !seen.has(p.organization.primary_domain)) {
           seen.add(p.organization.primary_domain);
           
@@ -963,38 +1918,50 @@ function calculateSimilarity(seed, company) {
   return score;
 }
 
-function enrichLinkedIn(linkedinUrl) {
+async function enrichLinkedIn(linkedinUrl, options = {}) {
+  return cachedLookup('person', ['linkedin', linkedinUrl.replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, ''), revealCacheMode(options)], opts => fetchLinkedInContact(linkedinUrl, opts), options, personNotFound);
+}
+
+async function fetchLinkedInContact(linkedinUrl, options = {}) {
   const start = Date.now();
   const results = { person: null, emails: [], phones: [], sources: {} };
   let liUrl = linkedinUrl.trim();
   if (!liUrl.startsWith('http')) liUrl = 'https://' + liUrl;
+  const fields = revealFields(options);
+  if (options.preview) results.preview = {};
+  else results.revealed = fields;
 
-  try {
-    const lushaData = curlGet(`https://api.lusha.com/v2/person?linkedinUrl=${encodeURIComponent(liUrl)}&revealEmails=true&revealPhones=true`, { 'api_key': config.lusha.apiKey });
-    const d = lushaData.data || lushaData.contact?.data;
-    if (d) {
-      results.person = { firstName: d.firstName, lastName: d.lastName, title: d.currentJobTitle, company: d.company?.name };
-      if (d.emailAddresses?.length) d.emailAddresses.forEach(e => results.emails.push({ email: e.email, source: 'Lusha', type: e.emailType }));
-      if (d.phoneNumbers?.length) d.phoneNumbers.forEach(p => results.phones.push({ number: p.internationalNumber || p.localizedNumber, source: 'Lusha', type: p.type }));
-    }
-    results.sources.lusha = { status: 'success' };
-  } catch (e) { results.sources.lusha = { status: 'error' }; }
+  const input = { linkedin: liUrl };
+  const matches = options.preview
+    ? await previewMatches(results, input, null, options)
+    : await runWaterfall(results, input, fields, waterfall.resolveStrategy(options.strategy), null, options);
 
-  try {
-    const apolloData = curlPost('https://api.apollo.io/v1/people/match', { 'Content-Type': 'application/json', 'x-api-key': config.apollo.apiKey },
-      { linkedin_url: liUrl, reveal_personal_emails: true });
-    if (apolloData.person) {
-      if (!results.person) results.person = { firstName: apolloData.person.first_name, lastName: apolloData.person.last_name, title: apolloData.person.title };
-      if (apolloData.person.email && !results.emails.find(e => e.email === apolloData.person.email)) results.emails.push({ email: apolloData.person.email, source: 'Apollo', verified: apolloData.person.email_status === 'verified' });
-    }
-    results.sources.apollo = { status: 'success' };
-  } catch (e) { results.sources.apollo = { status: 'error' }; }
+  const profile = matches.find(match => match.person);
+  if (profile) {
+    const { firstName, lastName, title, company } = profile.person;
+    results.person = { firstName, lastName, title, company };
+  }
+  if (!options.preview) {
+    const validated = await finishContacts(results, null, options);
+    if (validated) recordSource(results.sources, 'numverify', validated);
+  }
 
   results.linkedin = liUrl;
   results.duration = Date.now() - start;
   return results;
 }
 
+// Current title and company for a watched contact - Lusha (needs LinkedIn), then Apollo.
+// Nothing is revealed, so the check spends no credits.
+async function getCurrentRole(contact, options = {}) {
+  const input = { firstName: contact.firstName, lastName: contact.lastName, linkedin: contact.linkedin };
+  for (const provider of ['lusha', 'apollo']) {
+    const match = await providers.run(provider, 'matchPerson', input, { ...options, fields: [] });
+    if (match?.person?.title) return { title: match.person.title, company: match.person.company };
+  }
+  return {};
+}
+
 // Compliance & CSV functions (same as v5)
 function checkCompliance(contacts) {
   const issues = [], validContacts = [];
@@ -1039,52 +2006,246 @@ function parseCSV(csvText) {
   return { contacts, headers: headerRaw };
 }
 
-async function enrichContactsBulk(contacts) {
+// ============================================================================
+// BULK PLAN - shared by the pre-flight estimate and the enrichment run
+// ============================================================================
+
+// Identity used to spot the same person twice in one upload
+function bulkContactKey(c) {
+  if (c.linkedin?.trim()) return 'li:' + c.linkedin.trim().toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, '');
+  if (c.email?.trim()) return 'email:' + c.email.trim().toLowerCase();
+  return 'name:' + [c.firstName, c.lastName, c.company || c.domain].map(v => (v || '').trim().toLowerCase()).join('|');
+}
+
+// Contact fields a bulk row gets from enrichment - reused for duplicates and cache hits
+// A deep copy - rows get annotated later (shared switchboards, confidence), which mustn't reach the
+// cache or the row they were copied from
+function bulkEnrichmentFields(enriched) {
+  const { emails, phones, sources, companyInfo, linkedin, title, domainResolution, identity, _status, _errors } = enriched;
+  return structuredClone({ emails, phones, sources, companyInfo, linkedin, title, domainResolution, identity, _status, _errors });
+}
+
+// How a bulk row's provider calls went: _status 'enriched', 'partial' (some failed) or 'failed' (all did),
+// and _errors saying which and why ("Apollo: circuit open"). statuses: { Apollo: status, ... }, null when not called.
+function bulkRowStatus(statuses) {
+  const called = Object.entries(statuses).filter(([, s]) => s);
+  const errors = called.filter(([, s]) => s.status !== 'success')
+    .map(([name, s]) => `${name}: ${s.message || s.reason?.replace(/_/g, ' ') || s.status}`);
+  const status = !errors.length ? 'enriched' : errors.length === called.length ? 'failed' : 'partial';
+  return errors.length ? { _status: status, _errors: errors } : { _status: status };
+}
+
+// Decide which provider calls each row needs. Rows that already have an email skip the
+// Apollo email reveal, rows with email and LinkedIn skip Apollo, duplicates reuse the first row
+// and cached rows reuse an earlier run. Rows without a domain use their company's known domain
+// (resolveBulkDomains) only when it's confident - a guess goes to no provider, and the row's
+// domainResolution says it's unresolved.
+function planBulkEnrichment(contacts) {
+  const seen = {};
+  return contacts.map((c, idx) => {
+    const key = bulkContactKey(c);
+    if (seen[key] !== undefined) return { contact: c, duplicateOf: seen[key] };
+    seen[key] = idx;
+
+    const hasEmail = !!c.email?.trim();
+    const hasLinkedIn = !!c.linkedin?.trim();
+    const cacheKey = resultCache.generateKey('person', ['bulk', key, hasEmail]);
+    const known = !c.domain && c.company ? knownCompanyDomain(c.company) : null;
+    const domain = c.domain || confidentDomain(known) || undefined;
+    const firmDomain = domain || null;
+    if (known && !confidentDomain(known)) known.unresolved = true;
+    const apolloFields = hasEmail ? REVEAL_FIELDS.filter(f => f !== 'email') : REVEAL_FIELDS;
+    return {
+      contact: c,
+      hasEmail,
+      hasLinkedIn,
+      cacheKey,
+      cached: resultCache.has(cacheKey),
+      firmDomain,
+      domainResolution: known,
+      firmable: firmDomain ? providers.prepare('firmable', 'lookupCompany', { domain: firmDomain }) : null,
+      apolloFields,
+      apollo: hasEmail && hasLinkedIn
+        ? null
+        : providers.prepare('apollo', 'matchPerson', { firstName: c.firstName, lastName: c.lastName, company: c.company, domain, linkedin: c.linkedin }, { fields: apolloFields }),
+      // Hunter finds the email when Apollo has none, or confirms an unverified Apollo email - one credit at most
+      hunter: hasEmail ? null : providers.prepare('hunter', 'matchPerson', { firstName: c.firstName, lastName: c.lastName, company: c.company, domain }),
+    };
+  });
+}
+
+// Credits a bulk run would spend at most (providers only charge on a match), checked against budgets
+function estimateBulkCost(plans) {
+  const estimate = { rows: plans.length, toEnrich: 0, duplicates: 0, cacheHits: 0, alreadyHaveEmail: 0, alreadyComplete: 0, providers: {}, totalCredits: 0, warnings: [] };
+  const addCall = (provider, reqUrl, body) => {
+    const cost = credits.estimateCost(provider, reqUrl, body);
+    const entry = estimate.providers[provider] = estimate.providers[provider] || { calls: 0, credits: 0 };
+    entry.calls++;
+    entry.credits += cost.credits;
+    estimate.totalCredits += cost.credits;
+  };
+
+  const firmDomains = new Set();
+  plans.forEach(p => {
+    if (p.duplicateOf !== undefined) { estimate.duplicates++; return; }
+    if (p.cached) { estimate.cacheHits++; return; }
+    estimate.toEnrich++;
+    if (p.hasEmail) estimate.alreadyHaveEmail++;
+    if (p.hasEmail && p.hasLinkedIn) estimate.alreadyComplete++;
+    if (p.apollo) addCall('apollo', p.apollo.url, p.apollo.body);
+    if (p.hunter) addCall('hunter', p.hunter.url);
+    if (p.firmable && !firmDomains.has(p.firmDomain)) {
+      firmDomains.add(p.firmDomain);
+      addCall('firmable', p.firmable.url);
+    }
+  });
+
+  const summary = credits.getSummary();
+  Object.entries(estimate.providers).forEach(([provider, entry]) => {
+    const spend = summary.providers[provider];
+    if (!spend || !entry.credits) return;
+    const { daily, monthly, mode } = spend.budget;
+    entry.budget = {
+      dailyRemaining: daily !== null ? Math.max(0, daily - spend.daily) : null,
+      monthlyRemaining: monthly !== null ? Math.max(0, monthly - spend.monthly) : null,
+      mode,
+    };
+    const remaining = [entry.budget.dailyRemaining, entry.budget.monthlyRemaining].filter(v => v !== null);
+    if (remaining.length && entry.credits > Math.min(...remaining)) {
+      estimate.warnings.push(`${provider}: up to ${entry.credits} credits but only ${Math.min(...remaining)} left in budget` + (mode === 'block' ? ' - later rows will be skipped' : ''));
+    }
+  });
+
+  return estimate;
+}
+
+// Resolve each company without a domain once, before planning - aliases and Firmable only,
+// so the credit estimate still holds
+async function resolveBulkDomains(contacts, options = {}) {
+  const companies = [...new Set(contacts.filter(c => !c.domain?.trim() && c.company?.trim()).map(c => c.company.trim()))];
+  for (const company of companies) await resolveCompanyDomain(company, { ...options, paid: false });
+}
+
+async function enrichContactsBulk(contacts, options = {}) {
   const results = [];
-  for (let i = 0; i < contacts.length; i++) {
-    const c = contacts[i];
+  await resolveBulkDomains(contacts, options);
+  const plans = planBulkEnrichment(contacts);
+  const firmRequests = {}; // One Firmable lookup per domain
+
+  for (let i = 0; i < plans.length; i++) {
+    const plan = plans[i];
+    const c = plan.contact;
+
+    if (plan.duplicateOf !== undefined) {
+      const first = bulkEnrichmentFields(results[plan.duplicateOf]);
+      results.push({ ...c, ...first, linkedin: c.linkedin || first.linkedin, title: c.title || first.title, _enriched: first._status !== 'failed', _duplicateOf: plan.duplicateOf, _timestamp: new Date().toISOString() });
+      continue;
+    }
+
+    const cachedEntry = resultCache.get(plan.cacheKey);
+    if (cachedEntry) {
+      const fields = structuredClone(cachedEntry.data);
+      results.push({ ...c, ...fields, linkedin: c.linkedin || fields.linkedin, title: fields.title || c.title, _enriched: true, _cached: true, _timestamp: new Date().toISOString() });
+      continue;
+    }
+
     const enriched = { ...c, _enriched: true, _timestamp: new Date().toISOString(), emails: [], phones: [], sources: [] };
-    try {
-      const apolloData = curlPost('https://api.apollo.io/v1/people/match', { 'Content-Type': 'application/json', 'x-api-key': config.apollo.apiKey },
-        { first_name: c.firstName, last_name: c.lastName, organization_name: c.company, domain: c.domain, reveal_personal_emails: true });
-      if (apolloData.person) {
-        if (apolloData.person.email) enriched.emails.push({ email: apolloData.person.email, source: 'Apollo', verified: apolloData.person.email_status === 'verified' });
-        if (apolloData.person.personal_emails?.length) apolloData.person.personal_emails.forEach(e => enriched.emails.push({ email: e, source: 'Apollo', type: 'personal' }));
-        if (apolloData.person.phone_numbers?.length) apolloData.person.phone_numbers.forEach(p => enriched.phones.push({ number: p.sanitized_number || p.raw_number, source: 'Apollo' }));
-        if (apolloData.person.linkedin_url) enriched.linkedin = apolloData.person.linkedin_url;
-        if (apolloData.person.title) enriched.title = apolloData.person.title;
-        enriched.sources.push('Apollo');
+    if (plan.domainResolution) enriched.domainResolution = plan.domainResolution;
+    if (plan.hasEmail) enriched.emails.push({ email: c.email, source: 'CSV' });
+    if (plan.firmable && !firmRequests[plan.firmDomain]) {
+      firmRequests[plan.firmDomain] = providers.execute('firmable', 'lookupCompany', plan.firmable, options);
+    }
+    const [apolloMatch, firm] = await Promise.all([
+      plan.apollo ? providers.execute('apollo', 'matchPerson', plan.apollo, { ...options, fields: plan.apolloFields }) : null,
+      plan.firmable ? firmRequests[plan.firmDomain] : null,
+    ]);
+    // Apollo sometimes matches a different person - dropped, or flagged when only the company or title differs
+    const apollo = checkIdentity(c, apolloMatch);
+    recordIdentity(enriched, apollo);
+    if (apollo?.matched) {
+      mergeContacts(enriched, apollo, c.domain || plan.firmDomain);
+      if (apollo.person.linkedin && !enriched.linkedin) enriched.linkedin = apollo.person.linkedin;
+      if (apollo.person.title) enriched.title = apollo.person.title;
+      enriched.sources.push('Apollo');
+    }
+    
+    let hunterStatus = null;
+    if (plan.hunter && !enriched.emails.some(e => e.type !== 'personal')) {
+      const hunter = checkIdentity(c, await providers.execute('hunter', 'matchPerson', plan.hunter, options));
+      recordIdentity(enriched, hunter);
+      if (hunter.matched) {
+        mergeContacts(enriched, hunter, c.domain || plan.firmDomain);
+        enriched.sources.push('Hunter');
       }
-    } catch (e) { enriched._error = e.message; }
+      hunterStatus = hunter.status;
+    } else if (plan.hunter) {
+      hunterStatus = await confirmEmails(enriched.emails, options, 1);
+    }
     
-    if (c.domain || c.company) {
-      try {
-        let d = c.domain || c.company.toLowerCase().replace(/[^a-z0-9]/g, '') + '.com.au';
-        const firmData = curlGet(`https://api.firmable.com/company?website=${encodeURIComponent(d)}`, { 'Authorization': `Bearer ${config.firmable.apiKey}` });
-        if (firmData.id) {
-          enriched.companyInfo = { name: firmData.name, domain: firmData.fqdn, auEmployees: firmData.au_employee_count, abn: firmData.abn, phone: firmData.phone };
-          if (firmData.phone && !enriched.phones.find(p => p.number === firmData.phone)) enriched.phones.push({ number: firmData.phone, source: 'Firmable', type: 'company' });
-          enriched.sources.push('Firmable');
-        }
-      } catch (e) {}
+    if (firm?.company) {
+      const { employees, ...company } = firm.company;
+      enriched.companyInfo = { ...company, auEmployees: employees, registration: await companyRegistration(company, options) };
+      if (company.phone) consolidation.addPhone(enriched.phones, { number: company.phone, source: 'Firmable', type: 'company' }, { country: contactCountry(enriched, c.domain || plan.firmDomain) });
+      enriched.sources.push('Firmable');
     }
     
+    await finishContacts(enriched, c.domain || plan.firmDomain, options, { phones: 0, smtp: 1 }); // NumVerify isn't in the bulk estimate
+    // The Do Not Call Register covers AU mobiles and landlines
     enriched.phones = enriched.phones.map(p => {
-      if (p.number?.startsWith('+61') || p.number?.startsWith('04')) p.dncNote = 'Verify DNC';
+      if (p.country === 'AU' && ['mobile', 'landline'].includes(p.lineType)) p.dncNote = 'Verify DNC';
       return p;
     });
+    Object.assign(enriched, bulkRowStatus({ Apollo: apollo?.status, Firmable: firm?.status, Hunter: hunterStatus }));
+    enriched._enriched = enriched._status !== 'failed';
+    if (enriched._status === 'enriched') {
+      const called = [plan.apollo && 'apollo', plan.firmable && 'firmable', hunterStatus && 'hunter'].filter(Boolean);
+      resultCache.set(plan.cacheKey, bulkEnrichmentFields(enriched), { meta: { providers: called } });
+    }
     results.push(enriched);
-    if (i < contacts.length - 1) await new Promise(r => setTimeout(r, 200));
   }
+  markSharedSwitchboards(results);
   return results;
 }
 
+// A number on several people in one run is their office's: marked switchboard 'shared' and
+// re-scored. Duplicate rows are the same person, so they don't count.
+function markSharedSwitchboards(contacts) {
+  const shared = phoneNumbers.sharedNumbers(contacts.filter(c => c._duplicateOf === undefined));
+  if (!shared.size) return;
+  contacts.forEach(c => {
+    if (!c.phones?.some(p => shared.has(p.number) && !p.switchboard)) return;
+    c.phones = c.phones.map(p => (shared.has(p.number) && !p.switchboard ? { ...p, switchboard: 'shared' } : p));
+    const domain = c.domain || c.companyInfo?.domain;
+    consolidation.consolidate(c, { auNz: isAuNzContact(c, domain), country: contactCountry(c, domain) });
+  });
+}
+
+// Providers behind an email or phone, e.g. "Apollo+Lusha"
+function contactSources(item) {
+  return item ? (item.sources || [item.source]).join('+') : '';
+}
+
+// A contact's phones for exports - E.164 and classified in the contact's country, whatever format they were stored in
+function exportPhones(c) {
+  const country = contactCountry(c, c.domain || c.companyInfo?.domain);
+  return (c.phones?.length ? c.phones : c.phone ? [{ number: c.phone }] : []).map(p => phoneNumbers.classifyPhone(p, { country }));
+}
+
+// Lowest provider match score and every mismatch reason, for exports
+function identitySummary(c) {
+  const checks = Object.values(c.identity || {});
+  if (!checks.length) return { score: '', issues: '' };
+  return { score: Math.min(...checks.map(i => i.score)), issues: [...new Set(checks.flatMap(i => i.reasons))].join('; ') };
+}
+
 function generateCSV(enrichedContacts) {
   const esc = v => { if (!v) return ''; const s = String(v); return s.includes(',') || s.includes('"') ? '"' + s.replace(/"/g, '""') + '"' : s; };
-  const headers = ['firstName','lastName','company','title','domain','email_1','email_1_source','email_1_verified','phone_1','phone_1_source','phone_1_dnc','linkedin','company_abn','company_au_employees','sources','enriched_at'];
+  const headers = ['firstName','lastName','company','title','domain','status','errors','email_1','email_1_source','email_1_verified','email_1_status','email_1_smtp','email_1_confidence','phone_1','phone_1_line_type','phone_1_switchboard','phone_1_source','phone_1_status','phone_1_confidence','phone_1_dnc','linkedin','company_abn','company_registration','company_au_employees','match_score','match_issues','sources','enriched_at'];
   const rows = [headers.join(',')];
   enrichedContacts.forEach(c => {
-    rows.push([esc(c.firstName),esc(c.lastName),esc(c.company),esc(c.title),esc(c.domain||c.companyInfo?.domain),esc(c.emails?.[0]?.email),esc(c.emails?.[0]?.source),c.emails?.[0]?.verified?'Yes':'',esc(c.phones?.[0]?.number),esc(c.phones?.[0]?.source),esc(c.phones?.[0]?.dncNote),esc(c.linkedin),esc(c.companyInfo?.abn),c.companyInfo?.auEmployees||'',esc(c.sources?.join(', ')),esc(c._timestamp)].join(','));
+    const identity = identitySummary(c);
+    const [phone] = exportPhones(c);
+    rows.push([esc(c.firstName),esc(c.lastName),esc(c.company),esc(c.title),esc(c.domain||c.companyInfo?.domain),esc(c._status),esc(c._errors?.join('; ')),esc(c.emails?.[0]?.email),esc(contactSources(c.emails?.[0])),c.emails?.[0]?.verified?'Yes':'',esc(c.emails?.[0]?.validation?.status),esc(c.emails?.[0]?.smtp?.result),esc(c.emails?.[0]?.confidence),esc(phone?.number),esc(phone?.lineType),esc(phone?.switchboard),esc(contactSources(phone)),esc(phone?.validation?.status),esc(phone?.confidence),esc(phone?.dncNote),esc(c.linkedin),esc(c.companyInfo?.abn),esc(registrationSummary(c.companyInfo?.registration)),c.companyInfo?.auEmployees||'',esc(String(identity.score)),esc(identity.issues),esc(c.sources?.join(', ')),esc(c._timestamp)].join(','));
   });
   return rows.join('\n');
 }
@@ -1107,10 +2268,13 @@ function generateHubSpotCSV(contacts) {
   
   contacts.forEach(c => {
     const email = c.emails?.[0]?.email || c.email || '';
-    const phone = c.phones?.[0]?.number || c.phone || '';
+    const [bestPhone] = exportPhones(c);
+    const phone = bestPhone?.number || '';
     const notes = [
       c.sources?.length ? 'Sources: ' + c.sources.join(', ') : '',
       c.companyInfo?.abn ? 'ABN: ' + c.companyInfo.abn : '',
+      c.companyInfo?.registration ? 'Registration: ' + registrationSummary(c.companyInfo.registration) : '',
+      bestPhone ? 'Phone: ' + phoneNumbers.lineLabel(bestPhone) : '',
       c._timestamp ? 'Enriched: ' + c._timestamp : '',
     ].filter(Boolean).join(' | ');
     
@@ -1147,12 +2311,16 @@ function generateSalesforceCSV(contacts) {
   
   contacts.forEach(c => {
     const workEmail = c.emails?.find(e => e.type !== 'personal')?.email || c.emails?.[0]?.email || c.email || '';
-    const workPhone = c.phones?.find(p => p.type === 'work' || p.type === 'company')?.number || '';
-    const mobile = c.phones?.find(p => p.type === 'mobile')?.number || c.phones?.[0]?.number || c.phone || '';
+    // Mobile and Phone by the numbering plan - a provider's "mobile" can be a landline
+    const phones = exportPhones(c);
+    const isMobile = p => p.lineType === 'mobile' || (p.lineType === 'unknown' && /mobile/i.test(p.type || ''));
+    const mobile = phones.find(isMobile)?.number || '';
+    const workPhone = phones.find(p => !isMobile(p))?.number || '';
     
     const description = [
       c.sources?.length ? 'Data sources: ' + c.sources.join(', ') : '',
       c.companyInfo?.abn ? 'ABN: ' + c.companyInfo.abn : '',
+      c.companyInfo?.registration ? 'Registration: ' + registrationSummary(c.companyInfo.registration) : '',
       c.emails?.length > 1 ? 'Alt emails: ' + c.emails.slice(1).map(e => e.email).join(', ') : '',
     ].filter(Boolean).join('\n');
     
@@ -1187,11 +2355,13 @@ function normalizeForExport(data, type) {
         firstName: c.firstName,
         lastName: c.lastName,
         title: c.title,
-        company: data.company?.name,
-        domain: data.company?.domain,
+        company: c.company || data.company?.name,
+        domain: c.domain || data.company?.domain,
         linkedin: c.linkedin,
         emails: c.emails || [],
         phones: c.phones || [],
+        // Group runs mix companies - the ABN is only the first company's
+        companyInfo: data.company?.abn && (!c.domain || c.domain === data.company.domain) ? { abn: data.company.abn, registration: data.company.registration } : undefined,
         sources: ['Apollo'],
       });
     });
@@ -1306,6 +2476,8 @@ const HTML = `<!DOCTYPE html>
     .badge { display: inline-block; padding: 2px 6px; border-radius: 4px; font-size: 0.7em; margin-left: 4px; }
     .badge-source { background: rgba(78, 205, 196, 0.2); color: #4ecdc4; }
     .badge-verified { background: #28a745; color: #fff; }
+    .badge-risky { background: rgba(255, 193, 7, 0.2); color: #ffc107; }
+    .badge-invalid { background: rgba(220, 53, 69, 0.2); color: #ff6b6b; }
     
     .contact-row { display: flex; justify-content: space-between; align-items: center; padding: 8px 12px; background: rgba(0,0,0,0.2); border-radius: 6px; margin-bottom: 6px; flex-wrap: wrap; gap: 6px; }
     .contact-value { font-family: monospace; font-size: 0.9em; }
@@ -1367,7 +2539,7 @@ const HTML = `<!DOCTYPE html>
       <div class="tab" data-tab="prospect">🎯 Prospect</div>
       <div class="tab new" data-tab="colleagues">👥 Colleagues</div>
       <div class="tab" data-tab="company">🏢 Company</div>
-      <div class="tab" data-tab="abn">🔢 ABN</div>
+      <div class="tab" data-tab="abn">🔢 ABN / NZBN</div>
       <div class="tab" data-tab="hiring">💼 Hiring</div>
       <div class="tab" data-tab="tech">🔧 Tech Stack</div>
       <div class="tab" data-tab="lookalike">🔄 Lookalikes</div>
@@ -1384,7 +2556,7 @@ const HTML = `<!DOCTYPE html>
         <div class="form-group"><label>Company</label><input type="text" id="d-company" placeholder="TDM Growth Partners"></div>
         <div class="form-group"><label>Domain</label><input type="text" id="d-domain" placeholder="tdmgrowthpartners.com"></div>
       </div>
-      <button class="btn" onclick="discover()">🔍 Discover</button>
+      <button class="btn" onclick="discover()">🔍 Discover (FREE preview)</button>
       <div class="loading" id="d-loading"><div class="spinner"></div>Searching...</div>
       <div class="error" id="d-error"></div>
       <div class="results" id="d-results"></div>
@@ -1443,6 +2615,8 @@ const HTML = `<!DOCTYPE html>
         </div>
       </div>
       
+      <label style="display:block;margin-bottom:15px;font-size:0.85em;cursor:pointer"><input type="checkbox" id="col-hunter"> 🔎 Add emails and email pattern from Hunter.io (1 Hunter credit)</label>
+      <label style="display:block;margin-bottom:15px;font-size:0.85em;cursor:pointer"><input type="checkbox" id="col-group"> 🏢 Across corporate group (every linked domain, up to 5 - link them from Company → Related entities)</label>
       <button class="btn" onclick="findColleagues()">👥 Find Colleagues (FREE)</button>
       <div class="loading" id="col-loading"><div class="spinner"></div>Searching company...</div>
       <div class="error" id="col-error"></div>
@@ -1465,13 +2639,18 @@ const HTML = `<!DOCTYPE html>
     <!-- ABN Panel -->
     <div class="panel" id="panel-abn">
       <div class="instructions">
-        <h4>🔢 Australian Business Number Lookup</h4>
-        <p>Search by ABN number or company name. Validates against the Australian Business Register (ABR).</p>
+        <h4>🔢 Business Number Lookup</h4>
+        <p>Search by ABN, ACN or company name against the Australian Business Register (ABR), or by NZBN or company name against the New Zealand Business Number register.</p>
+      </div>
+      
+      <div style="display:flex;gap:20px;margin-bottom:20px">
+        <button class="btn btn-sm" onclick="showRegistryMode('au')" id="abn-mode-au" style="opacity:1">🇦🇺 ABN</button>
+        <button class="btn btn-sm btn-secondary" onclick="showRegistryMode('nz')" id="abn-mode-nz">🇳🇿 NZBN</button>
       </div>
       
       <div class="form-row">
         <div class="form-group" style="flex:2">
-          <label>ABN Number or Company Name *</label>
+          <label id="abn-query-label">ABN, ACN or Company Name *</label>
           <input type="text" id="abn-query" placeholder="53 102 443 916 or Atlassian">
         </div>
         <div class="form-group" style="flex:0">
@@ -1503,6 +2682,7 @@ const HTML = `<!DOCTYPE html>
           <button class="btn" onclick="getHiring()">💼 Check Hiring</button>
         </div>
       </div>
+      <label style="display:block;margin-bottom:15px;font-size:0.85em;cursor:pointer"><input type="checkbox" id="hiring-group"> 🏢 Across corporate group (every linked domain, up to 5 - 2 SerpAPI credits per company)</label>
       
       <div class="loading" id="hiring-loading"><div class="spinner"></div>Checking job boards...</div>
       <div class="error" id="hiring-error"></div>
@@ -1615,7 +2795,7 @@ const HTML = `<!DOCTYPE html>
       <div class="form-row">
         <div class="form-group" style="flex:1"><label>LinkedIn URL *</label><input type="text" id="l-url" placeholder="https://linkedin.com/in/..."></div>
       </div>
-      <button class="btn" onclick="linkedinLookup()">🔗 Enrich</button>
+      <button class="btn" onclick="linkedinLookup()">🔗 Enrich (FREE preview)</button>
       <div class="loading" id="l-loading"><div class="spinner"></div>Enriching...</div>
       <div class="error" id="l-error"></div>
       <div class="results" id="l-results"></div>
@@ -1648,7 +2828,8 @@ const HTML = `<!DOCTYPE html>
         <div class="warning">Ensure you have lawful basis for processing (legitimate interest, consent, etc.)</div>
         <div id="compliance-summary"></div>
         <div id="compliance-report"></div>
-        <div style="margin-top:15px;display:flex;gap:10px"><button class="btn btn-secondary" onclick="goToStep(1)">← Back</button><button class="btn" onclick="startEnrichment()">Confirm & Enrich →</button></div>
+        <div id="cost-estimate"></div>
+        <div style="margin-top:15px;display:flex;gap:10px"><button class="btn btn-secondary" onclick="goToStep(1)">← Back</button><button class="btn" id="btn-enrich" onclick="startEnrichment()">Confirm & Enrich →</button></div>
       </div>
       <div class="step" id="step-3">
         <h3>⚙️ Enriching...</h3>
@@ -1770,6 +2951,169 @@ const HTML = `<!DOCTYPE html>
     }
 
     
+    // ============ REVEAL ============
+    // Discover and LinkedIn show a free preview first; credits are spent only on the fields picked here
+    const lastPreview = {};
+    const FIELD_LABELS = { email: '📧 Email', mobile: '📱 Mobile', workPhone: '☎️ Work phone' };
+    let strategies = { default: 'balanced', strategies: [] };
+    fetch('/api/strategies').then(r => r.json()).then(d => { strategies = d; }).catch(() => {});
+    
+    function renderStrategySelect(prefix) {
+      let h = '<select id="' + prefix + '-strategy" title="Waterfall strategy - which providers to try per field, and when to stop" style="width:auto">';
+      strategies.strategies.forEach(s => { h += '<option value="' + esc(s.name) + '"' + (s.name === strategies.default ? ' selected' : '') + '>' + esc(s.label || s.name) + '</option>'; });
+      return h + '</select>';
+    }
+    
+    function renderWaterfall(d) {
+      if (!d.waterfall?.steps.length) return '';
+      const steps = d.waterfall.steps.map(s => esc(s.provider) + (s.skipped ? ' (skipped)' : s.rejected ? ' ✗ ' + esc(s.rejected.name) : s.satisfied.length ? ' ✓ ' + s.satisfied.map(f => FIELD_LABELS[f] || f).join(', ') : ' –'));
+      let h = '<p style="color:#8892b0;font-size:0.8em;margin-top:10px">🪜 ' + esc(d.waterfall.strategy) + ': ' + steps.join(' → ');
+      if (d.waterfall.unsatisfied.length) h += ' · not found: ' + d.waterfall.unsatisfied.map(f => FIELD_LABELS[f] || f).join(', ');
+      return h + '</p>';
+    }
+    
+    function renderContacts(d) {
+      let h = '<h4 style="margin:15px 0 8px;color:#8892b0;font-size:0.9em">📧 EMAILS</h4>';
+      if (d.emails?.length) d.emails.forEach(e => { h += '<div class="contact-row"><span class="contact-value">' + esc(e.email) + '</span>' + renderSources(e) + renderVerification(e) + renderSmtp(e) + renderConfidence(e) + '</div>'; });
+      else h += '<p style="color:#5a6a8a;font-size:0.9em">None found</p>';
+      h += '<h4 style="margin:15px 0 8px;color:#8892b0;font-size:0.9em">📱 PHONES</h4>';
+      if (d.phones?.length) d.phones.forEach(p => { h += '<div class="contact-row">' + renderPhone(p) + renderSources(p) + renderValidation(p) + renderConfidence(p) + '</div>'; });
+      else h += '<p style="color:#5a6a8a;font-size:0.9em">None found</p>';
+      return h + renderIdentity(d) + renderSourceWarnings(d);
+    }
+    
+    // ✓ for verified emails; a Hunter check that didn't pass shows its verdict (e.g. accept_all)
+    function renderVerification(e) {
+      if (e.validation) return renderValidation(e);
+      if (e.verified) return '<span class="badge badge-verified" title="' + esc(e.verification ? 'Verified by ' + e.verification.provider : 'Verified') + '">✓</span>';
+      if (e.verification) return '<span class="badge badge-source" title="Hunter score ' + esc(e.verification.score ?? '?') + '">' + esc(e.verification.status) + '</span>';
+      return '';
+    }
+    
+    // Every provider that returned an email or phone
+    function renderSources(x) {
+      return '<span class="badge badge-source">' + esc((x.sources || [x.source]).join(' + ')) + '</span>';
+    }
+    
+    // Phone in local format with its line type (hover for E.164), and a switchboard badge
+    const LINE_LABELS = { mobile: 'mobile', landline: 'landline', local_rate: 'local rate', freecall: 'freecall', premium: 'premium' };
+    const SWITCHBOARD_REASONS = { company_line: 'company line', service_number: 'service number', round_number: 'ends in 000', shared: 'shared by several people' };
+    function renderPhone(p) {
+      let h = '<span class="contact-value" title="' + esc(p.number) + '">' + esc(p.display || p.number) + '</span>';
+      if (LINE_LABELS[p.lineType]) h += '<span class="badge badge-source">' + LINE_LABELS[p.lineType] + (p.region ? ' · ' + esc(p.region) : '') + '</span>';
+      if (p.switchboard) h += '<span class="badge badge-risky" title="' + esc(SWITCHBOARD_REASONS[p.switchboard] || p.switchboard) + '">switchboard</span>';
+      return h;
+    }
+    
+    // Bulk row outcome - which provider calls failed, in the tooltip
+    const BULK_STATUS_BADGES = { enriched: 'badge-verified', partial: 'badge-risky', failed: 'badge-invalid' };
+    function bulkStatus(r) {
+      if (!r._status) return '-';
+      return '<span class="badge ' + BULK_STATUS_BADGES[r._status] + '" title="' + esc((r._errors || []).join(' · ')) + '">' + esc(r._status) + (r._cached ? ' (cached)' : '') + '</span>';
+    }
+    
+    // SMTP mailbox probe result
+    const SMTP_BADGES = { deliverable: ['badge-verified', 'deliverable'], catch_all: ['badge-risky', 'catch-all'], undeliverable: ['badge-invalid', 'undeliverable'] };
+    function renderSmtp(e) {
+      const badge = SMTP_BADGES[e.smtp?.result];
+      if (!badge) return '';
+      return '<span class="badge ' + badge[0] + '" title="' + esc('SMTP ' + e.smtp.reason + (e.smtp.mx ? ' via ' + e.smtp.mx : '')) + '">' + badge[1] + '</span>';
+    }
+    
+    // Cross-source confidence - hover for the reasons
+    function renderConfidence(x) {
+      if (x.confidence === undefined) return '';
+      const cls = x.confidence >= 0.8 ? 'badge-verified' : x.confidence >= 0.5 ? 'badge-source' : 'badge-risky';
+      return '<span class="badge ' + cls + '" title="' + esc((x.confidenceReasons || []).join(' · ')) + '">' + Math.round(x.confidence * 100) + '%</span>';
+    }
+    
+    // Validation badge for an email or phone - hover for the reason and confidence
+    const VALIDATION_BADGES = { valid: ['badge-verified', '✓'], invalid: ['badge-invalid', 'invalid'], risky: ['badge-risky', 'risky'], unverified: ['badge-source', 'unverified'] };
+    function renderValidation(x) {
+      const v = x.validation;
+      if (!v) return '';
+      const [cls, label] = VALIDATION_BADGES[v.status] || ['badge-source', v.status];
+      const title = v.reason + ' · ' + Math.round((v.confidence || 0) * 100) + '% confidence' + (v.details?.lineType ? ' · ' + v.details.lineType : '') + (v.details?.carrier ? ' · ' + v.details.carrier : '');
+      return '<span class="badge ' + cls + '" title="' + esc(title) + '">' + esc(label) + '</span>';
+    }
+    
+    // How a company name was turned into a domain - hover for the other candidates
+    function renderDomainResolution(d) {
+      const r = d.domainResolution;
+      if (r?.unresolved) return '<p style="color:#ffc107;font-size:0.8em;margin-bottom:10px">🌐 ' + esc(r.query || '') + ' → no confident domain'
+        + (r.domain ? ' (best guess ' + esc(r.domain) + ', ' + Math.round(r.confidence * 100) + '%)' : '') + ' - enter the domain to search</p>';
+      if (!r?.domain) return '';
+      const others = (r.candidates || []).filter(c => c.domain !== r.domain).map(c => c.domain + ' ' + Math.round(c.confidence * 100) + '%');
+      const low = r.confidence < 0.8;
+      return '<p style="color:' + (low ? '#ffc107' : '#8892b0') + ';font-size:0.8em;margin-bottom:10px" title="' + esc(others.length ? 'Also: ' + others.join(', ') : '') + '">🌐 ' + esc(r.query) + ' → ' + esc(r.domain) + ' (' + esc(r.source === 'guess' ? 'guessed' : r.source) + ', ' + Math.round(r.confidence * 100) + '%)' + (low ? ' - add the domain if this is wrong' : '') + '</p>';
+    }
+    
+    // ABN/ACN registration health: checksums, ACN inside the ABN, ABR status
+    function renderRegistration(r) {
+      if (!r) return '';
+      const badge = r.status === 'ok' ? ['badge-verified', '✓ Registration OK' + (r.checks.registered ? ' (ABR)' : '')]
+        : r.status === 'warning' ? ['badge-source', '⚠ Registration mismatch'] : ['badge-source', '✗ Registration problem'];
+      const color = r.status === 'ok' ? '' : r.status === 'warning' ? 'color:#ffc107' : 'color:#ff6b6b';
+      return '<span class="badge ' + badge[0] + '" style="' + color + '" title="' + esc(r.issues.join('; ')) + '">' + badge[1] + '</span>';
+    }
+    
+    function renderSourceWarnings(d) {
+      const degraded = Object.entries(d.sources || {}).filter(([, s]) => s.status !== 'success');
+      if (!degraded.length) return '';
+      return '<p style="color:#ffc107;font-size:0.8em;margin-top:10px">⚠ ' + degraded.map(([name, s]) => esc(name) + ' ' + (s.reason === 'circuit_open' ? 'skipped (provider down)' : s.reason === 'budget_exceeded' ? 'skipped (credit budget reached)' : 'failed')).join(', ') + '</p>';
+    }
+    
+    // Provider matches that may be someone else: rejected ones were dropped, flagged ones marked down
+    function renderIdentity(d) {
+      const doubtful = Object.entries(d.identity || {}).filter(([, i]) => i.verdict !== 'match');
+      if (!doubtful.length) return '';
+      return '<p style="color:#ffc107;font-size:0.8em;margin-top:10px">' + doubtful.map(([name, i]) => (i.verdict === 'rejected' ? '✗ ' + esc(name) + ' dropped' : '⚠ ' + esc(name) + ' flagged') + ' (' + Math.round(i.score * 100) + '% match): ' + esc(i.reasons.join('; '))).join('<br>') + '</p>';
+    }
+    
+    function renderPreview(d, prefix) {
+      lastPreview[prefix] = d;
+      const matched = Object.entries(d.preview || {}).filter(([, p]) => p.matched);
+      let h = '<h4 style="margin:15px 0 8px;color:#8892b0;font-size:0.9em">🔎 MATCHES <span style="color:#28a745">(no credits spent)</span></h4>';
+      if (!matched.length) return h + '<p style="color:#5a6a8a;font-size:0.9em">No provider matches</p>' + renderIdentity(d) + renderSourceWarnings(d);
+      
+      const available = new Set();
+      matched.forEach(([name, p]) => {
+        p.available.forEach(f => available.add(f));
+        h += '<div class="contact-row"><span class="contact-value">' + esc(p.name || 'Match') + (p.title ? ' <span style="color:#8892b0">· ' + esc(p.title) + '</span>' : '') + '</span>';
+        h += '<span class="badge badge-source">' + esc(name) + '</span>';
+        const identity = d.identity?.[name];
+        if (identity?.queriedAs && identity.queriedAs !== d.firstName) h += '<span class="badge badge-source" title="Found searching for ' + esc(identity.queriedAs) + '">as ' + esc(identity.queriedAs) + '</span>';
+        if (identity?.verdict === 'flagged') h += '<span class="badge badge-risky" title="' + esc(identity.reasons.join('; ')) + '">' + Math.round(identity.score * 100) + '% match</span>';
+        h += '<span style="color:#8892b0;font-size:0.8em;margin-left:8px">' + (p.available.map(f => FIELD_LABELS[f] || f).join(', ') || 'nothing to reveal') + '</span></div>';
+      });
+      if (available.size) {
+        h += '<div style="margin-top:15px;display:flex;gap:15px;flex-wrap:wrap;align-items:center">';
+        [...available].forEach(f => { h += '<label style="font-size:0.85em;cursor:pointer"><input type="checkbox" class="' + prefix + '-reveal-field" value="' + f + '" checked> ' + (FIELD_LABELS[f] || f) + '</label>'; });
+        if (strategies.strategies.length) h += renderStrategySelect(prefix);
+        h += '<button class="btn btn-sm" onclick="revealSelected(\\'' + prefix + '\\')">💳 Reveal selected (uses credits)</button></div>';
+      }
+      return h + renderIdentity(d) + renderSourceWarnings(d) + '<div id="' + prefix + '-revealed"></div>';
+    }
+    
+    async function revealSelected(prefix) {
+      const d = lastPreview[prefix];
+      const fields = [...document.querySelectorAll('.' + prefix + '-reveal-field:checked')].map(c => c.value);
+      if (!d || !fields.length) { showError(prefix + '-error', 'Pick at least one field to reveal'); return; }
+      const providers = Object.entries(d.preview || {}).filter(([, p]) => p.matched).map(([name]) => name);
+      const strategy = document.getElementById(prefix + '-strategy')?.value;
+      const body = prefix === 'd'
+        ? { firstName: d.firstName, lastName: d.lastName, company: d.company, domain: d.domain, linkedin: d.linkedin, fields, providers, strategy }
+        : { url: d.linkedin, fields, providers, strategy };
+      showLoading(prefix + '-loading', true); hideError(prefix + '-error');
+      try {
+        const resp = await fetch(prefix === 'd' ? '/api/discover/reveal' : '/api/linkedin/reveal', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        const r = await resp.json();
+        if (r.error) throw new Error(r.error);
+        document.getElementById(prefix + '-revealed').innerHTML = renderContacts(r) + renderWaterfall(r) + '<div class="duration">' + r.duration + 'ms' + (r.cache?.hit ? ' · cached' : '') + '</div>';
+      } catch (e) { showError(prefix + '-error', e.message); }
+      finally { showLoading(prefix + '-loading', false); }
+    }
+    
     // ============ DISCOVER ============
     async function discover() {
       const firstName = document.getElementById('d-firstName').value.trim();
@@ -1777,18 +3121,16 @@ const HTML = `<!DOCTYPE html>
       if (!firstName || !lastName) { showError('d-error', 'Name required'); return; }
       showLoading('d-loading', true); hideError('d-error'); document.getElementById('d-results').innerHTML = '';
       try {
-        const params = new URLSearchParams({ firstName, lastName, company: document.getElementById('d-company').value, domain: document.getElementById('d-domain').value });
+        const domain = document.getElementById('d-domain').value;
+        const params = new URLSearchParams({ firstName, lastName, company: document.getElementById('d-company').value, domain, preview: 'true' });
         const resp = await fetch('/api/discover?' + params);
         const d = await resp.json();
+        d.domain = domain;
         let h = '<div class="result-card"><h3>👤 ' + esc(d.firstName + ' ' + d.lastName) + '</h3>';
         if (d.linkedin) h += '<p><a href="' + esc(d.linkedin) + '" target="_blank">LinkedIn →</a></p>';
-        h += '<h4 style="margin:15px 0 8px;color:#8892b0;font-size:0.9em">📧 EMAILS</h4>';
-        if (d.emails?.length) d.emails.forEach(e => { h += '<div class="contact-row"><span class="contact-value">' + esc(e.email) + '</span><span class="badge badge-source">' + esc(e.source) + '</span></div>'; });
-        else h += '<p style="color:#5a6a8a;font-size:0.9em">None found</p>';
-        h += '<h4 style="margin:15px 0 8px;color:#8892b0;font-size:0.9em">📱 PHONES</h4>';
-        if (d.phones?.length) d.phones.forEach(p => { h += '<div class="contact-row"><span class="contact-value">' + esc(p.number) + '</span><span class="badge badge-source">' + esc(p.source) + '</span></div>'; });
-        else h += '<p style="color:#5a6a8a;font-size:0.9em">None found</p>';
-        h += '<div class="duration">' + d.duration + 'ms</div></div>';
+        h += renderDomainResolution(d);
+        h += renderPreview(d, 'd');
+        h += '<div class="duration">' + d.duration + 'ms' + (d.cache?.hit ? ' · cached' : '') + '</div></div>';
         document.getElementById('d-results').innerHTML = h;
       } catch (e) { showError('d-error', e.message); }
       finally { showLoading('d-loading', false); }
@@ -1806,7 +3148,7 @@ const HTML = `<!DOCTYPE html>
         const d = await resp.json();
         let h = '<div class="result-card"><h3>🎯 ' + d.total + ' prospects found</h3><div class="result-grid">';
         d.prospects?.forEach(p => { h += '<div class="result-item"><div class="label">' + esc(p.title) + '</div><div class="value">' + esc(p.name) + '</div><div style="color:#8892b0;font-size:0.8em">' + esc(p.company) + '</div></div>'; });
-        h += '</div>' + renderExportButtons() + '<div class="duration">' + d.duration + 'ms</div></div>';
+        h += '</div>' + renderExportButtons() + '<div class="duration">' + d.duration + 'ms' + (d.cache?.hit ? ' · cached' : '') + '</div></div>';
         storeForExport(d, 'prospects');
         document.getElementById('p-results').innerHTML = h;
       } catch (e) { showError('p-error', e.message); }
@@ -1823,6 +3165,8 @@ const HTML = `<!DOCTYPE html>
       const roles = document.getElementById('col-roles').value.split(',').map(s => s.trim()).filter(Boolean);
       const seniority = document.getElementById('col-seniority').value;
       const limit = parseInt(document.getElementById('col-limit').value) || 10;
+      const hunter = document.getElementById('col-hunter').checked;
+      const group = document.getElementById('col-group').checked;
       
       showLoading('col-loading', true); hideError('col-error'); document.getElementById('col-results').innerHTML = '';
       
@@ -1830,13 +3174,14 @@ const HTML = `<!DOCTYPE html>
         const resp = await fetch('/api/colleagues', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ domain, roles, seniority, limit })
+          body: JSON.stringify({ domain, roles, seniority, limit, hunter, group })
         });
         const d = await resp.json();
         colleagueData = d.colleagues || [];
         
         let h = '<div class="result-card">';
         h += '<h3>👥 ' + (d.company?.name || domain) + '</h3>';
+        h += renderDomainResolution(d);
         if (d.company) {
           h += '<p style="color:#8892b0;margin-bottom:15px">';
           if (d.company.employees) h += d.company.employees + ' AU employees';
@@ -1844,6 +3189,8 @@ const HTML = `<!DOCTYPE html>
           h += '</p>';
         }
         h += '<p style="margin-bottom:15px">Found <strong>' + d.total + '</strong> colleagues' + (roles.length ? ' matching: ' + roles.join(', ') : '') + '</p>';
+        h += renderGroupRun(d, c => c.found);
+        if (d.emailPattern) h += '<p style="color:#8892b0;font-size:0.85em;margin-bottom:15px">📧 Email pattern: <code>' + esc(d.emailPattern) + '@' + esc(d.company?.domain || domain) + '</code> (Hunter)</p>';
         
         if (d.colleagues?.length) {
           h += '<div class="result-grid">';
@@ -1854,7 +3201,9 @@ const HTML = `<!DOCTYPE html>
             h += '<div class="colleague-meta">';
             if (c.location) h += '<span>📍 ' + esc(c.location) + '</span>';
             if (c.seniority) h += '<span>🏷️ ' + esc(c.seniority) + '</span>';
+            if (d.group && c.company) h += '<span>🏢 ' + esc(c.company) + '</span>';
             h += '</div>';
+            if (c.emails?.length) h += '<div class="contact-row"><span class="contact-value">' + esc(c.emails[0].email) + '</span><span class="badge badge-source">Hunter</span>' + renderVerification(c.emails[0]) + '</div>';
             h += '<div class="colleague-actions">';
             if (c.linkedin) h += '<a href="' + esc(c.linkedin) + '" target="_blank" class="btn btn-sm btn-secondary">LinkedIn →</a>';
             h += '<button class="btn btn-sm" onclick="enrichColleague(' + idx + ')">📧 Get Contact</button>';
@@ -1868,7 +3217,8 @@ const HTML = `<!DOCTYPE html>
         }
         
         h += renderExportButtons();
-        h += '<div class="duration">' + d.duration + 'ms | FREE - no credits used</div></div>';
+        h += renderSourceWarnings(d);
+        h += '<div class="duration">' + d.duration + 'ms | ' + (hunter ? 'Apollo FREE + 1 Hunter credit' : 'FREE - no credits used') + '</div></div>';
         storeForExport(d, 'colleagues');
         document.getElementById('col-results').innerHTML = h;
       } catch (e) { showError('col-error', e.message); }
@@ -1895,22 +3245,23 @@ const HTML = `<!DOCTYPE html>
         if (d.emails?.length) {
           d.emails.forEach(e => {
             h += '<div class="contact-row"><span class="contact-value">' + esc(e.email) + '</span>';
-            h += '<span class="badge badge-source">' + esc(e.source) + '</span>';
-            if (e.verified) h += '<span class="badge badge-verified">✓</span>';
+            h += renderSources(e);
+            h += renderVerification(e) + renderSmtp(e) + renderConfidence(e);
             h += '<button class="copy-btn" onclick="copyVal(\\'' + esc(e.email) + '\\')">Copy</button></div>';
           });
         }
         if (d.phones?.length) {
           d.phones.forEach(p => {
-            h += '<div class="contact-row"><span class="contact-value">' + esc(p.number) + '</span>';
-            h += '<span class="badge badge-source">' + esc(p.source) + '</span>';
+            h += '<div class="contact-row">' + renderPhone(p);
+            h += renderSources(p);
+            h += renderValidation(p) + renderConfidence(p);
             h += '<button class="copy-btn" onclick="copyVal(\\'' + esc(p.number) + '\\')">Copy</button></div>';
           });
         }
         if (!d.emails?.length && !d.phones?.length) {
           h = '<p style="color:#5a6a8a;font-size:0.85em">No contact info found</p>';
         }
-        enrichedDiv.innerHTML = h;
+        enrichedDiv.innerHTML = h + renderIdentity(d);
         
         // Update the stored data
         colleagueData[idx] = d;
@@ -1929,38 +3280,109 @@ const HTML = `<!DOCTYPE html>
         const d = await resp.json();
         const c = d.company;
         let h = '<div class="result-card"><h3>🏢 ' + esc(c?.name || 'Not found') + '</h3>';
+        h += renderDomainResolution(d);
         if (c) {
           h += '<div class="result-grid">';
           if (c.domain) h += '<div class="result-item"><div class="label">Domain</div><div class="value">' + esc(c.domain) + '</div></div>';
           if (c.employees?.au) h += '<div class="result-item"><div class="label">AU Employees</div><div class="value">' + c.employees.au + '</div></div>';
           if (c.employees?.global) h += '<div class="result-item"><div class="label">Global</div><div class="value">' + c.employees.global + '</div></div>';
           if (c.abn) h += '<div class="result-item"><div class="label">ABN</div><div class="value">' + esc(c.abn) + '</div></div>';
+          if (c.acn) h += '<div class="result-item"><div class="label">ACN</div><div class="value">' + esc(c.acn) + '</div></div>';
+          if (c.registration) h += '<div class="result-item"><div class="label">Registration</div><div class="value">' + renderRegistration(c.registration) + '</div></div>';
+          if (c.nzbn) h += '<div class="result-item"><div class="label">NZBN</div><div class="value">' + esc(c.nzbn.nzbn) + ' <span class="badge ' + (c.nzbn.status === 'Registered' ? 'badge-verified' : 'badge-source') + '">' + esc(c.nzbn.status) + '</span></div></div>';
           h += '</div>';
+          if (c.registration?.issues.length) h += '<p style="color:' + (c.registration.status === 'error' ? '#ff6b6b' : '#ffc107') + ';font-size:0.8em;margin-top:10px">' + c.registration.issues.map(esc).join('<br>') + '</p>';
           if (c.description) h += '<p style="margin-top:15px;color:#8892b0;font-size:0.9em">' + esc(c.description.substring(0,250)) + '</p>';
+          if (c.domain) h += '<div style="margin-top:15px"><button class="btn btn-sm btn-secondary" onclick="loadRelated(\\'' + esc(c.domain) + '\\')">🏢 Related entities &amp; group</button></div><div id="c-related"></div>';
         }
-        h += '<div class="duration">' + d.duration + 'ms</div></div>';
+        h += '<div class="duration">' + d.duration + 'ms' + (d.cache?.hit ? ' · cached' : '') + '</div></div>';
         document.getElementById('c-results').innerHTML = h;
       } catch (e) { showError('c-error', e.message); }
       finally { showLoading('c-loading', false); }
     }
     
+    // ============ CORPORATE GROUPS ============
+    let relatedData = null;
+    const ENTITY_ICONS = { domain: '🌐', abn: '🔢', linkedin: '💼', name: '🏷️' };
+    
+    async function loadRelated(company) {
+      const el = document.getElementById('c-related');
+      el.innerHTML = '<div class="spinner" style="width:20px;height:20px;margin:10px auto"></div>';
+      try {
+        const resp = await fetch('/api/groups/related?company=' + encodeURIComponent(company));
+        const d = await resp.json();
+        if (d.error) throw new Error(d.error);
+        relatedData = d;
+        renderRelated();
+      } catch (e) { el.innerHTML = '<p style="color:#ff6b6b;font-size:0.85em;margin-top:10px">' + esc(e.message) + '</p>'; }
+    }
+    
+    function renderRelated() {
+      const d = relatedData;
+      let h = '<h4 style="color:#8892b0;margin:20px 0 10px">🏢 Related entities' + (d.stem ? ' sharing "' + esc(d.stem) + '"' : '') + '</h4>';
+      if (d.group) h += '<p style="font-size:0.85em;margin-bottom:10px">Group: <strong>' + esc(d.group.name) + '</strong> - tick "Across corporate group" in Colleagues or Hiring to run across its domains</p>';
+      else h += '<p style="font-size:0.85em;color:#8892b0;margin-bottom:10px">Not in a group yet - linking an entity creates the group <input type="text" id="group-name" value="' + esc(d.company?.name || d.query) + '" style="width:auto;display:inline-block;padding:4px 8px"></p>';
+      h += '<div class="result-grid">';
+      d.entities.forEach((e, idx) => {
+        h += '<div class="result-item">';
+        h += '<div class="label">' + ENTITY_ICONS[e.type] + ' ' + esc(e.type) + (e.relation ? ' · ' + esc(e.relation) : '') + ' · ' + esc(e.sources.join(', ')) + '</div>';
+        h += '<div class="value">' + esc(e.name || e.value) + (e.name && e.name !== e.value ? '<br><span style="color:#8892b0;font-size:0.8em">' + esc(e.value) + '</span>' : '') + '</div>';
+        if (d.group && e.group?.id === d.group.id) h += '<button class="btn btn-sm btn-secondary" style="margin-top:6px" onclick="unlinkRelated(' + idx + ')">Unlink</button>';
+        else if (e.group) h += '<span class="badge badge-source" style="margin-top:6px">in ' + esc(e.group.name) + '</span>';
+        else h += '<button class="btn btn-sm" style="margin-top:6px" onclick="linkRelated(' + idx + ')">Link</button>';
+        h += '</div>';
+      });
+      h += '</div>';
+      h += renderSourceWarnings(d);
+      document.getElementById('c-related').innerHTML = h;
+    }
+    
+    async function postGroups(path, body) {
+      const resp = await fetch(path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+      const result = await resp.json();
+      if (!result.success) { alert(result.error); return; }
+      loadRelated(relatedData.company?.domain || relatedData.query);
+    }
+    
+    function linkRelated(idx) {
+      const d = relatedData;
+      const e = d.entities[idx];
+      const entity = { type: e.type, value: e.value, name: e.name };
+      if (d.group) return postGroups('/api/groups/link', { group: d.group.id, ...entity });
+      // First link - the group starts with the company itself
+      const self = d.entities.find(x => x.type === 'domain' && x.sources.includes('company'));
+      const entities = self && self !== e ? [{ type: 'domain', value: self.value, name: self.name }, entity] : [entity];
+      postGroups('/api/groups', { name: document.getElementById('group-name').value, entities });
+    }
+    
+    function unlinkRelated(idx) {
+      const e = relatedData.entities[idx];
+      postGroups('/api/groups/unlink', { group: relatedData.group.id, type: e.type, value: e.value });
+    }
+    
+    const GROUP_SKIP_REASONS = { limit: 'over the 5-company limit', no_domain: 'no domain found', budget: 'over the credit budget' };
+    
+    // "Across Wesfarmers: Bunnings (12), Kmart (8)" for group runs
+    function renderGroupRun(d, count) {
+      if (!d.group) return '';
+      return '<p style="color:#8892b0;font-size:0.85em;margin-bottom:15px">🏢 Across ' + esc(d.group.name) + ': '
+        + d.group.companies.map(c => esc(c.name || c.domain) + ' (' + (count(c) ?? 0) + ')').join(', ')
+        + (d.group.skipped?.length ? ' · ' + d.group.skipped.length + ' not run: ' + d.group.skipped.map(s => esc(s.name || s.value) + ' (' + (GROUP_SKIP_REASONS[s.reason] || esc(s.reason)) + ')').join(', ') : '')
+        + (d.group.warnings?.length ? '<br><span style="color:#ffc107">⚠ ' + d.group.warnings.map(esc).join('; ') + '</span>' : '') + '</p>';
+    }
+    
     // ============ LINKEDIN ============
     async function linkedinLookup() {
       const url = document.getElementById('l-url').value.trim();
       if (!url) { showError('l-error', 'URL required'); return; }
       showLoading('l-loading', true); hideError('l-error'); document.getElementById('l-results').innerHTML = '';
       try {
-        const resp = await fetch('/api/linkedin?url=' + encodeURIComponent(url));
+        const resp = await fetch('/api/linkedin?preview=true&url=' + encodeURIComponent(url));
         const d = await resp.json();
         let h = '<div class="result-card"><h3>🔗 ' + esc((d.person?.firstName||'') + ' ' + (d.person?.lastName||'')) + '</h3>';
         if (d.person?.title) h += '<p style="color:#8892b0">' + esc(d.person.title) + '</p>';
-        h += '<h4 style="margin:15px 0 8px;color:#8892b0;font-size:0.9em">📧 EMAILS</h4>';
-        if (d.emails?.length) d.emails.forEach(e => { h += '<div class="contact-row"><span class="contact-value">' + esc(e.email) + '</span><span class="badge badge-source">' + esc(e.source) + '</span></div>'; });
-        else h += '<p style="color:#5a6a8a;font-size:0.9em">None found</p>';
-        h += '<h4 style="margin:15px 0 8px;color:#8892b0;font-size:0.9em">📱 PHONES</h4>';
-        if (d.phones?.length) d.phones.forEach(p => { h += '<div class="contact-row"><span class="contact-value">' + esc(p.number) + '</span><span class="badge badge-source">' + esc(p.source) + '</span></div>'; });
-        else h += '<p style="color:#5a6a8a;font-size:0.9em">None found</p>';
-        h += '<div class="duration">' + d.duration + 'ms</div></div>';
+        h += renderPreview(d, 'l');
+        h += '<div class="duration">' + d.duration + 'ms' + (d.cache?.hit ? ' · cached' : '') + '</div></div>';
         document.getElementById('l-results').innerHTML = h;
       } catch (e) { showError('l-error', e.message); }
       finally { showLoading('l-loading', false); }
@@ -1997,22 +3419,48 @@ const HTML = `<!DOCTYPE html>
       let issues = '';
       d.issues.forEach(i => { issues += '<div class="compliance-item">Row ' + i.row + ': ' + esc(i.contact) + ' - ' + i.issues.join(', ') + '</div>'; });
       document.getElementById('compliance-report').innerHTML = issues;
+      renderCostEstimate(d.estimate);
       goToStep(2);
     }
     
+    // Pre-flight credit estimate - enrichment needs an explicit confirm when it costs credits
+    function renderCostEstimate(est) {
+      const btn = document.getElementById('btn-enrich');
+      if (!est) { document.getElementById('cost-estimate').innerHTML = ''; btn.disabled = false; return; }
+      let h = '<div class="result-card" style="margin-top:15px"><h4 style="color:#8892b0;margin-bottom:12px">💳 Estimated Cost</h4><div class="result-grid">';
+      Object.entries(est.providers || {}).forEach(([provider, p]) => {
+        h += '<div class="result-item"><div class="label">' + esc(provider.toUpperCase()) + '</div><div class="value">' + (p.credits ? 'up to ' + p.credits + ' credits' : 'FREE') + '</div>';
+        h += '<div style="font-size:0.75em;color:#8892b0;margin-top:4px">' + p.calls + ' lookups' + (p.budget?.dailyRemaining !== null && p.budget?.dailyRemaining !== undefined ? ' · ' + p.budget.dailyRemaining + ' left today' : '') + '</div></div>';
+      });
+      h += '</div><p style="font-size:0.8em;color:#8892b0;margin-top:10px">' + est.toEnrich + ' to enrich · ' + est.duplicates + ' duplicates reused · ' + est.cacheHits + ' cached · ' + est.alreadyHaveEmail + ' already have email · ' + est.alreadyComplete + ' already have email + LinkedIn</p>';
+      (est.warnings || []).forEach(w => { h += '<div class="warning" style="margin-top:8px">⚠ ' + esc(w) + '</div>'; });
+      if (est.totalCredits > 0) {
+        h += '<label style="display:block;margin-top:12px;font-size:0.9em;cursor:pointer"><input type="checkbox" id="confirm-cost" onchange="document.getElementById(\\'btn-enrich\\').disabled = !this.checked"> I confirm spending up to <strong>' + est.totalCredits + '</strong> credits</label>';
+      }
+      h += '</div>';
+      document.getElementById('cost-estimate').innerHTML = h;
+      btn.disabled = est.totalCredits > 0;
+    }
+    
     async function startEnrichment() {
       goToStep(3);
       document.getElementById('progress-total').textContent = bulkData.contacts.length;
       const resp = await fetch('/api/bulk/enrich', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ contacts: bulkData.contacts }) });
       const d = await resp.json();
-      bulkData.enriched = d.results;
+      const enriched = d.enriched || [];
+      bulkData.enriched = enriched;
       document.getElementById('progress-fill').style.width = '100%';
       document.getElementById('progress-text').textContent = bulkData.contacts.length;
-      const emails = d.results.filter(r => r.emails?.length).length;
-      const phones = d.results.filter(r => r.phones?.length).length;
-      document.getElementById('bulk-summary').innerHTML = '<div class="result-item"><div class="label">Enriched</div><div class="value">' + d.results.length + '</div></div><div class="result-item"><div class="label">Emails</div><div class="value" style="color:#28a745">' + emails + '</div></div><div class="result-item"><div class="label">Phones</div><div class="value" style="color:#4ecdc4">' + phones + '</div></div>';
-      let table = '<table><tr><th>Name</th><th>Company</th><th>Email</th><th>Phone</th></tr>';
-      d.results.slice(0,10).forEach(r => { table += '<tr><td>' + esc(r.firstName + ' ' + r.lastName) + '</td><td>' + esc(r.company) + '</td><td>' + esc(r.emails?.[0]?.email||'-') + '</td><td>' + esc(r.phones?.[0]?.number||'-') + '</td></tr>'; });
+      const emails = enriched.filter(r => r.emails?.length).length;
+      const phones = enriched.filter(r => r.phones?.length).length;
+      const failed = enriched.filter(r => r._status === 'failed').length;
+      const partial = enriched.filter(r => r._status === 'partial').length;
+      document.getElementById('bulk-summary').innerHTML = '<div class="result-item"><div class="label">Enriched</div><div class="value">' + enriched.length + '</div></div><div class="result-item"><div class="label">Emails</div><div class="value" style="color:#28a745">' + emails + '</div></div><div class="result-item"><div class="label">Phones</div><div class="value" style="color:#4ecdc4">' + phones + '</div></div>' + (partial ? '<div class="result-item"><div class="label">Partial</div><div class="value" style="color:#ffc107">' + partial + '</div></div>' : '') + (failed ? '<div class="result-item"><div class="label">Failed</div><div class="value" style="color:#dc3545">' + failed + '</div></div>' : '');
+      let table = '<table><tr><th>Name</th><th>Company</th><th>Email</th><th>Phone</th><th>Status</th></tr>';
+      enriched.slice(0,10).forEach(r => {
+        const doubtful = Object.entries(r.identity || {}).filter(([, i]) => i.verdict !== 'match');
+        const flag = doubtful.length ? ' <span title="' + esc(doubtful.map(([name, i]) => name + ' ' + i.verdict + ': ' + i.reasons.join('; ')).join(' · ')) + '">⚠</span>' : '';
+        table += '<tr><td>' + esc(r.firstName + ' ' + r.lastName) + flag + '</td><td>' + esc(r.company) + '</td><td>' + esc(r.emails?.[0]?.email||'-') + '</td><td>' + (r.phones?.length ? renderPhone(r.phones[0]) : '-') + '</td><td>' + bulkStatus(r) + '</td></tr>'; });
       table += '</table>';
       document.getElementById('bulk-results').innerHTML = table;
       goToStep(4);
@@ -2023,51 +3471,122 @@ const HTML = `<!DOCTYPE html>
         .then(r => r.blob()).then(b => { const a = document.createElement('a'); a.href = URL.createObjectURL(b); a.download = 'enriched_' + Date.now() + '.csv'; a.click(); });
     }
     
-    function resetBulk() { bulkData = { csv: null, contacts: [], enriched: [] }; document.getElementById('file-info').style.display = 'none'; document.getElementById('btn-validate').style.display = 'none'; fileInput.value = ''; goToStep(1); }
-    function goToStep(n) { document.querySelectorAll('.step').forEach(s => s.classList.remove('active')); document.getElementById('step-' + n).classList.add('active'); for (let i = 1; i <= 4; i++) { const d = document.getElementById('dot-' + i); d.classList.remove('active', 'completed'); if (i < n) d.classList.add('completed'); if (i === n) d.classList.add('active'); } }
-    
-    
-    // ============ ABN LOOKUP ============
-    async function lookupABN() {
+    function resetBulk() { bulkData = { csv: null, contacts: [], enriched: [] }; document.getElementById('file-info').style.display = 'none'; document.getElementById('btn-validate').style.display = 'none'; fileInput.value = ''; goToStep(1); }
+    function goToStep(n) { document.querySelectorAll('.step').forEach(s => s.classList.remove('active')); document.getElementById('step-' + n).classList.add('active'); for (let i = 1; i <= 4; i++) { const d = document.getElementById('dot-' + i); d.classList.remove('active', 'completed'); if (i < n) d.classList.add('completed'); if (i === n) d.classList.add('active'); } }
+    
+    
+    // ============ ABN / NZBN LOOKUP ============
+    let registryMode = 'au';
+    function showRegistryMode(mode) {
+      registryMode = mode;
+      ['au', 'nz'].forEach(m => {
+        document.getElementById('abn-mode-' + m).classList.toggle('btn-secondary', mode !== m);
+        document.getElementById('abn-mode-' + m).style.opacity = mode === m ? '1' : '0.7';
+      });
+      document.getElementById('abn-query-label').textContent = mode === 'nz' ? 'NZBN or Company Name *' : 'ABN, ACN or Company Name *';
+      document.getElementById('abn-query').placeholder = mode === 'nz' ? '9429041234567 or Fonterra' : '53 102 443 916 or Atlassian';
+      document.getElementById('abn-results').innerHTML = '';
+    }
+    
+    async function lookupABN() {
+      if (registryMode === 'nz') return lookupNZBN();
+      const query = document.getElementById('abn-query').value.trim();
+      if (!query) { showError('abn-error', 'Enter ABN or company name'); return; }
+      
+      showLoading('abn-loading', true);
+      hideError('abn-error');
+      document.getElementById('abn-results').innerHTML = '';
+      
+      try {
+        const resp = await fetch('/api/abn?q=' + encodeURIComponent(query));
+        const data = await resp.json();
+        
+        if (data.error) throw new Error(data.error);
+        
+        let h = '<div class="result-card">';
+        h += '<h3>🔢 ABN Results for "' + esc(query) + '"</h3>';
+        
+        if (data.matches?.length) {
+          h += '<div class="result-grid">';
+          data.matches.forEach(m => {
+            h += '<div class="colleague-card">';
+            h += '<div style="font-family:monospace;font-size:1.2em;color:#4ecdc4;margin-bottom:8px">' + esc(m.abn) + '</div>';
+            h += '<div class="colleague-name">' + esc(m.entityName || 'Unknown Entity') + '</div>';
+            h += '<div class="colleague-meta" style="margin:8px 0">';
+            h += '<span class="badge ' + (m.status === 'Active' ? 'badge-verified' : 'badge-source') + '">' + esc(m.status) + '</span>';
+            if (m.entityType) h += '<span class="badge badge-source">' + esc(m.entityType) + '</span>';
+            if (m.gst) h += '<span class="badge ' + (m.gst.registered ? 'badge-verified' : 'badge-source') + '">' + (m.gst.registered ? 'GST' : 'No GST') + '</span>';
+            h += '</div>';
+            if (m.statusDate) h += '<div style="color:#8892b0;font-size:0.85em">Since: ' + esc(m.statusDate) + '</div>';
+            if (m.acn) h += '<div style="color:#8892b0;font-size:0.85em">ACN: ' + esc(m.acn) + '</div>';
+            if (m.gst?.from) h += '<div style="color:#8892b0;font-size:0.85em">GST registered from: ' + esc(m.gst.from) + '</div>';
+            if (m.location?.state || m.location?.postcode) h += '<div style="color:#8892b0;font-size:0.85em">Main business location: ' + esc([m.location.state, m.location.postcode].filter(Boolean).join(' ')) + '</div>';
+            if (m.tradingNames?.length) h += '<div style="color:#8892b0;font-size:0.85em">Trading as: ' + esc(m.tradingNames.join(', ')) + '</div>';
+            if (m.matchedName) h += '<div style="color:#5a6a8a;font-size:0.8em">Matched on: ' + esc(m.matchedName) + (m.nameType ? ' (' + esc(m.nameType) + ')' : '') + '</div>';
+            h += '<div style="margin-top:10px;display:flex;gap:8px">';
+            h += '<button class="btn btn-sm" onclick="copyVal(\\'' + m.abnRaw + '\\')">Copy ABN</button>';
+            h += '<a href="' + esc(m.url) + '" target="_blank" class="btn btn-sm btn-secondary">View on ABR →</a>';
+            h += '</div>';
+            h += '</div>';
+          });
+          h += '</div>';
+        } else {
+          h += '<p style="color:#5a6a8a;text-align:center;padding:20px">No ABN records found. Try a different search term.</p>';
+        }
+        
+        const via = data.source === 'abr' ? 'ABR web service' : data.source === 'serp' ? 'web search' : '';
+        h += '<div class="duration">' + data.duration + 'ms' + (via ? ' · via ' + via : '') + (data.cache?.hit ? ' · cached' : '') + '</div>';
+        h += '</div>';
+        
+        document.getElementById('abn-results').innerHTML = h;
+      } catch (e) { showError('abn-error', e.message); }
+      finally { showLoading('abn-loading', false); }
+    }
+    
+    async function lookupNZBN() {
       const query = document.getElementById('abn-query').value.trim();
-      if (!query) { showError('abn-error', 'Enter ABN or company name'); return; }
+      if (!query) { showError('abn-error', 'Enter NZBN or company name'); return; }
       
       showLoading('abn-loading', true);
       hideError('abn-error');
       document.getElementById('abn-results').innerHTML = '';
       
       try {
-        const resp = await fetch('/api/abn?q=' + encodeURIComponent(query));
+        const resp = await fetch('/api/nzbn?q=' + encodeURIComponent(query));
         const data = await resp.json();
         
         if (data.error) throw new Error(data.error);
         
         let h = '<div class="result-card">';
-        h += '<h3>🔢 ABN Results for "' + esc(query) + '"</h3>';
+        h += '<h3>🔢 NZBN Results for "' + esc(query) + '"</h3>';
         
         if (data.matches?.length) {
           h += '<div class="result-grid">';
           data.matches.forEach(m => {
             h += '<div class="colleague-card">';
-            h += '<div style="font-family:monospace;font-size:1.2em;color:#4ecdc4;margin-bottom:8px">' + esc(m.abn) + '</div>';
+            h += '<div style="font-family:monospace;font-size:1.2em;color:#4ecdc4;margin-bottom:8px">' + esc(m.nzbn) + '</div>';
             h += '<div class="colleague-name">' + esc(m.entityName || 'Unknown Entity') + '</div>';
             h += '<div class="colleague-meta" style="margin:8px 0">';
-            h += '<span class="badge ' + (m.status === 'Active' ? 'badge-verified' : 'badge-source') + '">' + esc(m.status) + '</span>';
+            h += '<span class="badge ' + (m.status === 'Registered' ? 'badge-verified' : 'badge-source') + '">' + esc(m.status) + '</span>';
             if (m.entityType) h += '<span class="badge badge-source">' + esc(m.entityType) + '</span>';
             h += '</div>';
-            if (m.statusDate) h += '<div style="color:#8892b0;font-size:0.85em">Since: ' + esc(m.statusDate) + '</div>';
+            if (m.registrationDate) h += '<div style="color:#8892b0;font-size:0.85em">Registered: ' + esc(m.registrationDate) + '</div>';
+            if (m.companyNumber) h += '<div style="color:#8892b0;font-size:0.85em">Company number: ' + esc(m.companyNumber) + '</div>';
+            if (m.location?.city || m.location?.postcode) h += '<div style="color:#8892b0;font-size:0.85em">Location: ' + esc([m.location.city, m.location.postcode].filter(Boolean).join(' ')) + '</div>';
+            if (m.tradingNames?.length) h += '<div style="color:#8892b0;font-size:0.85em">Trading as: ' + esc(m.tradingNames.join(', ')) + '</div>';
             h += '<div style="margin-top:10px;display:flex;gap:8px">';
-            h += '<button class="btn btn-sm" onclick="copyVal(\\'' + m.abnRaw + '\\')">Copy ABN</button>';
-            h += '<a href="' + esc(m.url) + '" target="_blank" class="btn btn-sm btn-secondary">View on ABR →</a>';
+            h += '<button class="btn btn-sm" onclick="copyVal(\\'' + esc(m.nzbn) + '\\')">Copy NZBN</button>';
+            h += '<a href="' + esc(m.url) + '" target="_blank" class="btn btn-sm btn-secondary">View on NZBN →</a>';
             h += '</div>';
             h += '</div>';
           });
           h += '</div>';
         } else {
-          h += '<p style="color:#5a6a8a;text-align:center;padding:20px">No ABN records found. Try a different search term.</p>';
+          h += '<p style="color:#5a6a8a;text-align:center;padding:20px">No NZBN records found. Try a different search term.</p>';
         }
         
-        h += '<div class="duration">' + data.duration + 'ms</div>';
+        const via = data.source === 'nzbn' ? 'NZBN register' : data.source === 'serp' ? 'web search' : '';
+        h += '<div class="duration">' + data.duration + 'ms' + (via ? ' · via ' + via : '') + (data.cache?.hit ? ' · cached' : '') + '</div>';
         h += '</div>';
         
         document.getElementById('abn-results').innerHTML = h;
@@ -2091,13 +3610,15 @@ const HTML = `<!DOCTYPE html>
       document.getElementById('hiring-results').innerHTML = '';
       
       try {
-        const resp = await fetch('/api/hiring?company=' + encodeURIComponent(company));
+        const group = document.getElementById('hiring-group').checked;
+        const resp = await fetch('/api/hiring?company=' + encodeURIComponent(company) + (group ? '&group=true' : ''));
         const data = await resp.json();
         
         if (data.error) throw new Error(data.error);
         
         let h = '<div class="result-card">';
         h += '<h3>💼 ' + esc(data.company?.name || company) + '</h3>';
+        h += renderDomainResolution(data);
         
         // Company overview
         if (data.company) {
@@ -2109,6 +3630,8 @@ const HTML = `<!DOCTYPE html>
           h += '</div>';
         }
         
+        h += renderGroupRun(data, c => c.jobCount);
+        
         // Growth indicators
         if (data.growthIndicators?.length) {
           h += '<div style="margin-bottom:20px">';
@@ -2125,7 +3648,7 @@ const HTML = `<!DOCTYPE html>
           h += '<div class="result-grid">';
           data.careerPages.forEach(p => {
             h += '<div class="result-item">';
-            h += '<div class="label">' + esc(p.source) + (p.jobCount ? ' (' + p.jobCount + ' jobs)' : '') + '</div>';
+            h += '<div class="label">' + (data.group && p.company ? esc(p.company) + ' · ' : '') + esc(p.source) + (p.jobCount ? ' (' + p.jobCount + ' jobs)' : '') + '</div>';
             h += '<div class="value"><a href="' + esc(p.url) + '" target="_blank">' + esc(p.title || 'View Jobs') + '</a></div>';
             h += '</div>';
           });
@@ -2137,7 +3660,7 @@ const HTML = `<!DOCTYPE html>
           h += '<div style="margin-top:20px"><a href="' + esc(data.company.linkedin) + '/jobs" target="_blank" class="btn btn-secondary">View all jobs on LinkedIn →</a></div>';
         }
         
-        h += '<div class="duration">' + data.duration + 'ms</div>';
+        h += '<div class="duration">' + data.duration + 'ms' + (data.cache?.hit ? ' · cached' : '') + '</div>';
         h += '</div>';
         
         document.getElementById('hiring-results').innerHTML = h;
@@ -2181,6 +3704,7 @@ const HTML = `<!DOCTYPE html>
         
         let h = '<div class="result-card">';
         h += '<h3>🔧 ' + esc(data.company?.name || company) + '</h3>';
+        h += renderDomainResolution(data);
         
         if (data.company) {
           h += '<p style="color:#8892b0;margin-bottom:15px">';
@@ -2209,7 +3733,7 @@ const HTML = `<!DOCTYPE html>
           h += '<p style="color:#5a6a8a">No technology data available for this company.</p>';
         }
         
-        h += '<div class="duration">' + data.duration + 'ms</div>';
+        h += '<div class="duration">' + data.duration + 'ms' + (data.cache?.hit ? ' · cached' : '') + '</div>';
         h += '</div>';
         
         document.getElementById('tech-results').innerHTML = h;
@@ -2258,7 +3782,7 @@ const HTML = `<!DOCTYPE html>
           h += '<p style="color:#5a6a8a">No companies found. Try a different technology or remove location filter.</p>';
         }
         
-        h += '<div class="duration">' + data.duration + 'ms</div>';
+        h += '<div class="duration">' + data.duration + 'ms' + (data.cache?.hit ? ' · cached' : '') + '</div>';
         h += '</div>';
         
         document.getElementById('tech-results').innerHTML = h;
@@ -2296,6 +3820,7 @@ const HTML = `<!DOCTYPE html>
         if (data.error) throw new Error(data.error);
         
         let h = '<div class="result-card">';
+        h += renderDomainResolution(data);
         
         // Seed company info
         if (data.seed) {
@@ -2343,7 +3868,7 @@ const HTML = `<!DOCTYPE html>
         }
         
         h += renderExportButtons();
-        h += '<div class="duration">' + data.duration + 'ms</div>';
+        h += '<div class="duration">' + data.duration + 'ms' + (data.cache?.hit ? ' · cached' : '') + '</div>';
         h += '</div>';
         storeForExport(data, 'lookalikes');
         document.getElementById('look-results').innerHTML = h;
@@ -2359,8 +3884,10 @@ const HTML = `<!DOCTYPE html>
       content.innerHTML = '<p style="color:#8892b0;text-align:center;padding:30px"><div class="spinner"></div>Loading...</p>';
       
       try {
-        const resp = await fetch('/api/stats');
+        const [resp, creditsResp, cacheResp] = await Promise.all([fetch('/api/stats'), fetch('/api/credits'), fetch('/api/cache/stats')]);
         const data = await resp.json();
+        const creditData = await creditsResp.json();
+        const cacheData = await cacheResp.json();
         
         let h = '';
         
@@ -2370,6 +3897,7 @@ const HTML = `<!DOCTYPE html>
         h += '<div class="result-item" style="text-align:center"><div class="label">Contacts Enriched</div><div class="value" style="font-size:2em;color:#28a745">' + (data.enrichmentStats?.total || 0).toLocaleString() + '</div></div>';
         h += '<div class="result-item" style="text-align:center"><div class="label">Email Success</div><div class="value" style="font-size:2em;color:#ffc107">' + (data.derived?.emailSuccessRate || 0) + '%</div></div>';
         h += '<div class="result-item" style="text-align:center"><div class="label">Uptime</div><div class="value" style="font-size:1.5em">' + (data.derived?.uptime || 'N/A') + '</div></div>';
+        h += '<div class="result-item" style="text-align:center"><div class="label">Cache Hit Rate</div><div class="value" style="font-size:2em;color:#4ecdc4">' + (cacheData.hitRate || 0) + '%</div><div style="font-size:0.75em;color:#8892b0">' + (cacheData.size || 0) + ' entries</div></div>';
         h += '</div>';
         
         // Enrichment breakdown
@@ -2419,16 +3947,63 @@ const HTML = `<!DOCTYPE html>
         h += '<div class="result-card">';
         h += '<h4 style="color:#8892b0;margin-bottom:15px">🔌 API Health</h4>';
         h += '<div class="result-grid">';
-        Object.entries(data.apiCalls || {}).forEach(([api, info]) => {
-          const errorRate = info.calls > 0 ? Math.round((info.errors / info.calls) * 100) : 0;
+        Object.entries(data.derived?.apiHealth || {}).forEach(([api, info]) => {
+          const errorRate = info.errorRate || 0;
           const color = errorRate > 20 ? '#dc3545' : errorRate > 5 ? '#ffc107' : '#28a745';
           h += '<div class="result-item">';
-          h += '<div class="label">' + api.toUpperCase() + '</div>';
+          h += '<div class="label">' + esc(api.toUpperCase()) + '</div>';
           h += '<div class="value">' + info.calls + ' calls <span style="color:' + color + '">(' + errorRate + '% errors)</span></div>';
+          if (info.latency?.samples) h += '<div style="font-size:0.75em;color:#8892b0;margin-top:4px">p50 ' + info.latency.p50 + 'ms · p95 ' + info.latency.p95 + 'ms · p99 ' + info.latency.p99 + 'ms</div>';
+          if (info.skipped) h += '<div style="font-size:0.75em;color:#ffc107">' + info.skipped + ' skipped (circuit open)</div>';
+          if (info.retries) h += '<div style="font-size:0.75em;color:#8892b0">' + info.retries + ' retries</div>';
           h += '</div>';
         });
         h += '</div></div>';
         
+        // Credit spend and budgets
+        h += '<div class="result-card" style="margin-top:20px">';
+        h += '<h4 style="color:#8892b0;margin-bottom:15px">💳 Credits</h4>';
+        h += '<div class="result-grid">';
+        Object.entries(creditData.providers || {}).forEach(([api, info]) => {
+          const b = info.budget || {};
+          const limit = (spent, max) => spent + (max !== null && max !== undefined ? ' / ' + max : '');
+          h += '<div class="result-item">';
+          h += '<div class="label">' + esc(api.toUpperCase()) + (b.mode === 'warn' ? ' (warn only)' : '') + '</div>';
+          h += '<div class="value">Today ' + limit(info.daily, b.daily) + '</div>';
+          h += '<div style="font-size:0.75em;color:#8892b0;margin-top:4px">Month ' + limit(info.monthly, b.monthly) + '</div>';
+          h += '</div>';
+        });
+        h += '</div>';
+        const users = Object.entries(creditData.thisMonth?.byUser || {}).sort((a, b) => b[1] - a[1]).slice(0, 5);
+        if (users.length) h += '<p style="font-size:0.8em;color:#8892b0;margin-top:12px">Top users this month: ' + users.map(([u, n]) => esc(u) + ' (' + n + ')').join(', ') + '</p>';
+        (creditData.warnings || []).slice(0, 3).forEach(w => {
+          h += '<p style="font-size:0.8em;color:' + (w.mode === 'warn' ? '#ffc107' : '#dc3545') + ';margin-top:6px">⚠ ' + esc(w.message) + '</p>';
+        });
+        h += '</div>';
+        
+        // Cache by type + admin
+        h += '<div class="result-card" style="margin-top:20px">';
+        h += '<h4 style="color:#8892b0;margin-bottom:15px">🗄️ Cache</h4>';
+        h += '<div class="result-grid">';
+        Object.entries(cacheData.byType || {}).forEach(([type, t]) => {
+          h += '<div class="result-item"><div class="label">' + esc(type.toUpperCase()) + '</div>';
+          h += '<div class="value">' + t.entries + ' entries <span style="color:#8892b0">(' + t.hitRate + '% hits)</span></div>';
+          h += '<div style="font-size:0.75em;color:#8892b0;margin-top:4px">' + t.hits + ' hits · ' + t.misses + ' misses' + (t.notFound ? ' · ' + t.notFound + ' not found' : '') + (t.coalesced ? ' · ' + t.coalesced + ' coalesced' : '') + '</div></div>';
+        });
+        h += '</div>';
+        h += '<div class="form-row" style="margin-top:15px">';
+        h += '<div class="form-group"><label>Search person or domain</label><input type="text" id="cache-q" placeholder="tom cowan or canva.com"></div>';
+        h += '<div class="form-group"><label>Type</label><select id="cache-type"><option value="">All</option>' + Object.keys(cacheData.byType || {}).map(t => '<option value="' + esc(t) + '">' + esc(t) + '</option>').join('') + '</select></div>';
+        h += '</div>';
+        h += '<div style="display:flex;gap:10px;flex-wrap:wrap">';
+        h += '<button class="btn btn-sm" onclick="searchCache()">🔍 Search</button>';
+        h += '<button class="btn btn-sm btn-secondary" onclick="purgeCacheByDomain()">🗑️ Purge domain</button>';
+        h += '<select id="cache-provider" style="width:auto"><option value="apollo">Apollo</option><option value="lusha">Lusha</option><option value="firmable">Firmable</option><option value="serp">SerpAPI</option></select>';
+        h += '<button class="btn btn-sm btn-secondary" onclick="purgeCacheByProvider()">🗑️ Purge provider</button>';
+        h += '</div>';
+        h += '<div id="cache-list" style="margin-top:15px"></div>';
+        h += '</div>';
+        
         // Footer
         h += '<p style="text-align:center;color:#5a6a8a;margin-top:20px;font-size:0.8em">';
         h += 'Started: ' + new Date(data.startedAt).toLocaleString() + ' | Last updated: ' + new Date(data.lastUpdated).toLocaleString();
@@ -2440,6 +4015,58 @@ const HTML = `<!DOCTYPE html>
       }
     }
     
+    // ============ CACHE ADMIN ============
+    let cacheEntries = [];
+    
+    async function searchCache() {
+      const params = new URLSearchParams({ q: document.getElementById('cache-q').value.trim(), type: document.getElementById('cache-type').value });
+      const resp = await fetch('/api/cache?' + params);
+      const d = await resp.json();
+      cacheEntries = d.entries || [];
+      let h = '';
+      if (!cacheEntries.length) h = '<p style="color:#5a6a8a;font-size:0.9em">No cached entries</p>';
+      cacheEntries.forEach((e, i) => {
+        h += '<div class="contact-row"><span class="contact-value" style="font-family:monospace;font-size:0.8em">' + esc(e.key) + '</span>';
+        h += '<span class="badge badge-source">' + esc(e.type) + '</span>' + (e.notFound ? '<span class="badge" style="background:#5a6a8a">not found</span>' : '');
+        h += '<span style="color:#8892b0;font-size:0.75em;margin-left:8px">' + esc(e.providers.join(', ')) + ' · expires ' + new Date(e.expiresAt).toLocaleString() + '</span>';
+        if (e.refreshable) h += '<button class="btn btn-sm btn-secondary" style="margin-left:8px" onclick="refreshCacheEntry(' + i + ')">🔄</button>';
+        h += '<button class="btn btn-sm btn-secondary" style="margin-left:4px" onclick="deleteCacheEntry(' + i + ')">✕</button></div>';
+      });
+      document.getElementById('cache-list').innerHTML = h;
+    }
+    
+    async function purgeCache(params, label) {
+      if (!confirm('Purge cached results for ' + label + '?')) return;
+      const resp = await fetch('/api/cache?' + new URLSearchParams(params), { method: 'DELETE' });
+      const d = await resp.json();
+      if (d.error) { alert(d.error); return; }
+      alert('Purged ' + d.purged + ' entries');
+      loadDashboard();
+    }
+    
+    function purgeCacheByDomain() {
+      const domain = document.getElementById('cache-q').value.trim();
+      if (!domain) { alert('Enter a domain in the search box'); return; }
+      purgeCache({ domain }, domain);
+    }
+    
+    function purgeCacheByProvider() {
+      const provider = document.getElementById('cache-provider').value;
+      purgeCache({ provider }, provider);
+    }
+    
+    async function deleteCacheEntry(i) {
+      await fetch('/api/cache?' + new URLSearchParams({ key: cacheEntries[i].key }), { method: 'DELETE' });
+      searchCache();
+    }
+    
+    async function refreshCacheEntry(i) {
+      const resp = await fetch('/api/cache/refresh', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ key: cacheEntries[i].key }) });
+      const d = await resp.json();
+      if (d.error) alert(d.error);
+      searchCache();
+    }
+    
     // Load dashboard when tab is clicked
     document.querySelector('[data-tab="dashboard"]')?.addEventListener('click', loadDashboard);
 
@@ -2568,15 +4195,21 @@ const HTML = `<!DOCTYPE html>
 // HTTP SERVER
 // ============================================================================
 
-const server = http.createServer((req, res) => {
+const server = http.createServer(async (req, res) => {
   const parsed = url.parse(req.url, true);
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
   if (req.method === 'OPTIONS') { res.writeHead(200); res.end(); return; }
 
-  if (parsed.pathname === '/health') { res.writeHead(200, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ status: 'ok', version: '6.0.0' })); return; }
+  if (parsed.pathname === '/health') {
+    const providers = providerPolicy.getHealth();
+    const degraded = Object.values(providers).some(p => p.circuit !== 'closed');
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: degraded ? 'degraded' : 'ok', version: '6.0.0', providers }));
+    return;
+  }
 
   // API: Dashboard Stats
   if (parsed.pathname === '/api/stats') {
@@ -2594,20 +4227,123 @@ const server = http.createServer((req, res) => {
     return;
   }
 
+  // API: Cache stats
+  if (parsed.pathname === '/api/cache/stats') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(resultCache.getStats()));
+    return;
+  }
+
+  // API: List/search cache entries (?q=person or domain, ?type=company|tech|hiring|abn|person|lookalikes)
+  if (parsed.pathname === '/api/cache' && req.method === 'GET') {
+    const { q, type, limit } = parsed.query;
+    const entries = resultCache.list({ q: q || '', type: type || null, limit: parseInt(limit) || 100 });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ entries, total: entries.length }));
+    return;
+  }
+
+  // API: Purge cache entries by key, domain, provider and/or type
+  if (parsed.pathname === '/api/cache' && req.method === 'DELETE') {
+    const { key, domain, provider, type } = parsed.query;
+    if (!key && !domain && !provider && !type) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'key, domain, provider or type required' }));
+      return;
+    }
+    const purged = resultCache.purge({ key, domain, provider, type });
+    console.log(`\x1b[33m🗑️ Cache purge ${JSON.stringify({ key, domain, provider, type })}: ${purged} entries\x1b[0m`);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, purged }));
+    return;
+  }
+
+  // API: Force-refresh a single cached lookup {key}
+  if (parsed.pathname === '/api/cache/refresh' && req.method === 'POST') {
+    handlePost(req, res, async ({ key }, send) => {
+      if (!key) { send(400, { error: 'key required' }); return; }
+      const result = await resultCache.refresh(key, { user: requestUser(req, parsed) });
+      if (!result) { send(404, { error: 'Entry not found or not refreshable' }); return; }
+      send(200, result);
+    });
+    return;
+  }
+
+  // API: Provider adapters - enabled state, operations, revealable fields and credit costs
+  if (parsed.pathname === '/api/providers') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ providers: providers.list() }));
+    return;
+  }
+
+  // API: Waterfall strategies
+  if (parsed.pathname === '/api/strategies' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ default: waterfall.defaultStrategyName(), stopRules: waterfall.STOP_RULES, strategies: waterfall.listStrategies() }));
+    return;
+  }
+
+  // API: Save a strategy {name, label, fields: {email: {providers: [...], stopWhen}}}
+  if (parsed.pathname === '/api/strategies' && req.method === 'POST') {
+    handlePost(req, res, async (data, send) => {
+      const providerNames = providers.list().filter(p => p.operations.includes('matchPerson')).map(p => p.name);
+      const result = waterfall.saveStrategy(data.name, data, providerNames);
+      send(result.success ? 200 : 400, result);
+    });
+    return;
+  }
+
+  if (parsed.pathname === '/api/strategies' && req.method === 'DELETE') {
+    const result = waterfall.deleteStrategy(parsed.query.name);
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+    return;
+  }
+
+  // API: Credit spend and budgets
+  if (parsed.pathname === '/api/credits') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(credits.getSummary()));
+    return;
+  }
+
+  // API: Set a provider budget {provider, daily, monthly, mode: block|warn}
+  if (parsed.pathname === '/api/credits/budget' && req.method === 'POST') {
+    handlePost(req, res, async (data, send) => {
+      const { provider, ...budget } = data;
+      const result = credits.setBudget(provider, budget);
+      send(result.success ? 200 : 400, result);
+    });
+    return;
+  }
+
+  // API: Reset credit ledger (admin) - budgets are kept
+  if (parsed.pathname === '/api/credits/reset' && req.method === 'POST') {
+    credits.resetLedger();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true }));
+    return;
+  }
+
   if (parsed.pathname === '/' || parsed.pathname === '/index.html') { res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }); res.end(HTML); return; }
 
   // API: Discover
   if (parsed.pathname === '/api/discover') {
-    const { firstName, lastName, company, domain, linkedin } = parsed.query;
+    const { firstName, lastName, company, domain, linkedin, preview, strategy } = parsed.query;
     if (!firstName || !lastName) { 
       res.writeHead(400, { 'Content-Type': 'application/json' }); 
       res.end(JSON.stringify({ error: 'Name required' })); 
       return; 
     }
+    if (strategy && !waterfall.getStrategy(strategy)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Unknown strategy: ${strategy}` }));
+      return;
+    }
     try {
-      console.log(`\x1b[36m🔍 Discover: ${firstName} ${lastName}\x1b[0m`);
+      console.log(`\x1b[36m🔍 Discover${preview ? ' (preview)' : ''}: ${firstName} ${lastName}\x1b[0m`);
       stats.trackRequest('/api/discover');
-      const result = discoverPerson(firstName, lastName, company || '', domain || '', linkedin || '');
+      const result = await discoverPerson(firstName, lastName, company || '', domain || '', linkedin || '', { user: requestUser(req, parsed), preview: isTruthy(preview), strategy, refresh: isTruthy(parsed.query.refresh) });
       stats.trackEnrichment(result);
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(result));
@@ -2619,12 +4355,28 @@ const server = http.createServer((req, res) => {
     return;
   }
 
+  // API: Discover reveal - spend credits on the fields picked from a preview
+  if (parsed.pathname === '/api/discover/reveal' && req.method === 'POST') {
+    handlePost(req, res, async (data, send) => {
+      const { firstName, lastName, company, domain, linkedin, fields, providers, strategy } = data;
+      if (!firstName || !lastName) { send(400, { error: 'Name required' }); return; }
+      if (!Array.isArray(fields) || !fields.length) { send(400, { error: `fields required (${REVEAL_FIELDS.join(', ')})` }); return; }
+      if (strategy && !waterfall.getStrategy(strategy)) { send(400, { error: `Unknown strategy: ${strategy}` }); return; }
+      console.log(`\x1b[36m💳 Reveal: ${firstName} ${lastName} [${fields.join(', ')}]\x1b[0m`);
+      stats.trackRequest('/api/discover/reveal');
+      const result = await discoverPerson(firstName, lastName, company || '', domain || '', linkedin || '', { user: requestUser(req, parsed), reveal: fields, providers, strategy });
+      stats.trackEnrichment(result);
+      send(200, result);
+    });
+    return;
+  }
+
   // API: Prospect
   if (parsed.pathname === '/api/prospect' && req.method === 'POST') {
-    handlePost(req, res, (filters, send) => {
+    handlePost(req, res, async (filters, send) => {
       console.log(`\x1b[36m🎯 Prospect: ${JSON.stringify(filters)}\x1b[0m`);
       stats.trackRequest('/api/prospect');
-      const results = prospectPeople(filters);
+      const results = await prospectPeople(filters, { user: requestUser(req, parsed) });
       send(200, results);
     });
     return;
@@ -2634,9 +4386,9 @@ const server = http.createServer((req, res) => {
   if (parsed.pathname === '/api/colleagues' && req.method === 'POST') {
     let body = '';
     req.on('data', c => body += c);
-    req.on('end', () => {
+    req.on('end', async () => {
       try {
-        const { domain, roles, seniority, department, limit } = JSON.parse(body || '{}');
+        const { domain, roles, seniority, department, limit, hunter, group } = JSON.parse(body || '{}');
         if (!domain) {
           res.writeHead(400, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ error: 'Domain required' }));
@@ -2644,7 +4396,7 @@ const server = http.createServer((req, res) => {
         }
         console.log(`\x1b[36m👥 Colleagues: ${domain} [${roles?.join(', ') || 'all'}]\x1b[0m`);
         stats.trackRequest('/api/colleagues');
-        const results = findColleagues(domain, { roles, seniority, department, limit });
+        const results = await (group ? findGroupColleagues : findColleagues)(domain, { roles, seniority, department, limit, hunter: !!hunter }, { user: requestUser(req, parsed) });
         console.log(`\x1b[32m✅ Found ${results.colleagues?.length || 0} colleagues (${results.duration}ms)\x1b[0m`);
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(results));
@@ -2662,11 +4414,11 @@ const server = http.createServer((req, res) => {
   if (parsed.pathname === '/api/colleagues/enrich' && req.method === 'POST') {
     let body = '';
     req.on('data', c => body += c);
-    req.on('end', () => {
+    req.on('end', async () => {
       try {
         const colleague = safeJsonParse(body);
         console.log(`\x1b[36m👤 Enrich: ${colleague.firstName} ${colleague.lastName}\x1b[0m`);
-        const results = enrichColleague(colleague);
+        const results = await enrichColleague(colleague, { user: requestUser(req, parsed) });
         console.log(`\x1b[32m✅ Found ${results.emails?.length || 0} emails, ${results.phones?.length || 0} phones\x1b[0m`);
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(results));
@@ -2685,7 +4437,7 @@ const server = http.createServer((req, res) => {
     if (!domain) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Domain required' })); return; }
     try {
       console.log(`\x1b[36m🏢 Company: ${domain}\x1b[0m`);
-      const results = getCompanyIntel(domain);
+      const results = await getCompanyIntel(domain, { user: requestUser(req, parsed), refresh: isTruthy(parsed.query.refresh) });
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(results));
     } catch (e) {
@@ -2702,7 +4454,7 @@ const server = http.createServer((req, res) => {
     if (!q) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Query (q) required' })); return; }
     try {
       console.log(`\x1b[36m🔢 ABN: ${q}\x1b[0m`);
-      const results = lookupABN(q);
+      const results = await lookupABN(q, { user: requestUser(req, parsed), refresh: isTruthy(parsed.query.refresh) });
       console.log(`\x1b[32m✅ Found ${results.matches?.length || 0} ABN matches (${results.duration}ms)\x1b[0m`);
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(results));
@@ -2718,19 +4470,208 @@ const server = http.createServer((req, res) => {
   if (parsed.pathname === '/api/abn/validate') {
     const { abn } = parsed.query;
     if (!abn) { res.writeHead(400); res.end(JSON.stringify({ error: 'ABN required' })); return; }
-    const result = validateABN(abn);
+    const result = validation.validateABN(abn);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+    return;
+  }
+
+  // API: ACN Validate
+  if (parsed.pathname === '/api/acn/validate') {
+    const { acn } = parsed.query;
+    if (!acn) { res.writeHead(400); res.end(JSON.stringify({ error: 'ACN required' })); return; }
+    const result = validation.validateACN(acn);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+    return;
+  }
+
+  // API: NZBN Lookup
+  if (parsed.pathname === '/api/nzbn') {
+    const { q } = parsed.query;
+    if (!q) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Query (q) required' })); return; }
+    try {
+      console.log(`\x1b[36m🔢 NZBN: ${q}\x1b[0m`);
+      const results = await lookupNZBN(q, { user: requestUser(req, parsed), refresh: isTruthy(parsed.query.refresh) });
+      console.log(`\x1b[32m✅ Found ${results.matches?.length || 0} NZBN matches (${results.duration}ms)\x1b[0m`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(results));
+    } catch (e) {
+      console.error('NZBN error:', e.message);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: e.message, matches: [] }));
+    }
+    return;
+  }
+
+  // API: NZBN Validate
+  if (parsed.pathname === '/api/nzbn/validate') {
+    const { nzbn } = parsed.query;
+    if (!nzbn) { res.writeHead(400); res.end(JSON.stringify({ error: 'NZBN required' })); return; }
+    const result = validation.validateNZBN(nzbn);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+    return;
+  }
+
+  // API: Email and phone validation - GET ?email=&phone=&country= or POST { emails, phones, country }
+  if (parsed.pathname === '/api/validate' && (req.method === 'GET' || req.method === 'POST')) {
+    let body = '';
+    req.on('data', c => body += c);
+    req.on('end', async () => {
+      try {
+        const input = req.method === 'POST' ? JSON.parse(body || '{}') : {
+          emails: [].concat(parsed.query.email || []),
+          phones: [].concat(parsed.query.phone || []),
+          country: parsed.query.country,
+        };
+        const emails = (Array.isArray(input.emails) ? input.emails : []).filter(Boolean).map(String);
+        const phones = (Array.isArray(input.phones) ? input.phones : []).filter(Boolean).map(String);
+        if (!emails.length && !phones.length) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'email or phone required' }));
+          return;
+        }
+        if (emails.length + phones.length > MAX_VALIDATIONS) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: `At most ${MAX_VALIDATIONS} emails and phones per request` }));
+          return;
+        }
+        stats.trackRequest('/api/validate');
+        const country = String(input.country || '').toUpperCase();
+        const options = { user: requestUser(req, parsed), sources: {} };
+        const results = {
+          emails: await Promise.all(emails.map(async email => ({ email, ...await validator.validateEmail(email, options) }))),
+          phones: await Promise.all(phones.map(async number => {
+            const phone = phoneNumbers.classifyPhone({ number }, { country });
+            return { ...phone, ...await validator.validatePhone(phone.number, country || phone.country, options) };
+          })),
+          sources: options.sources,
+        };
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(results));
+      } catch (e) {
+        console.error('Validate error:', e.message);
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: e.message }));
+      }
+    });
+    return;
+  }
+
+  // API: Learned email patterns - ?domain= for one domain (plus &firstName=&lastName= for a guess)
+  if (parsed.pathname === '/api/patterns') {
+    const { domain, firstName, lastName } = parsed.query;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    if (!domain) {
+      res.end(JSON.stringify({ patterns: emailPatterns.listPatterns() }));
+      return;
+    }
+    res.end(JSON.stringify({
+      pattern: emailPatterns.getPattern(domain),
+      guess: firstName && lastName ? emailPatterns.guessEmail(firstName, lastName, domain) : null,
+    }));
+    return;
+  }
+
+  // API: Company name → domain, with ranked candidates
+  if (parsed.pathname === '/api/domain') {
+    const { company } = parsed.query;
+    if (!company) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Company name required' })); return; }
+    try {
+      const results = await resolveCompanyDomain(company, { user: requestUser(req, parsed), paid: !isTruthy(parsed.query.free), refresh: isTruthy(parsed.query.refresh) });
+      console.log(`\x1b[36m🌐 Domain: ${company} → ${results.domain || 'none'} (${results.source || 'no match'}, ${results.confidence})\x1b[0m`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(results));
+    } catch (e) {
+      console.error('Domain error:', e.message);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: e.message }));
+    }
+    return;
+  }
+
+  // API: Company aliases - built-in plus custom (company-aliases.json)
+  if (parsed.pathname === '/api/domain/aliases' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ aliases: companyDomains.listAliases() }));
+    return;
+  }
+
+  // API: Save an alias {company, domain}
+  if (parsed.pathname === '/api/domain/aliases' && req.method === 'POST') {
+    handlePost(req, res, async (data, send) => {
+      const result = companyDomains.setAlias(data.company, data.domain);
+      send(result.success ? 200 : 400, result);
+    });
+    return;
+  }
+
+  if (parsed.pathname === '/api/domain/aliases' && req.method === 'DELETE') {
+    const result = companyDomains.removeAlias(parsed.query.company);
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+    return;
+  }
+
+  // API: Corporate groups (company-groups.json)
+  if (parsed.pathname === '/api/groups' && req.method === 'GET') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ groups: companyGroups.listGroups() }));
+    return;
+  }
+
+  // API: Create a group {name, entities: [{type, value, name}]}
+  if (parsed.pathname === '/api/groups' && req.method === 'POST') {
+    handlePost(req, res, async (data, send) => {
+      const result = companyGroups.createGroup(data.name, data.entities || []);
+      send(result.success ? 200 : 400, result);
+    });
+    return;
+  }
+
+  if (parsed.pathname === '/api/groups' && req.method === 'DELETE') {
+    const result = companyGroups.deleteGroup(parsed.query.id);
+    res.writeHead(result.success ? 200 : 404, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(result));
     return;
   }
 
+  // API: Link / unlink an entity {group, type, value, name}
+  if ((parsed.pathname === '/api/groups/link' || parsed.pathname === '/api/groups/unlink') && req.method === 'POST') {
+    handlePost(req, res, async (data, send) => {
+      const result = parsed.pathname === '/api/groups/link'
+        ? companyGroups.linkEntity(data.group, { type: data.type, value: data.value, name: data.name })
+        : companyGroups.unlinkEntity(data.group, data.type, data.value);
+      send(result.success ? 200 : 400, result);
+    });
+    return;
+  }
+
+  // API: Related entities for a company - suggestions to link into its group
+  if (parsed.pathname === '/api/groups/related') {
+    const { company } = parsed.query;
+    if (!company) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Company name or domain required' })); return; }
+    try {
+      const results = await findRelatedEntities(company, { user: requestUser(req, parsed), refresh: isTruthy(parsed.query.refresh) });
+      console.log(`\x1b[36m🏢 Related: ${company} → ${results.entities.length} entities${results.group ? ' (group ' + results.group.name + ')' : ''}\x1b[0m`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(results));
+    } catch (e) {
+      console.error('Related entities error:', e.message);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: e.message, entities: [] }));
+    }
+    return;
+  }
+
   // API: Hiring Signals
   if (parsed.pathname === '/api/hiring') {
     const { company } = parsed.query;
     if (!company) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Company name or domain required' })); return; }
     try {
       console.log(`\x1b[36m💼 Hiring: ${company}\x1b[0m`);
-      const results = getHiringSignals(company);
+      const results = await (isTruthy(parsed.query.group) ? getGroupHiringSignals : getHiringSignals)(company, { user: requestUser(req, parsed), refresh: isTruthy(parsed.query.refresh) });
       console.log(`\x1b[32m✅ Found ${results.jobCount || 0} jobs, ${results.careerPages?.length || 0} sources (${results.duration}ms)\x1b[0m`);
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(results));
@@ -2749,7 +4690,7 @@ const server = http.createServer((req, res) => {
     const { company } = parsed.query;
     if (!company) { res.writeHead(400); res.end(JSON.stringify({ error: 'Company name or domain required' })); return; }
     console.log(`\x1b[36m🔧 Tech Stack: ${company}\x1b[0m`);
-    const results = getTechStack(company);
+    const results = await getTechStack(company, { user: requestUser(req, parsed), refresh: isTruthy(parsed.query.refresh) });
     console.log(`\x1b[32m✅ Found ${results.totalCount} technologies (${results.duration}ms)\x1b[0m`);
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(results));
@@ -2761,7 +4702,7 @@ const server = http.createServer((req, res) => {
     const { tech, location, limit } = parsed.query;
     if (!tech) { res.writeHead(400); res.end(JSON.stringify({ error: 'Technology name required' })); return; }
     console.log(`\x1b[36m🔧 Tech Search: ${tech} in ${location || 'any location'}\x1b[0m`);
-    const results = searchByTech(tech, location, parseInt(limit) || 10);
+    const results = await searchByTech(tech, location, parseInt(limit) || 10, { user: requestUser(req, parsed) });
     console.log(`\x1b[32m✅ Found ${results.companies.length} companies (${results.duration}ms)\x1b[0m`);
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(results));
@@ -2773,12 +4714,12 @@ const server = http.createServer((req, res) => {
     const { company, location, limit, minEmployees, maxEmployees } = parsed.query;
     if (!company) { res.writeHead(400); res.end(JSON.stringify({ error: 'Seed company required' })); return; }
     console.log(`\x1b[36m🔄 Lookalike: ${company}\x1b[0m`);
-    const results = findLookalikes(company, { 
+    const results = await findLookalikes(company, { 
       location, 
       limit: parseInt(limit) || 10,
       minEmployees: minEmployees ? parseInt(minEmployees) : null,
       maxEmployees: maxEmployees ? parseInt(maxEmployees) : null,
-    });
+    }, { user: requestUser(req, parsed), refresh: isTruthy(parsed.query.refresh) });
     console.log(`\x1b[32m✅ Found ${results.lookalikes.length} similar companies (${results.duration}ms)\x1b[0m`);
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(results));
@@ -2790,11 +4731,25 @@ const server = http.createServer((req, res) => {
 
   // API: LinkedIn
   if (parsed.pathname === '/api/linkedin') {
-    const { url: liUrl } = parsed.query;
+    const { url: liUrl, preview, strategy } = parsed.query;
     if (!liUrl) { res.writeHead(400); res.end(JSON.stringify({ error: 'URL required' })); return; }
-    console.log(`\x1b[36m🔗 LinkedIn: ${liUrl}\x1b[0m`);
+    if (strategy && !waterfall.getStrategy(strategy)) { res.writeHead(400); res.end(JSON.stringify({ error: `Unknown strategy: ${strategy}` })); return; }
+    console.log(`\x1b[36m🔗 LinkedIn${preview ? ' (preview)' : ''}: ${liUrl}\x1b[0m`);
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(enrichLinkedIn(liUrl)));
+    res.end(JSON.stringify(await enrichLinkedIn(liUrl, { user: requestUser(req, parsed), preview: isTruthy(preview), strategy, refresh: isTruthy(parsed.query.refresh) })));
+    return;
+  }
+
+  // API: LinkedIn reveal {url, fields, providers}
+  if (parsed.pathname === '/api/linkedin/reveal' && req.method === 'POST') {
+    handlePost(req, res, async (data, send) => {
+      const { url: liUrl, fields, providers, strategy } = data;
+      if (!liUrl) { send(400, { error: 'URL required' }); return; }
+      if (!Array.isArray(fields) || !fields.length) { send(400, { error: `fields required (${REVEAL_FIELDS.join(', ')})` }); return; }
+      if (strategy && !waterfall.getStrategy(strategy)) { send(400, { error: `Unknown strategy: ${strategy}` }); return; }
+      console.log(`\x1b[36m💳 LinkedIn reveal: ${liUrl} [${fields.join(', ')}]\x1b[0m`);
+      send(200, await enrichLinkedIn(liUrl, { user: requestUser(req, parsed), reveal: fields, providers, strategy }));
+    });
     return;
   }
 
@@ -2806,18 +4761,21 @@ const server = http.createServer((req, res) => {
   }
 
   if (parsed.pathname === '/api/bulk/validate' && req.method === 'POST') {
+    const user = requestUser(req, parsed);
     let body = '';
     req.on('data', c => body += c);
-    req.on('end', () => {
+    req.on('end', async () => {
       try {
         const { csv } = safeJsonParse(body);
         const parsed = parseCSV(csv);
         if (parsed.error) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: parsed.error })); return; }
         if (parsed.contacts.length > 100) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Max 100 contacts' })); return; }
         const compliance = checkCompliance(parsed.contacts);
-        console.log(`\x1b[36m📋 Validate: ${compliance.validContacts.length} valid, ${compliance.issues.length} issues\x1b[0m`);
+        await resolveBulkDomains(compliance.validContacts, { user });
+        const estimate = estimateBulkCost(planBulkEnrichment(compliance.validContacts));
+        console.log(`\x1b[36m📋 Validate: ${compliance.validContacts.length} valid, ${compliance.issues.length} issues, up to ${estimate.totalCredits} credits\x1b[0m`);
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(compliance));
+        res.end(JSON.stringify({ ...compliance, estimate }));
       } catch (e) {
         console.error('Bulk validate error:', e.message);
         res.writeHead(500, { 'Content-Type': 'application/json' });
@@ -2835,7 +4793,7 @@ const server = http.createServer((req, res) => {
         const { contacts } = safeJsonParse(body);
         console.log(`\x1b[36m📋 Enrich: ${contacts?.length || 0} contacts\x1b[0m`);
         stats.trackRequest('/api/bulk/enrich');
-        const results = await enrichContactsBulk(contacts || []);
+        const results = await enrichContactsBulk(contacts || [], { user: requestUser(req, parsed) });
         results.forEach(r => stats.trackEnrichment(r));
         console.log(`\x1b[32m✅ Enriched ${results.length} contacts\x1b[0m`);
         res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -2914,6 +4872,61 @@ const server = http.createServer((req, res) => {
     return;
   }
 
+  // Slack: /discover command - best email and phone first
+  if (parsed.pathname === '/slack/discover' && req.method === 'POST') {
+    let body = '';
+    req.on('data', c => body += c);
+    req.on('end', () => {
+      const params = querystring.parse(body);
+      const { text, response_url } = params;
+      console.log(`\x1b[35m📱 Slack /discover: ${text}\x1b[0m`);
+      
+      // /discover First Last, Company  or  /discover First Last domain.com
+      const [namePart, ...rest] = (text || '').split(',');
+      const names = namePart.trim().split(/\s+/).filter(Boolean);
+      const target = rest.join(',').trim() || names.splice(2).join(' ');
+      const [firstName, ...last] = names;
+      const lastName = last.join(' ');
+      
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      if (!firstName || !lastName) {
+        res.end(JSON.stringify({ response_type: 'ephemeral', text: 'Usage: `/discover Tom Cowan, TDM Growth Partners` or `/discover Tom Cowan tdmgrowth.com`' }));
+        return;
+      }
+      res.end(JSON.stringify({ response_type: 'in_channel', text: `🔍 Looking up ${firstName} ${lastName}${target ? ' @ ' + target : ''}...` }));
+      
+      setImmediate(async () => {
+        try {
+          const isDomain = /^[^\s]+\.[a-z]{2,}$/i.test(target);
+          const results = await discoverPerson(firstName, lastName, isDomain ? '' : target, isDomain ? target : '', '', { user: params.user_name });
+          stats.trackEnrichment(results);
+          
+          const line = (value, item) => `\`${value}\` _(${contactSources(item).replace(/\+/g, ' + ')}, ${Math.round(item.confidence * 100)}%)_${item.verified || item.validation?.status === 'valid' ? ' ✓' : ''}`;
+          let msg = `👤 *${firstName} ${lastName}*${results.companyInfo?.name || target ? ' - ' + (results.companyInfo?.name || target) : ''}\n`;
+          if (results.linkedin) msg += `<${results.linkedin}|LinkedIn>\n`;
+          msg += results.emails.length ? `📧 ${line(results.emails[0].email, results.emails[0])}\n` : '📧 No email found\n';
+          msg += results.phones.length ? `📱 ${line(results.phones[0].number, results.phones[0])} ${phoneNumbers.lineLabel(results.phones[0])}\n` : '📱 No phone found\n';
+          const more = [
+            results.emails.length > 1 ? `${results.emails.length - 1} more email${results.emails.length > 2 ? 's' : ''}` : '',
+            results.phones.length > 1 ? `${results.phones.length - 1} more phone${results.phones.length > 2 ? 's' : ''}` : '',
+          ].filter(Boolean);
+          if (more.length) msg += `_Also: ${more.join(', ')} - see the web app_\n`;
+          msg += `\n_${results.duration}ms | ${results.waterfall?.strategy || 'default'} strategy_`;
+          
+          if (response_url) {
+            await httpPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'in_channel', text: msg });
+          }
+        } catch (e) {
+          console.error('Slack discover error:', e.message);
+          if (response_url) {
+            await httpPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'ephemeral', text: `Error: ${e.message}` });
+          }
+        }
+      });
+    });
+    return;
+  }
+
   // Slack: /colleagues endpoint
   if (parsed.pathname === '/slack/colleagues' && req.method === 'POST') {
     let body = '';
@@ -2926,15 +4939,16 @@ const server = http.createServer((req, res) => {
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ response_type: 'in_channel', text: `👥 Searching for colleagues at ${text}...` }));
       
-      setImmediate(() => {
+      setImmediate(async () => {
         try {
           const parts = (text || '').split(/\s+/);
           const domain = parts[0];
           const roles = parts.slice(1).filter(p => !['at', 'in', '@'].includes(p.toLowerCase()));
           
-          const results = findColleagues(domain, { roles, limit: 10 });
+          const results = await findColleagues(domain, { roles, limit: 10 }, { user: params.user_name });
           
           let msg = `👥 *${results.company?.name || domain}*\n`;
+          if (results.domainResolution?.unresolved) msg += `_No confident domain for ${domain} - try its website domain instead_\n`;
           if (results.company?.employees) msg += `${results.company.employees} AU employees\n`;
           msg += `\nFound *${results.total}* colleagues:\n`;
           
@@ -2948,12 +4962,12 @@ const server = http.createServer((req, res) => {
           msg += `\n_${results.duration}ms | FREE - no credits_`;
           
           if (response_url) {
-            curlPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'in_channel', text: msg });
+            await httpPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'in_channel', text: msg });
           }
         } catch (e) {
           console.error('Slack colleagues error:', e.message);
           if (response_url) {
-            curlPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'ephemeral', text: `Error: ${e.message}` });
+            await httpPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'ephemeral', text: `Error: ${e.message}` });
           }
         }
       });
@@ -2961,7 +4975,7 @@ const server = http.createServer((req, res) => {
     return;
   }
 
-  // Slack: /abn command
+  // Slack: /abn command - "/abn nz <name or NZBN>" (or a bare NZBN) searches the NZBN register
   if (parsed.pathname === '/slack/abn' && req.method === 'POST') {
     let body = '';
     req.on('data', c => body += c);
@@ -2969,31 +4983,46 @@ const server = http.createServer((req, res) => {
       const params = querystring.parse(body);
       const { text, response_url } = params;
       console.log(`\x1b[35m📱 Slack /abn: ${text}\x1b[0m`);
+      const nzPrefix = /^nz\s+/i.test(text || '');
+      const query = (text || '').replace(/^nz\s+/i, '').trim();
+      const nz = nzPrefix || /^94\d{11}$/.test(query.replace(/\s/g, ''));
       
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ response_type: 'in_channel', text: `🔢 Looking up ABN: ${text}...` }));
+      res.end(JSON.stringify({ response_type: 'in_channel', text: `🔢 Looking up ${nz ? 'NZBN' : 'ABN'}: ${query}...` }));
       
-      setImmediate(() => {
-        const results = lookupABN(text.trim());
+      setImmediate(async () => {
+        const results = nz ? await lookupNZBN(query, { user: params.user_name }) : await lookupABN(query, { user: params.user_name });
         
-        let msg = `🔢 *ABN Search: ${text}*\n━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+        let msg = `🔢 *${nz ? 'NZBN' : 'ABN'} Search: ${query}*\n━━━━━━━━━━━━━━━━━━━━━━━━\n`;
         
-        if (results.matches?.length) {
+        if (nz && results.matches?.length) {
+          results.matches.slice(0, 5).forEach(m => {
+            msg += `\n*${m.nzbn}*\n`;
+            msg += `${m.entityName || 'Unknown'}\n`;
+            msg += `Status: ${m.status}${m.registrationDate ? ' (registered ' + m.registrationDate + ')' : ''}\n`;
+            if (m.entityType) msg += `Type: ${m.entityType}\n`;
+            if (m.tradingNames?.length) msg += `Trading as: ${m.tradingNames.slice(0, 3).join(', ')}\n`;
+            msg += `<${m.url}|View on NZBN>\n`;
+          });
+        } else if (results.matches?.length) {
           results.matches.slice(0, 5).forEach(m => {
             msg += `\n*${m.abn}*\n`;
             msg += `${m.entityName || 'Unknown'}\n`;
             msg += `Status: ${m.status}${m.statusDate ? ' (since ' + m.statusDate + ')' : ''}\n`;
             if (m.entityType) msg += `Type: ${m.entityType}\n`;
+            if (m.gst) msg += `GST: ${m.gst.registered ? 'registered' + (m.gst.from ? ' from ' + m.gst.from : '') : 'not registered'}\n`;
+            if (m.location?.state) msg += `Location: ${[m.location.state, m.location.postcode].filter(Boolean).join(' ')}\n`;
+            if (m.tradingNames?.length) msg += `Trading as: ${m.tradingNames.slice(0, 3).join(', ')}\n`;
             msg += `<${m.url}|View on ABR>\n`;
           });
         } else {
-          msg += `_No ABN records found_\n`;
+          msg += `_No ${nz ? 'NZBN' : 'ABN'} records found_\n`;
         }
         
-        msg += `\n_${results.duration}ms_`;
+        msg += `\n_${results.duration}ms${results.cache?.hit ? ' (cached)' : ''}_`;
         
         if (response_url) {
-          curlPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'in_channel', text: msg });
+          await httpPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'in_channel', text: msg });
         }
       });
     });
@@ -3012,8 +5041,8 @@ const server = http.createServer((req, res) => {
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ response_type: 'in_channel', text: `💼 Checking hiring at ${text}...` }));
       
-      setImmediate(() => {
-        const results = getHiringSignals(text.trim());
+      setImmediate(async () => {
+        const results = await getHiringSignals(text.trim(), { user: params.user_name });
         
         let msg = `💼 *${results.company?.name || text}*\n━━━━━━━━━━━━━━━━━━━━━━━━\n`;
         
@@ -3040,10 +5069,10 @@ const server = http.createServer((req, res) => {
           });
         }
         
-        msg += `\n_${results.duration}ms_`;
+        msg += `\n_${results.duration}ms${results.cache?.hit ? ' (cached)' : ''}_`;
         
         if (response_url) {
-          curlPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'in_channel', text: msg });
+          await httpPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'in_channel', text: msg });
         }
       });
     });
@@ -3063,8 +5092,8 @@ const server = http.createServer((req, res) => {
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ response_type: 'in_channel', text: `🔧 Looking up tech stack for ${text}...` }));
       
-      setImmediate(() => {
-        const results = getTechStack(text.trim());
+      setImmediate(async () => {
+        const results = await getTechStack(text.trim(), { user: params.user_name });
         
         let msg = `🔧 *${results.company?.name || text}*\n━━━━━━━━━━━━━━━━━━━━━━━━\n`;
         
@@ -3083,10 +5112,10 @@ const server = http.createServer((req, res) => {
           });
         }
         
-        msg += `\n_${results.duration}ms_`;
+        msg += `\n_${results.duration}ms${results.cache?.hit ? ' (cached)' : ''}_`;
         
         if (response_url) {
-          curlPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'in_channel', text: msg });
+          await httpPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'in_channel', text: msg });
         }
       });
     });
@@ -3106,8 +5135,8 @@ const server = http.createServer((req, res) => {
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ response_type: 'in_channel', text: `🔄 Finding companies similar to ${text}...` }));
       
-      setImmediate(() => {
-        const results = findLookalikes(text.trim(), { limit: 10 });
+      setImmediate(async () => {
+        const results = await findLookalikes(text.trim(), { limit: 10 }, { user: params.user_name });
         
         let msg = '';
         
@@ -3134,7 +5163,7 @@ const server = http.createServer((req, res) => {
         msg += `\n_${results.duration}ms_`;
         
         if (response_url) {
-          curlPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'in_channel', text: msg });
+          await httpPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'in_channel', text: msg });
         }
       });
     });
@@ -3178,7 +5207,8 @@ const server = http.createServer((req, res) => {
 *ABN LOOKUP* ✨ FREE
 \`/abn Atlassian\`
 \`/abn 53 102 443 916\`
-→ Australian Business Number verification
+\`/abn nz Fonterra\`
+→ Australian (or, with \`nz\`, New Zealand) Business Number verification
 
 *HIRING SIGNALS* ✨ FREE
 \`/hiring canva.com\`
@@ -3251,31 +5281,7 @@ const server = http.createServer((req, res) => {
           
           for (const contact of wl.contacts.slice(0, 20)) {
             try {
-              let currentData = {};
-              
-              if (contact.linkedin) {
-                const lushaData = curlGet(
-                  `https://api.lusha.com/v2/person?linkedinUrl=${encodeURIComponent(contact.linkedin)}&revealEmails=false&revealPhones=false`,
-                  { 'api_key': config.lusha.apiKey }
-                );
-                const d = lushaData.data || lushaData.contact?.data;
-                if (d) {
-                  currentData.title = d.currentJobTitle;
-                  currentData.company = d.company?.name;
-                }
-              }
-              
-              if (!currentData.title) {
-                const apolloData = curlPost(
-                  'https://api.apollo.io/v1/people/match',
-                  { 'Content-Type': 'application/json', 'x-api-key': config.apollo.apiKey },
-                  { first_name: contact.firstName, last_name: contact.lastName, linkedin_url: contact.linkedin }
-                );
-                if (apolloData.person) {
-                  currentData.title = apolloData.person.title;
-                  currentData.company = apolloData.person.organization?.name;
-                }
-              }
+              const currentData = await getCurrentRole(contact, { user: params.user_name });
               
               const changes = watchlist.checkForChanges(contact, currentData);
               if (changes.length > 0) {
@@ -3303,7 +5309,7 @@ const server = http.createServer((req, res) => {
           }
           
           if (response_url) {
-            curlPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'in_channel', text: msg });
+            await httpPost(response_url, { 'Content-Type': 'application/json' }, { response_type: 'in_channel', text: msg });
           }
         });
         return;
@@ -3383,37 +5389,14 @@ const server = http.createServer((req, res) => {
     req.on('data', c => body += c);
     req.on('end', async () => {
       console.log(`\x1b[36m👁️ Checking watchlist for changes...\x1b[0m`);
+      const user = requestUser(req, parsed);
       const wl = watchlist.getWatchlist();
       const results = { checked: 0, changes: [], errors: [] };
       
       for (const contact of wl.contacts) {
         try {
           // Enrich to get current data
-          let currentData = {};
-          
-          if (contact.linkedin) {
-            const lushaData = curlGet(
-              `https://api.lusha.com/v2/person?linkedinUrl=${encodeURIComponent(contact.linkedin)}&revealEmails=false&revealPhones=false`,
-              { 'api_key': config.lusha.apiKey }
-            );
-            const d = lushaData.data || lushaData.contact?.data;
-            if (d) {
-              currentData.title = d.currentJobTitle;
-              currentData.company = d.company?.name;
-            }
-          }
-          
-          if (!currentData.title) {
-            const apolloData = curlPost(
-              'https://api.apollo.io/v1/people/match',
-              { 'Content-Type': 'application/json', 'x-api-key': config.apollo.apiKey },
-              { first_name: contact.firstName, last_name: contact.lastName, linkedin_url: contact.linkedin }
-            );
-            if (apolloData.person) {
-              currentData.title = apolloData.person.title;
-              currentData.company = apolloData.person.organization?.name;
-            }
-          }
+          const currentData = await getCurrentRole(contact, { user });
           
           const changes = watchlist.checkForChanges(contact, currentData);
           
@@ -3428,9 +5411,6 @@ const server = http.createServer((req, res) => {
           }
           
           results.checked++;
-          
-          // Rate limiting
-          await new Promise(r => setTimeout(r, 300));
         } catch (e) {
           results.errors.push({ contact: contact.firstName + ' ' + contact.lastName, error: e.message });
         }